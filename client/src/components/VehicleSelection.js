@@ -1,10 +1,11 @@
 import { VEHICLES } from '../game/vehicles/VehicleConfig';
 import * as THREE from 'three';
+import { TEAMS } from 'vehicular-combat-shared';
 import { createVehicleMesh } from '../game/vehicles/VehicleMeshFactory';
 
 /**
  * Setup the vehicle selection UI
- * @param {Function} onVehicleSelect Callback function when vehicle is selected
+ * @param {Function} onVehicleSelect Callback function when vehicle is selected, with (vehicleId, playerName, team)
  * @param {Object} portalParams Optional parameters from portal entry
  */
 export function setupVehicleSelection(onVehicleSelect, portalParams = null) {
@@ -66,6 +67,28 @@ export function setupVehicleSelection(onVehicleSelect, portalParams = null) {
     <button id="select-vehicle" class="select-button">SELECT</button>
   `;
   vehiclesContainer.appendChild(navigationContainer);
+
+  // Team picker; only used in team modes, where Auto lets the server balance the teams
+  let selectedTeam = null;
+  const teamContainer = document.createElement('div');
+  teamContainer.className = 'team-selection';
+  teamContainer.innerHTML = `
+    <span class="team-label">TEAM</span>
+    <button class="team-button selected" data-team="">AUTO</button>
+    ${Object.entries(TEAMS).map(([teamId, team]) => `
+      <button class="team-button" data-team="${teamId}" style="color: ${team.color}">${team.name.toUpperCase()}</button>
+    `).join('')}
+  `;
+  vehiclesContainer.appendChild(teamContainer);
+
+  teamContainer.querySelectorAll('.team-button').forEach(button => {
+    button.addEventListener('click', () => {
+      selectedTeam = button.dataset.team || null;
+      teamContainer.querySelectorAll('.team-button').forEach(other => {
+        other.classList.toggle('selected', other === button);
+      });
+    });
+  });
   
   // Function to display current vehicle
   function displayVehicle(index) {
@@ -141,7 +164,7 @@ export function setupVehicleSelection(onVehicleSelect, portalParams = null) {
     localStorage.setItem('playerName', playerName);
     
     // Call the selection callback
-    onVehicleSelect(vehicleId, playerName);
+    onVehicleSelect(vehicleId, playerName, selectedTeam);
   }
   
   // Add event listeners for navigation buttons
@@ -1,7 +1,8 @@
 import * as THREE from 'three';
 
 /**
- * AI-controlled Semi-Trump boss enemy
+ * Semi-Trump boss enemy. Its AI, targeting and attacks run on the server;
+ * this class draws the boss and plays back what the server reports.
  */
 export class SemiTrump {
   /**
@@ -20,65 +21,17 @@ export class SemiTrump {
     this.speed = 0.2 * (1 + (difficulty * 0.3));
     this.turnRate = 0.01 * (1 + (difficulty * 0.2));
 
-    // AI state machine
+    // State and target as last reported by the server
     this.currentState = 'spawning';
     this.previousState = '';
-    this.stateTimer = 0;
-    this.stateTimeout = 3000; // 3 seconds for spawning state
-
-    // Target tracking
     this.target = null;
-    this.targetTimer = 0;
-    this.targetTimeout = 5000; // 5 seconds before finding a new target
-
-    // Attack cooldowns
-    this.lastAttackTime = 0;
-    this.attackCooldown = 3000 / difficulty; // milliseconds
 
     // Movement
     this.velocity = new THREE.Vector3(0, 0, 0);
-    this.targetPosition = new THREE.Vector3(0, 0, 0);
-
-    // Weapon systems
-    this.currentWeapon = 'ram'; // ram, freezeMissile, flamethrower, napalmRain
-    this.weaponCooldowns = {
-      ram: 2000,
-      freezeMissile: 2500, // Reduced from 5000 to 2500 for more frequent missile firing
-      flamethrower: 3000,
-      napalmRain: 5000  // Reduced from 8000 to 5000 for more frequent use
-    };
-    this.lastWeaponUse = {
-      ram: 0,
-      freezeMissile: 0,
-      flamethrower: 0,
-      napalmRain: 0
-    };
-    
-    // Testing flag to ensure napalm rain is used
-    this.nextAttackForceNapalm = true;
-    this.napalmTestTimer = 0;
-    
-    // Regular napalm rain timer - fires every 10 seconds
-    this.napalmRainTimer = 0;
-    this.napalmRainInterval = 10000; // 10 seconds
 
-    // Missile system
+    // Missiles and napalm shells in flight, by server attack ID
     this.activeProjectiles = [];
     this.missileSpeed = 1.0;
-    this.missileDamage = 15 * difficulty;
-    this.missileRange = 50; // Missile detection range - matches player projectiles range
-    this.missileSpawnPoint = new THREE.Vector3(0, 3, 11); // Position at the back of the trailer
-    
-    // Track players who have been targeted with missiles recently to avoid repeat targeting
-    this.recentlyTargetedPlayers = new Map();
-    this.targetCooldown = 5000; // 5 seconds before a player can be targeted again
-    
-    // Napalm rain system
-    this.napalmDamage = 20 * difficulty;
-    this.napalmRange = 80; // Longer range than missile attack
-    this.napalmRadius = 15; // Area of effect for each napalm explosion
-    this.napalmCount = 5; // Base number of napalm projectiles to fire at once
-    this.napalmPerPlayer = 1; // Additional napalm projectiles per player
 
     // Create the mesh
     this.mesh = this.createMesh();
@@ -580,7 +533,8 @@ export class SemiTrump {
   }
 
   /**
-   * Update the boss AI and position
+   * Update the boss's effects and collisions. Its position comes from the
+   * server's snapshots.
    * @param {Array<Object>} players Array of player objects
    * @param {number} delta Time since last update in seconds
    * @param {number} time Current time in milliseconds
@@ -588,114 +542,7 @@ export class SemiTrump {
   update(players, delta, time) {
     // Force Y position to keep the boss on the ground
     this.mesh.position.y = 0.2;
-    
-    // Handle perimeter roaming for movement
-    this.handlePerimeterRoaming(delta);
-    
-    // Update napalm rain timer (fires every 10 seconds regardless of player position)
-    this.napalmRainTimer += delta * 1000;
-    if (this.napalmRainTimer >= this.napalmRainInterval) {
-      const now = Date.now();
-      if (now - this.lastWeaponUse.napalmRain > this.weaponCooldowns.napalmRain) {
-        console.log("🔥 Regular napalm rain attack firing (10-second interval)");
-        this.useNapalmRain();
-        this.lastWeaponUse.napalmRain = now;
-      }
-      this.napalmRainTimer = 0;
-    }
-    
-    // Force periodic napalm rain test (only for testing/debugging)
-    this.napalmTestTimer += delta * 1000;
-    if (this.napalmTestTimer > 15000) { // Every 15 seconds
-      this.napalmTestTimer = 0;
-      this.nextAttackForceNapalm = true;
-      console.log("🔥 Napalm rain test scheduled for next attack opportunity");
-    }
-    
-    // Check for nearby players to attack without changing direction
-    if (players) {
-      // If players is a Map (like in gameState.players), convert to array
-      const playersArray = players instanceof Map ? Array.from(players.values()) : players;
-      
-      if (playersArray.length > 0) {
-        // Update target cooldowns and clear expired entries
-        const now = Date.now();
-        console.log(`Found ${playersArray.length} players to check for missile targeting`);
-        console.log(`Currently tracking ${this.recentlyTargetedPlayers.size} recently targeted players`);
-        
-        this.recentlyTargetedPlayers.forEach((timestamp, playerId) => {
-          const timeLeft = this.targetCooldown - (now - timestamp);
-          if (timeLeft <= 0) {
-            console.log(`Removing player ${playerId} from cooldown list - cooldown expired`);
-            this.recentlyTargetedPlayers.delete(playerId);
-          } else {
-            console.log(`Player ${playerId} still on cooldown for ${timeLeft.toFixed(0)}ms`);
-          }
-        });
-        
-        // Find all players in missile range that haven't been targeted recently
-        const playersInRange = [];
-        const playersOnCooldown = [];
-        const playersOutOfRange = [];
-        
-        for (const player of playersArray) {
-          if (!player.vehicle || !player.vehicle.mesh) {
-            console.log(`Skipping player ${player.id} - no vehicle or mesh`);
-            continue;
-          }
-          
-          if (this.recentlyTargetedPlayers.has(player.id)) {
-            console.log(`Skipping player ${player.id} - on target cooldown`);
-            playersOnCooldown.push(player.id);
-            continue;
-          }
-          
-          const distance = this.mesh.position.distanceTo(player.vehicle.mesh.position);
-          
-          if (distance < this.missileRange) {
-            console.log(`Player ${player.id} in missile range at distance ${distance.toFixed(1)}`);
-            playersInRange.push({
-              player,
-              distance
-            });
-          } else {
-            console.log(`Player ${player.id} out of missile range at distance ${distance.toFixed(1)}`);
-            playersOutOfRange.push(player.id);
-          }
-        }
-        
-        // Sort by distance (closest first)
-        playersInRange.sort((a, b) => a.distance - b.distance);
-        console.log(`Found ${playersInRange.length} players in range for missile targeting`);
-        
-        // If we found any targets in range, fire one missile at each of them
-        if (playersInRange.length > 0) {
-          this.target = playersInRange[0].player; // Set primary target to closest player
-          
-          // Try to use napalm rain for testing if flag is set (only for testing)
-          const now = Date.now();
-          if (this.nextAttackForceNapalm && now - this.lastWeaponUse.napalmRain > this.weaponCooldowns.napalmRain) {
-            console.log("🔥 Forcing napalm rain attack for testing");
-            this.useNapalmRain();
-            this.lastWeaponUse.napalmRain = now;
-            this.nextAttackForceNapalm = false;
-          }
-          // Check if we can fire missiles - one per player in range
-          else if (now - this.lastWeaponUse.freezeMissile > this.weaponCooldowns.freezeMissile) {
-            console.log(`Firing missiles at ${playersInRange.length} players in range`);
-            
-            // Fire a missile at each player in range
-            for (const { player } of playersInRange) {
-              this.fireMissile(player);
-              this.recentlyTargetedPlayers.set(player.id, now);
-            }
-            
-            this.lastWeaponUse.freezeMissile = now;
-          }
-        }
-      }
-    }
-    
+
     // Update active projectiles
     this.updateProjectiles(delta);
     
@@ -844,585 +691,87 @@ export class SemiTrump {
       }
     }
 
-    // Apply damage to vehicle on collision
-    const now = Date.now();
-    const cooldown = 1000; // 1 second between collision damage
-    
-    if (!vehicle.lastBossCollisionDamage || now - vehicle.lastBossCollisionDamage > cooldown) {
-      // Calculate damage based on boss's damage stat
-      // Increased base damage multiplier from 1.0 to 2.0 for normal state, and from 1.5 to 3.0 for enraged state
-      const damage = this.damage * (this.currentState === 'enraged' ? 3.0 : 2.0);
-      vehicle.takeDamage(damage);
-      
-      // Update collision damage timestamp
-      vehicle.lastBossCollisionDamage = now;
-    }
+    // Contact damage is dealt by the server
   }
 
   /**
-   * Handle perimeter roaming behavior
-   * @param {number} delta Time since last update in seconds
+   * Apply a state change decided by the server
+   * @param {string} state New state
    */
-  handlePerimeterRoaming(delta) {
-    // Initialize waypoints if not defined
-    if (!this.perimeterWaypoints) {
-      const mapWidth = 160;
-      const mapHeight = 200; // Make height larger than width for rectangular path
-      const margin = 10;
-      
-      // Define a rectangular path around the map perimeter, shifted toward the Washington Monument (south side)
-      const northMargin = 30; // Larger margin on north side (away from monument)
-      const southMargin = 5;  // Smaller margin on south side (closer to monument)
-      
-      this.perimeterWaypoints = [
-        new THREE.Vector3(-mapWidth/2 + margin, 0.2, -mapHeight/2 + northMargin),  // Top left (further from monument)
-        new THREE.Vector3(mapWidth/2 - margin, 0.2, -mapHeight/2 + northMargin),   // Top right (further from monument)
-        new THREE.Vector3(mapWidth/2 - margin, 0.2, mapHeight/2 - southMargin),    // Bottom right (closer to monument)
-        new THREE.Vector3(-mapWidth/2 + margin, 0.2, mapHeight/2 - southMargin)    // Bottom left (closer to monument)
-      ];
-      
-      // Start at a random waypoint
-      this.currentWaypointIndex = Math.floor(Math.random() * this.perimeterWaypoints.length);
-      this.nextWaypoint = this.perimeterWaypoints[this.currentWaypointIndex];
-      
-      // Set initial rotation to face the next waypoint
-      this.alignTowardsWaypoint();
-    }
-    
-    // Move towards the current waypoint
-    const speed = this.speed * 0.6; // Move at 60% speed while roaming
-    
-    // Get direction to target
-    const direction = this.nextWaypoint.clone().sub(this.mesh.position).normalize();
-
-    // Calculate desired velocity
-    this.velocity.x = direction.x * speed;
-    this.velocity.z = direction.z * speed;
-    this.velocity.y = 0; // Ensure no vertical movement
+  setState(state) {
+    if (state === this.currentState) return;
 
-    // Apply velocity
-    this.mesh.position.x += this.velocity.x * delta;
-    this.mesh.position.z += this.velocity.z * delta;
-    this.mesh.position.y = 0.2; // Maintain consistent Y position
-    
-    // Check if we've reached the waypoint (within 5 units)
-    if (this.mesh.position.distanceTo(this.nextWaypoint) < 5) {
-      // Move to the next waypoint
-      this.currentWaypointIndex = (this.currentWaypointIndex + 1) % this.perimeterWaypoints.length;
-      this.nextWaypoint = this.perimeterWaypoints[this.currentWaypointIndex];
-      
-      // Set the truck rotation to face the direction of travel
-      this.alignTowardsWaypoint();
-    }
-  }
-  
-  /**
-   * Align the truck to face the next waypoint
-   */
-  alignTowardsWaypoint() {
-    // Calculate direction to next waypoint
-    const direction = this.nextWaypoint.clone().sub(this.mesh.position);
-    
-    // Only rotate on Y axis (ignore height differences)
-    direction.y = 0;
-    
-    if (direction.lengthSq() > 0.001) {
-      // Calculate the angle to the next waypoint
-      const targetRotation = Math.atan2(direction.x, direction.z) + Math.PI;
-      
-      // Set rotation directly without interpolation
-      this.mesh.rotation.y = targetRotation;
-    }
-  }
-  
-  /**
-   * Move towards a target position
-   * @param {THREE.Vector3} targetPosition Position to move towards
-   * @param {number} speed Speed to move at
-   * @param {number} delta Time since last update
-   */
-  moveTowards(targetPosition, speed, delta) {
-    // This is now just a wrapper for consistency with existing code
-    // Get direction to target
-    const direction = targetPosition.clone().sub(this.mesh.position).normalize();
-
-    // Calculate desired velocity
-    this.velocity.x = direction.x * speed;
-    this.velocity.z = direction.z * speed;
-    this.velocity.y = 0; // Ensure no vertical movement
-
-    // Apply velocity
-    this.mesh.position.x += this.velocity.x * delta;
-    this.mesh.position.z += this.velocity.z * delta;
-    this.mesh.position.y = 0.2; // Maintain consistent Y position
-    
-    // Do NOT look at the target - truck should keep facing forward
+    this.previousState = this.currentState;
+    this.currentState = state;
+    this.playStateTransitionEffects();
   }
 
   /**
-   * Transition to a new state based on current conditions
-   * @param {Array<Object>} players Array of player objects
-   * @param {number} time Current time
+   * Play an attack the server launched
+   * @param {Object} attack Attack from the server's bossAttack event
+   * @param {Function} findPlayer Looks up a player object by server ID
    */
-  transitionState(players, time) {
-    // Store previous state
-    this.previousState = this.currentState;
-
-    // Reset state timer
-    this.stateTimer = 0;
-
-    // Determine next state based on current state and conditions
-    switch (this.currentState) {
-      case 'spawning':
-        this.currentState = 'patrolling';
-        this.stateTimeout = 8000;
-        console.log('Boss state: patrolling');
-        break;
-
-      case 'patrolling':
-        this.findTarget(players);
-        if (this.target) {
-          this.currentState = 'chasing';
-          this.stateTimeout = 10000; // Chase for up to 10 seconds
-          console.log('Boss state: chasing');
-        } else {
-          this.stateTimeout = 8000; // Continue patrolling
-        }
-        break;
-
-      case 'chasing':
-        if (this.isTargetInRange()) {
-          this.currentState = 'attacking';
-          this.stateTimeout = 5000;
-          console.log('Boss state: attacking');
-        } else {
-          this.findTarget(players); // Try to find a new target
-          if (!this.target) {
-            this.currentState = 'patrolling';
-            this.stateTimeout = 8000;
-            console.log('Boss state: patrolling');
-          } else {
-            this.stateTimeout = 10000; // Continue chasing
-          }
-        }
+  playAttack(attack, findPlayer) {
+    switch (attack.weapon) {
+      case 'freezeMissile':
+        attack.missiles.forEach(missile => this.fireMissile(findPlayer(missile.targetId), missile));
         break;
 
-      case 'attacking':
-        // After attacking, go back to chasing or patrolling
-        if (this.health < this.maxHealth * 0.3 && Math.random() < 0.7) {
-          this.currentState = 'retreating';
-          this.stateTimeout = 6000;
-          console.log('Boss state: retreating');
-        } else if (this.health < this.maxHealth * 0.3 && Math.random() < 0.5) {
-          this.currentState = 'enraged';
-          this.stateTimeout = 8000;
-          console.log('Boss state: enraged');
-        } else {
-          this.findTarget(players);
-          if (this.target) {
-            this.currentState = 'chasing';
-            this.stateTimeout = 10000;
-            console.log('Boss state: chasing');
-          } else {
-            this.currentState = 'patrolling';
-            this.stateTimeout = 8000;
-            console.log('Boss state: patrolling');
-          }
-        }
+      case 'napalmRain':
+        console.log('🔥🔥🔥 Semi-Trump used Napalm Rain! Firing', attack.napalm.length, 'projectiles');
+        attack.napalm.forEach(shell => this.fireNapalmProjectile(shell, attack.radius));
         break;
 
-      case 'enraged':
-        // After enraged, go back to attacking or retreating
-        if (this.health < this.maxHealth * 0.15) {
-          this.currentState = 'retreating';
-          this.stateTimeout = 6000;
-          console.log('Boss state: retreating');
-        } else {
-          this.currentState = 'attacking';
-          this.stateTimeout = 5000;
-          console.log('Boss state: attacking');
-        }
+      case 'flamethrower':
+        this.useFlamethrower(attack.position, attack.direction, attack.range);
         break;
 
-      case 'retreating':
-        // After retreating, go back to patrolling or become enraged
-        if (this.health < this.maxHealth * 0.2 && Math.random() < 0.7) {
-          this.currentState = 'enraged';
-          this.stateTimeout = 8000;
-          console.log('Boss state: enraged');
-        } else {
-          this.currentState = 'patrolling';
-          this.stateTimeout = 8000;
-          console.log('Boss state: patrolling');
-        }
+      case 'ram':
+        console.log('Semi-Trump used Ram Attack!');
         break;
     }
-
-    // Play state transition effects/sounds
-    this.playStateTransitionEffects();
-  }
-
-  /**
-   * Find a target player to chase
-   * @param {Array<Object>} players Array of player objects
-   */
-  findTarget(players) {
-    if (players.length === 0) {
-      this.target = null;
-      return;
-    }
-
-    // Find closest player or random player based on AI behavior
-    if (Math.random() < 0.7) {
-      // 70% chance to target closest player
-      let closestPlayer = null;
-      let closestDistance = Infinity;
-
-      players.forEach(player => {
-        const distance = this.mesh.position.distanceTo(player.vehicle.mesh.position);
-        if (distance < closestDistance) {
-          closestDistance = distance;
-          closestPlayer = player;
-        }
-      });
-
-      this.target = closestPlayer;
-    } else {
-      // 30% chance to target random player
-      const randomIndex = Math.floor(Math.random() * players.length);
-      this.target = players[randomIndex];
-    }
-
-    // Reset target timer
-    this.targetTimer = 0;
-  }
-
-  /**
-   * Check if current target is in attack range
-   * @returns {boolean} True if target is in range
-   */
-  isTargetInRange() {
-    if (!this.target) return false;
-
-    const distance = this.mesh.position.distanceTo(this.target.vehicle.mesh.position);
-    return distance < 15; // 15 units attack range
-  }
-
-  /**
-   * Generate a random point to patrol towards
-   * @returns {THREE.Vector3} Target patrol position
-   */
-  getPatrolPoint() {
-    // Get random position within the map (we're assuming a 200x200 map)
-    const x = (Math.random() - 0.5) * 160;
-    const z = (Math.random() - 0.5) * 160;
-    return new THREE.Vector3(x, 0, z);
-  }
-
-  /**
-   * Handle spawning state (boss is materializing)
-   * @param {number} delta Time since last update
-   */
-  handleSpawningState(delta) {
-    // Visual effect for spawning (scale up)
-    const progress = Math.min(1, this.stateTimer / this.stateTimeout);
-    this.mesh.scale.set(progress, progress, progress);
-  }
-
-  /**
-   * Handle patrolling state (moving to random points)
-   * @param {Array<Object>} players Array of player objects
-   * @param {number} delta Time since last update
-   */
-  handlePatrollingState(players, delta) {
-    // If we don't have a patrol point, get one
-    if (!this.targetPosition.lengthSq() ||
-      this.mesh.position.distanceTo(this.targetPosition) < 10) {
-      this.targetPosition = this.getPatrolPoint();
-    }
-
-    // Move towards patrol point
-    this.moveTowards(this.targetPosition, this.speed * 0.7, delta);
-
-    // Occasionally check for players to target
-    this.targetTimer += delta * 1000;
-    if (this.targetTimer > 2000) { // Check every 2 seconds
-      this.findTarget(players);
-    }
-  }
-
-  /**
-   * Handle chasing state (pursuing a targeted player)
-   * @param {Array<Object>} players Array of player objects
-   * @param {number} delta Time since last update
-   */
-  handleChasingState(players, delta) {
-    // If no target or target is dead/disconnected, find a new one
-    if (!this.target || !players.some(p => p.id === this.target.id)) {
-      this.findTarget(players);
-      if (!this.target) {
-        // No targets available, go back to patrolling
-        this.currentState = 'patrolling';
-        this.stateTimeout = 8000;
-        this.stateTimer = 0;
-        return;
-      }
-    }
-
-    // Chase target
-    const targetPosition = this.target.vehicle.mesh.position.clone();
-    this.moveTowards(targetPosition, this.speed, delta);
-
-    // Update target timer
-    this.targetTimer += delta * 1000;
-    if (this.targetTimer > this.targetTimeout) {
-      this.findTarget(players); // Switch targets occasionally
-    }
-  }
-
-  /**
-   * Handle attacking state
-   * @param {Array<Object>} players Array of player objects
-   * @param {number} delta Time since last update
-   * @param {number} time Current time
-   */
-  handleAttackingState(players, delta, time) {
-    // If no target or target is dead/disconnected, find a new one
-    if (!this.target || !players.some(p => p.id === this.target.id)) {
-      this.findTarget(players);
-      if (!this.target) {
-        // No targets available, go back to patrolling
-        this.currentState = 'patrolling';
-        this.stateTimeout = 8000;
-        this.stateTimer = 0;
-        return;
-      }
-    }
-
-    // Circle around the target
-    const targetPosition = this.target.vehicle.mesh.position.clone();
-    const directionToTarget = targetPosition.clone().sub(this.mesh.position).normalize();
-    const perpendicular = new THREE.Vector3(-directionToTarget.z, 0, directionToTarget.x);
-
-    // Calculate circle point
-    const circleRadius = 12;
-    const circlePoint = targetPosition.clone().add(
-      perpendicular.multiplyScalar(circleRadius)
-    );
-
-    // Move towards circle point
-    this.moveTowards(circlePoint, this.speed * 0.8, delta);
-
-    // Face towards the target
-    this.lookAt(targetPosition);
-
-    // Attack if cooldown has elapsed
-    if (time - this.lastAttackTime > this.attackCooldown) {
-      this.attack(time);
-    }
   }
 
   /**
-   * Handle enraged state (faster movement, more aggressive attacks)
-   * @param {Array<Object>} players Array of player objects
-   * @param {number} delta Time since last update
-   * @param {number} time Current time
+   * Show where one of the boss's missiles or napalm shells landed on the server
+   * @param {Object} impact Impact from the server's bossAttackImpact event
    */
-  handleEnragedState(players, delta, time) {
-    // Similar to attacking but more aggressive and faster
-    if (!this.target || !players.some(p => p.id === this.target.id)) {
-      this.findTarget(players);
-      if (!this.target) return;
-    }
+  resolveAttackImpact(impact) {
+    const index = this.activeProjectiles.findIndex(projectile => projectile.id === impact.id);
 
-    // Charge directly at the target
-    const targetPosition = this.target.vehicle.mesh.position.clone();
-    this.moveTowards(targetPosition, this.speed * 1.5, delta);
-
-    // Attack more frequently
-    if (time - this.lastAttackTime > this.attackCooldown * 0.6) {
-      this.attack(time);
-    }
-  }
+    // Copies that already landed locally have played their effect
+    if (index === -1) return;
 
-  /**
-   * Handle retreating state (move away from players to recover)
-   * @param {number} delta Time since last update
-   */
-  handleRetreatingState(delta) {
-    // If we have a target, move away from it
-    if (this.target) {
-      const directionToTarget = this.target.vehicle.mesh.position.clone()
-        .sub(this.mesh.position).normalize();
-
-      // Retreat position is in opposite direction
-      const retreatPosition = this.mesh.position.clone().sub(
-        directionToTarget.multiplyScalar(50)
-      );
+    const projectile = this.activeProjectiles[index];
+    const position = new THREE.Vector3(impact.position.x, impact.position.y, impact.position.z);
+    this.scene.remove(projectile.mesh);
+    this.activeProjectiles.splice(index, 1);
 
-      // Move towards retreat position
-      this.moveTowards(retreatPosition, this.speed * 0.8, delta);
+    if (impact.weapon === 'napalmRain') {
+      this.createNapalmExplosion(position, impact.radius || projectile.radius);
     } else {
-      // No target, just move to a random point
-      if (!this.targetPosition.lengthSq() ||
-        this.mesh.position.distanceTo(this.targetPosition) < 10) {
-        this.targetPosition = this.getPatrolPoint();
-      }
-
-      this.moveTowards(this.targetPosition, this.speed * 0.8, delta);
+      this.createSimpleExplosion(position);
     }
-
-    // Slowly recover health during retreat
-    this.health = Math.min(this.maxHealth, this.health + delta * 3);
   }
 
   /**
-   * Orient the boss to look at a position
-   * @param {THREE.Vector3} position Position to look at
+   * Remove every missile and shell still in flight
    */
-  lookAt(position) {
-    // Calculate direction
-    const direction = position.clone().sub(this.mesh.position);
-
-    // Only rotate on Y axis (ignore height differences)
-    direction.y = 0;
-
-    // Only update if we have a meaningful direction
-    if (direction.lengthSq() > 0.001) {
-      // Get target rotation and add PI (180 degrees) to make the truck face forward
-      const targetRotation = Math.atan2(direction.x, direction.z) + Math.PI;
-
-      // Get current rotation
-      let currentRotation = this.mesh.rotation.y;
-
-      // Normalize angles
-      while (targetRotation - currentRotation > Math.PI) currentRotation += Math.PI * 2;
-      while (targetRotation - currentRotation < -Math.PI) currentRotation -= Math.PI * 2;
-
-      // Interpolate to target rotation
-      const rotationDelta = targetRotation - currentRotation;
-      this.mesh.rotation.y += rotationDelta * 0.1;
-    }
-  }
-
-  /**
-   * Attack the target
-   * @param {number} time Current time
-   */
-  attack(time) {
-    if (!this.target) return;
-
-    console.log("Attack method called, choosing weapon...");
-
-    // Force napalm rain for testing if flag is set
-    if (this.nextAttackForceNapalm && time - this.lastWeaponUse.napalmRain > this.weaponCooldowns.napalmRain) {
-      console.log("🔥 Using forced napalm rain attack for testing");
-      this.useNapalmRain();
-      this.lastWeaponUse.napalmRain = time;
-      this.lastAttackTime = time;
-      this.nextAttackForceNapalm = false;
-      return;
-    }
-
-    // Choose a weapon based on state and cooldowns
-    let weapon = 'ram';
-
-    if (this.currentState === 'enraged') {
-      // In enraged state, don't choose napalm rain here (it's on its own timer)
-      if (time - this.lastWeaponUse.flamethrower > this.weaponCooldowns.flamethrower) {
-        weapon = 'flamethrower';
-      } else if (time - this.lastWeaponUse.ram > this.weaponCooldowns.ram) {
-        weapon = 'ram';
-      } else if (time - this.lastWeaponUse.freezeMissile > this.weaponCooldowns.freezeMissile) {
-        weapon = 'freezeMissile';
-      }
-    } else {
-      // Choose weapon based on distance and cooldowns
-      const distance = this.mesh.position.distanceTo(this.target.vehicle.mesh.position);
-      console.log(`Distance to target: ${distance.toFixed(1)} units`);
-
-      // Don't choose napalm rain here (it's on its own timer)
-      if (distance < 10 && time - this.lastWeaponUse.ram > this.weaponCooldowns.ram) {
-        weapon = 'ram';
-      } else if (distance < 30 && time - this.lastWeaponUse.flamethrower > this.weaponCooldowns.flamethrower) {
-        weapon = 'flamethrower';
-      } else if (time - this.lastWeaponUse.freezeMissile > this.weaponCooldowns.freezeMissile) {
-        weapon = 'freezeMissile';
-      }
-    }
-
-    // Use the chosen weapon
-    console.log(`Boss selected weapon: ${weapon}`);
-    switch (weapon) {
-      case 'ram':
-        this.useRamAttack();
-        break;
-      case 'freezeMissile':
-        this.useFreezeMissile();
-        break;
-      case 'flamethrower':
-        this.useFlamethrower();
-        break;
-      // napalmRain is not included here since it's on its own timer
-    }
-
-    // Update attack timers
-    this.lastAttackTime = time;
-    this.lastWeaponUse[weapon] = time;
-  }
-
-  /**
-   * Ram attack - charge at the target
-   */
-  useRamAttack() {
-    console.log('Semi-Trump used Ram Attack!');
-    // This would normally trigger a visual effect and damage calculation
-
-    // In a full implementation, we'd also apply a force to the target
-    // and check for collision damage
-  }
-
-  /**
-   * Freeze missile attack - fire a missile that temporarily freezes the target
-   */
-  useFreezeMissile() {
-    console.log('Semi-Trump used Freeze Missile!');
-    
-    if (this.target) {
-      this.fireMissile(this.target);
-    }
+  clearAttacks() {
+    this.activeProjectiles.forEach(projectile => this.scene.remove(projectile.mesh));
+    this.activeProjectiles = [];
   }
 
-  /**
-   * Check if the boss can fire a missile (cooldown check)
-   * @returns {boolean} True if missile can be fired
-   */
-  canFireMissile() {
-    const now = Date.now();
-    const canFire = now - this.lastWeaponUse.freezeMissile > this.weaponCooldowns.freezeMissile;
-    
-    // Add debug logging
-    if (canFire) {
-      console.log('Missile cooldown complete, ready to fire');
-    }
-    
-    return canFire;
-  }
-  
   /**
    * Fire a missile at the target
-   * @param {Object} target The target player to fire at
+   * @param {Object|null} target The target player, if this client knows them
+   * @param {Object} missile Missile from the server ({ id, position, direction })
    */
-  fireMissile(target) {
-    if (!target || !target.vehicle || !target.vehicle.mesh) return;
-    
-    // Get world position for missile spawn point
-    const missilePosition = this.missileSpawnPoint.clone();
-    missilePosition.applyMatrix4(this.mesh.matrixWorld);
-    
-    // Calculate direction to target
-    const targetPosition = target.vehicle.mesh.position.clone();
-    const direction = new THREE.Vector3().subVectors(targetPosition, missilePosition).normalize();
+  fireMissile(target, missile) {
+    // Launch from where the server fired it
+    const missilePosition = new THREE.Vector3(missile.position.x, missile.position.y, missile.position.z);
+    const direction = new THREE.Vector3(missile.direction.x, missile.direction.y, missile.direction.z);
+    const targetPosition = missilePosition.clone().add(direction);
     
     // Create a simple missile mesh (cylinder + cone)
     const missileGroup = new THREE.Group();
@@ -1458,24 +807,24 @@ export class SemiTrump {
     this.scene.add(missileGroup);
     
     // Create missile data object
-    const missile = {
+    const projectile = {
+      id: missile.id,
       mesh: missileGroup,
       target: target,
       velocity: direction.multiplyScalar(this.missileSpeed),
       startPosition: missilePosition.clone(),
       startTime: Date.now(),
       lifetime: 5000, // 5 seconds
-      damage: this.missileDamage,
       hit: false
     };
     
     // Add to active projectiles
-    this.activeProjectiles.push(missile);
+    this.activeProjectiles.push(projectile);
     
     // Create a simple flash effect at launch point
     this.createSimpleFlash(missilePosition);
   }
-  
+
   /**
    * Create a simple flash effect for missile launch
    * @param {THREE.Vector3} position Position to create the flash
@@ -1497,7 +846,7 @@ export class SemiTrump {
       this.scene.remove(flash);
     }, 200);
   }
-  
+
   /**
    * Update active projectiles
    * @param {number} delta Time since last update
@@ -1583,12 +932,15 @@ export class SemiTrump {
           projectile.hit = true;
           projectilesToRemove.push(index);
           
-          // Create napalm explosion
-          this.createNapalmExplosion(projectile.mesh.position.clone(), projectile.radius, projectile.damage);
+          // Create napalm explosion (the server deals its damage)
+          this.createNapalmExplosion(projectile.mesh.position.clone(), projectile.radius);
         }
       } else {
         // Regular missile projectile - simple straight-line movement with slight tracking
-        if (projectile.target && projectile.target.vehicle && projectile.target.vehicle.mesh) {
+        if (!projectile.target || !projectile.target.vehicle || !projectile.target.vehicle.mesh) {
+          // Target unknown here: keep flying straight until the server reports the impact
+          projectile.mesh.position.addScaledVector(projectile.velocity, delta * 60);
+        } else {
           const targetPosition = projectile.target.vehicle.mesh.position;
           
           // Calculate direction to target (basic homing)
@@ -1609,20 +961,9 @@ export class SemiTrump {
             projectile.mesh.position.clone().add(projectile.velocity)
           );
           
-          // Check collision with target
+          // Remove the copy where it meets the target; the server's impact decides the damage and freeze
           const distance = projectile.mesh.position.distanceTo(targetPosition);
           if (distance < 2 && !projectile.hit) { // Hit if within 2 units
-            // Apply damage
-            if (projectile.target.vehicle.takeDamage) {
-              // Apply damage
-              projectile.target.vehicle.takeDamage(projectile.damage);
-              
-              // Apply freeze effect (slow down)
-              if (projectile.target.vehicle.velocity) {
-                projectile.target.vehicle.velocity.multiplyScalar(0.3);
-              }
-            }
-            
             // Mark as hit and for removal
             projectile.hit = true;
             projectilesToRemove.push(index);
@@ -1643,7 +984,7 @@ export class SemiTrump {
       this.activeProjectiles.splice(index, 1);
     });
   }
-  
+
   /**
    * Create a trail effect behind projectiles
    * @param {THREE.Vector3} position Position of the trail particle
@@ -1700,14 +1041,13 @@ export class SemiTrump {
     
     animate();
   }
-  
+
   /**
-   * Create a napalm explosion effect that damages players in radius
+   * Create a napalm explosion effect
    * @param {THREE.Vector3} position Position of the explosion
    * @param {number} radius Radius of the explosion effect
-   * @param {number} damage Damage amount to apply to players in radius
    */
-  createNapalmExplosion(position, radius, damage) {
+  createNapalmExplosion(position, radius) {
     // Create a simple sphere for the initial explosion
     const explosionGeometry = new THREE.SphereGeometry(radius * 0.5, 16, 16);
     const explosionMaterial = new THREE.MeshBasicMaterial({
@@ -1766,9 +1106,6 @@ export class SemiTrump {
     const startTime = Date.now();
     const explosionDuration = 4000; // 4 seconds
     
-    // Apply damage to players in radius
-    this.applyNapalmDamage(position, radius, damage);
-    
     // Create burning ground effect
     this.createBurningGround(position, radius);
     
@@ -1816,51 +1153,7 @@ export class SemiTrump {
     
     animate();
   }
-  
-  /**
-   * Apply napalm damage to players in radius
-   * @param {THREE.Vector3} position Center position of the napalm explosion
-   * @param {number} radius Radius of damage effect
-   * @param {number} damage Amount of damage to apply
-   */
-  applyNapalmDamage(position, radius, damage) {
-    // Find players in the scene
-    const players = [];
-    
-    // Try to find players from various sources
-    // Game state might be accessible different ways depending on implementation
-    if (this.scene.userData && this.scene.userData.players) {
-      // If players are stored in scene userData
-      players.push(...this.scene.userData.players.values());
-    } else if (window.gameState && window.gameState.players) {
-      // If there's a global gameState
-      players.push(...window.gameState.players.values());
-    }
-    
-    // Apply damage to players in radius
-    players.forEach(player => {
-      if (!player.vehicle || !player.vehicle.mesh) return;
-      
-      const distance = position.distanceTo(player.vehicle.mesh.position);
-      
-      // Check if player is within explosion radius
-      if (distance <= radius) {
-        // Apply damage with falloff based on distance from center
-        const falloff = 1 - (distance / radius);
-        const damageAmount = damage * falloff;
-        
-        // Apply damage to player vehicle
-        if (player.vehicle.takeDamage) {
-          player.vehicle.takeDamage(damageAmount);
-          
-          // Add burning/fire effect to vehicle
-          // This would normally be implemented in the vehicle class
-          console.log(`Player ${player.id} hit by napalm for ${damageAmount.toFixed(1)} damage`);
-        }
-      }
-    });
-  }
-  
+
   /**
    * Create a burning ground effect that lasts for a duration
    * @param {THREE.Vector3} position Center position of the burn effect
@@ -1923,28 +1216,17 @@ export class SemiTrump {
       });
     }
     
-    // Set up a timer to apply periodic damage to players in the area
-    let remainingDuration = 10000; // 10 seconds of burning ground
-    let lastDamageTime = Date.now();
-    const damageInterval = 1000; // Apply damage every second
-    const damagePerSecond = this.napalmDamage * 0.3; // 30% of initial damage per second
-    
+    // The ground burns for 10 seconds; the server damages players standing in it
+    let remainingDuration = 10000;
     const startTime = Date.now();
     
     const update = () => {
       const now = Date.now();
-      const elapsed = now - lastDamageTime;
       
       // Calculate duration based on current time
       const totalElapsed = now - startTime;
       remainingDuration = Math.max(0, 10000 - totalElapsed);
       
-      // Apply periodic damage
-      if (elapsed >= damageInterval && remainingDuration > 0) {
-        this.applyNapalmDamage(position, radius, damagePerSecond);
-        lastDamageTime = now;
-      }
-      
       // Animate fire particles
       const time = now * 0.001; // Convert to seconds for animation
       
@@ -2066,20 +1348,7 @@ export class SemiTrump {
     // Update health bar
     this.updateHealthBar();
 
-    // If health is low, increase chance of entering enraged state
-    if (this.health < this.maxHealth * 0.3 &&
-      this.currentState !== 'enraged' &&
-      Math.random() < 0.3) {
-      this.currentState = 'enraged';
-      this.stateTimer = 0;
-      this.stateTimeout = 8000;
-      this.playStateTransitionEffects();
-    }
-
-    // If attacker is not the current target, chance to switch targets
-    if (attacker && this.target && attacker.id !== this.target.id && Math.random() < 0.5) {
-      this.target = attacker;
-    }
+    // Enraging and switching targets when hit are decided by the server
 
     // Check if destroyed, but only report it if preventDeath is false
     // This lets the server control when the boss is actually destroyed
@@ -2101,7 +1370,6 @@ export class SemiTrump {
     this.damage = 10 * (1 + (difficulty * 0.2));
     this.speed = 0.2 * (1 + (difficulty * 0.3));
     this.turnRate = 0.01 * (1 + (difficulty * 0.2));
-    this.attackCooldown = 3000 / difficulty;
 
     // Update health bar
     this.updateHealthBar();
@@ -2149,144 +1417,31 @@ export class SemiTrump {
   }
 
   /**
-   * Flamethrower attack - shoot flames in a cone
+   * Flamethrower attack - a burst of flames in a cone toward the target
+   * @param {Object} position Where the flames start
+   * @param {Object} direction Direction of the flames (normalized)
+   * @param {number} range How far the flames reach
    */
-  useFlamethrower() {
+  useFlamethrower(position, direction, range) {
     console.log('Semi-Trump used Flamethrower!');
-    // This would normally create flame particles and check for hits
 
-    // In a full implementation, we'd create flame particles and apply
-    // damage over time to targets in range
-  }
-  
-  /**
-   * Napalm rain attack - fire multiple napalm projectiles toward the center of the map
-   */
-  useNapalmRain() {
-    // Calculate napalm count based on player count if available
-    let playerCount = 1;
-    
-    // Log all userData for debugging
-    console.log('Scene userData:', this.scene.userData);
-    
-    if (this.scene.userData && this.scene.userData.playerCount) {
-      playerCount = this.scene.userData.playerCount;
-      console.log(`Using player count from scene.userData: ${playerCount}`);
-    } else {
-      console.log('No player count found in scene.userData, using default: 1');
-    }
-    
-    // Scale napalm count with player count
-    const scaledNapalmCount = this.napalmCount + (playerCount - 1) * this.napalmPerPlayer;
-    
-    console.log('🔥🔥🔥 Semi-Trump used Napalm Rain! Firing', scaledNapalmCount, 'projectiles for', playerCount, 'players');
-    
-    // Map dimensions for targeting
-    const mapWidth = 160;
-    const mapHeight = 200;
-    const patrolMargin = 20;
-    
-    // Fire napalm projectiles in a pattern
-    for (let i = 0; i < scaledNapalmCount; i++) {
-      // Use different randomization patterns for more unpredictability
-      let targetPosition;
-      
-      // Choose a randomization pattern - gives variety to the attack patterns
-      const pattern = Math.floor(Math.random() * 4);
-      
-      switch(pattern) {
-        case 0: // Cluster pattern - group of projectiles in a random area
-          {
-            // Choose a random cluster center point
-            const clusterCenter = new THREE.Vector3(
-              (Math.random() - 0.5) * (mapWidth * 0.6),
-              0,
-              (Math.random() - 0.5) * (mapHeight * 0.6)
-            );
-            
-            // Add random offset from the cluster center
-            targetPosition = clusterCenter.clone().add(new THREE.Vector3(
-              (Math.random() - 0.5) * 25,
-              0,
-              (Math.random() - 0.5) * 25
-            ));
-          }
-          break;
-        
-        case 1: // Line pattern - projectiles in rough line across the map
-          {
-            // Choose a random angle for the line
-            const angle = Math.random() * Math.PI * 2;
-            // Random position along that line
-            const distance = (Math.random() - 0.5) * mapWidth * 0.7;
-            
-            targetPosition = new THREE.Vector3(
-              Math.cos(angle) * distance,
-              0,
-              Math.sin(angle) * distance
-            );
-          }
-          break;
-          
-        case 2: // Biased toward player areas
-          {
-            // If we have a target, bias some shots toward player-dense areas
-            if (this.target && this.target.vehicle && this.target.vehicle.mesh) {
-              // Get player position but add randomness
-              const playerPos = this.target.vehicle.mesh.position.clone();
-              targetPosition = new THREE.Vector3(
-                playerPos.x + (Math.random() - 0.5) * 40,
-                0,
-                playerPos.z + (Math.random() - 0.5) * 40
-              );
-            } else {
-              // Default to wide random if no target
-              targetPosition = new THREE.Vector3(
-                (Math.random() - 0.5) * mapWidth * 0.8,
-                0,
-                (Math.random() - 0.5) * mapHeight * 0.8
-              );
-            }
-          }
-          break;
-          
-        case 3: // Default - fully random within map area but wider spread
-        default:
-          targetPosition = new THREE.Vector3(
-            (Math.random() - 0.5) * mapWidth * 0.8,
-            0,
-            (Math.random() - 0.5) * mapHeight * 0.8
-          );
-          break;
-      }
-      
-      // Ensure the target position is within the map bounds
-      targetPosition.x = Math.max(-(mapWidth/2 - patrolMargin), Math.min(mapWidth/2 - patrolMargin, targetPosition.x));
-      targetPosition.z = Math.max(-(mapHeight/2 - patrolMargin), Math.min(mapHeight/2 - patrolMargin, targetPosition.z));
-      
-      // Fire the napalm projectile
-      this.fireNapalmProjectile(targetPosition);
-      
-      // Add slight delay between projectile launches for visual effect
-      // Since we can't use setTimeout directly in a synchronous method,
-      // we prepare the projectiles with staggered start times
-      if (i < scaledNapalmCount - 1) {
-        setTimeout(() => {
-          // This is just for visual effect, not necessary for the actual gameplay
-          this.createSimpleFlash(this.missileSpawnPoint.clone().applyMatrix4(this.mesh.matrixWorld));
-        }, i * 150); // 150ms stagger between projectiles
-      }
+    const start = new THREE.Vector3(position.x, 1.5, position.z);
+    const step = new THREE.Vector3(direction.x, 0, direction.z).multiplyScalar(range / 6);
+    for (let i = 1; i <= 6; i++) {
+      // Bursts further along the cone go off a little later
+      setTimeout(() => this.createSimpleExplosion(start.clone().addScaledVector(step, i)), i * 60);
     }
   }
-  
+
   /**
    * Fire a napalm projectile at the target position
-   * @param {THREE.Vector3} targetPosition The target position to fire at
+   * @param {Object} shell Shell from the server ({ id, position, targetPosition })
+   * @param {number} radius Radius of the explosion
    */
-  fireNapalmProjectile(targetPosition) {
-    // Get world position for projectile spawn point
-    const projectilePosition = this.missileSpawnPoint.clone();
-    projectilePosition.applyMatrix4(this.mesh.matrixWorld);
+  fireNapalmProjectile(shell, radius) {
+    // Launch from where the server fired it
+    const projectilePosition = new THREE.Vector3(shell.position.x, shell.position.y, shell.position.z);
+    const targetPosition = new THREE.Vector3(shell.targetPosition.x, 0, shell.targetPosition.z);
     
     // Calculate direction to target position
     const direction = new THREE.Vector3().subVectors(targetPosition, projectilePosition).normalize();
@@ -2376,15 +1531,15 @@ export class SemiTrump {
     
     // Create projectile data object with launch data for realistic arc
     const projectile = {
+      id: shell.id,
       mesh: projectileGroup,
       targetPosition: targetPosition.clone(),
       velocity: upwardDirection.multiplyScalar(this.missileSpeed * 2.0), // Higher initial velocity
       startPosition: projectilePosition.clone(),
       startTime: Date.now(),
       lifetime: 7000, // 7 seconds - longer range
-      damage: this.napalmDamage,
       type: 'napalm', // Identify as napalm projectile
-      radius: this.napalmRadius, // Area of effect radius
+      radius: radius, // Area of effect radius
       hit: false,
       // New properties for better trajectory
       launchPhase: true, // Start in launch phase (going up)
@@ -2400,7 +1555,7 @@ export class SemiTrump {
     // Create a more intense launch effect
     this.createMissileLaunchEffect(projectilePosition);
   }
-  
+
   /**
    * Create a more intense launch effect for napalm missiles
    * @param {THREE.Vector3} position Position to create the launch effect
@@ -2494,4 +1649,4 @@ export class SemiTrump {
     
     animate();
   }
-} 
\ No newline at end of file
+}
@@ -99,7 +99,8 @@ export function addPlayer(playerData, scene, gameState) {
   // Create new vehicle for player
   const vehicle = new Vehicle(playerData.vehicle);
 
-  // Set player name on the vehicle
+  // Set player name on the vehicle, in their team's color in team modes
+  vehicle.setTeam(playerData.team);
   vehicle.setPlayerName(playerData.username || 'Player');
 
   // Position at provided coordinates or spawn point
@@ -112,7 +113,9 @@ export function addPlayer(playerData, scene, gameState) {
   } else {
     // Check if player is coming through a portal
     const fromPortal = playerData.fromPortal || false;
-    const spawnPoint = gameState.map.getPlayerSpawnPoint(fromPortal);
+    const spawnPoint = playerData.team
+      ? gameState.map.getTeamSpawnPoint(playerData.team)
+      : gameState.map.getPlayerSpawnPoint(fromPortal);
     vehicle.mesh.position.copy(spawnPoint.position);
     vehicle.mesh.rotation.y = spawnPoint.rotation;
   }
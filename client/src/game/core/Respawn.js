@@ -27,16 +27,19 @@ export function initializeRespawn(gameState) {
 /**
  * Start respawn countdown for local player
  * @param {Object} gameState Reference to the game state object
+ * @param {Object} [serverDeath] Death info from the server ({ deaths, respawnDelay, respawnAt }).
+ *   When given, the server's death count and deadline (respawnAt, already on our
+ *   clock) are used and the respawn completes when the server sends playerRespawned.
  */
-export function startRespawn(gameState) {
+export function startRespawn(gameState, serverDeath = null) {
   if (!gameState.localPlayer) return;
 
   // Make sure deathCount is initialized before incrementing
   if (typeof gameState.deathCount !== 'number') {
     gameState.deathCount = 0;
   }
-  // Increment death count
-  gameState.deathCount += 1;
+  // Increment death count (or take the server's count)
+  gameState.deathCount = serverDeath ? serverDeath.deaths : gameState.deathCount + 1;
   
   console.log(`Death count incremented to: ${gameState.deathCount}`);
 
@@ -46,16 +49,20 @@ export function startRespawn(gameState) {
   // Third death: BASE_RESPAWN_DELAY + 2 * ADDITIONAL_DELAY_PER_DEATH (15 seconds)
   // And so on...
   const additionalDelay = ADDITIONAL_DELAY_PER_DEATH * (gameState.deathCount - 1);
-  const respawnDelay = BASE_RESPAWN_DELAY + additionalDelay;
+  const respawnDelay = serverDeath ? serverDeath.respawnDelay : BASE_RESPAWN_DELAY + additionalDelay;
   
   console.log(`Respawn delay set to ${respawnDelay}ms (${respawnDelay/1000} seconds)`);
 
   // Set respawn state
   gameState.respawn.active = true;
   gameState.respawn.startTime = Date.now();
-  gameState.respawn.totalDelay = respawnDelay;
-  gameState.respawn.countdown = respawnDelay;
+  // Count down to the server's deadline, so the delay the message spent in flight isn't added on
+  gameState.respawn.totalDelay = serverDeath && Number.isFinite(serverDeath.respawnAt)
+    ? Math.max(0, serverDeath.respawnAt - gameState.respawn.startTime)
+    : respawnDelay;
+  gameState.respawn.countdown = gameState.respawn.totalDelay;
   gameState.respawn.completed = false;
+  gameState.respawn.awaitServer = !!serverDeath;
 
   // Disable player controls during respawn
   if (gameState.localPlayer.vehicle) {
@@ -94,7 +101,7 @@ export function startRespawn(gameState) {
     // Update initial countdown display
     const countdownElement = document.getElementById('respawn-countdown');
     if (countdownElement) {
-      const countdownSeconds = Math.ceil(respawnDelay / 1000);
+      const countdownSeconds = Math.ceil(gameState.respawn.totalDelay / 1000);
       countdownElement.textContent = countdownSeconds;
       console.log(`Set initial countdown UI to: ${countdownSeconds} seconds`);
     } else {
@@ -123,8 +130,8 @@ export function updateRespawn(gameState, scene) {
     countdownElement.textContent = Math.ceil(remaining / 1000);
   }
 
-  // Check if respawn is complete
-  if (remaining <= 0 && !gameState.respawn.completed) {
+  // Check if respawn is complete (server-driven respawns wait for playerRespawned)
+  if (remaining <= 0 && !gameState.respawn.completed && !gameState.respawn.awaitServer) {
     completeRespawn(gameState, scene);
   }
 }
@@ -133,18 +140,34 @@ export function updateRespawn(gameState, scene) {
  * Complete respawn process
  * @param {Object} gameState Reference to the game state object
  * @param {THREE.Scene} scene The Three.js scene
+ * @param {Object} [serverSpawn] Respawn data from the server ({ position, rotation, health, maxHealth })
  */
-function completeRespawn(gameState, scene) {
+export function completeRespawn(gameState, scene, serverSpawn = null) {
   if (!gameState.localPlayer) return;
 
   // Reset health
-  gameState.localPlayer.vehicle.health = gameState.localPlayer.vehicle.maxHealth;
+  if (serverSpawn) {
+    gameState.localPlayer.vehicle.setHealth(serverSpawn.health, serverSpawn.maxHealth);
+  } else {
+    gameState.localPlayer.vehicle.health = gameState.localPlayer.vehicle.maxHealth;
+  }
   gameState.localPlayer.vehicle.damageLevel = 0;
 
-  // Reset position to spawn point - respawns are always at Capitol Building (not through portal)
-  const spawnPoint = gameState.map.getPlayerSpawnPoint(false);
-  gameState.localPlayer.vehicle.mesh.position.copy(spawnPoint.position);
-  gameState.localPlayer.vehicle.mesh.rotation.y = spawnPoint.rotation;
+  // Reset position to spawn point - respawns are at Capitol Building (not through portal) outside team modes
+  if (serverSpawn) {
+    gameState.localPlayer.vehicle.mesh.position.set(
+      serverSpawn.position.x,
+      serverSpawn.position.y,
+      serverSpawn.position.z
+    );
+    gameState.localPlayer.vehicle.mesh.rotation.y = serverSpawn.rotation.y || 0;
+  } else {
+    // Team modes spawn each team on its own side
+    const team = gameState.localPlayer.team;
+    const spawnPoint = team ? gameState.map.getTeamSpawnPoint(team) : gameState.map.getPlayerSpawnPoint(false);
+    gameState.localPlayer.vehicle.mesh.position.copy(spawnPoint.position);
+    gameState.localPlayer.vehicle.mesh.rotation.y = spawnPoint.rotation;
+  }
 
   // Reset velocity
   gameState.localPlayer.vehicle.velocity.set(0, 0, 0);
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+
+// Ring colors for who holds the zone
+const ZONE_COLORS = {
+  empty: 0xffffff,
+  self: 0x33ff66,
+  other: 0xffaa00,
+  contested: 0xff3333
+};
+
+/**
+ * The scoring zone in king of the hill. The server owns where it is and who
+ * is in it; this only draws it: a ring on the ground with a faint disc inside,
+ * colored by who holds it and pulsing while someone does.
+ */
+export class HillZone {
+  /**
+   * @param {THREE.Scene} scene The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.radius = null;
+    this.held = false;
+
+    this.material = new THREE.MeshBasicMaterial({ color: ZONE_COLORS.empty, transparent: true, opacity: 0.8, side: THREE.DoubleSide });
+    this.ring = new THREE.Mesh(new THREE.BufferGeometry(), this.material);
+    this.ring.rotation.x = -Math.PI / 2;
+
+    this.fillMaterial = new THREE.MeshBasicMaterial({ color: ZONE_COLORS.empty, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false });
+    this.fill = new THREE.Mesh(new THREE.BufferGeometry(), this.fillMaterial);
+    this.fill.rotation.x = -Math.PI / 2;
+
+    scene.add(this.ring);
+    scene.add(this.fill);
+  }
+
+  /**
+   * Show the zone as the server describes it
+   * @param {Object} state State from the server's 'zoneState' event ({ zone, holderId, contested, ... })
+   * @param {string|null} localPlayerId Server ID of the local player
+   */
+  setState(state, localPlayerId) {
+    const { position, radius } = state.zone;
+
+    if (radius !== this.radius) {
+      this.radius = radius;
+      this.ring.geometry.dispose();
+      this.ring.geometry = new THREE.RingGeometry(radius - 1, radius, 64);
+      this.fill.geometry.dispose();
+      this.fill.geometry = new THREE.CircleGeometry(radius - 1, 64);
+    }
+    this.ring.position.set(position.x, 0.06, position.z);
+    this.fill.position.set(position.x, 0.05, position.z);
+
+    let color = ZONE_COLORS.empty;
+    if (state.contested) {
+      color = ZONE_COLORS.contested;
+    } else if (state.holderId) {
+      color = state.holderId === localPlayerId ? ZONE_COLORS.self : ZONE_COLORS.other;
+    }
+    this.material.color.setHex(color);
+    this.fillMaterial.color.setHex(color);
+    this.held = Boolean(state.holderId);
+  }
+
+  /**
+   * Pulse the ring while someone holds the zone
+   * @param {number} time Current time in milliseconds
+   */
+  update(time) {
+    this.material.opacity = this.held ? 0.6 + Math.sin(time * 0.008) * 0.3 : 0.8;
+  }
+
+  /**
+   * Take the zone out of the scene
+   */
+  remove() {
+    this.scene.remove(this.ring);
+    this.scene.remove(this.fill);
+    this.ring.geometry.dispose();
+    this.fill.geometry.dispose();
+  }
+}
@@ -1,4 +1,14 @@
 import * as THREE from 'three';
+import {
+  MAP_WIDTH,
+  MAP_LENGTH,
+  MONUMENT_POSITION,
+  CAPITOL_POSITION,
+  MAP_COLLIDERS,
+  CAPITOL_SPAWN_POINTS,
+  WASHINGTON_SPAWN_POINTS,
+  isInBounds
+} from 'vehicular-combat-shared';
 
 /**
  * Creates the Washington D.C. map
@@ -6,13 +16,17 @@ import * as THREE from 'three';
  * @returns {Object} The map object with helper methods
  */
 export function createMap(scene) {
-  // Map dimensions - Doubled in size
-  const mapWidth = 320;
-  const mapLength = 480; // Longer in z-direction
+  // Map dimensions - shared with the server simulation
+  const mapWidth = MAP_WIDTH;
+  const mapLength = MAP_LENGTH;
 
   // Storage for map elements
   const objects = [];
-  const colliders = [];
+  // Colliders come from the shared map layout so the client and server collide identically
+  const colliders = MAP_COLLIDERS.map(collider => new THREE.Box3(
+    new THREE.Vector3(collider.min.x, collider.min.y, collider.min.z),
+    new THREE.Vector3(collider.max.x, collider.max.y, collider.max.z)
+  ));
   const playerSpawnPoints = [];
   const bossSpawnPoints = [];
   const pickupSpawnPoints = [];
@@ -27,32 +41,20 @@ export function createMap(scene) {
   walls.forEach(wall => {
     scene.add(wall);
     objects.push(wall);
-
-    // Add wall collider
-    const collider = new THREE.Box3().setFromObject(wall);
-    colliders.push(collider);
   });
 
   // Create Washington Monument at south side - enlarged for more realism
   const washingtonMonument = createWashingtonMonument();
-  washingtonMonument.position.set(0, 0, mapLength / 2 - 30); // Moved closer to south wall, 30 units from edge
+  washingtonMonument.position.set(MONUMENT_POSITION.x, MONUMENT_POSITION.y, MONUMENT_POSITION.z); // 30 units from south edge
   scene.add(washingtonMonument);
   objects.push(washingtonMonument);
 
-  // Add monument collider
-  const monumentCollider = new THREE.Box3().setFromObject(washingtonMonument);
-  colliders.push(monumentCollider);
-
   // Create Capitol Building at north side - wider to nearly touch walls
   const capitolBuilding = createCapitolBuilding(mapWidth);
-  capitolBuilding.position.set(0, 0, -mapLength / 2 + 60); // 60 units from north edge (scaled up)
+  capitolBuilding.position.set(CAPITOL_POSITION.x, CAPITOL_POSITION.y, CAPITOL_POSITION.z); // 60 units from north edge
   scene.add(capitolBuilding);
   objects.push(capitolBuilding);
 
-  // Add Capitol Building collider - using precise colliders instead of one bounding box
-  const capitolColliders = createCapitolBuildingColliders(capitolBuilding, mapWidth);
-  colliders.push(...capitolColliders);
-
   // Create player spawn points - Repositioned to north side, near Capitol, facing the Washington Monument (south)
   const spawnCount = 8;
   const spawnWidth = mapWidth * 0.6; // Spawn within 60% of the map width
@@ -76,29 +78,15 @@ export function createMap(scene) {
     */
   }
 
-  // Create washington monument spawn points (for portal entries)
-  const washingtonSpawnPoints = [];
-  for (let i = 0; i < spawnCount; i++) {
-    const xPos = (i / (spawnCount - 1) - 0.5) * spawnWidth; // Evenly distributed across the width
-    const zPos = mapLength / 2 - 60; // Near the Washington Monument
-    
-    washingtonSpawnPoints.push({
-      position: new THREE.Vector3(xPos, 0, zPos),
-      rotation: Math.PI // Facing north (towards the Capitol Building)
-    });
-  }
-
-  // Create capitol building spawn points (for normal spawns)
-  const capitolSpawnPoints = [];
-  for (let i = 0; i < spawnCount; i++) {
-    const xPos = (i / (spawnCount - 1) - 0.5) * spawnWidth; // Evenly distributed across the width
-    const zPos = -mapLength / 2 + 135; // Near the Capitol Building
-    
-    capitolSpawnPoints.push({
-      position: new THREE.Vector3(xPos, 0, zPos),
-      rotation: 0 // Facing south (towards the Washington Monument)
-    });
-  }
+  // Washington Monument spawn points (for portal entries) and Capitol Building spawn points (for normal spawns)
+  const toSpawnPoint = point => ({
+    position: new THREE.Vector3(point.position.x, point.position.y, point.position.z),
+    rotation: point.rotation
+  });
+  const washingtonSpawnPoints = WASHINGTON_SPAWN_POINTS.map(toSpawnPoint);
+  const capitolSpawnPoints = CAPITOL_SPAWN_POINTS.map(toSpawnPoint);
+  // Each team's side of the map, as in TEAMS in the shared package
+  const teamSpawnPoints = { blue: capitolSpawnPoints, red: washingtonSpawnPoints };
 
   // Create boss spawn point - moved further south
   bossSpawnPoints.push({
@@ -165,6 +153,13 @@ export function createMap(scene) {
       }
     },
 
+    // Get random spawn point on a team's side of the map
+    getTeamSpawnPoint: (team) => {
+      const points = teamSpawnPoints[team];
+      const index = Math.floor(Math.random() * points.length);
+      return points[index];
+    },
+
     // Get boss spawn point
     getBossSpawnPoint: () => {
       return bossSpawnPoints[0];
@@ -177,12 +172,7 @@ export function createMap(scene) {
     },
 
     // Check if position is within map bounds
-    isInBounds: (position) => {
-      return position.x > -mapWidth / 2 &&
-        position.x < mapWidth / 2 &&
-        position.z > -mapLength / 2 &&
-        position.z < mapLength / 2;
-    },
+    isInBounds,
 
     // Get map dimensions
     getDimensions: () => {
@@ -463,123 +453,6 @@ function createCapitolBuilding(mapWidth) {
   return group;
 }
 
-/**
- * Creates precise colliders for the Capitol Building
- * @param {THREE.Group} capitolBuilding The Capitol Building group
- * @param {number} mapWidth The width of the map
- * @returns {Array<THREE.Box3>} Array of collider boxes
- */
-function createCapitolBuildingColliders(capitolBuilding, mapWidth) {
-  const colliders = [];
-  const buildingWidth = mapWidth * 0.85; // 85% of map width
-  const mainWidth = buildingWidth * 0.6; // Main building is 60% of total width
-  const wingWidth = (buildingWidth - mainWidth) / 2; // Each wing takes up the remaining space
-
-  // Extract building position for offset calculations
-  const buildingPosition = capitolBuilding.position.clone();
-
-  // Main building base collider
-  const baseCollider = new THREE.Box3();
-  baseCollider.set(
-    new THREE.Vector3(
-      buildingPosition.x - mainWidth / 2,
-      buildingPosition.y,
-      buildingPosition.z - 30
-    ),
-    new THREE.Vector3(
-      buildingPosition.x + mainWidth / 2,
-      buildingPosition.y + 20,
-      buildingPosition.z + 30
-    )
-  );
-  colliders.push(baseCollider);
-
-  // Left wing collider - more precise to match visual shape
-  const leftWingCollider = new THREE.Box3();
-  leftWingCollider.set(
-    new THREE.Vector3(
-      buildingPosition.x - (mainWidth / 2 + wingWidth),
-      buildingPosition.y,
-      buildingPosition.z - 25
-    ),
-    new THREE.Vector3(
-      buildingPosition.x - mainWidth / 2,
-      buildingPosition.y + 30,
-      buildingPosition.z + 25
-    )
-  );
-  colliders.push(leftWingCollider);
-
-  // Right wing collider - more precise to match visual shape
-  const rightWingCollider = new THREE.Box3();
-  rightWingCollider.set(
-    new THREE.Vector3(
-      buildingPosition.x + mainWidth / 2,
-      buildingPosition.y,
-      buildingPosition.z - 25
-    ),
-    new THREE.Vector3(
-      buildingPosition.x + (mainWidth / 2 + wingWidth),
-      buildingPosition.y + 30,
-      buildingPosition.z + 25
-    )
-  );
-  colliders.push(rightWingCollider);
-
-  // Portico (front entrance) collider - more precise to match visual shape
-  const porticoWidth = mainWidth * 0.4;
-  const porticoCollider = new THREE.Box3();
-  porticoCollider.set(
-    new THREE.Vector3(
-      buildingPosition.x - porticoWidth / 2,
-      buildingPosition.y,
-      buildingPosition.z + 30
-    ),
-    new THREE.Vector3(
-      buildingPosition.x + porticoWidth / 2,
-      buildingPosition.y + 30,
-      buildingPosition.z + 50
-    )
-  );
-  colliders.push(porticoCollider);
-
-  // Dome collider - using a box that approximates the dome's circular base
-  const domeRadius = 24; // Match the dome base radius
-  const domeCollider = new THREE.Box3();
-  domeCollider.set(
-    new THREE.Vector3(
-      buildingPosition.x - domeRadius,
-      buildingPosition.y + 20,
-      buildingPosition.z - domeRadius
-    ),
-    new THREE.Vector3(
-      buildingPosition.x + domeRadius,
-      buildingPosition.y + 44, // Height of the dome tip
-      buildingPosition.z + domeRadius
-    )
-  );
-  colliders.push(domeCollider);
-
-  // Steps collider (for better precision)
-  const stepsWidth = mainWidth * 0.7;
-  const stepsCollider = new THREE.Box3();
-  stepsCollider.set(
-    new THREE.Vector3(
-      buildingPosition.x - stepsWidth / 2,
-      buildingPosition.y,
-      buildingPosition.z + 50
-    ),
-    new THREE.Vector3(
-      buildingPosition.x + stepsWidth / 2,
-      buildingPosition.y + 4,
-      buildingPosition.z + 60
-    )
-  );
-  colliders.push(stepsCollider);
-
-  return colliders;
-}
-
 // Billboard class for displaying signs above walls
 class Billboard {
   constructor(scene, textureURLs, width, height, position, rotation) {
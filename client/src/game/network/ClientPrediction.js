@@ -0,0 +1,87 @@
+import { sanitizeControls, simulateVehicle } from 'vehicular-combat-shared';
+
+// Inputs kept while waiting for the server to acknowledge them (~2s at 60fps)
+const MAX_PENDING_INPUTS = 120;
+
+// Prediction errors smaller than this (units) are left alone
+const RECONCILE_TOLERANCE = 0.01;
+
+/**
+ * Predicts the local vehicle's movement from its own inputs and corrects it
+ * when the server's authoritative state arrives. Each input frame is sent
+ * with a sequence number; on acknowledgement the vehicle is reset to the
+ * server state and the inputs the server hasn't seen yet are replayed.
+ */
+export class ClientPrediction {
+  constructor() {
+    this.nextSeq = 1;
+    this.pendingInputs = [];
+    this.lastAckedSeq = 0;
+    this.corrections = 0; // Number of acknowledgements that disagreed with the prediction
+  }
+
+  /**
+   * Record this frame's input for the vehicle
+   * @param {Vehicle} vehicle Local vehicle
+   * @param {number} delta Frame time in seconds
+   * @returns {Object} Input frame to send to the server
+   */
+  recordInput(vehicle, delta) {
+    const input = {
+      seq: this.nextSeq++,
+      controls: sanitizeControls(vehicle.controls),
+      delta
+    };
+
+    this.pendingInputs.push(input);
+    if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+      this.pendingInputs.shift();
+    }
+
+    return input;
+  }
+
+  /**
+   * Correct the vehicle from a server acknowledgement
+   * @param {Vehicle} vehicle Local vehicle
+   * @param {Object} ack Server state after simulating inputs up to ack.seq
+   * @returns {boolean} True if the vehicle had to be corrected
+   */
+  reconcile(vehicle, ack) {
+    if (ack.seq <= this.lastAckedSeq) return false;
+    this.lastAckedSeq = ack.seq;
+
+    // The server has simulated everything up to ack.seq
+    this.pendingInputs = this.pendingInputs.filter(input => input.seq > ack.seq);
+
+    // Replay the inputs it hasn't seen yet on top of its state
+    const state = {
+      x: ack.position.x,
+      z: ack.position.z,
+      rotationY: ack.rotation.y,
+      velocityX: ack.velocity.x,
+      velocityZ: ack.velocity.z,
+      rotationVelocity: ack.rotationVelocity
+    };
+    this.pendingInputs.forEach(input => {
+      simulateVehicle(state, input.controls, input.delta, vehicle);
+    });
+
+    const current = vehicle.getMovementState();
+    const dx = state.x - current.x;
+    const dz = state.z - current.z;
+    const error = Math.sqrt(dx * dx + dz * dz) + Math.abs(state.rotationY - current.rotationY);
+    if (error < RECONCILE_TOLERANCE) return false;
+
+    this.corrections++;
+    vehicle.setMovementState(state);
+    return true;
+  }
+
+  /**
+   * Forget pending inputs, e.g. after the server teleports the vehicle
+   */
+  reset() {
+    this.pendingInputs = [];
+  }
+}
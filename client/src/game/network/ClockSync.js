@@ -0,0 +1,132 @@
+// Pings sent right after connecting, to get a usable estimate quickly
+const INITIAL_PINGS = 5;
+const INITIAL_PING_INTERVAL = 200; // ms
+
+// Pings sent afterwards to follow clock drift and route changes
+const PING_INTERVAL = 10000; // ms
+
+// Recent samples kept; the one with the shortest round trip is trusted most
+const SAMPLE_COUNT = 8;
+
+// How much each round trip moves the jitter estimate (as in RFC 3550)
+const JITTER_GAIN = 1 / 16;
+
+/**
+ * Estimates the offset between our clock and the server's with NTP-style
+ * pings, so absolute server deadlines (boss respawn, pickups, the Easter Egg,
+ * our own respawn) count down to the same moment on every client.
+ *
+ * Each 'timeSync' ping carries our send time and comes back with the server's
+ * time. Assuming the request and reply took equally long, the server's clock
+ * read that time halfway through the round trip. Samples with the shortest
+ * round trip have the least room for that assumption to be wrong, so the
+ * estimate uses the best of the recent ones.
+ */
+export class ClockSync {
+  constructor() {
+    this.samples = []; // { offset, roundTripTime }, oldest first
+    this.offset = null; // Estimated server time minus local time (ms)
+    this.roundTripTime = null; // Round trip of the sample the offset came from (ms)
+    this.latestRoundTripTime = null; // Most recent round trip (ms)
+    this.jitter = 0; // Smoothed change between consecutive round trips (ms)
+    this.pingInterval = PING_INTERVAL;
+    this.socket = null;
+    this.timers = [];
+  }
+
+  /**
+   * Start pinging the server on a connected socket
+   * @param {Object} socket Socket.IO client socket
+   */
+  start(socket) {
+    this.stop();
+    this.socket = socket;
+
+    for (let i = 0; i < INITIAL_PINGS; i++) {
+      this.timers.push(setTimeout(() => this.ping(socket), i * INITIAL_PING_INTERVAL));
+    }
+    this.timers.push(setInterval(() => this.ping(socket), this.pingInterval));
+  }
+
+  /**
+   * Ping more or less often, e.g. every second while the network overlay is open
+   * @param {number|null} interval Time between pings (ms), or null for the default
+   */
+  setPingInterval(interval) {
+    this.pingInterval = interval || PING_INTERVAL;
+    if (this.socket && this.timers.length > 0) {
+      this.start(this.socket);
+    }
+  }
+
+  /**
+   * Stop pinging, e.g. after the socket disconnected. The estimate is kept.
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.socket = null;
+  }
+
+  /**
+   * Send one ping
+   * @param {Object} socket Socket.IO client socket
+   */
+  ping(socket) {
+    if (socket.connected) {
+      socket.emit('timeSync', { clientTime: Date.now() });
+    }
+  }
+
+  /**
+   * Take in the server's reply to a ping
+   * @param {Object} data { clientTime, serverTime }
+   */
+  handleReply(data) {
+    const now = Date.now();
+    const roundTripTime = now - data.clientTime;
+    if (roundTripTime < 0) return;
+
+    if (this.latestRoundTripTime !== null) {
+      this.jitter += (Math.abs(roundTripTime - this.latestRoundTripTime) - this.jitter) * JITTER_GAIN;
+    }
+    this.latestRoundTripTime = roundTripTime;
+
+    this.samples.push({
+      offset: data.serverTime - (data.clientTime + roundTripTime / 2),
+      roundTripTime
+    });
+    if (this.samples.length > SAMPLE_COUNT) {
+      this.samples.shift();
+    }
+
+    const best = this.samples.reduce((a, b) => (b.roundTripTime < a.roundTripTime ? b : a));
+    this.offset = best.offset;
+    this.roundTripTime = best.roundTripTime;
+  }
+
+  /**
+   * Whether at least one ping has come back
+   * @returns {boolean} True if the offset has been estimated
+   */
+  isSynced() {
+    return this.offset !== null;
+  }
+
+  /**
+   * Current time on the server's clock
+   * @returns {number} Estimated server time (ms)
+   */
+  now() {
+    return Date.now() + (this.offset || 0);
+  }
+
+  /**
+   * Convert a server time to our clock
+   * @param {number} serverTime Server time (ms)
+   * @returns {number} Local time (ms)
+   */
+  toLocalTime(serverTime) {
+    return serverTime - (this.offset || 0);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Rough size of a message: binary arguments count their bytes, anything
+ * else its JSON length (the same estimate the server's socket stats use)
+ * @param {string} event Event name
+ * @param {Array} args Event arguments
+ * @returns {number} Size in bytes
+ */
+function messageSize(event, args) {
+  let size = event.length;
+
+  args.forEach(arg => {
+    if (arg === undefined || typeof arg === 'function') return;
+    if (ArrayBuffer.isView(arg) || arg instanceof ArrayBuffer) {
+      size += arg.byteLength;
+    } else {
+      size += JSON.stringify(arg).length;
+    }
+  });
+
+  return size;
+}
+
+/**
+ * Add a message to per-event counters
+ * @param {Object} counters Event name -> { messages, bytes }
+ * @param {string} event Event name
+ * @param {number} bytes Message size
+ */
+function count(counters, event, bytes) {
+  const counter = counters[event] || (counters[event] = { messages: 0, bytes: 0 });
+  counter.messages++;
+  counter.bytes += bytes;
+}
+
+/**
+ * Counts the messages our socket sends and receives, so the network overlay
+ * can compare them with the server's counts for the same socket: totals
+ * always (messages that never arrived show up as a difference), and rates
+ * per event type while enabled.
+ */
+export class NetworkStats {
+  constructor() {
+    this.enabled = false;
+    this.reset();
+  }
+
+  /**
+   * Start counting from zero, e.g. on a new connection (the server's counts start over too)
+   */
+  reset() {
+    this.totals = { inbound: 0, outbound: 0 }; // Messages since the counts were reset
+    this.interval = { start: Date.now(), inbound: {}, outbound: {} };
+  }
+
+  /**
+   * Count every message on a socket
+   * @param {Object} socket Socket.IO client socket
+   */
+  attach(socket) {
+    socket.onAny((event, ...args) => this.record('inbound', event, args));
+    socket.onAnyOutgoing((event, ...args) => this.record('outbound', event, args));
+  }
+
+  /**
+   * Count one message
+   * @param {string} direction 'inbound' or 'outbound'
+   * @param {string} event Event name
+   * @param {Array} args Event arguments
+   */
+  record(direction, event, args) {
+    this.totals[direction]++;
+    if (!this.enabled) return;
+
+    count(this.interval[direction], event, messageSize(event, args));
+  }
+
+  /**
+   * Per-second rates over the interval since the last report, then start a new interval
+   * @param {number} now Current time (ms)
+   * @returns {Object} { inbound, outbound }: event name -> { messages, bytes } per second
+   */
+  takeReport(now) {
+    const seconds = Math.max(1, now - this.interval.start) / 1000;
+    const toRates = (counters) => {
+      const rates = {};
+      Object.entries(counters).forEach(([event, counter]) => {
+        rates[event] = { messages: counter.messages / seconds, bytes: counter.bytes / seconds };
+      });
+      return rates;
+    };
+
+    const report = {
+      inbound: toRates(this.interval.inbound),
+      outbound: toRates(this.interval.outbound)
+    };
+    this.interval = { start: now, inbound: {}, outbound: {} };
+    return report;
+  }
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+// How long each set of hit boxes stays on screen (ms)
+const DISPLAY_TIME = 1500;
+
+// Fire shows what a shot will be tested against, impact what it was tested against when it hit
+const COLORS = {
+  fire: 0xffff00,
+  impact: 0xff0000
+};
+
+/**
+ * Draws the rewound hit boxes the server tests our shots against, as sent
+ * in 'rewindDebug' when joining with ?debug=net. Comparing them with where
+ * targets appear on screen shows how well lag compensation lines up.
+ */
+export class RewindDebugOverlay {
+  /**
+   * @param {THREE.Scene} scene Scene to draw in
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.shown = []; // { group, expiresAt }
+  }
+
+  /**
+   * Show the hit boxes from a rewindDebug message
+   * @param {Object} data { projectileId, reason, rewind, maxRewind, hitboxes }
+   */
+  show(data) {
+    const material = new THREE.MeshBasicMaterial({
+      color: COLORS[data.reason] || COLORS.fire,
+      wireframe: true,
+      transparent: true,
+      opacity: 0.6
+    });
+    const group = new THREE.Group();
+    group.name = `rewind_${data.projectileId}_${data.reason}`;
+
+    data.hitboxes.forEach(hitbox => {
+      let mesh;
+      if (hitbox.targetType === 'boss') {
+        mesh = new THREE.Mesh(
+          new THREE.BoxGeometry(hitbox.halfWidth * 2, hitbox.height, hitbox.halfLength * 2),
+          material
+        );
+        mesh.position.set(hitbox.position.x, hitbox.position.y + hitbox.height / 2, hitbox.position.z);
+        mesh.rotation.y = hitbox.rotation;
+      } else {
+        mesh = new THREE.Mesh(new THREE.SphereGeometry(hitbox.radius, 12, 8), material);
+        mesh.position.set(hitbox.position.x, hitbox.position.y, hitbox.position.z);
+      }
+      group.add(mesh);
+    });
+
+    this.scene.add(group);
+    this.shown.push({ group, expiresAt: performance.now() + DISPLAY_TIME });
+  }
+
+  /**
+   * Remove hit boxes that have been shown long enough
+   * @param {number} now Current time from performance.now()
+   */
+  update(now) {
+    this.shown = this.shown.filter(({ group, expiresAt }) => {
+      if (now < expiresAt) return true;
+
+      this.scene.remove(group);
+      group.children.forEach(mesh => mesh.geometry.dispose());
+      if (group.children[0]) group.children[0].material.dispose();
+      return false;
+    });
+  }
+}
@@ -0,0 +1,272 @@
+// How far behind the estimated server time remote entities are rendered (ms).
+// Large enough to usually have a snapshot on both sides of the render time.
+export const INTERPOLATION_DELAY = 100;
+
+// Longest time an entity keeps moving on its last known velocity when snapshots are late (ms)
+const MAX_EXTRAPOLATION = 250;
+
+// Error (units) above which an entity is moved straight to its target instead of smoothed
+const SNAP_DISTANCE = 10;
+
+// Jump between consecutive snapshots (units) treated as a teleport rather than movement
+const TELEPORT_DISTANCE = 30;
+
+// How quickly leftover error after extrapolation is smoothed away (per second)
+const CORRECTION_SPEED = 10;
+
+// Snapshots kept per entity
+const BUFFER_SIZE = 30;
+
+// Clock offset jumps larger than this are taken immediately instead of smoothed (ms)
+const CLOCK_RESYNC_THRESHOLD = 1000;
+
+/**
+ * Wrap an angle into the range [-PI, PI]
+ * @param {number} angle Angle in radians
+ * @returns {number} Wrapped angle
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Time-ordered buffer of server snapshots for a single entity
+ */
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = [];
+    // Visual error left over from extrapolation, smoothed out over a few frames
+    this.correction = { x: 0, y: 0, z: 0 };
+    this.lastRendered = null;
+    this.wasExtrapolating = false;
+  }
+
+  /**
+   * Add a snapshot, ignoring ones that arrive out of order
+   * @param {Object} snapshot Snapshot with time, position and rotation
+   */
+  push(snapshot) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && snapshot.time <= last.time) return;
+
+    // Respawns and other teleports shouldn't be interpolated across the map
+    if (last) {
+      const dx = snapshot.position.x - last.position.x;
+      const dz = snapshot.position.z - last.position.z;
+      if (Math.sqrt(dx * dx + dz * dz) > TELEPORT_DISTANCE) {
+        this.snapshots = [];
+        this.correction = { x: 0, y: 0, z: 0 };
+        this.lastRendered = null;
+        this.wasExtrapolating = false;
+      }
+    }
+
+    this.snapshots.push(snapshot);
+    if (this.snapshots.length > BUFFER_SIZE) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Work out where the entity was at a given server time
+   * @param {number} renderTime Server time to sample at (ms)
+   * @returns {Object|null} Sampled position, rotation and whether it was extrapolated
+   */
+  sample(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    // Drop snapshots that are too old to ever be interpolated from again
+    while (snapshots.length > 2 && snapshots[1].time <= renderTime) {
+      snapshots.shift();
+    }
+
+    const first = snapshots[0];
+    if (snapshots.length === 1 || renderTime <= first.time) {
+      return { position: { ...first.position }, rotation: { ...first.rotation }, extrapolated: false };
+    }
+
+    const from = snapshots[0];
+    const to = snapshots[1];
+    const span = to.time - from.time;
+    let t = (renderTime - from.time) / span;
+    let extrapolated = false;
+
+    if (t > 1) {
+      // Late packets: keep going on the last known velocity for a short while
+      const maxT = 1 + MAX_EXTRAPOLATION / span;
+      t = Math.min(t, maxT);
+      extrapolated = true;
+    }
+
+    return {
+      position: {
+        x: from.position.x + (to.position.x - from.position.x) * t,
+        y: from.position.y + (to.position.y - from.position.y) * t,
+        z: from.position.z + (to.position.z - from.position.z) * t
+      },
+      rotation: {
+        x: to.rotation.x,
+        y: from.rotation.y + wrapAngle(to.rotation.y - from.rotation.y) * t,
+        z: to.rotation.z
+      },
+      extrapolated
+    };
+  }
+}
+
+/**
+ * Renders remote entities a fixed delay behind the server using buffered
+ * snapshots, so jittery or late packets don't make them stutter or teleport.
+ */
+export class SnapshotInterpolator {
+  constructor(delay = INTERPOLATION_DELAY) {
+    this.delay = delay;
+    this.buffers = new Map(); // entity id -> SnapshotBuffer
+    this.clockOffset = null; // Estimated server time minus local time (ms)
+    this.underruns = 0; // Times an entity ran out of snapshots and had to be extrapolated
+  }
+
+  /**
+   * Update the server clock estimate from a snapshot's server timestamp
+   * @param {number} serverTime Server time the snapshot was sent at (ms)
+   */
+  observeServerTime(serverTime) {
+    const offset = serverTime - Date.now();
+
+    if (this.clockOffset === null || Math.abs(offset - this.clockOffset) > CLOCK_RESYNC_THRESHOLD) {
+      this.clockOffset = offset;
+    } else {
+      // Smooth out network jitter
+      this.clockOffset += (offset - this.clockOffset) * 0.05;
+    }
+  }
+
+  /**
+   * Get the server time entities should currently be rendered at
+   * @returns {number} Render time in server milliseconds
+   */
+  getRenderTime() {
+    return Date.now() + (this.clockOffset || 0) - this.delay;
+  }
+
+  /**
+   * Buffer a snapshot received from the server
+   * @param {string} id Entity ID
+   * @param {Object} data Server message with time, position and rotation
+   */
+  addSnapshot(id, data) {
+    // Messages without a server timestamp fall back to their arrival time
+    const time = typeof data.time === 'number' ? data.time : Date.now() + (this.clockOffset || 0);
+    this.observeServerTime(time);
+
+    let buffer = this.buffers.get(id);
+    if (!buffer) {
+      buffer = new SnapshotBuffer();
+      this.buffers.set(id, buffer);
+    }
+
+    const rotation = data.rotation || {};
+    buffer.push({
+      tick: data.tick,
+      time,
+      position: {
+        x: data.position.x,
+        y: data.position.y,
+        z: data.position.z
+      },
+      rotation: {
+        x: rotation._x || 0,
+        y: rotation._y || rotation.y || 0,
+        z: rotation._z || 0
+      }
+    });
+  }
+
+  /**
+   * Move an object to its interpolated position for this frame
+   * @param {string} id Entity ID
+   * @param {THREE.Object3D} object Object to move
+   * @param {number} delta Time since last frame in seconds
+   * @returns {boolean} True if the object was moved
+   */
+  apply(id, object, delta) {
+    const buffer = this.buffers.get(id);
+    if (!buffer) return false;
+
+    const sample = buffer.sample(this.getRenderTime());
+    if (!sample) return false;
+
+    const correction = buffer.correction;
+
+    // Fresh data after extrapolating: keep the rendered position and smooth toward the new path
+    if (buffer.wasExtrapolating && !sample.extrapolated && buffer.lastRendered) {
+      correction.x = buffer.lastRendered.x - sample.position.x;
+      correction.y = buffer.lastRendered.y - sample.position.y;
+      correction.z = buffer.lastRendered.z - sample.position.z;
+    }
+    if (sample.extrapolated && !buffer.wasExtrapolating) {
+      this.underruns++;
+    }
+    buffer.wasExtrapolating = sample.extrapolated;
+
+    const error = Math.sqrt(correction.x * correction.x + correction.y * correction.y + correction.z * correction.z);
+    if (error > SNAP_DISTANCE) {
+      // Too far off to hide, so snap
+      correction.x = correction.y = correction.z = 0;
+    } else {
+      const decay = Math.exp(-CORRECTION_SPEED * delta);
+      correction.x *= decay;
+      correction.y *= decay;
+      correction.z *= decay;
+    }
+
+    object.position.set(
+      sample.position.x + correction.x,
+      sample.position.y + correction.y,
+      sample.position.z + correction.z
+    );
+    object.rotation.set(sample.rotation.x, sample.rotation.y, sample.rotation.z);
+
+    buffer.lastRendered = { x: object.position.x, y: object.position.y, z: object.position.z };
+    return true;
+  }
+
+  /**
+   * How well the buffers are keeping ahead of the render time, for the network overlay
+   * @returns {Object} { entities, averageAhead, minAhead, extrapolating, underruns };
+   *   "ahead" is how far (ms) an entity's newest snapshot is past the render time
+   */
+  getStats() {
+    const renderTime = this.getRenderTime();
+    let total = 0;
+    let min = null;
+    let extrapolating = 0;
+
+    this.buffers.forEach(buffer => {
+      const newest = buffer.snapshots[buffer.snapshots.length - 1];
+      if (!newest) return;
+
+      const ahead = newest.time - renderTime;
+      total += ahead;
+      min = min === null ? ahead : Math.min(min, ahead);
+      if (buffer.wasExtrapolating) extrapolating++;
+    });
+
+    return {
+      entities: this.buffers.size,
+      averageAhead: this.buffers.size > 0 ? total / this.buffers.size : 0,
+      minAhead: min,
+      extrapolating,
+      underruns: this.underruns
+    };
+  }
+
+  /**
+   * Forget an entity's snapshots, e.g. after it teleports or leaves
+   * @param {string} id Entity ID
+   */
+  clear(id) {
+    this.buffers.delete(id);
+  }
+}
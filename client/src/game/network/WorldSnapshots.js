@@ -0,0 +1,110 @@
+import { BOSS_NET_ID, applyEntityDelta, decodeSnapshot, dequantizeEntity } from 'vehicular-combat-shared';
+
+// Reconstructed snapshots kept as possible delta baselines (matches the server's history)
+const HISTORY_SIZE = 64;
+
+/**
+ * Receives the server's per-tick world snapshots. Each message only holds
+ * the fields that changed since a snapshot we acknowledged, so the full world
+ * is rebuilt from that baseline before it is handed to the interpolator.
+ * Distant entities the server held back this tick are left out, so the
+ * interpolator doesn't see them standing still between their slower updates.
+ */
+export class WorldSnapshotReceiver {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget all snapshots and players, e.g. after joining a room
+   */
+  reset() {
+    this.netIds = new Map(); // network ID -> player ID
+    this.history = new Map(); // snapshot seq -> Map of network ID -> quantized entity
+    this.lastSeq = 0;
+    this.lastAckSent = 0;
+  }
+
+  /**
+   * Map a player's network ID to their player ID
+   * @param {number} netId Network ID used in snapshots
+   * @param {string} id Player ID
+   */
+  registerPlayer(netId, id) {
+    if (typeof netId === 'number') {
+      this.netIds.set(netId, id);
+    }
+  }
+
+  /**
+   * Forget a player that left
+   * @param {string} id Player ID
+   */
+  unregisterPlayer(id) {
+    this.netIds.forEach((playerId, netId) => {
+      if (playerId === id) this.netIds.delete(netId);
+    });
+  }
+
+  /**
+   * Decode a snapshot message and rebuild the full world from its baseline
+   * @param {ArrayBuffer|Object} data Binary snapshot, or the JSON debug form
+   * @returns {Object|null} Snapshot with inputAck and entities, or null if it can't be used
+   */
+  receive(data) {
+    const message = data instanceof ArrayBuffer || ArrayBuffer.isView(data) ? decodeSnapshot(data) : data;
+    if (message.seq <= this.lastSeq) return null;
+
+    let baseline = null;
+    if (message.baseline !== 0) {
+      baseline = this.history.get(message.baseline);
+      // Should not happen, as the server only uses snapshots we acknowledged
+      if (!baseline) return null;
+    }
+
+    const entities = applyEntityDelta(baseline, message);
+    this.history.set(message.seq, entities);
+    this.history.delete(message.seq - HISTORY_SIZE);
+    this.lastSeq = message.seq;
+
+    const snapshot = {
+      seq: message.seq,
+      tick: message.tick,
+      time: message.time,
+      inputAck: message.inputAck,
+      entities: []
+    };
+
+    const deferred = new Set(message.deferred || []);
+    entities.forEach((entity, netId) => {
+      const id = netId === BOSS_NET_ID ? 'boss' : this.netIds.get(netId);
+      if (!id || deferred.has(netId)) return;
+
+      snapshot.entities.push({
+        id,
+        tick: message.tick,
+        time: message.time,
+        ...dequantizeEntity(entity)
+      });
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Whether a newer snapshot has arrived than the last one acknowledged
+   * @returns {boolean} True if an acknowledgement should be sent
+   */
+  needsAck() {
+    return this.lastSeq > this.lastAckSent;
+  }
+
+  /**
+   * Get the snapshot sequence to acknowledge to the server
+   * @returns {number} Newest received snapshot sequence
+   */
+  takeAck() {
+    this.lastAckSent = this.lastSeq;
+    return this.lastSeq;
+  }
+}
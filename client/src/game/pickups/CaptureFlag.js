@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+import { TEAMS, getFlagBase } from 'vehicular-combat-shared';
+
+/**
+ * A team's flag in capture the flag. The server owns where it is; this only
+ * shows it: a ring marking the team's base, and the flag itself standing at
+ * the base or where it was dropped. A carried flag is hidden here and shown
+ * on the carrier instead (see Vehicle.setCarriedFlag).
+ */
+export class CaptureFlag {
+  /**
+   * @param {THREE.Scene} scene The game scene
+   * @param {string} team Team the flag belongs to
+   */
+  constructor(scene, team) {
+    this.scene = scene;
+    this.team = team;
+    this.state = 'home';
+
+    const base = getFlagBase(team);
+    this.baseRing = CaptureFlag.createBaseRing(team);
+    this.baseRing.position.set(base.x, 0.05, base.z);
+    scene.add(this.baseRing);
+
+    this.mesh = CaptureFlag.createFlagMesh(team, 1);
+    this.mesh.position.set(base.x, 0, base.z);
+    scene.add(this.mesh);
+  }
+
+  /**
+   * Build a flag on a pole in a team's color
+   * @param {string} team Team ID
+   * @param {number} scale Size relative to a flag standing on the ground
+   * @returns {THREE.Group} Flag with its origin at the foot of the pole
+   */
+  static createFlagMesh(team, scale) {
+    const group = new THREE.Group();
+    group.name = `${team}Flag`;
+
+    const pole = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.1, 0.1, 6, 8),
+      new THREE.MeshStandardMaterial({ color: 0xcccccc, metalness: 0.6, roughness: 0.4 })
+    );
+    pole.position.y = 3;
+    group.add(pole);
+
+    const cloth = new THREE.Mesh(
+      new THREE.PlaneGeometry(3, 1.8),
+      new THREE.MeshStandardMaterial({
+        color: TEAMS[team].color,
+        emissive: TEAMS[team].color,
+        emissiveIntensity: 0.3,
+        side: THREE.DoubleSide
+      })
+    );
+    cloth.position.set(1.5, 5, 0);
+    cloth.name = 'cloth';
+    group.add(cloth);
+
+    group.scale.setScalar(scale);
+    return group;
+  }
+
+  /**
+   * Build the ring on the ground that marks a team's base
+   * @param {string} team Team ID
+   * @returns {THREE.Mesh} Ring lying flat on the ground
+   */
+  static createBaseRing(team) {
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(5, 6, 32),
+      new THREE.MeshBasicMaterial({ color: TEAMS[team].color, transparent: true, opacity: 0.7, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    return ring;
+  }
+
+  /**
+   * Show the flag as the server describes it
+   * @param {Object} flag Flag from the server's 'flagState' event ({ state, position, ... })
+   */
+  setState(flag) {
+    this.state = flag.state;
+    this.mesh.visible = flag.state !== 'carried';
+    this.mesh.position.set(flag.position.x, 0, flag.position.z);
+  }
+
+  /**
+   * Wave the flag
+   * @param {number} time Current time in milliseconds
+   */
+  update(time) {
+    if (!this.mesh.visible) return;
+    const cloth = this.mesh.getObjectByName('cloth');
+    cloth.rotation.y = Math.sin(time * 0.003) * 0.25;
+  }
+
+  /**
+   * Take the flag and its base ring out of the scene
+   */
+  remove() {
+    this.scene.remove(this.mesh);
+    this.scene.remove(this.baseRing);
+  }
+}
@@ -1,4 +1,15 @@
 import * as THREE from 'three';
+import { TEAMS } from 'vehicular-combat-shared';
+
+// Names of the server's game modes for the match panel
+const MODE_NAMES = {
+    coop: 'Co-op',
+    deathmatch: 'Deathmatch',
+    teamDeathmatch: 'Team Deathmatch',
+    teamCoop: 'Team Co-op',
+    ctf: 'Capture the Flag',
+    koth: 'King of the Hill'
+};
 
 export class GameUI {
     constructor() {
@@ -6,6 +17,21 @@ export class GameUI {
         this.setupPlayerHealthBars();
         this.setupWeaponSystem();
         this.setupBossRespawnNotifications();
+        this.setupTopLeftPanel();
+        this.setupMatchDisplay();
+        this.setupFlagDisplay();
+        this.setupZoneDisplay();
+        this.setupTimerDisplay();
+        this.setupAnnouncementBanner();
+
+        // Which part of the boss respawn the notification is showing: null, 'grace' or 'warning'
+        this.bossRespawnPhase = null;
+
+        // Which round's results the results panel is showing, or null while it is hidden
+        this.shownResultsKey = null;
+
+        // What the flag panel is showing, so it is only rebuilt when that changes
+        this.shownFlagsKey = null;
     }
 
     setupBossHealthBar() {
@@ -150,6 +176,8 @@ export class GameUI {
                 ${createControlLabel('S / ↓', 'Backward')}
                 ${createControlLabel('A / ←', 'Turn Left')}
                 ${createControlLabel('D / →', 'Turn Right')}
+                <div style="height: 10px;"></div>
+                ${createControlLabel('R', 'Ready Up')}
             </div>
         `;
         
@@ -297,6 +325,628 @@ export class GameUI {
         document.body.appendChild(container);
     }
     
+    setupTopLeftPanel() {
+        // Column holding the match status above the timers
+        const panel = document.createElement('div');
+        panel.id = 'top-left-panel';
+        panel.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 10px;
+        `;
+
+        document.body.appendChild(panel);
+    }
+
+    setupMatchDisplay() {
+        // Match phase, round clock and score limit
+        const container = document.createElement('div');
+        container.id = 'match-display';
+        container.style.cssText = `
+            background: rgba(0, 0, 0, 0.5);
+            padding: 8px 12px;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 16px;
+            color: white;
+            line-height: 1.5;
+            display: none;
+        `;
+        document.getElementById('top-left-panel').appendChild(container);
+
+        // Big numbers counting down to the start of a round
+        const countdown = document.createElement('div');
+        countdown.id = 'match-countdown';
+        countdown.style.cssText = `
+            position: fixed;
+            top: 35%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            font-family: Arial, sans-serif;
+            font-size: 120px;
+            font-weight: bold;
+            color: #ffcc00;
+            text-shadow: 0 0 20px rgba(0, 0, 0, 0.8);
+            z-index: 1000;
+            pointer-events: none;
+            display: none;
+        `;
+        document.body.appendChild(countdown);
+
+        // Standings after a round and at the end of the match
+        const results = document.createElement('div');
+        results.id = 'match-results';
+        results.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 400px;
+            background: rgba(0, 0, 0, 0.85);
+            border: 2px solid #ffcc00;
+            padding: 20px;
+            border-radius: 8px;
+            font-family: Arial, sans-serif;
+            color: white;
+            text-align: center;
+            z-index: 1001;
+            pointer-events: none;
+            display: none;
+        `;
+        document.body.appendChild(results);
+    }
+
+    setupFlagDisplay() {
+        // Where each flag is in capture the flag
+        const container = document.createElement('div');
+        container.id = 'flag-display';
+        container.style.cssText = `
+            background: rgba(0, 0, 0, 0.5);
+            padding: 8px 12px;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            color: white;
+            line-height: 1.5;
+            display: none;
+        `;
+
+        document.getElementById('top-left-panel').appendChild(container);
+    }
+
+    setupZoneDisplay() {
+        // Where the scoring zone is and who holds it in king of the hill
+        const container = document.createElement('div');
+        container.id = 'zone-display';
+        container.style.cssText = `
+            background: rgba(0, 0, 0, 0.5);
+            padding: 8px 12px;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            color: white;
+            line-height: 1.5;
+            min-width: 180px;
+            display: none;
+        `;
+
+        const name = document.createElement('div');
+        name.id = 'zone-name';
+        name.style.fontWeight = 'bold';
+        container.appendChild(name);
+
+        const status = document.createElement('div');
+        status.id = 'zone-status';
+        container.appendChild(status);
+
+        // Our points towards the point limit
+        const progress = document.createElement('div');
+        progress.style.cssText = `
+            height: 8px;
+            margin: 4px 0;
+            background: rgba(255, 255, 255, 0.2);
+            border-radius: 4px;
+            overflow: hidden;
+        `;
+        const progressFill = document.createElement('div');
+        progressFill.id = 'zone-progress-fill';
+        progressFill.style.cssText = `
+            width: 0%;
+            height: 100%;
+            background: #33ff66;
+            transition: width 0.3s;
+        `;
+        progress.appendChild(progressFill);
+        container.appendChild(progress);
+
+        const points = document.createElement('div');
+        points.id = 'zone-points';
+        container.appendChild(points);
+
+        document.getElementById('top-left-panel').appendChild(container);
+    }
+
+    setupTimerDisplay() {
+        // Countdowns to the server's pickup and Easter Egg respawns
+        const container = document.createElement('div');
+        container.id = 'timer-display';
+        container.style.cssText = `
+            background: rgba(0, 0, 0, 0.5);
+            padding: 8px 12px;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            color: white;
+            line-height: 1.5;
+            display: none;
+        `;
+
+        document.getElementById('top-left-panel').appendChild(container);
+    }
+
+    setupAnnouncementBanner() {
+        // Messages from the server's operators
+        const banner = document.createElement('div');
+        banner.id = 'server-announcement';
+        banner.style.cssText = `
+            position: fixed;
+            top: 140px;
+            left: 50%;
+            transform: translateX(-50%);
+            max-width: 600px;
+            background: rgba(0, 0, 0, 0.7);
+            border: 2px solid #ffcc00;
+            padding: 10px 20px;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 20px;
+            color: #ffcc00;
+            text-align: center;
+            z-index: 1000;
+            pointer-events: none;
+            display: none;
+        `;
+
+        document.body.appendChild(banner);
+        this.announcementTimeout = null;
+    }
+
+    /**
+     * Show a server announcement
+     * @param {string} message Announcement text
+     * @param {number|null} [duration] How long to show it (ms); null keeps it up
+     */
+    showAnnouncement(message, duration = 8000) {
+        const banner = document.getElementById('server-announcement');
+        if (!banner) return;
+
+        banner.textContent = message;
+        banner.style.display = 'block';
+
+        clearTimeout(this.announcementTimeout);
+        this.announcementTimeout = null;
+        if (duration !== null) {
+            this.announcementTimeout = setTimeout(() => {
+                banner.style.display = 'none';
+                this.announcementTimeout = null;
+            }, duration);
+        }
+    }
+
+    /**
+     * Update every server-driven countdown. The server sends absolute deadlines,
+     * so counting down against its clock shows the same time on every client.
+     * @param {Object|null} timers Deadlines from the server's 'timers' event (server ms)
+     * @param {number} now Current server time (ms)
+     */
+    updateTimers(timers, now) {
+        this.updateBossRespawnTimer(timers, now);
+
+        const container = document.getElementById('timer-display');
+        if (!container) return;
+
+        const lines = [];
+        if (timers && timers.pickupRespawnAt !== null) {
+            lines.push(`Pickups refill in ${this.formatCountdown(timers.pickupRespawnAt - now)}`);
+        }
+        if (timers && timers.easterEggRespawnAt !== null) {
+            lines.push(`Easter Egg returns in ${this.formatCountdown(timers.easterEggRespawnAt - now)}`);
+        }
+
+        // Only touch the DOM when the text changes
+        const html = lines.join('<br>');
+        if (container.innerHTML !== html) {
+            container.innerHTML = html;
+        }
+        container.style.display = lines.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Show where each flag is: at its base, with a carrier, or dropped and counting down to its return
+     * @param {Array<Object>|null} flags Flags from the server's 'flagState' event, or null outside capture the flag
+     * @param {number} now Current server time (ms)
+     * @param {string|null} localPlayerId ID of the local player
+     * @param {Function} getUsername Returns a player's name for their ID
+     */
+    updateFlags(flags, now, localPlayerId, getUsername) {
+        const container = document.getElementById('flag-display');
+        if (!container) return;
+
+        const lines = (flags || []).map(flag => {
+            let status = 'at base';
+            if (flag.state === 'carried') {
+                status = flag.carrierId === localPlayerId ? 'carried by you' : `carried by ${getUsername(flag.carrierId)}`;
+            } else if (flag.state === 'dropped') {
+                status = `dropped, returns in ${this.formatCountdown(flag.returnsAt - now)}`;
+            }
+            return { team: flag.team, text: `${TEAMS[flag.team].name} flag: ${status}` };
+        });
+
+        // Names come from players, so the lines are built as text rather than HTML
+        const key = JSON.stringify(lines);
+        if (key === this.shownFlagsKey) return;
+        this.shownFlagsKey = key;
+
+        container.innerHTML = '';
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line.text;
+            row.style.color = TEAMS[line.team].color;
+            container.appendChild(row);
+        });
+        container.style.display = lines.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Announce a flag being taken, dropped, returned or captured
+     * @param {Object} event Event from the server's 'flagEvent' ({ type, team, playerId })
+     * @param {string} username Name of the player involved
+     * @param {string|null} localPlayerId ID of the local player
+     */
+    showFlagEvent(event, username, localPlayerId) {
+        const who = event.playerId === localPlayerId ? 'You' : username;
+        const flag = `the ${TEAMS[event.team].name} flag`;
+        const messages = {
+            taken: `${who} took ${flag}`,
+            dropped: `${who} dropped ${flag}`,
+            returned: `${flag.charAt(0).toUpperCase()}${flag.slice(1)} returned to base`,
+            captured: `${who} captured ${flag}!`
+        };
+        this.showAnnouncement(messages[event.type], 3000);
+    }
+
+    /**
+     * Show where the scoring zone is, when it moves on, who holds it and how close we are to the point limit
+     * @param {Object|null} zone State from the server's 'zoneState' event, or null outside king of the hill
+     * @param {Object|null} match State from the server's 'matchState' event
+     * @param {number} now Current server time (ms)
+     * @param {string|null} localPlayerId ID of the local player
+     * @param {Function} getUsername Returns a player's name for their ID
+     */
+    updateZone(zone, match, now, localPlayerId, getUsername) {
+        const container = document.getElementById('zone-display');
+        if (!container) return;
+
+        if (!zone) {
+            container.style.display = 'none';
+            return;
+        }
+
+        let status = 'Empty';
+        let color = '#ffffff';
+        if (zone.contested) {
+            status = 'Contested';
+            color = '#ff3333';
+        } else if (zone.holderId) {
+            status = zone.holderId === localPlayerId ? 'Held by you' : `Held by ${getUsername(zone.holderId)}`;
+            color = zone.holderId === localPlayerId ? '#33ff66' : '#ffaa00';
+        }
+
+        const me = match && match.standings.find(player => player.id === localPlayerId);
+        const score = me ? me.score : 0;
+        const limit = match && match.pointLimit > 0 ? match.pointLimit : null;
+        const moves = zone.nextZoneAt !== null ? ` - moves in ${this.formatCountdown(zone.nextZoneAt - now)}` : '';
+
+        // Names come from players, so the display is filled in as text rather than HTML
+        const name = document.getElementById('zone-name');
+        const statusLine = document.getElementById('zone-status');
+        const progressFill = document.getElementById('zone-progress-fill');
+        const points = document.getElementById('zone-points');
+
+        const nameText = `${zone.zone.name}${moves}`;
+        if (name.textContent !== nameText) {
+            name.textContent = nameText;
+        }
+        if (statusLine.textContent !== status) {
+            statusLine.textContent = status;
+        }
+        statusLine.style.color = color;
+
+        progressFill.style.width = `${limit ? Math.min(100, (score / limit) * 100) : 0}%`;
+        progressFill.parentElement.style.display = limit ? 'block' : 'none';
+
+        const pointsText = `Your points: ${score}${limit ? `/${limit}` : ''}`;
+        if (points.textContent !== pointsText) {
+            points.textContent = pointsText;
+        }
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Update the match status, the countdown to a round and the results panel
+     * @param {Object|null} match State from the server's 'matchState' event
+     * @param {number} now Current server time (ms)
+     * @param {string|null} localPlayerId ID of the local player
+     */
+    updateMatch(match, now, localPlayerId) {
+        const display = document.getElementById('match-display');
+        const countdown = document.getElementById('match-countdown');
+        if (!display || !countdown) return;
+
+        const lines = match ? this.getMatchLines(match, now, localPlayerId) : [];
+        const html = lines.join('<br>');
+        if (display.innerHTML !== html) {
+            display.innerHTML = html;
+        }
+        display.style.display = lines.length > 0 ? 'block' : 'none';
+
+        const counting = match && match.phase === 'countdown' && match.phaseEndsAt !== null;
+        const seconds = counting ? String(Math.max(1, Math.ceil((match.phaseEndsAt - now) / 1000))) : '';
+        if (countdown.textContent !== seconds) {
+            countdown.textContent = seconds;
+        }
+        countdown.style.display = counting ? 'block' : 'none';
+
+        this.updateMatchResults(match, localPlayerId);
+    }
+
+    /**
+     * Lines of the match status panel
+     * @param {Object} match State from the server's 'matchState' event
+     * @param {number} now Current server time (ms)
+     * @param {string|null} localPlayerId ID of the local player
+     * @returns {Array<string>} HTML lines
+     */
+    getMatchLines(match, now, localPlayerId) {
+        const timeLeft = match.phaseEndsAt !== null ? ` ${this.formatCountdown(match.phaseEndsAt - now)}` : '';
+        const rounds = match.rounds > 1 ? `/${match.rounds}` : '';
+        const modeName = MODE_NAMES[match.mode] || match.mode;
+
+        switch (match.phase) {
+            case 'warmup':
+                return [`<b>WARMUP</b> - ${modeName}`, `Waiting for players (${match.minPlayers} needed)`];
+            case 'readyCheck': {
+                const ready = match.readyPlayers.includes(localPlayerId);
+                return [
+                    `<b>READY CHECK</b>${timeLeft}`,
+                    modeName,
+                    `${match.readyPlayers.length} ready`,
+                    ready ? 'You are ready (R to cancel)' : 'Press R when ready'
+                ];
+            }
+            case 'countdown':
+                return [`<b>ROUND ${match.round + 1}${rounds}</b> starting${timeLeft}`];
+            case 'live':
+                return [`<b>ROUND ${match.round}${rounds}</b>${timeLeft}`, ...this.getScoreLines(match, localPlayerId)];
+            case 'roundEnd':
+                return [`<b>ROUND ${match.round} OVER</b>`, `Next round in${timeLeft}`];
+            case 'results':
+                return ['<b>MATCH OVER</b>', `New match in${timeLeft}`];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Lines of the match panel showing how the round is going
+     * @param {Object} match State from the server's 'matchState' event
+     * @param {string|null} localPlayerId ID of the local player
+     * @returns {Array<string>} HTML lines
+     */
+    getScoreLines(match, localPlayerId) {
+        const teamLines = match.teamScores ? this.getTeamScoreLines(match, localPlayerId) : [];
+
+        // Capture the flag is only scored by captures
+        if (match.captureLimit !== null) {
+            return teamLines;
+        }
+
+        // King of the hill is scored by holding the zone
+        if (match.pointLimit !== null) {
+            const me = match.standings.find(player => player.id === localPlayerId);
+            const leader = match.standings[0];
+            const lines = [`Points: ${me ? me.score : 0}${match.pointLimit > 0 ? `/${match.pointLimit}` : ''}`];
+            if (leader && leader.score > 0) {
+                lines.push(leader.id === localPlayerId ? 'You are in the lead' : `Leader: ${leader.score} points`);
+            }
+            return lines;
+        }
+
+        // Modes without frags are played against the boss
+        if (match.fragLimit === null) {
+            return [`Bosses defeated: ${match.score}${match.scoreLimit > 0 ? `/${match.scoreLimit}` : ''}`, ...teamLines];
+        }
+
+        const me = match.standings.find(player => player.id === localPlayerId);
+        const leader = match.standings[0];
+        const lines = [
+            ...teamLines,
+            // In team modes the frag limit applies to the team
+            `Frags: ${me ? me.score : 0}${match.fragLimit > 0 && !match.teamScores ? `/${match.fragLimit}` : ''}`,
+            `Deaths: ${me ? me.deaths : 0}`
+        ];
+        if (!match.teamScores && leader && leader.score > 0) {
+            lines.push(leader.id === localPlayerId ? 'You are in the lead' : `Leader: ${leader.score} frags`);
+        }
+        return lines;
+    }
+
+    /**
+     * Lines of the match panel with each team's score, in the team colors
+     * @param {Object} match State from the server's 'matchState' event
+     * @param {string|null} localPlayerId ID of the local player
+     * @returns {Array<string>} HTML lines
+     */
+    getTeamScoreLines(match, localPlayerId) {
+        const me = match.standings.find(player => player.id === localPlayerId);
+        // Team captures and frags count towards their limit; in co-op teams score the damage they deal to the boss
+        let suffix = ' damage';
+        if (match.captureLimit !== null) {
+            suffix = match.captureLimit > 0 ? `/${match.captureLimit} captures` : ' captures';
+        } else if (match.fragLimit !== null) {
+            suffix = match.fragLimit > 0 ? `/${match.fragLimit}` : '';
+        }
+
+        return Object.entries(match.teamScores).map(([teamId, score]) => {
+            const team = TEAMS[teamId];
+            const yours = me && me.team === teamId ? ' (your team)' : '';
+            return `<span style="color: ${team.color}">${team.name}: ${score}${suffix}${yours}</span>`;
+        });
+    }
+
+    /**
+     * Show the standings while a round is over, hide them otherwise
+     * @param {Object|null} match State from the server's 'matchState' event
+     * @param {string|null} localPlayerId ID of the local player
+     */
+    updateMatchResults(match, localPlayerId) {
+        const panel = document.getElementById('match-results');
+        if (!panel) return;
+
+        const results = match && match.results;
+        const key = results ? `${match.phase}:${results.round}:${results.reason}` : null;
+        if (key === this.shownResultsKey) return;
+        this.shownResultsKey = key;
+
+        if (!results) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        panel.innerHTML = '';
+
+        const roundOver = match.phase === 'results' ? 'MATCH OVER' : `ROUND ${results.round} OVER`;
+
+        const title = document.createElement('div');
+        const winningTeam = results.winner && results.winner.team ? TEAMS[results.winner.team] : null;
+        if (winningTeam) {
+            title.textContent = `${winningTeam.name.toUpperCase()} TEAM WINS!`;
+        } else if (results.winner) {
+            title.textContent = results.winner.id === localPlayerId ? 'YOU WIN!' : `${results.winner.username} WINS!`;
+        } else {
+            title.textContent = roundOver;
+        }
+        title.style.cssText = `font-size: 32px; font-weight: bold; color: ${winningTeam ? winningTeam.color : '#ffcc00'}; margin-bottom: 5px;`;
+        panel.appendChild(title);
+
+        const reasons = {
+            scoreLimit: 'Score limit reached',
+            fragLimit: 'Frag limit reached',
+            captureLimit: 'Capture limit reached',
+            pointLimit: 'Point limit reached',
+            timeLimit: 'Time is up'
+        };
+        const reason = document.createElement('div');
+        reason.textContent = results.winner ? `${roundOver} - ${reasons[results.reason]}` : reasons[results.reason];
+        reason.style.cssText = 'font-size: 16px; color: #cccccc; margin-bottom: 15px;';
+        panel.appendChild(reason);
+
+        if (results.teamScores) {
+            const teamScores = document.createElement('div');
+            teamScores.style.cssText = 'font-size: 20px; font-weight: bold; margin-bottom: 15px;';
+            Object.entries(results.teamScores).forEach(([teamId, score], index) => {
+                const teamScore = document.createElement('span');
+                teamScore.textContent = `${index > 0 ? ' - ' : ''}${TEAMS[teamId].name} ${score}`;
+                teamScore.style.color = TEAMS[teamId].color;
+                teamScores.appendChild(teamScore);
+            });
+            panel.appendChild(teamScores);
+        }
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 16px;';
+
+        const addRow = (cells, style) => {
+            const row = document.createElement('tr');
+            row.style.cssText = style;
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                cell.style.cssText = `padding: 4px 8px; text-align: ${index === 1 ? 'left' : 'right'};`;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        };
+
+        // In modes with frags the score is the frag count, in capture the flag the capture count
+        // and in king of the hill the points; team modes add each player's team
+        const frags = match.fragLimit !== null;
+        const teams = Boolean(results.teamScores);
+        let scoreName = 'Score';
+        if (match.captureLimit !== null) {
+            scoreName = 'Captures';
+        } else if (match.pointLimit !== null) {
+            scoreName = 'Points';
+        }
+        const header = frags ? ['#', 'Player', 'Frags', 'Deaths'] : ['#', 'Player', scoreName, 'Kills', 'Deaths'];
+        addRow(
+            teams ? [...header, 'Team'] : header,
+            'color: #999999; border-bottom: 1px solid rgba(255, 255, 255, 0.3);'
+        );
+        results.standings.forEach((player, index) => {
+            const cells = frags
+                ? [index + 1, player.username, player.score, player.deaths]
+                : [index + 1, player.username, player.score, player.kills, player.deaths];
+            addRow(
+                teams ? [...cells, player.team ? TEAMS[player.team].name : '-'] : cells,
+                player.id === localPlayerId ? 'color: #ffcc00; font-weight: bold;' : ''
+            );
+        });
+
+        panel.appendChild(table);
+        panel.style.display = 'block';
+    }
+
+    /**
+     * Show the grace period countdown, then the spawning soon warning, until the boss is back
+     * @param {Object|null} timers Deadlines from the server's 'timers' event (server ms)
+     * @param {number} now Current server time (ms)
+     */
+    updateBossRespawnTimer(timers, now) {
+        let phase = null;
+        if (timers && timers.bossRespawnAt !== null) {
+            phase = now < timers.bossWarningAt ? 'grace' : 'warning';
+        }
+
+        if (phase !== this.bossRespawnPhase) {
+            this.hideRespawnNotification();
+            if (phase === 'grace') {
+                this.showGracePeriod(Math.ceil((timers.bossWarningAt - now) / 1000));
+            } else if (phase === 'warning') {
+                this.showSpawningSoon();
+            }
+            this.bossRespawnPhase = phase;
+        } else if (phase === 'grace') {
+            this.updateRespawnCountdown(Math.ceil((timers.bossWarningAt - now) / 1000));
+        }
+    }
+
+    /**
+     * Format a time left as m:ss, rounding up so 0:00 is only shown once it is over
+     * @param {number} ms Time left (ms)
+     * @returns {string} Formatted countdown
+     */
+    formatCountdown(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
     showGracePeriod(seconds) {
         let notification = document.getElementById('boss-respawn-notification');
         
@@ -326,18 +976,8 @@ export class GameUI {
             notification.appendChild(countdown);
         }
         
-        // Start countdown
+        // Show the time left; updateBossRespawnTimer keeps it counting down
         this.updateRespawnCountdown(seconds);
-        
-        // Update countdown every second
-        this.countdownInterval = setInterval(() => {
-            seconds--;
-            this.updateRespawnCountdown(seconds);
-            
-            if (seconds <= 0) {
-                clearInterval(this.countdownInterval);
-            }
-        }, 1000);
     }
     
     showSpawningSoon() {
@@ -372,11 +1012,7 @@ export class GameUI {
             notification.style.visibility = visible ? 'visible' : 'hidden';
         }, 500); // Flash every 500ms
         
-        // Show for 5 seconds then hide
-        setTimeout(() => {
-            clearInterval(this.flashInterval);
-            this.hideRespawnNotification();
-        }, 5000);
+        // Shown until the boss respawns
     }
     
     hideRespawnNotification() {
@@ -386,11 +1022,7 @@ export class GameUI {
             notification.style.visibility = 'visible'; // Reset visibility
         }
         
-        // Clear any active intervals
-        if (this.countdownInterval) {
-            clearInterval(this.countdownInterval);
-            this.countdownInterval = null;
-        }
+        // Stop flashing
         if (this.flashInterval) {
             clearInterval(this.flashInterval);
             this.flashInterval = null;
@@ -0,0 +1,191 @@
+// How often the overlay is redrawn while open (the server reports at the same rate)
+const REFRESH_INTERVAL = 1000; // ms
+
+// How often we ping the server while the overlay is open, for a live RTT
+const OVERLAY_PING_INTERVAL = 1000; // ms
+
+/**
+ * Format a byte rate
+ * @param {number} bytes Bytes per second
+ * @returns {string} Human readable rate
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)}M`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}k`;
+    return `${Math.round(bytes)}`;
+}
+
+/**
+ * Format a value that may not be known yet
+ * @param {number|null|undefined} value Value
+ * @param {number} [digits] Decimal places
+ * @returns {string} Formatted value, or '-'
+ */
+function formatNumber(value, digits = 0) {
+    return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '-';
+}
+
+/**
+ * Toggleable connection quality overlay (F3, or open from the start with
+ * ?debug=net). Shows what we measure next to what the server measured for
+ * our socket: round trip time and jitter, messages and bytes per second per
+ * event type in both directions, messages that went missing, interpolation
+ * buffer health and the server's actual tick rate.
+ */
+export class NetworkOverlay {
+    /**
+     * @param {Object} options
+     * @param {Object} options.socket Socket.IO client socket
+     * @param {ClockSync} options.clockSync Clock sync (RTT and jitter)
+     * @param {SnapshotInterpolator} options.interpolator Remote entity interpolation
+     * @param {NetworkStats} options.networkStats Our message counters
+     */
+    constructor({ socket, clockSync, interpolator, networkStats }) {
+        this.socket = socket;
+        this.clockSync = clockSync;
+        this.interpolator = interpolator;
+        this.networkStats = networkStats;
+        this.visible = false;
+        this.serverStats = null; // Latest 'netStats' report for our socket
+        this.totalsAtReport = null; // Our message totals when that report arrived
+        this.refreshTimer = null;
+
+        this.setupContainer();
+
+        window.addEventListener('keydown', (event) => {
+            if (event.key === 'F3') {
+                event.preventDefault();
+                this.toggle();
+            }
+        });
+    }
+
+    setupContainer() {
+        const container = document.createElement('div');
+        container.id = 'network-overlay';
+        container.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 20px;
+            background: rgba(0, 0, 0, 0.75);
+            padding: 10px;
+            border-radius: 5px;
+            font-family: monospace;
+            font-size: 12px;
+            color: #0f0;
+            white-space: pre;
+            z-index: 1000;
+            pointer-events: none;
+            display: none;
+        `;
+
+        document.body.appendChild(container);
+        this.container = container;
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    /**
+     * Open or close the overlay, and start or stop the extra measuring it needs
+     * @param {boolean} visible Whether to show the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.container.style.display = visible ? 'block' : 'none';
+        this.networkStats.enabled = visible;
+        this.clockSync.setPingInterval(visible ? OVERLAY_PING_INTERVAL : null);
+        this.requestServerStats();
+
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        if (visible) {
+            this.networkStats.takeReport(Date.now());
+            this.refreshTimer = setInterval(() => this.render(), REFRESH_INTERVAL);
+            this.render();
+        }
+    }
+
+    /**
+     * Ask the server to start or stop sending our socket's counters; call again after reconnecting
+     */
+    requestServerStats() {
+        if (this.socket.connected) {
+            this.socket.emit('netStats', { enabled: this.visible });
+        }
+    }
+
+    /**
+     * Take in the server's report for our socket
+     * @param {Object} stats 'netStats' message
+     */
+    handleServerStats(stats) {
+        this.serverStats = stats;
+        this.totalsAtReport = { ...this.networkStats.totals };
+    }
+
+    render() {
+        const local = this.networkStats.takeReport(Date.now());
+        const server = this.serverStats;
+        const buffers = this.interpolator.getStats();
+        const lines = [];
+
+        lines.push('NETWORK (F3)');
+        lines.push(
+            `RTT ${formatNumber(this.clockSync.latestRoundTripTime)} ms` +
+            `  jitter ${formatNumber(this.clockSync.jitter, 1)} ms` +
+            `  server RTT ${formatNumber(server && server.roundTripTime)} ms`
+        );
+        lines.push(
+            `Server tick ${formatNumber(server && server.tickRate, 1)}/s` +
+            `  clock offset ${formatNumber(this.clockSync.offset)} ms`
+        );
+
+        // Messages counted by the sender but not the receiver when the report
+        // arrived. Upstream that includes whatever was still in flight.
+        if (server && server.totals && this.totalsAtReport) {
+            const totals = this.totalsAtReport;
+            const missingUp = Math.max(0, totals.outbound - server.totals.inbound);
+            const missingDown = Math.max(0, server.totals.outbound - totals.inbound);
+            lines.push(
+                `Missing: up ${missingUp} of ${totals.outbound} (incl. in flight)` +
+                `  down ${missingDown} of ${server.totals.outbound}`
+            );
+        }
+
+        lines.push(
+            `Interp buffer: ${buffers.entities} entities, ` +
+            `${formatNumber(buffers.averageAhead)} ms ahead (min ${formatNumber(buffers.minAhead)}), ` +
+            `${buffers.extrapolating} extrapolating, ${buffers.underruns} underruns`
+        );
+
+        // One row per event type: our counts, then the server's for our socket
+        lines.push('');
+        lines.push(`${'event'.padEnd(20)}${'in/s'.padStart(7)}${'inB/s'.padStart(8)}${'out/s'.padStart(7)}${'outB/s'.padStart(8)}  ${'srv in/s'.padStart(9)}${'srv out/s'.padStart(10)}`);
+
+        const events = new Set([
+            ...Object.keys(local.inbound),
+            ...Object.keys(local.outbound),
+            ...(server ? Object.keys(server.inbound) : []),
+            ...(server ? Object.keys(server.outbound) : [])
+        ]);
+        [...events].sort().forEach(event => {
+            const received = local.inbound[event];
+            const sent = local.outbound[event];
+            const serverIn = server && server.inbound[event];
+            const serverOut = server && server.outbound[event];
+            lines.push(
+                event.slice(0, 19).padEnd(20) +
+                formatNumber(received && received.messages, 1).padStart(7) +
+                (received ? formatBytes(received.bytes) : '-').padStart(8) +
+                formatNumber(sent && sent.messages, 1).padStart(7) +
+                (sent ? formatBytes(sent.bytes) : '-').padStart(8) + '  ' +
+                formatNumber(serverIn && serverIn.messages, 1).padStart(9) +
+                formatNumber(serverOut && serverOut.messages, 1).padStart(10)
+            );
+        });
+
+        this.container.textContent = lines.join('\n');
+    }
+}
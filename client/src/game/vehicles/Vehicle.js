@@ -1,8 +1,16 @@
 import * as THREE from 'three';
 import { VEHICLES, getNormalizedVehicleStats, getDefaultWeapon } from './VehicleConfig';
 import { createVehicleMesh } from './VehicleMeshFactory';
-import { checkWallCollision, resolveWallCollision, checkObjectCollision } from '../physics/CollisionDetection';
 import { Projectile } from '../weapons/Projectile';
+import {
+  VEHICLE_HEIGHT,
+  TEAMS,
+  getMovementStats,
+  getCarrierMaxSpeed,
+  stepVehicle,
+  resolveVehicleCollisions
+} from 'vehicular-combat-shared';
+import { CaptureFlag } from '../pickups/CaptureFlag';
 
 // Define weapon types as constants
 export const WEAPON_TYPES = {
@@ -52,6 +60,11 @@ export class Vehicle {
     this.playerName = null;
     this.nameLabel = null;
     this.healthBar = null;
+    // Team in team modes; colors the name label and health bar
+    this.team = null;
+    // Team of the flag this vehicle carries in capture the flag, shown above it
+    this.carriedFlag = null;
+    this.flagMarker = null;
 
     // Movement state
     this.velocity = new THREE.Vector3(0, 0, 0);
@@ -173,16 +186,11 @@ export class Vehicle {
     // Apply controls to movement
     this.updateMovement(delta);
 
-    // Check for wall collisions if map is provided
+    // Check for wall and map object collisions if map is provided (same rules as the server)
     if (map) {
-      const wallCollision = checkWallCollision(this, map);
-      if (wallCollision) {
-        resolveWallCollision(this, wallCollision);
-      }
-
-      const objectCollision = checkObjectCollision(this, map);
-      if (objectCollision) {
-        resolveWallCollision(this, objectCollision);
+      const state = this.getMovementState();
+      if (resolveVehicleCollisions(state)) {
+        this.setMovementState(state);
       }
     }
 
@@ -223,22 +231,13 @@ export class Vehicle {
     if (this.isRespawning) {
       return;
     }
-    
-    // Apply acceleration based on controls
-    if (this.controls.forward) {
-      this.velocity.z -= this.acceleration * delta;
-    }
-    if (this.controls.backward) {
-      this.velocity.z += this.acceleration * 0.6 * delta; // Slower in reverse
-    }
 
-    // Apply turning
-    if (this.controls.left) {
-      this.rotationVelocity += this.turnRate * delta;
-    }
+    // Same step the server runs, so local prediction matches the server
+    const state = this.getMovementState();
+    stepVehicle(state, this.controls, delta, this);
+    this.setMovementState(state);
+
     if (this.controls.right) {
-      this.rotationVelocity -= this.turnRate * delta;
-      
       // Fix for health bar color issue - ensure opacity is maintained
       if (this.healthBarFill && this.healthBarFill.material) {
         // Store the current material color
@@ -249,35 +248,32 @@ export class Vehicle {
         this.healthBarFill.material.opacity = 0.9;
       }
     }
+  }
 
-    // Apply friction and gravity
-    this.velocity.multiplyScalar(0.95);
-    this.rotationVelocity *= 0.9;
-
-    // Enforce speed limits
-    const speedSq = this.velocity.lengthSq();
-    if (speedSq > this.maxSpeed * this.maxSpeed) {
-      this.velocity.normalize().multiplyScalar(this.maxSpeed);
-    }
-
-    // Update rotation
-    this.mesh.rotation.y += this.rotationVelocity;
-
-    // Ensure no Y velocity at any time
-    this.velocity.y = 0;
-
-    // Move in the direction we're facing
-    const movement = this.velocity.clone();
-    movement.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.mesh.rotation.y);
-    
-    // Ensure no Y movement at any time
-    movement.y = 0;
+  /**
+   * Get the vehicle's movement state in the shared simulation format
+   * @returns {Object} Movement state (see shared/vehicleMovement.js)
+   */
+  getMovementState() {
+    return {
+      x: this.mesh.position.x,
+      z: this.mesh.position.z,
+      rotationY: this.mesh.rotation.y,
+      velocityX: this.velocity.x,
+      velocityZ: this.velocity.z,
+      rotationVelocity: this.rotationVelocity
+    };
+  }
 
-    // Apply movement
-    this.mesh.position.add(movement);
-    
-    // Lock Y position at a constant value to prevent any vertical movement
-    this.mesh.position.y = 0.2; // Lower height for vehicles to appear on the ground
+  /**
+   * Apply a movement state from the shared simulation to the vehicle
+   * @param {Object} state Movement state (see shared/vehicleMovement.js)
+   */
+  setMovementState(state) {
+    this.mesh.position.set(state.x, VEHICLE_HEIGHT, state.z);
+    this.mesh.rotation.y = state.rotationY;
+    this.velocity.set(state.velocityX, 0, state.velocityZ);
+    this.rotationVelocity = state.rotationVelocity;
   }
 
   /**
@@ -293,6 +289,11 @@ export class Vehicle {
    * @returns {boolean} True if the vehicle was destroyed
    */
   takeDamage(amount) {
+    // Remote vehicles only mirror the health sent by the server
+    if (this.isRemote) {
+      return false;
+    }
+
     // Skip if already destroyed
     if (this.health <= 0) {
       console.log(`Vehicle ${this.type} already destroyed, ignoring damage`);
@@ -328,6 +329,25 @@ export class Vehicle {
     return isDestroyed;
   }
 
+  /**
+   * Set health from the server, which owns player health
+   * @param {number} health New health value
+   * @param {number} [maxHealth] New max health value
+   */
+  setHealth(health, maxHealth = this.maxHealth) {
+    this.maxHealth = maxHealth;
+    this.health = Math.max(0, Math.min(health, maxHealth));
+
+    // Allow damage visuals to recover after healing
+    if (this.health > this.maxHealth * 0.6) {
+      this.damageLevel = 0;
+    } else if (this.health > this.maxHealth * 0.3 && this.damageLevel > 1) {
+      this.damageLevel = 1;
+    }
+
+    this.updateHealthBar();
+  }
+
   /**
    * Handle vehicle death
    */
@@ -821,6 +841,49 @@ export class Vehicle {
     }
   }
 
+  /**
+   * Put this vehicle on a team, redrawing its label and health bar in the team color
+   * @param {string|null} team Team ID, or null outside team modes
+   */
+  setTeam(team) {
+    if ((team || null) === this.team) return;
+
+    this.team = team || null;
+    if (this.playerName) {
+      this.setPlayerName(this.playerName);
+    }
+  }
+
+  /**
+   * Show the flag this vehicle carries above it, or take it away. Carriers are
+   * slowed through maxSpeed, the same way the server simulates them.
+   * @param {string|null} team Team of the carried flag, or null
+   */
+  setCarriedFlag(team) {
+    this.carriedFlag = team || null;
+    this.maxSpeed = getCarrierMaxSpeed(getMovementStats(this), this.carriedFlag !== null);
+    this.updateFlagMarker();
+  }
+
+  /**
+   * Put the carried flag marker on the current mesh, or remove it
+   */
+  updateFlagMarker() {
+    if (this.flagMarker) {
+      if (this.flagMarker.parent) {
+        this.flagMarker.parent.remove(this.flagMarker);
+      }
+      this.flagMarker = null;
+    }
+    if (!this.carriedFlag || !this.mesh) return;
+
+    // Above the name label, adjusting for model scale
+    const modelScale = VEHICLES[this.type]?.modelScale || 1.0;
+    this.flagMarker = CaptureFlag.createFlagMesh(this.carriedFlag, 0.5 / modelScale);
+    this.flagMarker.position.set(0, 5.0 / modelScale, 0);
+    this.mesh.add(this.flagMarker);
+  }
+
   /**
    * Set the player name for this vehicle and create a label to display it
    * @param {string} name The player name to display
@@ -845,8 +908,8 @@ export class Vehicle {
     canvas.width = 512; // Larger canvas for better resolution
     canvas.height = 128;
     
-    // Draw text on canvas with larger, more visible font
-    context.fillStyle = '#ffffff';
+    // Draw text on canvas with larger, more visible font, in the team color if there is one
+    context.fillStyle = this.team ? TEAMS[this.team].color : '#ffffff';
     context.font = 'Bold 42px Arial';
     context.textAlign = 'center';
     
@@ -886,6 +949,9 @@ export class Vehicle {
     
     // Create health bar after setting the name
     this.createHealthBar(); // createHealthBar will also use modelScale
+
+    // A new mesh (e.g. after a transformation) needs the flag marker again
+    this.updateFlagMarker();
   }
   
   /**
@@ -916,6 +982,20 @@ export class Vehicle {
     });
     const background = new THREE.Mesh(bgGeometry, bgMaterial);
     this.healthBar.add(background);
+
+    // Frame the bar in the team color, so teammates can be told apart at a glance
+    if (this.team) {
+      const frameGeometry = new THREE.PlaneGeometry(4.3, 0.7);
+      const frameMaterial = new THREE.MeshBasicMaterial({
+        color: TEAMS[this.team].color,
+        depthTest: false,
+        depthWrite: false,
+        side: THREE.DoubleSide
+      });
+      const frame = new THREE.Mesh(frameGeometry, frameMaterial);
+      frame.position.z = -0.01; // Slightly behind background
+      this.healthBar.add(frame);
+    }
     
     // Create foreground health bar
     const fgGeometry = new THREE.PlaneGeometry(4, 0.4);
@@ -1,18 +1,21 @@
 import * as THREE from 'three';
 import { createPickupMesh } from '../pickups/PickupMeshFactory';
 import { VEHICLES } from '../vehicles/VehicleConfig';
+import { getWeapon, stepProjectile } from 'vehicular-combat-shared';
 
 export class Projectile {
     constructor(type, position, direction, owner) {
         this.type = type;
         this.owner = owner;
-        this.speed = type === 'specialAttack' ? 1 : 2;
-        this.damage = type === 'specialAttack' ? 50 : 5;
+        // Speed, damage, lifetime and range come from the shared weapon table the server uses
+        const weapon = getWeapon(type) || getWeapon('machineGun');
+        this.speed = weapon.speed;
+        this.damage = weapon.damage;
         this.target = null;
-        this.lifeTime = type === 'specialAttack' ? 4500 : 3000; // Increased from 3000 to 4500 for special attacks (50% increase)
+        this.lifeTime = weapon.lifetime;
         this.spawnTime = Date.now();
         this.startPosition = position.clone(); // Store start position to calculate distance
-        this.maxDistance = type === 'specialAttack' ? 75 : 50; // Increased from 50 to 75 for special attacks (50% increase)
+        this.maxDistance = weapon.maxDistance;
 
         // Create mesh using the same mesh as pickups
         this.mesh = this.createMesh(type);
@@ -20,6 +23,18 @@ export class Projectile {
         this.direction = direction.normalize();
         this.mesh.lookAt(position.clone().add(direction));
 
+        // Flight state for the shared simulation; position and direction are live references
+        this.flight = {
+            position: this.mesh.position,
+            direction: this.direction,
+            startPosition: this.startPosition,
+            spawnTime: this.spawnTime,
+            speed: this.speed,
+            lifetime: this.lifeTime,
+            maxDistance: this.maxDistance,
+            homing: type === 'specialAttack'
+        };
+
         // Scale down the mesh since pickup meshes are larger
         this.mesh.scale.set(2, 2, 2);
     }
@@ -588,40 +603,15 @@ export class Projectile {
     }
 
     update(delta, boss) {
-        if (this.type === 'specialAttack' && boss && boss.mesh) {
-            // Home in on boss only if boss exists and has a mesh
-            const toTarget = new THREE.Vector3()
-                .subVectors(boss.mesh.position, this.mesh.position)
-                .normalize();
-
-            // Gradual turning
-            this.direction.lerp(toTarget, 0.1).normalize();
+        // Home in on boss only if boss exists and has a mesh
+        const target = boss && boss.mesh ? boss.mesh.position : null;
+        const alive = stepProjectile(this.flight, delta, Date.now(), target);
 
-            // Update orientation
+        // Update orientation
+        if (this.flight.homing && target) {
             this.mesh.lookAt(this.mesh.position.clone().add(this.direction));
         }
 
-        // Move projectile
-        const movement = this.direction.clone().multiplyScalar(this.speed * delta * 60);
-        this.mesh.position.add(movement);
-
-        // Check if lifetime expired (force strict time limit)
-        const elapsed = Date.now() - this.spawnTime;
-        if (elapsed >= this.lifeTime) {
-            return false;
-        }
-
-        // Check if projectile is moving too slowly (very minimal movement threshold)
-        if (movement.lengthSq() < 0.0001) {
-            return false;
-        }
-
-        // Check if projectile has exceeded maximum travel distance
-        const distanceTraveled = this.mesh.position.distanceTo(this.startPosition);
-        if (distanceTraveled > this.maxDistance) {
-            return false;
-        }
-
-        return true;
+        return alive;
     }
 } 
\ No newline at end of file
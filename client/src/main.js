@@ -4,19 +4,34 @@ import { setupVehicleSelection, cleanupVehicleSelection } from './components/Veh
 import { createRenderer, createScene, createCamera, updateCamera } from './game/core/Renderer';
 import { initializeGameState } from './game/core/GameState';
 import { setupPortals } from './game/map/Portal';
-import { checkForPortalParameters, shouldAutoStart } from './utils/UrlUtils';
+import { checkForPortalParameters, shouldAutoStart, getRoomFromUrl, getSnapshotEncodingFromUrl, isNetDebugEnabled } from './utils/UrlUtils';
 import { createAerialCamera, updateAerialCamera } from './game/core/AerialCamera';
-import { initializeRespawn, startRespawn, updateRespawn, createRespawnUI } from './game/core/Respawn';
+import { initializeRespawn, startRespawn, updateRespawn, completeRespawn, createRespawnUI } from './game/core/Respawn';
 import { createMap } from './game/map/Map';
 import { Vehicle } from './game/vehicles/Vehicle';
 import { VEHICLES } from './game/vehicles/VehicleConfig';
 import { createVehicleMesh } from './game/vehicles/VehicleMeshFactory';
 import { createPickupMesh } from './game/pickups/PickupMeshFactory';
 import { EasterEggPickup } from './game/pickups/EasterEggPickup';
+import { CaptureFlag } from './game/pickups/CaptureFlag';
+import { HillZone } from './game/map/HillZone';
 import { GameUI } from './game/ui/GameUI';
 import { createBossMesh, createBossInstance } from './game/boss/BossMeshFactory';
 import { Projectile } from './game/weapons/Projectile';
 import { setupControls } from './game/core/Controls';
+import { SnapshotInterpolator } from './game/network/SnapshotInterpolation';
+import { ClientPrediction } from './game/network/ClientPrediction';
+import { WorldSnapshotReceiver } from './game/network/WorldSnapshots';
+import { RewindDebugOverlay } from './game/network/RewindDebugOverlay';
+import { ClockSync } from './game/network/ClockSync';
+import { NetworkStats } from './game/network/NetworkStats';
+import { NetworkOverlay } from './game/ui/NetworkOverlay';
+import { createMovementState, createFixedTimestep } from 'vehicular-combat-shared';
+import { loadSession, saveSession, updateSession, clearSession } from './utils/SessionUtils';
+
+// Flight of the pickups the boss drops, from the boss to where they land
+const PICKUP_FLIGHT_DURATION = 1000; // ms
+const PICKUP_FLIGHT_HEIGHT = 8;
 
 // Initialize core components
 let renderer, scene, camera, aerialCamera;
@@ -31,11 +46,16 @@ let gameState = {
   useAerialCamera: true, // Start with aerial view
   bossMesh: null,
   projectiles: [],
-  // Boss respawn settings
-  bossRespawnTimer: null,
-  bossRespawning: false,
-  gracePeriodDuration: 30, // 30 seconds grace period
-  respawnWarningDuration: 5,  // 5 seconds warning
+  // Deadlines of the room's timers (boss, pickups, Easter Egg) in server time, from 'timers'
+  timers: null,
+  // Phase, round clock and score of the room's match, from 'matchState'
+  match: null,
+  // Capture the flag: the flags as the server last sent them in 'flagState', and their meshes by team
+  flagState: null,
+  flags: new Map(),
+  // King of the hill: the scoring zone as the server last sent it in 'zoneState', and its ring
+  zone: null,
+  hillZone: null,
   deathCount: 0
 };
 
@@ -54,6 +74,40 @@ const socket = io(socketUrl, {
 // Add to game state initialization
 window.gameUI = new GameUI();
 
+// Buffers server snapshots so remote players and the boss move smoothly
+const snapshotInterpolator = new SnapshotInterpolator();
+
+// Predicts local movement from inputs and reconciles it with the server
+const clientPrediction = new ClientPrediction();
+
+// Rebuilds full world snapshots from the server's binary deltas
+const worldSnapshots = new WorldSnapshotReceiver();
+
+// Estimates the server's clock, so server deadlines count down the same everywhere
+const clockSync = new ClockSync();
+
+// Counts our traffic per event type; the network overlay (F3) compares it with the server's counts
+const networkStats = new NetworkStats();
+networkStats.attach(socket);
+const networkOverlay = new NetworkOverlay({
+  socket,
+  clockSync,
+  interpolator: snapshotInterpolator,
+  networkStats
+});
+
+// Local movement runs on the shared fixed timestep; render frames just accumulate time
+const localTimestep = createFixedTimestep();
+
+// Shows the server's rewound hit boxes for our shots; only with ?debug=net
+let rewindDebugOverlay = null;
+
+// Our player ID on the server; survives reconnects, unlike socket.id
+let localPlayerId = null;
+
+// Join payload, re-sent with the session token every time the socket (re)connects
+let joinPayload = null;
+
 // Make socket available globally
 window.socket = socket;
 
@@ -62,6 +116,10 @@ function init() {
   // Setup Three.js core
   renderer = createRenderer();
   scene = createScene();
+  if (isNetDebugEnabled()) {
+    rewindDebugOverlay = new RewindDebugOverlay(scene);
+    networkOverlay.setVisible(true);
+  }
   camera = createCamera();
   aerialCamera = createAerialCamera();
   
@@ -88,6 +146,10 @@ function init() {
   // Check for portal parameters
   const portalParams = checkForPortalParameters();
 
+  // Session this tab was playing before a reload, if it is for the same room
+  const savedSession = loadSession();
+  const canResume = savedSession && savedSession.room === getRoomFromUrl() && savedSession.vehicle;
+
   // If coming from a portal, skip vehicle selection and start immediately
   if (portalParams && portalParams.portal) {
     // Always use 'roadkill' as the default vehicle type, regardless of what's in the params
@@ -99,6 +161,9 @@ function init() {
     
     // Start game with portal parameters
     startGameWithPortalParams(vehicleType, playerName, portalParams);
+  } else if (canResume) {
+    // Go straight back into the match; the server restores the player if the session is still alive
+    selectVehicleAndJoinGame(savedSession.vehicle, savedSession.username);
   } else {
     // Show vehicle selection UI
     setupVehicleSelection(selectVehicleAndJoinGame, portalParams);
@@ -107,6 +172,13 @@ function init() {
   // Handle window resize
   window.addEventListener('resize', onWindowResize);
 
+  // R readies up for the next match
+  window.addEventListener('keydown', (event) => {
+    if (event.key === 'r' || event.key === 'R') {
+      toggleReady();
+    }
+  });
+
   // Start animation loop immediately for instant loading experience
   animate(0);
 }
@@ -140,24 +212,8 @@ function startGameWithPortalParams(vehicleType, playerName, portalParams) {
     );
   }
 
-  // Extend vehicle handleDeath method to trigger respawn
-  if (gameState.localPlayer && gameState.localPlayer.vehicle) {
-    const originalHandleDeath = gameState.localPlayer.vehicle.handleDeath;
-    gameState.localPlayer.vehicle.handleDeath = function () {
-      // Only call startRespawn if not already respawning
-      if (!gameState.respawn || !gameState.respawn.active) {
-        originalHandleDeath.call(this);
-
-        // Trigger respawn and switch to aerial view
-        gameState.useAerialCamera = true;
-        startRespawn(gameState);
-        
-        console.log('Started respawn after death');
-      } else {
-        console.log('Ignoring duplicate death call - respawn already active');
-      }
-    };
-  }
+  // Hook the local vehicle's damage and death handling up to the server
+  attachLocalVehicleHandlers();
 
   // Setup portals
   gameState.portals = setupPortals(scene);
@@ -165,19 +221,22 @@ function startGameWithPortalParams(vehicleType, playerName, portalParams) {
   // Setup socket handlers
   setupSocketHandlers();
 
-  // Connect socket
-  socket.connect();
-
-  // Join game with selected vehicle
-  socket.emit('join', {
+  // Join game with selected vehicle once connected
+  joinPayload = {
     username: playerName || 'Player',
     vehicle: vehicleType,
-    fromPortal: true
-  });
+    fromPortal: true,
+    room: getRoomFromUrl(),
+    snapshotEncoding: getSnapshotEncodingFromUrl(),
+    debugStats: isNetDebugEnabled()
+  };
+
+  // Connect socket
+  socket.connect();
 }
 
-// Vehicle selection callback
-function selectVehicleAndJoinGame(vehicleType, playerName) {
+// Vehicle selection callback; team is the one picked for team modes, or null to be auto-balanced
+function selectVehicleAndJoinGame(vehicleType, playerName, team = null) {
   // Hide vehicle selection UI
   document.getElementById('vehicle-selection').style.display = 'none';
 
@@ -216,24 +275,8 @@ function selectVehicleAndJoinGame(vehicleType, playerName) {
     );
   }
 
-  // Extend vehicle handleDeath method to trigger respawn
-  if (gameState.localPlayer && gameState.localPlayer.vehicle) {
-    const originalHandleDeath = gameState.localPlayer.vehicle.handleDeath;
-    gameState.localPlayer.vehicle.handleDeath = function () {
-      // Only call startRespawn if not already respawning
-      if (!gameState.respawn || !gameState.respawn.active) {
-        originalHandleDeath.call(this);
-
-        // Trigger respawn and switch to aerial view
-        gameState.useAerialCamera = true;
-        startRespawn(gameState);
-        
-        console.log('Started respawn after death');
-      } else {
-        console.log('Ignoring duplicate death call - respawn already active');
-      }
-    };
-  }
+  // Hook the local vehicle's damage and death handling up to the server
+  attachLocalVehicleHandlers();
 
   // Setup portals
   gameState.portals = setupPortals(scene);
@@ -241,14 +284,86 @@ function selectVehicleAndJoinGame(vehicleType, playerName) {
   // Setup socket handlers
   setupSocketHandlers();
 
+  // Join game with selected vehicle once connected
+  joinPayload = {
+    username: playerName || 'Player',
+    vehicle: vehicleType,
+    team,
+    room: getRoomFromUrl(),
+    snapshotEncoding: getSnapshotEncodingFromUrl(),
+    debugStats: isNetDebugEnabled()
+  };
+
   // Connect socket
   socket.connect();
+}
 
-  // Join game with selected vehicle
-  socket.emit('join', {
-    username: playerName || 'Player',
-    vehicle: vehicleType
+/**
+ * Apply the server's copy of our player after resuming a session, so health,
+ * ammo and deaths carry over a reload or dropped connection. Position comes
+ * with the game state that follows.
+ * @param {Object} saved Player state kept by the server
+ */
+function restoreSessionState(saved) {
+  if (!gameState.localPlayer || !gameState.localPlayer.vehicle) return;
+  const vehicle = gameState.localPlayer.vehicle;
+
+  if (saved.vehicle !== vehicle.type) {
+    console.warn(`Resumed session is for a ${saved.vehicle}, but playing a ${vehicle.type}`);
+  }
+
+  vehicle.setHealth(saved.health, saved.maxHealth);
+
+  // Limited weapons come back with the ammo they had
+  Object.entries(saved.ammo || {}).forEach(([weaponType, ammo]) => {
+    if (ammo > 0 && !vehicle.weapons.includes(weaponType)) {
+      vehicle.weapons.push(weaponType);
+    }
+    if (vehicle.weapons.includes(weaponType)) {
+      vehicle.weaponAmmo.set(weaponType, ammo);
+    }
   });
+  window.gameUI.updateWeaponSystem(vehicle.weapons, vehicle.currentWeapon, vehicle.weaponAmmo);
+
+  // Respawn delays grow with deaths, so keep counting from where we were
+  gameState.deathCount = saved.deaths;
+}
+
+/**
+ * Route the local vehicle's damage to the server and drive its death and
+ * respawn from server events, since the server owns player health
+ */
+function attachLocalVehicleHandlers() {
+  if (!gameState.localPlayer || !gameState.localPlayer.vehicle) return;
+
+  const vehicle = gameState.localPlayer.vehicle;
+
+  // Report damage instead of applying it locally; the server answers with playerHit
+  vehicle.takeDamage = function (amount) {
+    if (this.health <= 0 || this.isRespawning) {
+      return false;
+    }
+
+    socket.emit('playerDamaged', { amount });
+    return false;
+  };
+
+  // Extend vehicle handleDeath method to trigger respawn
+  const originalHandleDeath = vehicle.handleDeath;
+  vehicle.handleDeath = function (serverDeath) {
+    // Only call startRespawn if not already respawning
+    if (!gameState.respawn || !gameState.respawn.active) {
+      originalHandleDeath.call(this);
+
+      // Trigger respawn and switch to aerial view
+      gameState.useAerialCamera = true;
+      startRespawn(gameState, serverDeath);
+      
+      console.log('Started respawn after death');
+    } else {
+      console.log('Ignoring duplicate death call - respawn already active');
+    }
+  };
 }
 
 // Initialize game state with portal parameters
@@ -321,19 +436,124 @@ function initializeGameWithPortal(scene, vehicleType, playerName, socket, gameSt
 function setupSocketHandlers() {
   socket.on('connect', () => {
     console.log('Connected to server with ID:', socket.id);
+    clockSync.start(socket);
+
+    // The server counts each socket's traffic from zero, so we do too
+    networkStats.reset();
+    if (networkOverlay.visible) {
+      networkOverlay.requestServerStats();
+    }
+
+    // (Re)join; after a dropped connection the token gets our old player back
+    if (joinPayload) {
+      const session = loadSession();
+      socket.emit('join', {
+        ...joinPayload,
+        sessionToken: session && session.room === joinPayload.room ? session.token : null
+      });
+    }
+  });
+
+  socket.on('session', (data) => {
+    localPlayerId = data.playerId;
+    if (gameState.localPlayer) {
+      gameState.localPlayer.id = data.playerId;
+    }
+
+    saveSession({
+      token: data.token,
+      playerId: data.playerId,
+      room: joinPayload.room,
+      vehicle: data.resumed ? data.player.vehicle : joinPayload.vehicle,
+      username: joinPayload.username
+    });
+
+    if (data.resumed) {
+      console.log('Resumed previous session as', data.playerId);
+      restoreSessionState(data.player);
+    }
   });
 
   socket.on('disconnect', () => {
     console.log('Disconnected from server');
+    clockSync.stop();
+  });
+
+  // Sent by the server's operators to everyone, or to our room
+  socket.on('serverAnnouncement', (data) => {
+    window.gameUI.showAnnouncement(data.message);
+  });
+
+  // An operator removed us; the server disconnects right after and we don't reconnect
+  socket.on('kicked', (data) => {
+    clearSession();
+    window.gameUI.showAnnouncement(`Removed from the game: ${data.reason}`, null);
+  });
+
+  socket.on('timeSync', (data) => {
+    clockSync.handleReply(data);
+  });
+
+  // Only sent while the network overlay is open
+  socket.on('netStats', (stats) => {
+    networkOverlay.handleServerStats(stats);
+  });
+
+  // Sent on joining and whenever one of the room's timers starts or stops
+  socket.on('timers', (timers) => {
+    gameState.timers = timers;
+  });
+
+  // Sent on joining and whenever the match changes phase, score or ready players
+  socket.on('matchState', (match) => {
+    gameState.match = match;
+  });
+
+  // Only sent in capture the flag: on joining and whenever a flag is taken, dropped, returned or captured
+  socket.on('flagState', (flags) => {
+    applyFlagState(flags);
+  });
+
+  socket.on('flagEvent', (event) => {
+    window.gameUI.showFlagEvent(event, getUsername(event.playerId), localPlayerId);
+  });
+
+  // Only sent in king of the hill: on joining and whenever the zone moves or someone enters or leaves it
+  socket.on('zoneState', (zone) => {
+    gameState.zone = zone;
+    if (!gameState.hillZone) {
+      gameState.hillZone = new HillZone(scene);
+    }
+    gameState.hillZone.setState(zone, localPlayerId);
   });
 
   socket.on('gameState', (state) => {
     console.log('Received game state:', state);
 
+    // Snapshot numbering starts over with every join
+    worldSnapshots.reset();
+
+    // The state lists everyone in the match, so drop remote players left over from before a reconnect
+    for (const [id, player] of gameState.players) {
+      if (player !== gameState.localPlayer) {
+        removePlayer(id, scene, gameState);
+        snapshotInterpolator.clear(id);
+      }
+    }
+
     // Initialize other players from received state
     state.players.forEach(playerData => {
-      if (playerData.id !== socket.id) {
+      worldSnapshots.registerPlayer(playerData.netId, playerData.id);
+      if (playerData.id !== localPlayerId) {
         addPlayer(playerData, scene, gameState);
+      } else if (gameState.localPlayer && gameState.localPlayer.vehicle) {
+        // The server picks our team and spawn point
+        gameState.localPlayer.team = playerData.team || null;
+        gameState.localPlayer.vehicle.setTeam(playerData.team);
+        gameState.localPlayer.vehicle.setMovementState(
+          createMovementState(playerData.position, playerData.rotation.y || 0)
+        );
+        clientPrediction.reset();
       }
     });
 
@@ -373,12 +593,16 @@ function setupSocketHandlers() {
         // Update UI
         window.gameUI.updateBossHealth(state.boss.health, state.boss.maxHealth);
       }
+    } else if (gameState.boss) {
+      // No round is live, so there is no boss to fight yet
+      removeBoss();
     }
   });
 
   socket.on('playerJoined', (playerData) => {
     console.log('Player joined:', playerData);
-    if (playerData.id !== socket.id) {
+    worldSnapshots.registerPlayer(playerData.netId, playerData.id);
+    if (playerData.id !== localPlayerId) {
       addPlayer(playerData, scene, gameState);
     }
   });
@@ -386,22 +610,97 @@ function setupSocketHandlers() {
   socket.on('playerLeft', (playerId) => {
     console.log('Player left:', playerId);
     removePlayer(playerId, scene, gameState);
+    snapshotInterpolator.clear(playerId);
+    worldSnapshots.unregisterPlayer(playerId);
+  });
+
+  socket.on('worldSnapshot', (data) => {
+    const snapshot = worldSnapshots.receive(data);
+    if (!snapshot) return;
+
+    // Our own movement comes back as an input acknowledgement
+    if (snapshot.inputAck && gameState.localPlayer && gameState.localPlayer.vehicle && !gameState.localPlayer.vehicle.isRespawning) {
+      clientPrediction.reconcile(gameState.localPlayer.vehicle, snapshot.inputAck);
+    }
+
+    // Buffer everyone else; remote vehicles and the boss are moved during updateGame
+    snapshot.entities.forEach(entity => {
+      if (entity.id === localPlayerId) return;
+
+      if (entity.id === 'boss') {
+        if (gameState.boss && gameState.boss.mesh) {
+          snapshotInterpolator.addSnapshot('boss', entity);
+        }
+        return;
+      }
+
+      const player = gameState.players.get(entity.id);
+      if (player && player.vehicle) {
+        snapshotInterpolator.addSnapshot(entity.id, entity);
+      }
+    });
+  });
+
+  // Only sent when joining with ?debug=net
+  socket.on('interestStats', (stats) => {
+    gameState.interestStats = stats;
+  });
+
+  // Only sent when joining with ?debug=net
+  socket.on('rewindDebug', (data) => {
+    if (rewindDebugOverlay) {
+      rewindDebugOverlay.show(data);
+    }
   });
 
-  socket.on('playerMoved', (data) => {
+  socket.on('playerHit', (data) => {
+    setPlayerHealth(data.id, data.health, data.maxHealth);
+  });
+
+  socket.on('playerHealthChanged', (data) => {
+    setPlayerHealth(data.id, data.health, data.maxHealth);
+  });
+
+  socket.on('playerDied', (data) => {
+    console.log('Player died:', data);
+
+    if (data.id === localPlayerId && gameState.localPlayer) {
+      // Server confirmed our death: show the respawn countdown it decided on
+      gameState.localPlayer.vehicle.health = 0;
+      gameState.localPlayer.vehicle.handleDeath({
+        deaths: data.deaths,
+        respawnDelay: data.respawnDelay,
+        respawnAt: clockSync.toLocalTime(data.respawnAt)
+      });
+      return;
+    }
+
     const player = gameState.players.get(data.id);
     if (player && player.vehicle) {
-      // Update remote player position and rotation
-      player.vehicle.mesh.position.set(
-        data.position.x,
-        data.position.y,
-        data.position.z
-      );
-      player.vehicle.mesh.rotation.set(
-        data.rotation._x || 0,
-        data.rotation._y || data.rotation.y || 0,
-        data.rotation._z || 0
-      );
+      player.vehicle.setHealth(0);
+      player.vehicle.createDeathAnimation(scene);
+    }
+  });
+
+  socket.on('playerRespawned', (data) => {
+    console.log('Player respawned:', data);
+
+    if (data.id === localPlayerId && gameState.localPlayer) {
+      completeRespawn(gameState, scene, data);
+      clientPrediction.reset();
+      return;
+    }
+
+    const player = gameState.players.get(data.id);
+    if (player && player.vehicle) {
+      // Don't interpolate from where the player died
+      snapshotInterpolator.clear(data.id);
+      player.vehicle.mesh.position.set(data.position.x, data.position.y, data.position.z);
+      player.vehicle.mesh.rotation.set(0, data.rotation.y || 0, 0);
+      player.vehicle.setHealth(data.health, data.maxHealth);
+      if (!player.vehicle.mesh.parent) {
+        scene.add(player.vehicle.mesh);
+      }
     }
   });
 
@@ -438,7 +737,7 @@ function setupSocketHandlers() {
         gameState.pickups.splice(pickupIndex, 1); // Remove from array
 
         // If collected by local player, apply effect
-        if (data.playerId === socket.id && gameState.localPlayer) {
+        if (data.playerId === localPlayerId && gameState.localPlayer) {
             gameState.localPlayer.vehicle.handlePickupCollection(data.type);
 
             // Force immediate UI update
@@ -522,34 +821,32 @@ function setupSocketHandlers() {
   socket.on('bossStateChanged', (data) => {
     if (gameState.boss) {
       gameState.boss.state = data.state;
-      // You can add visual effects based on state here
+      gameState.boss.setState(data.state);
+      gameState.boss.target = findPlayer(data.targetId);
+
+      // Retreating heals the boss, so the server resends its health with every state change
+      gameState.boss.health = data.health;
+      gameState.boss.maxHealth = data.maxHealth;
+      window.gameUI.updateBossHealth(data.health, data.maxHealth, gameState.boss.level);
     }
   });
 
-  socket.on('bossPositionUpdated', (data) => {
-    if (gameState.boss && gameState.boss.mesh) {
-      // Smoothly update boss position
-      // Use lerp for smoother movement
-      const targetPosition = new THREE.Vector3(
-        data.position.x,
-        data.position.y || 0.2,
-        data.position.z
-      );
-      
-      // Use lerp to smooth the movement (avoid teleporting)
-      gameState.boss.mesh.position.lerp(targetPosition, 0.1);
-      
-      // Get the target rotation
-      const targetRotation = {
-        x: data.rotation._x || 0,
-        y: data.rotation._y || data.rotation.y || 0,
-        z: data.rotation._z || 0
-      };
-      
-      // Smooth rotation by lerping each component
-      gameState.boss.mesh.rotation.x += (targetRotation.x - gameState.boss.mesh.rotation.x) * 0.1;
-      gameState.boss.mesh.rotation.y += (targetRotation.y - gameState.boss.mesh.rotation.y) * 0.1;
-      gameState.boss.mesh.rotation.z += (targetRotation.z - gameState.boss.mesh.rotation.z) * 0.1;
+  socket.on('bossTargetChanged', (data) => {
+    if (gameState.boss) {
+      gameState.boss.target = findPlayer(data.targetId);
+    }
+  });
+
+  // The server runs the boss's attacks and deals their damage; clients play them back
+  socket.on('bossAttack', (data) => {
+    if (gameState.boss) {
+      gameState.boss.playAttack(data, findPlayer);
+    }
+  });
+
+  socket.on('bossAttackImpact', (data) => {
+    if (gameState.boss) {
+      gameState.boss.resolveAttackImpact(data);
     }
   });
 
@@ -589,11 +886,23 @@ function setupSocketHandlers() {
     }
   });
 
+  // An operator changed the boss's level; it keeps the same fraction of its health
+  socket.on('bossLevelChanged', (data) => {
+    if (gameState.boss) {
+      gameState.boss.health = data.health;
+      gameState.boss.maxHealth = data.maxHealth;
+      gameState.boss.level = data.level;
+    }
+    window.gameUI.updateBossHealth(data.health, data.maxHealth, data.level);
+  });
+
   socket.on('bossDefeated', (data) => {
     console.log('Server reported boss defeated by player:', data?.killerId);
     
     // Only play the death animation if we still have a boss reference
     if (gameState.boss && gameState.boss.mesh) {
+      gameState.boss.clearAttacks();
+
       console.log('Playing boss death animation');
       // Play death animation
       createBossDeathAnimation(gameState.boss.mesh, scene);
@@ -602,25 +911,28 @@ function setupSocketHandlers() {
     // Clear boss references
     gameState.boss = null;
     gameState.bossMesh = null;
+    snapshotInterpolator.clear('boss');
     
     // Update UI - pass undefined for level since boss is defeated
     window.gameUI.updateBossHealth(0, 100, undefined);
     
-    // Start the client-side respawn notification timer sequence
-    startBossRespawnTimer(); 
-    
-    // Local clients don't need to start respawn timer - the server will handle this
-    // and send a bossRespawned event when ready
+    // The respawn countdown follows the deadline in the 'timers' event that comes with this;
+    // the server sends bossRespawned when it is up
     console.log('Waiting for server to respawn boss...');
   });
 
+  // The round ended with the boss still alive
+  socket.on('bossRemoved', () => {
+    removeBoss();
+  });
+
   socket.on('projectileFired', (data) => {
     console.log('Received projectileFired event:', data);
 
     let owner = null;
     
     // Check if this is the local player's projectile
-    if (data.playerId === socket.id && gameState.localPlayer) {
+    if (data.playerId === localPlayerId && gameState.localPlayer) {
       // Use local player's vehicle directly for better first-person view
       owner = gameState.localPlayer.vehicle;
     } else {
@@ -637,14 +949,28 @@ function setupSocketHandlers() {
       owner
     );
 
+    // Server-issued id, so the server's impact can remove this copy
+    projectile.id = data.projectileId;
+
     console.log('Created projectile:', projectile);
 
     scene.add(projectile.mesh);
     gameState.projectiles.push(projectile);
   });
 
+  // The server decides what projectiles hit; our copies are only for show
+  socket.on('projectileImpact', (data) => {
+    gameState.projectiles = gameState.projectiles.filter(projectile => {
+      if (projectile.id !== data.projectileId) return true;
+
+      scene.remove(projectile.mesh);
+      return false;
+    });
+  });
+
   socket.on('bossRespawned', (data) => {
     console.log('Boss respawned:', data);
+    snapshotInterpolator.clear('boss');
     
     // If we already have a local boss instance, just update its properties
     if (gameState.boss && gameState.boss.takeDamage) {
@@ -762,7 +1088,7 @@ function setupSocketHandlers() {
   // Handler for remote player transformation
   socket.on('playerTransformed', (data) => {
       console.log('Player transformed event received:', data);
-      if (data.playerId !== socket.id) {
+      if (data.playerId !== localPlayerId) {
           const player = gameState.players.get(data.playerId);
           if (player && player.vehicle) {
               console.log(`Transforming remote player ${player.id} to ${data.newVehicleType}`);
@@ -801,7 +1127,8 @@ function addPlayer(playerData, scene, gameState) {
   // Create new vehicle for player
   const vehicle = new Vehicle(playerData.vehicle);
 
-  // Set player name on the vehicle
+  // Set player name on the vehicle, in their team's color in team modes
+  vehicle.setTeam(playerData.team);
   vehicle.setPlayerName(playerData.username || 'Player');
 
   // Set position if provided
@@ -822,19 +1149,61 @@ function addPlayer(playerData, scene, gameState) {
     );
   }
 
+  // Remote vehicles only show the health the server sends
+  vehicle.isRemote = true;
+  if (typeof playerData.health === 'number') {
+    vehicle.setHealth(playerData.health, playerData.maxHealth);
+  }
+
   // Create player object
   const player = {
     id: playerData.id,
     username: playerData.username,
+    team: playerData.team || null,
     vehicle: vehicle,
     isLocal: false
   };
 
-  // Add to scene and game state
-  scene.add(vehicle.mesh);
+  // Add to scene (dead players appear when the server respawns them) and game state
+  if (playerData.alive !== false) {
+    scene.add(vehicle.mesh);
+  }
   gameState.players.set(player.id, player);
 }
 
+/**
+ * Apply server-owned health to a player's vehicle
+ * @param {string} playerId ID of the player
+ * @param {number} health Current health
+ * @param {number} maxHealth Max health
+ */
+function setPlayerHealth(playerId, health, maxHealth) {
+  const player = findPlayer(playerId);
+  if (player && player.vehicle) {
+    player.vehicle.setHealth(health, maxHealth);
+  }
+}
+
+/**
+ * Look up a player by server ID, including the local player
+ * @param {string|null} playerId ID of the player
+ * @returns {Object|null} Player, or null if unknown
+ */
+function findPlayer(playerId) {
+  if (!playerId) return null;
+  return (playerId === localPlayerId ? gameState.localPlayer : gameState.players.get(playerId)) || null;
+}
+
+/**
+ * Name of a player by server ID, for messages
+ * @param {string|null} playerId ID of the player
+ * @returns {string} Username, or 'Someone' if unknown
+ */
+function getUsername(playerId) {
+  const player = findPlayer(playerId);
+  return (player && player.username) || 'Someone';
+}
+
 function removePlayer(playerId, scene, gameState) {
   const player = gameState.players.get(playerId);
   if (player) {
@@ -892,30 +1261,38 @@ function updateGame(delta, time) {
   
   // Update local player
   if (gameState.localPlayer && gameState.localPlayer.vehicle) {
-    // Update vehicle
-    gameState.localPlayer.vehicle.update(delta, gameState.map, gameState);
-
-    // Send position updates to server
-    socket.emit('updatePosition', {
-      position: {
-        x: gameState.localPlayer.vehicle.mesh.position.x,
-        y: gameState.localPlayer.vehicle.mesh.position.y,
-        z: gameState.localPlayer.vehicle.mesh.position.z
-      },
-      rotation: {
-        _x: gameState.localPlayer.vehicle.mesh.rotation.x,
-        _y: gameState.localPlayer.vehicle.mesh.rotation.y,
-        _z: gameState.localPlayer.vehicle.mesh.rotation.z
+    const vehicle = gameState.localPlayer.vehicle;
+
+    // Simulate in the same fixed steps as the server so replays match exactly
+    localTimestep.advance(delta, (step) => {
+      // Record this step's input before predicting its result locally
+      const input = !vehicle.isRespawning && socket.connected
+        ? clientPrediction.recordInput(vehicle, step)
+        : null;
+
+      // Update vehicle
+      vehicle.update(step, gameState.map, gameState);
+
+      // Send the input to the server, which simulates the authoritative movement
+      if (input) {
+        socket.emit('playerInput', { ...input, snapshotAck: worldSnapshots.takeAck() });
       }
     });
 
+    // Keep acknowledging snapshots while no inputs are going out
+    if (socket.connected && worldSnapshots.needsAck()) {
+      socket.emit('snapshotAck', worldSnapshots.takeAck());
+    }
+
     // Update camera
     updateCameraPosition();
   }
 
   // Update other players
   for (const [id, player] of gameState.players) {
-    if (id !== socket.id && player.vehicle) {
+    if (player !== gameState.localPlayer && player.vehicle) {
+      // Move to the interpolated server position before updating collision boxes
+      snapshotInterpolator.apply(id, player.vehicle.mesh, delta);
       player.vehicle.update(delta, gameState.map, gameState);
     }
   }
@@ -923,6 +1300,16 @@ function updateGame(delta, time) {
   // Update pickups
   updatePickups(delta, time);
 
+  // Count down to the server's deadlines on its clock
+  window.gameUI.updateTimers(gameState.timers, clockSync.now());
+  window.gameUI.updateMatch(gameState.match, clockSync.now(), localPlayerId);
+  window.gameUI.updateFlags(gameState.flagState, clockSync.now(), localPlayerId, getUsername);
+  window.gameUI.updateZone(gameState.zone, gameState.match, clockSync.now(), localPlayerId, getUsername);
+
+  if (rewindDebugOverlay) {
+    rewindDebugOverlay.update(performance.now());
+  }
+
   // DIRECT BOSS UPDATE - Ensure the boss gets updated with all players
   if (gameState.boss && gameState.boss.update) {
     // Create array of all players (including local player)
@@ -945,6 +1332,9 @@ function updateGame(delta, time) {
     
     // Call the boss's update method with the player array
     gameState.boss.update(allPlayers, delta, time);
+
+    // The server owns boss movement, so override local roaming with its interpolated position
+    snapshotInterpolator.apply('boss', gameState.boss.mesh, delta);
   }
 
   // Check for boss-vehicle collisions
@@ -971,6 +1361,11 @@ function updateGame(delta, time) {
     gameState.easterEggPickup.update(delta);
   }
 
+  gameState.flags.forEach(flag => flag.update(time));
+  if (gameState.hillZone) {
+    gameState.hillZone.update(time);
+  }
+
   // Check for pickup collisions (including Easter Egg)
   if (gameState.localPlayer && gameState.localPlayer.vehicle) {
     const vehicle = gameState.localPlayer.vehicle;
@@ -1018,9 +1413,12 @@ function updateGame(delta, time) {
                 
                 // Notify the server about the transformation, which will broadcast to other players
                 socket.emit('playerTransformed', {
-                    playerId: socket.id,
+                    playerId: localPlayerId,
                     newVehicleType: 'sweetTooth'
                 });
+
+                // A resumed session comes back as the transformed vehicle
+                updateSession({ vehicle: 'sweetTooth' });
                 
                 console.log("Emitted playerTransformed event to server");
             }
@@ -1028,7 +1426,7 @@ function updateGame(delta, time) {
     }
 
     // Check regular pickups (server-synced)
-    gameState.pickups.forEach((pickup, index) => {
+    gameState.pickups.forEach(pickup => {
       if (pickup && pickup.mesh) {
         // Create a box for pickup collision detection
         const pickupBox = new THREE.Box3().setFromObject(pickup.mesh);
@@ -1036,30 +1434,11 @@ function updateGame(delta, time) {
         if (vehicle.collisionBox.intersectsBox(pickupBox)) {
           console.log('Player collected pickup:', pickup);
           
-          // Handle locally spawned pickups from boss death
-          if (pickup.isBossPickup) {
-            // Remove from scene immediately
-            scene.remove(pickup.mesh);
-            
-            // Remove from game state array
-            gameState.pickups.splice(index, 1);
-            
-            // Apply effect to player
-            vehicle.handlePickupCollection(pickup.type);
-            
-            // Update UI
-            window.gameUI.updateWeaponSystem(
-              vehicle.weapons,
-              vehicle.currentWeapon,
-              vehicle.weaponAmmo
-            );
-          } else {
-            // Server-synced pickups - notify server
-            socket.emit('collectPickup', {
-              pickupId: pickup.id,
-              type: pickup.type
-            });
-          }
+          // Pickups are server-synced; the server applies them if we are close enough
+          socket.emit('collectPickup', {
+            pickupId: pickup.id,
+            type: pickup.type
+          });
         }
       }
     });
@@ -1070,38 +1449,13 @@ function updateGame(delta, time) {
     // Update projectile position
     const alive = projectile.update(delta, gameState.boss);
 
-    // Check for boss collision
+    // Check for boss collision (cosmetic only)
     if (gameState.boss && gameState.boss.mesh) {
       const bossBox = new THREE.Box3().setFromObject(gameState.boss.mesh);
       const projectileBox = new THREE.Box3().setFromObject(projectile.mesh);
 
       if (projectileBox.intersectsBox(bossBox)) {
-        console.log('Projectile hit boss!', projectile.type, projectile.damage);
-        // Handle hit
-        if (projectile.isFreezeMissile) {
-          socket.emit('bossFreeze');
-        } else {
-          // Apply damage locally for immediate feedback
-          if (gameState.boss.takeDamage) {
-            console.log('Before damage - Boss health:', gameState.boss.health);
-            // Apply local damage for visual feedback, but let server decide if boss is actually defeated
-            gameState.boss.takeDamage(projectile.damage, projectile.owner, false); // Don't trigger death locally
-            console.log('After damage - Boss health:', gameState.boss.health);
-            
-            // Update the UI health bar
-            window.gameUI.updateBossHealth(gameState.boss.health, gameState.boss.maxHealth);
-          } else {
-            console.error('Boss has no takeDamage method!', gameState.boss);
-          }
-          
-          // ALWAYS send to server for multiplayer sync
-          socket.emit('bossHit', {
-            damage: projectile.damage,
-            projectileType: projectile.type
-          });
-        }
-
-        // Remove projectile
+        // Remove the copy where it meets the boss; the server's impact decides the damage
         scene.remove(projectile.mesh);
         return false;
       }
@@ -1149,37 +1503,20 @@ function checkPortalCollisions() {
 function updatePickups(delta, time) {
   gameState.pickups.forEach(pickup => {
     if (pickup && pickup.mesh) {
-      if (pickup.isFlying) {
-        // Apply physics to flying pickups
-        pickup.velocity.y -= 0.01; // Gravity
-        
-        // Move based on velocity
-        pickup.mesh.position.x += pickup.velocity.x;
-        pickup.mesh.position.y += pickup.velocity.y;
-        pickup.mesh.position.z += pickup.velocity.z;
-        
-        // Update position for collision detection
-        pickup.position.copy(pickup.mesh.position);
-        
-        // Check if landed (y velocity near zero and close to ground)
-        if (pickup.mesh.position.y < 1.2) {
-          // Force landing when close to ground
-          pickup.isFlying = false;
-          pickup.velocity.set(0, 0, 0);
-          pickup.mesh.position.y = 1; // Set to ground level
-          pickup.position.y = 1;
-          
-          // Make sure the pickup has a float offset for the hovering animation
-          if (!pickup.mesh.userData.floatOffset) {
-            pickup.mesh.userData.floatOffset = Math.random() * Math.PI * 2;
-          }
-          
-          console.log(`Pickup ${pickup.id} of type ${pickup.type} has landed and is ready for collection`);
-        }
-        
-        // Add spin while flying
+      if (pickup.flight) {
+        // Arc from where the boss died to where the server put the pickup
+        const progress = Math.min(1, (time - pickup.flight.startTime) / PICKUP_FLIGHT_DURATION);
+        pickup.mesh.position.lerpVectors(pickup.flight.from, pickup.position, progress);
+        pickup.mesh.position.y += Math.sin(progress * Math.PI) * PICKUP_FLIGHT_HEIGHT;
+
+        // Spin while flying
         pickup.mesh.rotation.x += 0.05;
         pickup.mesh.rotation.y += 0.1;
+
+        if (progress === 1) {
+          pickup.flight = null;
+          pickup.mesh.rotation.x = 0;
+        }
       } else {
         // Regular floating animation for landed pickups
         pickup.mesh.position.y = pickup.position.y +
@@ -1201,10 +1538,14 @@ function createPickup(pickupData) {
       pickupData.position.y,
       pickupData.position.z
     ),
-    mesh: createPickupMesh(pickupData.type)
+    mesh: createPickupMesh(pickupData.type),
+    // Pickups dropped by the boss fly out of it first
+    flight: pickupData.from
+      ? { from: new THREE.Vector3(pickupData.from.x, pickupData.from.y + 2, pickupData.from.z), startTime: performance.now() }
+      : null
   };
 
-  pickup.mesh.position.copy(pickup.position);
+  pickup.mesh.position.copy(pickup.flight ? pickup.flight.from : pickup.position);
   scene.add(pickup.mesh);
   gameState.pickups.push(pickup);
 }
@@ -1313,22 +1654,7 @@ function checkAndResolveBossCollision(bossBox, vehicle) {
         // Don't apply friction to Y component
       }
 
-      // Apply damage to vehicle on collision
-      const now = Date.now();
-      const cooldown = 1000; // 1 second between collision damage
-      
-      if (!vehicle.lastBossCollisionDamage || now - vehicle.lastBossCollisionDamage > cooldown) {
-        // Calculate damage based on boss's damage stat
-        const damage = gameState.boss ? (gameState.boss.damage || 10) : 10;
-        const isEnraged = gameState.boss && gameState.boss.state === 'enraged';
-        // Increased damage multiplier from 1.0 to 2.0 for normal state, and from 1.5 to 3.0 for enraged state
-        const finalDamage = damage * (isEnraged ? 3.0 : 2.0);
-        
-        vehicle.takeDamage(finalDamage);
-        
-        // Update collision damage timestamp
-        vehicle.lastBossCollisionDamage = now;
-      }
+      // Contact damage is dealt by the server
     }
   }
 }
@@ -1367,32 +1693,57 @@ function createBoss(scene, gameState) {
   window.gameUI.updateBossHealth(boss.health, boss.maxHealth, level);
 }
 
-// First, add a function to handle boss respawning logic
-function startBossRespawnTimer() {
-  if (gameState.bossRespawnTimer) {
-    clearTimeout(gameState.bossRespawnTimer);
+/**
+ * Take the boss off the map without a death animation
+ */
+function removeBoss() {
+  if (gameState.boss) {
+    if (gameState.boss.clearAttacks) {
+      gameState.boss.clearAttacks();
+    }
+    if (gameState.boss.mesh) {
+      scene.remove(gameState.boss.mesh);
+    }
   }
-  
-  // Begin respawn sequence
-  gameState.bossRespawning = true;
-  
-  // Show grace period notification with countdown
-  window.gameUI.showGracePeriod(gameState.gracePeriodDuration);
-  
-  // Schedule warning notification
-  gameState.bossRespawnTimer = setTimeout(() => {
-    // Show warning notification
-    window.gameUI.showSpawningSoon();
-    
-    // REMOVED: Client no longer creates the boss or emits respawn event
-    // The server will send 'bossRespawned' when ready.
-    // setTimeout(() => {
-    //   createBoss(scene, gameState);
-    //   gameState.bossRespawning = false;
-    //   socket.emit('bossRespawned');
-    // }, gameState.respawnWarningDuration * 1000);
-    
-  }, gameState.gracePeriodDuration * 1000);
+
+  gameState.boss = null;
+  gameState.bossMesh = null;
+  snapshotInterpolator.clear('boss');
+  window.gameUI.updateBossHealth(0, 100, undefined);
+}
+
+/**
+ * Show the flags where the server has them, and the flag each carrier carries
+ * @param {Array<Object>} flags Flags from the server's 'flagState' event
+ */
+function applyFlagState(flags) {
+  gameState.flagState = flags;
+
+  flags.forEach(flag => {
+    let captureFlag = gameState.flags.get(flag.team);
+    if (!captureFlag) {
+      captureFlag = new CaptureFlag(scene, flag.team);
+      gameState.flags.set(flag.team, captureFlag);
+    }
+    captureFlag.setState(flag);
+  });
+
+  // Carriers drive slower, so this also changes our own vehicle's top speed
+  gameState.players.forEach(player => {
+    if (!player.vehicle) return;
+    const carried = flags.find(flag => flag.carrierId === player.id);
+    player.vehicle.setCarriedFlag(carried ? carried.team : null);
+  });
+}
+
+/**
+ * Ask the server to mark us ready, or not ready any more, for the next match
+ */
+function toggleReady() {
+  const match = gameState.match;
+  if (!match || !localPlayerId || (match.phase !== 'warmup' && match.phase !== 'readyCheck')) return;
+
+  socket.emit('ready', { ready: !match.readyPlayers.includes(localPlayerId) });
 }
 
 /**
@@ -1467,9 +1818,6 @@ function createBossDeathAnimation(bossMesh, scene) {
   explosionMesh.scale.set(1, 1, 1);
   scene.add(explosionMesh);
   
-  // Spawn pickups based on player count
-  spawnDeathPickups(originalPosition);
-  
   // Add random spin to boss
   const spinAxis = new THREE.Vector3(
     Math.random() - 0.5,
@@ -1561,88 +1909,6 @@ function createBossDeathAnimation(bossMesh, scene) {
   animateExplosion();
 }
 
-/**
- * Spawn health and special attack pickups when the boss is defeated
- * @param {THREE.Vector3} position - The position to spawn pickups from
- */
-function spawnDeathPickups(position) {
-  // Get player count (including local player)
-  const playerCount = gameState.players.size + (gameState.localPlayer ? 1 : 0);
-  
-  // Calculate number of pickups based on player count
-  // At least 2 pickups (1 health, 1 special), but more with more players
-  const healthPickupCount = Math.max(1, Math.floor(playerCount / 2));
-  const specialPickupCount = Math.max(1, Math.ceil(playerCount / 2));
-  
-  console.log(`Spawning ${healthPickupCount} health and ${specialPickupCount} special attack pickups`);
-  
-  // Create and shoot out health pickups
-  for (let i = 0; i < healthPickupCount; i++) {
-    createFlyingPickup('fullHealth', position, i, healthPickupCount);
-  }
-  
-  // Create and shoot out special attack pickups
-  for (let i = 0; i < specialPickupCount; i++) {
-    createFlyingPickup('specialAttack', position, i, specialPickupCount);
-  }
-}
-
-/**
- * Create a pickup that flies out from the boss's position
- * @param {string} type - The pickup type ('fullHealth' or 'specialAttack')
- * @param {THREE.Vector3} position - The position to spawn from
- * @param {number} index - The index of this pickup
- * @param {number} total - The total number of pickups of this type
- */
-function createFlyingPickup(type, position, index, total) {
-  // Create unique ID for pickup
-  const pickupId = `boss-death-${type}-${Date.now()}-${index}`;
-  
-  // Create pickup mesh using the existing pickup mesh factory
-  const pickupMesh = createPickupMesh(type);
-  
-  // Add float offset for animation once landed
-  pickupMesh.userData.floatOffset = Math.random() * Math.PI * 2;
-  
-  // Position at boss position with small offset
-  pickupMesh.position.copy(position);
-  pickupMesh.position.y += 2; // Start slightly above boss center
-  
-  // Add to scene
-  scene.add(pickupMesh);
-  
-  // Calculate direction angle based on index and total
-  const angleStep = (Math.PI * 2) / total;
-  const angle = index * angleStep;
-  
-  // Calculate velocity based on angle (circular pattern)
-  const speed = 0.2 + Math.random() * 0.3; // Random speed variation
-  const velocityX = Math.cos(angle) * speed;
-  const velocityZ = Math.sin(angle) * speed;
-  const velocityY = 0.3; // Initial upward velocity
-  
-  // Create pickup data object
-  const pickup = {
-    id: pickupId,
-    type: type,
-    position: new THREE.Vector3().copy(pickupMesh.position),
-    mesh: pickupMesh,
-    // Add physics properties
-    velocity: new THREE.Vector3(velocityX, velocityY, velocityZ),
-    isFlying: true,
-    spawnTime: Date.now(),
-    // Flag as a local pickup to prevent server removal
-    isBossPickup: true
-  };
-  
-  // Add to game state
-  gameState.pickups.push(pickup);
-  
-  // DON'T notify server about this pickup - handle it locally only
-  // This prevents the server from potentially removing it through sync
-  // The pickup will still be collectible locally
-}
-
 // Initialize the game
 init();
 
@@ -0,0 +1,50 @@
+// sessionStorage key for the resumable game session
+const SESSION_KEY = 'vcg-session';
+
+/**
+ * Load the saved game session for this tab
+ * @returns {Object|null} Session ({ token, playerId, room, vehicle, username }), or null if there is none
+ */
+export function loadSession() {
+  try {
+    const session = JSON.parse(window.sessionStorage.getItem(SESSION_KEY));
+    return session && typeof session.token === 'string' ? session : null;
+  } catch (error) {
+    // Storage can be unavailable (privacy modes) or hold something unreadable
+    return null;
+  }
+}
+
+/**
+ * Save the game session so a reload or reconnect can resume it
+ * @param {Object} session Session to save
+ */
+export function saveSession(session) {
+  try {
+    window.sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch (error) {
+    console.warn('Could not save game session:', error);
+  }
+}
+
+/**
+ * Update fields of the saved session, if there is one
+ * @param {Object} changes Fields to change
+ */
+export function updateSession(changes) {
+  const session = loadSession();
+  if (session) {
+    saveSession({ ...session, ...changes });
+  }
+}
+
+/**
+ * Forget the saved game session
+ */
+export function clearSession() {
+  try {
+    window.sessionStorage.removeItem(SESSION_KEY);
+  } catch (error) {
+    // Nothing to clear
+  }
+}
@@ -13,7 +13,7 @@ export function checkForPortalParameters() {
     // Create the portal params object
     const portalParams = {
       portal: true,
-      username: playerName,
+      username: playerName.slice(0, 24), // Longest name the server accepts
       ref: urlParams.get('ref') || '',
     };
     
@@ -119,4 +119,31 @@ export function getServerUrl() {
   return import.meta.env.PROD 
     ? 'https://your-production-server.com' 
     : 'http://localhost:3000';
-} 
\ No newline at end of file
+} 
+
+/**
+ * Get the match room to join from URL params
+ * @returns {string|null} The room name, or null to join the default room
+ */
+export function getRoomFromUrl() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get('room');
+}
+
+/**
+ * Get the world snapshot encoding to ask the server for
+ * @returns {string} 'json' when ?snapshots=json is set (readable in devtools), otherwise 'binary'
+ */
+export function getSnapshotEncodingFromUrl() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get('snapshots') === 'json' ? 'json' : 'binary';
+}
+
+/**
+ * Check whether network debug info was asked for with ?debug=net
+ * @returns {boolean} True if the server should send network debug stats
+ */
+export function isNetDebugEnabled() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get('debug') === 'net';
+}
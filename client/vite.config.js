@@ -11,9 +11,13 @@ export default defineConfig({
     outDir: 'dist',
     emptyOutDir: true,
     minify: 'esbuild',
-    sourcemap: true
+    sourcemap: true,
+    commonjsOptions: {
+      // The shared simulation package is CommonJS and linked from outside node_modules
+      include: [/[\\/]shared[\\/]/, /node_modules/]
+    }
   },
   optimizeDeps: {
-    include: ['three', 'socket.io-client']
+    include: ['three', 'socket.io-client', 'vehicular-combat-shared']
   }
 }); 
\ No newline at end of file
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const express = require('express');
+const { isInBounds } = require('vehicular-combat-shared');
+const { validateValue } = require('./socket/eventValidation');
+const { PICKUP_TYPES } = require('./game/room');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'admin' });
+
+// Height pickups spawn at when a request doesn't give one (same as the spawn positions)
+const DEFAULT_PICKUP_HEIGHT = 3;
+
+// Longest announcement or kick reason shown to players
+const MAX_MESSAGE_LENGTH = 200;
+
+// Highest boss level an operator can set (the level is normally the player count)
+const MAX_BOSS_LEVEL = 50;
+
+// Request bodies, checked with the same validator as socket events
+const BODY_SCHEMAS = {
+  kick: {
+    type: 'object',
+    fields: { reason: { type: 'string', minLength: 1, maxLength: MAX_MESSAGE_LENGTH, optional: true } }
+  },
+  mute: {
+    type: 'object',
+    fields: { muted: { type: 'boolean', optional: true } }
+  },
+  bossRespawn: {
+    type: 'object',
+    fields: { level: { type: 'number', integer: true, min: 1, max: MAX_BOSS_LEVEL, optional: true } }
+  },
+  bossLevel: {
+    type: 'object',
+    fields: { level: { type: 'number', integer: true, min: 1, max: MAX_BOSS_LEVEL } }
+  },
+  pickup: {
+    type: 'object',
+    fields: {
+      type: { type: 'enum', values: PICKUP_TYPES },
+      position: {
+        type: 'object',
+        fields: {
+          x: { type: 'number' },
+          y: { type: 'number', min: 0, max: 100, optional: true },
+          z: { type: 'number' }
+        }
+      }
+    }
+  },
+  announce: {
+    type: 'object',
+    fields: {
+      message: { type: 'string', minLength: 1, maxLength: MAX_MESSAGE_LENGTH },
+      room: { type: 'string', maxLength: 32, optional: true }
+    }
+  }
+};
+
+/**
+ * Compare a presented token with the configured one without leaking how much
+ * of it matched through the time taken
+ * @param {string} presented Token from the request
+ * @param {string} expected Configured token
+ * @returns {boolean} True if they are equal
+ */
+function tokensMatch(presented, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+/**
+ * Middleware that lets a request through only with `Authorization: Bearer <token>`;
+ * without a configured token it refuses everything
+ * @param {string} [token] Admin token (ADMIN_TOKEN)
+ * @returns {Function} Express middleware
+ */
+function requireAdminToken(token) {
+  return (req, res, next) => {
+    if (!token) {
+      res.status(503).json({ error: 'Disabled; set ADMIN_TOKEN to enable it' });
+      return;
+    }
+
+    const header = req.get('authorization') || '';
+    const presented = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+    if (!presented || !tokensMatch(presented, token)) {
+      log.warn('Rejected admin request', { method: req.method, path: req.originalUrl, ip: req.ip });
+      res.status(401).json({ error: 'Missing or invalid admin token' });
+      return;
+    }
+
+    next();
+  };
+}
+
+/**
+ * Creates the admin API for operating a running server: inspecting players,
+ * kicking and muting them, and controlling the boss, pickups, Easter Egg and
+ * announcements of a room. Every request needs `Authorization: Bearer <token>`;
+ * without a configured token the API refuses everything.
+ * @param {SocketIO.Server} io Socket.IO server instance
+ * @param {Object} roomManager Room manager holding each match's game state
+ * @param {string} [token] Admin token (ADMIN_TOKEN)
+ * @returns {express.Router} Router to mount at /admin
+ */
+function createAdminRouter(io, roomManager, token) {
+  const router = express.Router();
+  router.use(express.json({ limit: '10kb' }));
+
+  // Authenticate every admin request
+  router.use(requireAdminToken(token));
+
+  /**
+   * Check a request body, answering 400 if it is invalid
+   * @param {string} name Key in BODY_SCHEMAS
+   * @returns {Function} Middleware
+   */
+  const validateBody = name => (req, res, next) => {
+    const error = validateValue(BODY_SCHEMAS[name], req.body || {}, 'body');
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    next();
+  };
+
+  /**
+   * Resolve :roomId, answering 404 if the room isn't running
+   */
+  const findRoom = (req, res, next) => {
+    req.room = roomManager.getRoom(req.params.roomId);
+    if (!req.room) {
+      res.status(404).json({ error: `No room ${req.params.roomId}` });
+      return;
+    }
+    next();
+  };
+
+  /**
+   * Resolve :playerId to the room the player is in, answering 404 if there is none
+   */
+  const findPlayer = (req, res, next) => {
+    req.room = roomManager.findPlayerRoom(req.params.playerId);
+    if (!req.room) {
+      res.status(404).json({ error: `No player ${req.params.playerId}` });
+      return;
+    }
+    next();
+  };
+
+  // Running rooms and what is happening in them
+  router.get('/rooms', (req, res) => {
+    const rooms = Array.from(roomManager.rooms.values()).map(room => ({
+      id: room.id,
+      mode: room.settings.mode,
+      players: room.gameState.players.size,
+      boss: room.gameState.boss ? {
+        level: room.gameState.boss.level,
+        health: room.gameState.boss.health,
+        maxHealth: room.gameState.boss.maxHealth,
+        state: room.gameState.boss.state
+      } : null,
+      pickups: room.gameState.pickups.length,
+      easterEggActive: room.easterEggState.active,
+      match: room.match.getState(),
+      flags: room.flags ? room.flags.getState() : null,
+      hill: room.hill ? room.hill.getState() : null,
+      timers: room.getTimers()
+    }));
+    res.json({ rooms });
+  });
+
+  // Every player, optionally only those of one room (?room=)
+  router.get('/players', (req, res) => {
+    const players = [];
+    roomManager.rooms.forEach(room => {
+      if (req.query.room && req.query.room !== room.id) return;
+      room.describePlayers().forEach(player => players.push({ room: room.id, ...player }));
+    });
+    res.json({ players });
+  });
+
+  router.post('/players/:playerId/kick', findPlayer, validateBody('kick'), (req, res) => {
+    req.room.kickPlayer(req.params.playerId, req.body.reason);
+    res.json({ ok: true });
+  });
+
+  // Mute with { muted: true } (the default) and unmute with { muted: false }
+  router.post('/players/:playerId/mute', findPlayer, validateBody('mute'), (req, res) => {
+    const muted = req.body.muted !== false;
+    req.room.mutePlayer(req.params.playerId, muted);
+    res.json({ ok: true, muted });
+  });
+
+  // Spawn a fresh boss now, replacing any living one
+  router.post('/rooms/:roomId/boss/respawn', findRoom, validateBody('bossRespawn'), (req, res) => {
+    if (!req.room.hasBoss()) {
+      res.status(409).json({ error: `The ${req.room.settings.mode} mode has no boss` });
+      return;
+    }
+    req.room.respawnBoss(req.body.level);
+    res.json({ ok: true, boss: { level: req.room.gameState.boss.level, health: req.room.gameState.boss.health } });
+  });
+
+  router.post('/rooms/:roomId/boss/defeat', findRoom, (req, res) => {
+    if (!req.room.defeatBoss()) {
+      res.status(409).json({ error: 'The boss is not alive' });
+      return;
+    }
+    res.json({ ok: true, respawnAt: req.room.deadlines.bossRespawn });
+  });
+
+  router.post('/rooms/:roomId/boss/level', findRoom, validateBody('bossLevel'), (req, res) => {
+    const boss = req.room.setBossLevel(req.body.level);
+    if (!boss) {
+      res.status(409).json({ error: 'The boss is not alive' });
+      return;
+    }
+    res.json({ ok: true, boss: { level: boss.level, health: boss.health, maxHealth: boss.maxHealth } });
+  });
+
+  router.post('/rooms/:roomId/pickups', findRoom, validateBody('pickup'), (req, res) => {
+    const { x, y = DEFAULT_PICKUP_HEIGHT, z } = req.body.position;
+    if (!isInBounds({ x, z })) {
+      res.status(400).json({ error: 'body.position is outside the map' });
+      return;
+    }
+
+    const pickup = req.room.spawnPickup({ x, y, z }, req.body.type);
+    log.info('Pickup spawned by admin', { room: req.room.id, type: pickup.type, position: pickup.position });
+    res.status(201).json({ ok: true, pickup });
+  });
+
+  // Clear every pickup; empty spawn positions are refilled by the pickup timer as usual
+  router.delete('/rooms/:roomId/pickups', findRoom, (req, res) => {
+    const removed = req.room.clearPickups();
+    log.info('Pickups cleared by admin', { room: req.room.id, removed });
+    res.json({ ok: true, removed });
+  });
+
+  router.post('/rooms/:roomId/easter-egg/reset', findRoom, (req, res) => {
+    req.room.resetEasterEgg();
+    res.json({ ok: true });
+  });
+
+  // Announcement shown to every player, or only to one room's with { room }
+  router.post('/announce', validateBody('announce'), (req, res) => {
+    const { message, room: roomId } = req.body;
+    if (roomId) {
+      const room = roomManager.getRoom(roomId);
+      if (!room) {
+        res.status(404).json({ error: `No room ${roomId}` });
+        return;
+      }
+      room.announce(message);
+    } else {
+      io.emit('serverAnnouncement', { message, time: Date.now() });
+    }
+
+    log.info('Announcement sent', { room: roomId || null, message });
+    res.json({ ok: true });
+  });
+
+  // Malformed JSON bodies get a JSON answer like every other error
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    next(error);
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter, requireAdminToken };
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const { validateValue } = require('./socket/eventValidation');
+const { normalizeRoomId } = require('./game/roomManager');
+const { DEFAULT_ROOM_SETTINGS } = require('./game/room');
+const { DEFAULT_INTEREST_SETTINGS } = require('./game/interestManager');
+const { DEFAULT_LAG_COMPENSATION_SETTINGS } = require('./game/lagCompensation');
+const { DEFAULT_MATCH_SETTINGS } = require('./game/match');
+const { DEFAULT_FLAG_SETTINGS } = require('./game/flags');
+const { DEFAULT_HILL_SETTINGS } = require('./game/hill');
+const { GAME_MODES } = require('./game/modes');
+
+// Read when CONFIG_FILE isn't set; the server runs on the defaults without it
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+// Slowest and fastest tick rates the server runs at
+const MIN_TICK_RATE = 1;
+const MAX_TICK_RATE = 120;
+
+// Origins allowed to reach the API and socket when the config doesn't list any
+const DEFAULT_CORS_ORIGINS = {
+  production: ['https://vcg.nsmbl.io', 'https://vehicular-combat-game.netlify.app'],
+  development: ['http://localhost:5173', 'http://127.0.0.1:5173']
+};
+
+// Environment variables that override a config value, applied after the file
+const ENV_OVERRIDES = [
+  { name: 'PORT', path: ['server', 'port'], parse: Number },
+  { name: 'TICK_RATE', path: ['server', 'tickRate'], parse: Number },
+  { name: 'CORS_ORIGINS', path: ['server', 'corsOrigins'], parse: value => value.split(',').map(origin => origin.trim()).filter(Boolean) },
+  { name: 'PICKUP_RESPAWN_INTERVAL', path: ['room', 'pickupRespawnInterval'], parse: Number },
+  { name: 'BOSS_RESPAWN_DELAY', path: ['room', 'bossRespawnDelay'], parse: Number },
+  { name: 'BOSS_HEALTH_PER_LEVEL', path: ['room', 'bossHealthPerLevel'], parse: Number },
+  { name: 'EASTER_EGG_RESPAWN_TIME', path: ['room', 'easterEggRespawnTime'], parse: Number },
+  { name: 'MATCH_TIME_LIMIT', path: ['room', 'match', 'timeLimit'], parse: Number },
+  { name: 'MATCH_SCORE_LIMIT', path: ['room', 'match', 'scoreLimit'], parse: Number },
+  { name: 'MATCH_FRAG_LIMIT', path: ['room', 'match', 'fragLimit'], parse: Number },
+  { name: 'MATCH_CAPTURE_LIMIT', path: ['room', 'match', 'captureLimit'], parse: Number },
+  { name: 'MATCH_POINT_LIMIT', path: ['room', 'match', 'pointLimit'], parse: Number }
+];
+
+// Schema building blocks (see validateValue in eventValidation.js)
+const duration = { type: 'number', integer: true, min: 0, max: 3600000 }; // ms, up to an hour
+const position = {
+  type: 'object',
+  strict: true,
+  fields: {
+    x: { type: 'number', min: -1000, max: 1000 },
+    y: { type: 'number', min: -1000, max: 1000 },
+    z: { type: 'number', min: -1000, max: 1000 }
+  }
+};
+
+// Settings every room has; `rooms` entries may override any of them
+const ROOM_SCHEMA = {
+  type: 'object',
+  strict: true,
+  fields: {
+    mode: { type: 'enum', values: Object.keys(GAME_MODES) },
+    friendlyFire: { type: 'boolean' },
+    pickupPositions: { type: 'array', items: position, maxItems: 64 },
+    pickupRespawnInterval: { ...duration, min: 1000 },
+    bossRespawnDelay: duration,
+    bossRespawnWarning: duration,
+    bossHealthPerLevel: { type: 'number', min: 1, max: 1000000 },
+    easterEggPosition: position,
+    easterEggRespawnTime: duration,
+    sessionGracePeriod: duration,
+    interest: {
+      type: 'object',
+      strict: true,
+      fields: {
+        enabled: { type: 'boolean' },
+        relevanceRadius: { type: 'number', min: 0, max: 1000 },
+        farUpdateInterval: { type: 'number', integer: true, min: 1, max: 300 },
+        cellSize: { type: 'number', min: 1, max: 1000 }
+      }
+    },
+    lagCompensation: {
+      type: 'object',
+      strict: true,
+      fields: {
+        enabled: { type: 'boolean' },
+        maxRewind: { type: 'number', min: 0, max: 1000 }
+      }
+    },
+    match: {
+      type: 'object',
+      strict: true,
+      fields: {
+        minPlayers: { type: 'number', integer: true, min: 1, max: 64 },
+        readyCheckTimeout: duration,
+        countdown: duration,
+        timeLimit: duration,
+        scoreLimit: { type: 'number', integer: true, min: 0, max: 1000 },
+        fragLimit: { type: 'number', integer: true, min: 0, max: 1000 },
+        captureLimit: { type: 'number', integer: true, min: 0, max: 1000 },
+        pointLimit: { type: 'number', integer: true, min: 0, max: 100000 },
+        rounds: { type: 'number', integer: true, min: 1, max: 100 },
+        roundEndDuration: duration,
+        resultsDuration: duration
+      }
+    },
+    flags: {
+      type: 'object',
+      strict: true,
+      fields: {
+        returnTime: duration,
+        touchRadius: { type: 'number', min: 1, max: 50 }
+      }
+    },
+    hill: {
+      type: 'object',
+      strict: true,
+      fields: {
+        rotationInterval: { ...duration, min: 1000 },
+        pointsPerSecond: { type: 'number', min: 0, max: 1000 }
+      }
+    }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  strict: true,
+  fields: {
+    server: {
+      type: 'object',
+      strict: true,
+      fields: {
+        port: { type: 'number', integer: true, min: 0, max: 65535 },
+        tickRate: { type: 'number', min: MIN_TICK_RATE, max: MAX_TICK_RATE },
+        corsOrigins: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 200 } }
+      }
+    },
+    room: ROOM_SCHEMA,
+    // Room ID -> overrides; checked one by one in loadConfig
+    rooms: { type: 'any' }
+  }
+};
+
+/**
+ * Whether a value is a plain object (not an array or null)
+ * @param {*} value Value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merge overrides into defaults. Nested objects are merged; arrays and other
+ * values replace what they override.
+ * @param {Object} base Defaults
+ * @param {Object} overrides Values to apply
+ * @returns {Object} New merged object
+ */
+function merge(base, overrides) {
+  const result = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+  });
+  return result;
+}
+
+/**
+ * The configuration used when nothing overrides it
+ * @param {Object} env Environment variables
+ * @returns {Object} Default config
+ */
+function getDefaultConfig(env) {
+  return {
+    server: {
+      port: 3001,
+      tickRate: 30,
+      corsOrigins: env.NODE_ENV === 'production' ? DEFAULT_CORS_ORIGINS.production : DEFAULT_CORS_ORIGINS.development
+    },
+    room: {
+      ...DEFAULT_ROOM_SETTINGS,
+      interest: { ...DEFAULT_INTEREST_SETTINGS },
+      lagCompensation: { ...DEFAULT_LAG_COMPENSATION_SETTINGS },
+      match: { ...DEFAULT_MATCH_SETTINGS },
+      flags: { ...DEFAULT_FLAG_SETTINGS },
+      hill: { ...DEFAULT_HILL_SETTINGS }
+    },
+    // Always-available rooms for the modes other than the default one
+    rooms: {
+      deathmatch: { mode: 'deathmatch' },
+      teamDeathmatch: { mode: 'teamDeathmatch' },
+      teamCoop: { mode: 'teamCoop' },
+      ctf: { mode: 'ctf' },
+      koth: { mode: 'koth' }
+    }
+  };
+}
+
+/**
+ * Read the config file, if there is one
+ * @param {string} file Path of the JSON config file
+ * @param {boolean} required Whether a missing file is an error
+ * @returns {Object} Parsed config, or {} if an optional file is missing
+ * @throws {Error} If the file can't be read or isn't valid JSON
+ */
+function readConfigFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return {};
+    throw new Error(`Could not read config file ${file}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Load the server configuration: defaults, then the JSON config file
+ * (CONFIG_FILE, or server/config.json if it exists), then environment
+ * overrides. The result is checked against CONFIG_SCHEMA so a typo or an
+ * out-of-range value stops the server at startup instead of mid-match.
+ * @param {Object} [env] Environment variables
+ * @returns {Object} Validated config ({ server, room, rooms, source })
+ * @throws {Error} If the file can't be read or the config is invalid
+ */
+function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+  const fileConfig = readConfigFile(file, Boolean(env.CONFIG_FILE));
+  if (!isPlainObject(fileConfig)) {
+    throw new Error(`Config file ${file} must hold a JSON object`);
+  }
+
+  let config = merge(getDefaultConfig(env), fileConfig);
+
+  ENV_OVERRIDES.forEach(({ name, path: keys, parse }) => {
+    if (env[name] === undefined || env[name] === '') return;
+    config = merge(config, keys.reduceRight((value, key) => ({ [key]: value }), parse(env[name])));
+  });
+
+  const error = validateValue(CONFIG_SCHEMA, config, 'config');
+  if (error) throw new Error(`Invalid config (${file}): ${error}`);
+
+  if (!isPlainObject(config.rooms)) {
+    throw new Error(`Invalid config (${file}): config.rooms must be an object`);
+  }
+
+  // Each room's overrides are checked merged onto the shared room settings
+  Object.entries(config.rooms).forEach(([roomId, overrides]) => {
+    if (normalizeRoomId(roomId) !== roomId) {
+      throw new Error(`Invalid config (${file}): config.rooms.${roomId} is not a valid room ID`);
+    }
+    if (!isPlainObject(overrides)) {
+      throw new Error(`Invalid config (${file}): config.rooms.${roomId} must be an object`);
+    }
+
+    const roomError = validateValue(ROOM_SCHEMA, merge(config.room, overrides), `config.rooms.${roomId}`);
+    if (roomError) throw new Error(`Invalid config (${file}): ${roomError}`);
+  });
+
+  return { ...config, source: fs.existsSync(file) ? file : null };
+}
+
+/**
+ * Settings for one room: the shared room settings with that room's overrides
+ * @param {Object} config Loaded config
+ * @param {string} roomId Room ID
+ * @returns {Object} Room settings (see createRoom)
+ */
+function getRoomSettings(config, roomId) {
+  return merge(config.room, config.rooms[roomId]);
+}
+
+module.exports = { loadConfig, getRoomSettings, MIN_TICK_RATE, MAX_TICK_RATE };
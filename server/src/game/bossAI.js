@@ -0,0 +1,1011 @@
+const {
+  BOSS_HEIGHT,
+  VEHICLE_RADIUS,
+  getBossSpeed,
+  getBossHeading,
+  stepBossRoaming,
+  resolveMapCollision
+} = require('vehicular-combat-shared');
+const { bossContainsPoint } = require('./projectileSimulation');
+
+// How long the boss stays in each state before deciding what to do next (ms)
+const STATE_TIMEOUTS = {
+  spawning: 3000,
+  patrolling: 8000,
+  chasing: 10000,
+  attacking: 5000,
+  enraged: 8000,
+  retreating: 6000
+};
+
+// Targeting
+const TARGET_TIMEOUT = 5000; // A chase switches targets this often
+const PATROL_TARGET_INTERVAL = 2000; // How often a patrolling boss looks for a target
+const ATTACK_RANGE = 15;
+
+// Movement (multiples of the boss speed) and positioning
+const CHASE_SPEED = 1;
+const CIRCLE_SPEED = 0.8;
+const ENRAGED_SPEED = 1.5;
+const RETREAT_SPEED = 0.8;
+const RAM_SPEED = 2;
+const CIRCLE_RADIUS = 12;
+const RETREAT_DISTANCE = 50;
+const TURN_RATE = 0.1; // Fraction of the remaining turn per 1/60 s while facing a target
+const MAP_COLLISION_RADIUS = 3.5;
+
+// Health recovered per second while retreating
+const RETREAT_HEAL_PER_SECOND = 3;
+
+// Minimum time between uses of each weapon (ms)
+const WEAPON_COOLDOWNS = {
+  ram: 2000,
+  freezeMissile: 2500,
+  flamethrower: 3000,
+  napalmRain: 5000
+};
+
+// Napalm rain also fires on its own timer, whatever the boss is doing
+const NAPALM_RAIN_INTERVAL = 10000;
+
+// How long a ram charges straight at the target (ms)
+const RAM_DURATION = 1000;
+
+// Freeze missiles home in on one player each; a player is left alone for a while after being targeted
+const MISSILE_RANGE = 50;
+const MISSILE_SPEED = 1.0; // Units per 1/60 s
+const MISSILE_TURN = 0.25; // Fraction of the course correction per 1/60 s
+const MISSILE_LIFETIME = 5000;
+const MISSILE_HIT_DISTANCE = 3; // A little wider than the client's 2 units to make up for the 30 Hz tick
+const MISSILE_TARGET_COOLDOWN = 5000;
+const FREEZE_VELOCITY_SCALE = 0.3;
+
+// Launch point at the back of the trailer, in the boss's frame (the mesh is scaled by 1.2)
+const LAUNCH_OFFSET = { y: 3.6, z: 13.2 };
+
+// Napalm rain: shells climb, then fall on spots spread over the middle of the map
+const NAPALM_COUNT = 5;
+const NAPALM_PER_EXTRA_PLAYER = 1;
+const NAPALM_RADIUS = 15;
+const NAPALM_SPEED = 2.0; // Units per 1/60 s at launch
+const NAPALM_LAUNCH_DURATION = 1500;
+const NAPALM_LIFETIME = 7000;
+const NAPALM_GRAVITY = 0.01;
+const NAPALM_GUIDANCE = 0.05;
+const NAPALM_AREA = { width: 160, length: 200, margin: 20 };
+
+// Burning ground left by napalm
+const BURN_DURATION = 10000;
+const BURN_INTERVAL = 1000;
+const BURN_DAMAGE_FRACTION = 0.3; // Of the napalm damage, every interval
+
+// Flamethrower cone in front of the boss
+const FLAMETHROWER_RANGE = 30;
+const FLAMETHROWER_HALF_ANGLE = Math.PI / 6;
+
+// Contact damage between the boss and a vehicle
+const CONTACT_COOLDOWN = 1000;
+
+/**
+ * Creates the boss AI for a room. The boss's state machine (patrolling,
+ * chasing, attacking, enraged, retreating), its targeting and its weapons
+ * all run here against the server's player positions, and every decision is
+ * broadcast so all clients see the same boss doing the same thing. Clients
+ * only play the effects; damage from the boss is dealt here.
+ * @param {Object} gameState Room game state
+ * @returns {Object} Boss AI
+ */
+function createBossAI(gameState) {
+  const random = gameState.random;
+  let nextAttackId = 1;
+
+  return {
+    // Shells in flight: attack ID -> missile or napalm shell
+    projectiles: new Map(),
+    // Burning patches of ground left by napalm
+    burningZones: [],
+    // Player ID -> time they were last targeted by a missile volley
+    recentlyTargeted: new Map(),
+    // Player ID -> time they last took contact damage
+    lastContact: new Map(),
+    lastWeaponUse: { ram: 0, freezeMissile: 0, flamethrower: 0, napalmRain: 0 },
+    napalmTimer: 0,
+    targetTimer: 0,
+    ramUntil: 0,
+
+    /**
+     * Forget everything about the previous boss
+     */
+    reset() {
+      this.projectiles.clear();
+      this.burningZones = [];
+      this.recentlyTargeted.clear();
+      this.lastContact.clear();
+      Object.keys(this.lastWeaponUse).forEach(weapon => { this.lastWeaponUse[weapon] = 0; });
+      this.napalmTimer = 0;
+      this.targetTimer = 0;
+      this.ramUntil = 0;
+    },
+
+    /**
+     * Run the boss for one tick
+     * @param {number} delta Time since last update in seconds
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    update(delta, time, io) {
+      const boss = gameState.boss;
+      if (!boss) return;
+
+      boss.stateTimer += delta * 1000;
+      if (boss.stateTimer >= boss.stateTimeout) {
+        this.transitionState(io);
+      }
+
+      switch (boss.state) {
+        case 'patrolling':
+          this.updatePatrolling(delta, io);
+          break;
+        case 'chasing':
+          this.updateChasing(delta, io);
+          break;
+        case 'attacking':
+          this.updateAttacking(delta, time, io);
+          break;
+        case 'enraged':
+          this.updateEnraged(delta, time, io);
+          break;
+        case 'retreating':
+          this.updateRetreating(delta);
+          break;
+      }
+
+      if (boss.state !== 'spawning') {
+        this.updateNapalmTimer(delta, time, io);
+        this.fireMissileVolley(time, io);
+        this.checkContact(time, io);
+      }
+
+      this.updateProjectiles(delta, time, io);
+      this.updateBurningZones(time, io);
+    },
+
+    /**
+     * Pick the boss's next state once the current one has run its course
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    transitionState(io) {
+      const boss = gameState.boss;
+      const lowHealth = fraction => boss.health < boss.maxHealth * fraction;
+
+      switch (boss.state) {
+        case 'spawning':
+          this.setState('patrolling', io);
+          break;
+
+        case 'patrolling':
+          this.findTarget(io);
+          this.setState(boss.target ? 'chasing' : 'patrolling', io);
+          break;
+
+        case 'chasing':
+          if (this.isTargetInRange()) {
+            this.setState('attacking', io);
+          } else {
+            this.findTarget(io);
+            this.setState(boss.target ? 'chasing' : 'patrolling', io);
+          }
+          break;
+
+        case 'attacking':
+          if (lowHealth(0.3) && random.next() < 0.7) {
+            this.setState('retreating', io);
+          } else if (lowHealth(0.3) && random.next() < 0.5) {
+            this.setState('enraged', io);
+          } else {
+            this.findTarget(io);
+            this.setState(boss.target ? 'chasing' : 'patrolling', io);
+          }
+          break;
+
+        case 'enraged':
+          this.setState(lowHealth(0.15) ? 'retreating' : 'attacking', io);
+          break;
+
+        case 'retreating':
+          this.setState(lowHealth(0.2) && random.next() < 0.7 ? 'enraged' : 'patrolling', io);
+          break;
+      }
+    },
+
+    /**
+     * Enter a state (or restart the current one) and tell the clients
+     * @param {string} state New state
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    setState(state, io) {
+      const boss = gameState.boss;
+      const previousState = boss.state;
+
+      boss.state = state;
+      boss.stateTimer = 0;
+      boss.stateTimeout = STATE_TIMEOUTS[state];
+
+      // Staying in the same state only resets its timer
+      if (state === previousState) return;
+
+      io.emit('bossStateChanged', {
+        id: boss.id,
+        state,
+        previousState,
+        targetId: boss.target,
+        // Retreating heals the boss, so health is resynced on every change
+        health: boss.health,
+        maxHealth: boss.maxHealth
+      });
+    },
+
+    /**
+     * Players the boss can go after: alive and connected
+     * @returns {Array<Object>} Targetable players
+     */
+    getTargets() {
+      return Array.from(gameState.players.values()).filter(player => player.alive && player.connected);
+    },
+
+    /**
+     * The current target, if it can still be targeted
+     * @returns {Object|null} Target player
+     */
+    getTarget() {
+      const target = gameState.players.get(gameState.boss.target);
+      return target && target.alive && target.connected ? target : null;
+    },
+
+    /**
+     * Choose a player to go after: usually the closest, sometimes anyone
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    findTarget(io) {
+      const boss = gameState.boss;
+      const targets = this.getTargets();
+      let target = null;
+
+      if (targets.length > 0 && random.next() < 0.7) {
+        let closestDistance = Infinity;
+        targets.forEach(player => {
+          const distance = distance2D(boss.position, player.position);
+          if (distance < closestDistance) {
+            closestDistance = distance;
+            target = player;
+          }
+        });
+      } else if (targets.length > 0) {
+        target = targets[random.nextInt(targets.length)];
+      }
+
+      this.targetTimer = 0;
+      this.setTarget(target ? target.id : null, io);
+    },
+
+    /**
+     * Change the boss's target and tell the clients
+     * @param {string|null} targetId ID of the targeted player
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    setTarget(targetId, io) {
+      const boss = gameState.boss;
+      if (boss.target === targetId) return;
+
+      boss.target = targetId;
+      io.emit('bossTargetChanged', { targetId });
+    },
+
+    /**
+     * @returns {boolean} True if the current target is close enough to attack
+     */
+    isTargetInRange() {
+      const target = this.getTarget();
+      return !!target && distance2D(gameState.boss.position, target.position) < ATTACK_RANGE;
+    },
+
+    /**
+     * Make sure there is a live target, looking for a new one if needed
+     * @param {SocketIO.Server} io Room broadcast target
+     * @returns {Object|null} Target player, or null if nobody can be targeted
+     */
+    ensureTarget(io) {
+      let target = this.getTarget();
+      if (!target) {
+        this.findTarget(io);
+        target = this.getTarget();
+      }
+      return target;
+    },
+
+    /**
+     * Roam the perimeter, checking for players to go after now and then
+     * @param {number} delta Time since last update in seconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    updatePatrolling(delta, io) {
+      const boss = gameState.boss;
+      stepBossRoaming(boss.position, boss.rotation, boss, delta, boss.difficulty);
+
+      this.targetTimer += delta * 1000;
+      if (this.targetTimer > PATROL_TARGET_INTERVAL) {
+        this.findTarget(io);
+      }
+    },
+
+    /**
+     * Drive after the target, switching targets now and then
+     * @param {number} delta Time since last update in seconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    updateChasing(delta, io) {
+      const target = this.ensureTarget(io);
+      if (!target) {
+        this.setState('patrolling', io);
+        return;
+      }
+
+      this.moveTowards(target.position, CHASE_SPEED, delta);
+
+      this.targetTimer += delta * 1000;
+      if (this.targetTimer > TARGET_TIMEOUT) {
+        this.findTarget(io);
+      }
+    },
+
+    /**
+     * Circle the target while facing it, attacking whenever the cooldown allows
+     * @param {number} delta Time since last update in seconds
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    updateAttacking(delta, time, io) {
+      const boss = gameState.boss;
+      const target = this.ensureTarget(io);
+      if (!target) {
+        this.setState('patrolling', io);
+        return;
+      }
+
+      if (time < this.ramUntil) {
+        this.moveTowards(target.position, RAM_SPEED, delta);
+      } else {
+        const dx = target.position.x - boss.position.x;
+        const dz = target.position.z - boss.position.z;
+        const length = Math.sqrt(dx * dx + dz * dz) || 1;
+        const circlePoint = {
+          x: target.position.x - (dz / length) * CIRCLE_RADIUS,
+          z: target.position.z + (dx / length) * CIRCLE_RADIUS
+        };
+
+        this.moveTowards(circlePoint, CIRCLE_SPEED, delta, false);
+        this.turnTowards(target.position, delta);
+      }
+
+      if (time - boss.lastAttackTime > boss.attackCooldown) {
+        this.attack(target, time, io);
+      }
+    },
+
+    /**
+     * Charge straight at the target and attack more often
+     * @param {number} delta Time since last update in seconds
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    updateEnraged(delta, time, io) {
+      const boss = gameState.boss;
+      const target = this.ensureTarget(io);
+      if (!target) return;
+
+      this.moveTowards(target.position, time < this.ramUntil ? RAM_SPEED : ENRAGED_SPEED, delta);
+
+      if (time - boss.lastAttackTime > boss.attackCooldown * 0.6) {
+        this.attack(target, time, io);
+      }
+    },
+
+    /**
+     * Back away from the target (or keep roaming) while slowly healing
+     * @param {number} delta Time since last update in seconds
+     */
+    updateRetreating(delta) {
+      const boss = gameState.boss;
+      const target = this.getTarget();
+
+      if (target) {
+        const dx = target.position.x - boss.position.x;
+        const dz = target.position.z - boss.position.z;
+        const length = Math.sqrt(dx * dx + dz * dz) || 1;
+        this.moveTowards({
+          x: boss.position.x - (dx / length) * RETREAT_DISTANCE,
+          z: boss.position.z - (dz / length) * RETREAT_DISTANCE
+        }, RETREAT_SPEED, delta);
+      } else {
+        stepBossRoaming(boss.position, boss.rotation, boss, delta, boss.difficulty);
+      }
+
+      boss.health = Math.min(boss.maxHealth, boss.health + delta * RETREAT_HEAL_PER_SECOND);
+    },
+
+    /**
+     * Drive the boss toward a point, kept out of the walls and map objects
+     * @param {Object} destination Point with x and z
+     * @param {number} speed Multiple of the boss's speed
+     * @param {number} delta Time since last update in seconds
+     * @param {boolean} [face=true] Turn to face the direction of travel
+     */
+    moveTowards(destination, speed, delta, face = true) {
+      const boss = gameState.boss;
+      const dx = destination.x - boss.position.x;
+      const dz = destination.z - boss.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance < 0.001) return;
+
+      const step = Math.min(distance, getBossSpeed(boss.difficulty) * speed * delta * 60);
+      boss.position.x += (dx / distance) * step;
+      boss.position.z += (dz / distance) * step;
+      boss.position.y = BOSS_HEIGHT;
+      resolveMapCollision(boss.position, MAP_COLLISION_RADIUS);
+
+      if (face) {
+        boss.rotation.y = getBossHeading(dx, dz);
+      }
+    },
+
+    /**
+     * Gradually turn the boss to face a point
+     * @param {Object} position Point with x and z
+     * @param {number} delta Time since last update in seconds
+     */
+    turnTowards(position, delta) {
+      const boss = gameState.boss;
+      const dx = position.x - boss.position.x;
+      const dz = position.z - boss.position.z;
+      if (dx * dx + dz * dz < 0.001) return;
+
+      // Turn the short way round
+      let turn = getBossHeading(dx, dz) - boss.rotation.y;
+      turn -= Math.round(turn / (Math.PI * 2)) * Math.PI * 2;
+      boss.rotation.y += turn * Math.min(1, TURN_RATE * delta * 60);
+    },
+
+    /**
+     * Attack the target with whichever weapon suits the distance and cooldowns
+     * @param {Object} target Target player
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    attack(target, time, io) {
+      const boss = gameState.boss;
+      const ready = weapon => time - this.lastWeaponUse[weapon] > WEAPON_COOLDOWNS[weapon];
+      let weapon = 'ram';
+
+      // Napalm rain isn't chosen here; it runs on its own timer
+      if (boss.state === 'enraged') {
+        if (ready('flamethrower')) {
+          weapon = 'flamethrower';
+        } else if (ready('ram')) {
+          weapon = 'ram';
+        } else if (ready('freezeMissile')) {
+          weapon = 'freezeMissile';
+        }
+      } else {
+        const distance = distance2D(boss.position, target.position);
+        if (distance < 10 && ready('ram')) {
+          weapon = 'ram';
+        } else if (distance < 30 && ready('flamethrower')) {
+          weapon = 'flamethrower';
+        } else if (ready('freezeMissile')) {
+          weapon = 'freezeMissile';
+        }
+      }
+
+      switch (weapon) {
+        case 'ram':
+          this.useRam(target, time, io);
+          break;
+        case 'freezeMissile':
+          this.fireMissiles([target], time, io);
+          break;
+        case 'flamethrower':
+          this.useFlamethrower(target, io);
+          break;
+      }
+
+      boss.lastAttackTime = time;
+      this.lastWeaponUse[weapon] = time;
+    },
+
+    /**
+     * Charge at the target; the hit itself is the contact damage
+     * @param {Object} target Target player
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    useRam(target, time, io) {
+      this.ramUntil = time + RAM_DURATION;
+      io.emit('bossAttack', { weapon: 'ram', targetId: target.id, duration: RAM_DURATION });
+    },
+
+    /**
+     * Burn every player in a cone from the boss toward the target
+     * @param {Object} target Target player
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    useFlamethrower(target, io) {
+      const boss = gameState.boss;
+      const dx = target.position.x - boss.position.x;
+      const dz = target.position.z - boss.position.z;
+      const length = Math.sqrt(dx * dx + dz * dz) || 1;
+      const direction = { x: dx / length, y: 0, z: dz / length };
+
+      io.emit('bossAttack', {
+        weapon: 'flamethrower',
+        targetId: target.id,
+        position: { ...boss.position },
+        direction,
+        range: FLAMETHROWER_RANGE,
+        angle: FLAMETHROWER_HALF_ANGLE
+      });
+
+      this.getTargets().forEach(player => {
+        const px = player.position.x - boss.position.x;
+        const pz = player.position.z - boss.position.z;
+        const distance = Math.sqrt(px * px + pz * pz);
+        if (distance > FLAMETHROWER_RANGE) return;
+
+        const angle = distance > 0
+          ? Math.acos(Math.max(-1, Math.min(1, (px * direction.x + pz * direction.z) / distance)))
+          : 0;
+        if (angle <= FLAMETHROWER_HALF_ANGLE) {
+          gameState.damagePlayer(player.id, boss.damage, null, io);
+        }
+      });
+    },
+
+    /**
+     * Fire a missile at each player in range that hasn't been targeted recently
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    fireMissileVolley(time, io) {
+      this.recentlyTargeted.forEach((targetedAt, playerId) => {
+        if (time - targetedAt >= MISSILE_TARGET_COOLDOWN) this.recentlyTargeted.delete(playerId);
+      });
+
+      if (time - this.lastWeaponUse.freezeMissile <= WEAPON_COOLDOWNS.freezeMissile) return;
+
+      const boss = gameState.boss;
+      const inRange = this.getTargets()
+        .filter(player => !this.recentlyTargeted.has(player.id))
+        .map(player => ({ player, distance: distance2D(boss.position, player.position) }))
+        .filter(({ distance }) => distance < MISSILE_RANGE)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ player }) => player);
+
+      if (inRange.length === 0) return;
+
+      this.fireMissiles(inRange, time, io);
+      this.lastWeaponUse.freezeMissile = time;
+    },
+
+    /**
+     * Launch one freeze missile at each of the given players
+     * @param {Array<Object>} targets Target players
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    fireMissiles(targets, time, io) {
+      const origin = this.getLaunchPoint();
+
+      const missiles = targets.map(target => {
+        const direction = normalize({
+          x: target.position.x - origin.x,
+          y: target.position.y - origin.y,
+          z: target.position.z - origin.z
+        });
+        const missile = {
+          id: `boss_${nextAttackId++}`,
+          weapon: 'freezeMissile',
+          targetId: target.id,
+          position: { ...origin },
+          velocity: scale(direction, MISSILE_SPEED),
+          startTime: time
+        };
+
+        this.projectiles.set(missile.id, missile);
+        this.recentlyTargeted.set(target.id, time);
+        return { id: missile.id, targetId: target.id, position: { ...origin }, direction };
+      });
+
+      io.emit('bossAttack', { weapon: 'freezeMissile', missiles });
+    },
+
+    /**
+     * Fire napalm rain whenever its interval comes round
+     * @param {number} delta Time since last update in seconds
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    updateNapalmTimer(delta, time, io) {
+      this.napalmTimer += delta * 1000;
+      if (this.napalmTimer < NAPALM_RAIN_INTERVAL) return;
+
+      this.napalmTimer = 0;
+      if (time - this.lastWeaponUse.napalmRain > WEAPON_COOLDOWNS.napalmRain) {
+        this.useNapalmRain(time, io);
+        this.lastWeaponUse.napalmRain = time;
+      }
+    },
+
+    /**
+     * Lob napalm shells over the map, one more for every extra player
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    useNapalmRain(time, io) {
+      const origin = this.getLaunchPoint();
+      const target = this.getTarget();
+      const count = NAPALM_COUNT + Math.max(0, gameState.players.size - 1) * NAPALM_PER_EXTRA_PLAYER;
+      const { width, length, margin } = NAPALM_AREA;
+      const spread = size => random.range(-0.5, 0.5) * size;
+
+      const napalm = [];
+      for (let i = 0; i < count; i++) {
+        let targetPosition;
+
+        // Vary the pattern so the rain is hard to predict
+        switch (random.nextInt(4)) {
+          case 0: // Clustered around a random spot
+            targetPosition = {
+              x: spread(width * 0.6) + spread(25),
+              z: spread(length * 0.6) + spread(25)
+            };
+            break;
+          case 1: { // Along a random line through the middle
+            const angle = random.range(0, Math.PI * 2);
+            const distance = spread(width * 0.7);
+            targetPosition = { x: Math.cos(angle) * distance, z: Math.sin(angle) * distance };
+            break;
+          }
+          case 2: // Around the target, if there is one
+            if (target) {
+              targetPosition = { x: target.position.x + spread(40), z: target.position.z + spread(40) };
+              break;
+            }
+          // falls through
+          default:
+            targetPosition = { x: spread(width * 0.8), z: spread(length * 0.8) };
+            break;
+        }
+
+        targetPosition = {
+          x: clamp(targetPosition.x, width / 2 - margin),
+          y: 0,
+          z: clamp(targetPosition.z, length / 2 - margin)
+        };
+
+        // Shells climb steeply first, leaning a little toward their target
+        const toTarget = normalize({
+          x: targetPosition.x - origin.x,
+          y: targetPosition.y - origin.y,
+          z: targetPosition.z - origin.z
+        });
+        const launchDirection = normalize({ x: toTarget.x * 0.3, y: 0.85, z: toTarget.z * 0.3 });
+
+        const shell = {
+          id: `boss_${nextAttackId++}`,
+          weapon: 'napalmRain',
+          position: { ...origin },
+          velocity: scale(launchDirection, NAPALM_SPEED),
+          targetPosition,
+          startTime: time,
+          launching: true
+        };
+        this.projectiles.set(shell.id, shell);
+        napalm.push({ id: shell.id, position: { ...origin }, targetPosition });
+      }
+
+      io.emit('bossAttack', { weapon: 'napalmRain', napalm, radius: NAPALM_RADIUS });
+    },
+
+    /**
+     * Fly the boss's missiles and napalm shells, dealing damage where they land
+     * @param {number} delta Time since last update in seconds
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    updateProjectiles(delta, time, io) {
+      const frames = delta * 60;
+
+      this.projectiles.forEach((projectile, id) => {
+        const elapsed = time - projectile.startTime;
+
+        if (projectile.weapon === 'freezeMissile') {
+          if (elapsed > MISSILE_LIFETIME) {
+            this.projectiles.delete(id);
+            return;
+          }
+
+          const target = gameState.players.get(projectile.targetId);
+          if (target && target.alive) {
+            const toTarget = scale(normalize({
+              x: target.position.x - projectile.position.x,
+              y: target.position.y - projectile.position.y,
+              z: target.position.z - projectile.position.z
+            }), MISSILE_SPEED);
+            steer(projectile.velocity, toTarget, Math.min(1, MISSILE_TURN * frames));
+          }
+          advance(projectile.position, projectile.velocity, frames);
+
+          if (target && target.alive && distance3D(projectile.position, target.position) < MISSILE_HIT_DISTANCE) {
+            this.projectiles.delete(id);
+            gameState.damagePlayer(target.id, gameState.boss ? gameState.boss.damage : 0, null, io);
+            // Freeze: the hit vehicle loses most of its speed
+            target.velocity.x *= FREEZE_VELOCITY_SCALE;
+            target.velocity.z *= FREEZE_VELOCITY_SCALE;
+            io.emit('bossAttackImpact', { id, weapon: projectile.weapon, targetId: target.id, position: { ...projectile.position } });
+          }
+          return;
+        }
+
+        // Napalm shell
+        if (elapsed > NAPALM_LIFETIME) {
+          this.projectiles.delete(id);
+          return;
+        }
+
+        if (projectile.launching) {
+          if (elapsed > NAPALM_LAUNCH_DURATION) {
+            // Tip over toward the target, diving steeply
+            projectile.launching = false;
+            const toTarget = normalize({
+              x: projectile.targetPosition.x - projectile.position.x,
+              y: 0,
+              z: projectile.targetPosition.z - projectile.position.z
+            });
+            const dive = normalize({ x: toTarget.x, y: -1, z: toTarget.z });
+            projectile.velocity = scale(dive, length3D(projectile.velocity) * 0.8);
+          }
+        } else {
+          projectile.velocity.y -= NAPALM_GRAVITY * frames;
+
+          // Guidance fades out over the first two seconds of the fall
+          const guidance = NAPALM_GUIDANCE * (1 - Math.min(1, (elapsed - NAPALM_LAUNCH_DURATION) / 2000));
+          const toTarget = scale(normalize({
+            x: projectile.targetPosition.x - projectile.position.x,
+            y: projectile.targetPosition.y - projectile.position.y,
+            z: projectile.targetPosition.z - projectile.position.z
+          }), length3D(projectile.velocity));
+          steer(projectile.velocity, toTarget, Math.min(1, guidance * frames));
+        }
+        advance(projectile.position, projectile.velocity, frames);
+
+        if (projectile.position.y <= BOSS_HEIGHT) {
+          this.projectiles.delete(id);
+          this.explodeNapalm(id, projectile.position, time, io);
+        }
+      });
+    },
+
+    /**
+     * Napalm lands: damage with falloff around it, then leave the ground burning
+     * @param {string} id Attack ID of the shell
+     * @param {Object} position Where it landed
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    explodeNapalm(id, position, time, io) {
+      const napalmDamage = this.getNapalmDamage();
+      const center = { x: position.x, y: BOSS_HEIGHT, z: position.z };
+
+      this.damageArea(center, NAPALM_RADIUS, napalmDamage, io);
+      this.burningZones.push({
+        position: center,
+        damage: napalmDamage * BURN_DAMAGE_FRACTION,
+        nextDamageTime: time + BURN_INTERVAL,
+        endTime: time + BURN_DURATION
+      });
+
+      io.emit('bossAttackImpact', {
+        id,
+        weapon: 'napalmRain',
+        position: center,
+        radius: NAPALM_RADIUS,
+        duration: BURN_DURATION
+      });
+    },
+
+    /**
+     * Damage players standing in burning napalm
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    updateBurningZones(time, io) {
+      this.burningZones = this.burningZones.filter(zone => {
+        if (time >= zone.nextDamageTime && time < zone.endTime) {
+          this.damageArea(zone.position, NAPALM_RADIUS, zone.damage, io);
+          zone.nextDamageTime += BURN_INTERVAL;
+        }
+        return time < zone.endTime;
+      });
+    },
+
+    /**
+     * Damage every player within a radius, less toward the edge
+     * @param {Object} center Center of the area
+     * @param {number} radius Radius of the area
+     * @param {number} damage Damage at the center
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    damageArea(center, radius, damage, io) {
+      gameState.players.forEach(player => {
+        if (!player.alive) return;
+
+        const distance = distance2D(center, player.position);
+        if (distance <= radius) {
+          gameState.damagePlayer(player.id, damage * (1 - distance / radius), null, io);
+        }
+      });
+    },
+
+    /**
+     * Hurt vehicles touching the boss, at most once a second each
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    checkContact(time, io) {
+      const boss = gameState.boss;
+
+      gameState.players.forEach(player => {
+        if (!player.alive || !bossContainsPoint(boss, player.position, VEHICLE_RADIUS)) return;
+        if (time - (this.lastContact.get(player.id) || 0) <= CONTACT_COOLDOWN) return;
+
+        this.lastContact.set(player.id, time);
+        gameState.damagePlayer(player.id, boss.damage * (boss.state === 'enraged' ? 3 : 2), null, io);
+      });
+    },
+
+    /**
+     * React to being hit: a badly hurt boss may enrage, and the attacker may become the target
+     * @param {string} attackerId ID of the player who hit the boss
+     * @param {SocketIO.Server} io Room broadcast target
+     */
+    handleDamage(attackerId, io) {
+      const boss = gameState.boss;
+      if (!boss || boss.state === 'spawning') return;
+
+      if (boss.health < boss.maxHealth * 0.3 && boss.state !== 'enraged' && random.next() < 0.3) {
+        this.setState('enraged', io);
+      }
+
+      const attacker = gameState.players.get(attackerId);
+      if (attacker && attacker.alive && boss.target && boss.target !== attackerId && random.next() < 0.5) {
+        this.setTarget(attackerId, io);
+      }
+    },
+
+    /**
+     * Stop going after a player who left
+     * @param {string} playerId Player ID
+     */
+    removePlayer(playerId) {
+      this.recentlyTargeted.delete(playerId);
+      this.lastContact.delete(playerId);
+      if (gameState.boss && gameState.boss.target === playerId) {
+        gameState.boss.target = null;
+      }
+    },
+
+    /**
+     * Napalm damage scales with the boss's difficulty
+     * @returns {number} Damage at the center of an explosion
+     */
+    getNapalmDamage() {
+      return 20 * (gameState.boss ? gameState.boss.difficulty : 1);
+    },
+
+    /**
+     * World position missiles and napalm are launched from
+     * @returns {Object} Launch position
+     */
+    getLaunchPoint() {
+      const boss = gameState.boss;
+      return {
+        x: boss.position.x + Math.sin(boss.rotation.y) * LAUNCH_OFFSET.z,
+        y: boss.position.y + LAUNCH_OFFSET.y,
+        z: boss.position.z + Math.cos(boss.rotation.y) * LAUNCH_OFFSET.z
+      };
+    }
+  };
+}
+
+/**
+ * Distance between two points on the ground plane
+ * @param {Object} a Point with x and z
+ * @param {Object} b Point with x and z
+ * @returns {number} Distance
+ */
+function distance2D(a, b) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Distance between two points
+ * @param {Object} a Point with x, y and z
+ * @param {Object} b Point with x, y and z
+ * @returns {number} Distance
+ */
+function distance3D(a, b) {
+  return length3D({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+}
+
+/**
+ * @param {Object} v Vector
+ * @returns {number} Length of the vector
+ */
+function length3D(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+/**
+ * @param {Object} v Vector
+ * @returns {Object} Unit vector in the same direction (zero stays zero)
+ */
+function normalize(v) {
+  const length = length3D(v) || 1;
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+/**
+ * @param {Object} v Vector
+ * @param {number} factor Scale factor
+ * @returns {Object} Scaled vector
+ */
+function scale(v, factor) {
+  return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+/**
+ * Blend a velocity toward a desired one, in place
+ * @param {Object} velocity Current velocity; updated in place
+ * @param {Object} desired Desired velocity
+ * @param {number} amount Fraction of the way to go (0-1)
+ */
+function steer(velocity, desired, amount) {
+  velocity.x += (desired.x - velocity.x) * amount;
+  velocity.y += (desired.y - velocity.y) * amount;
+  velocity.z += (desired.z - velocity.z) * amount;
+}
+
+/**
+ * Move a position along a velocity given in units per 1/60 s, in place
+ * @param {Object} position Position; updated in place
+ * @param {Object} velocity Velocity
+ * @param {number} frames Elapsed time in 1/60 s frames
+ */
+function advance(position, velocity, frames) {
+  position.x += velocity.x * frames;
+  position.y += velocity.y * frames;
+  position.z += velocity.z * frames;
+}
+
+/**
+ * Clamp a value to [-limit, limit]
+ * @param {number} value Value
+ * @param {number} limit Limit
+ * @returns {number} Clamped value
+ */
+function clamp(value, limit) {
+  return Math.max(-limit, Math.min(limit, value));
+}
+
+module.exports = { createBossAI };
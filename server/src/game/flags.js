@@ -0,0 +1,150 @@
+const { TEAM_IDS, getFlagBase } = require('vehicular-combat-shared');
+
+// Defaults for a room's flags in capture the flag; any of them can be overridden per room
+const DEFAULT_FLAG_SETTINGS = {
+  returnTime: 30000, // How long a dropped flag lies where its carrier died before going home (ms)
+  touchRadius: 6 // How close a vehicle has to get to a flag or its base to touch it (world units)
+};
+
+/**
+ * Creates the flags of a capture-the-flag room. The server owns them: a
+ * vehicle takes the other team's flag by driving into it, at its base or
+ * where it was dropped, and captures it by bringing it to its own base
+ * while its own flag is at home. A carrier who dies drops the flag on the
+ * spot, and it goes home after returnTime.
+ * @param {Object} gameState Room game state
+ * @param {Object} [settings] Overrides for DEFAULT_FLAG_SETTINGS
+ * @returns {Object} Flags
+ */
+function createFlags(gameState, settings = {}) {
+  const config = { ...DEFAULT_FLAG_SETTINGS, ...settings };
+
+  /**
+   * Whether a player is within touching distance of a position
+   * @param {Object} player Player
+   * @param {Object} position Position with x and z
+   * @returns {boolean} True if close enough
+   */
+  const touches = (player, position) => {
+    const dx = player.position.x - position.x;
+    const dz = player.position.z - position.z;
+    return dx * dx + dz * dz <= config.touchRadius * config.touchRadius;
+  };
+
+  const flags = {
+    settings: config,
+    // Team ID -> { team, state ('home', 'carried' or 'dropped'), position, carrierId, returnsAt }
+    flags: new Map(),
+
+    /**
+     * Put every flag back at its base and free the carriers
+     */
+    reset() {
+      gameState.players.forEach(player => {
+        player.carryingFlag = null;
+      });
+      TEAM_IDS.forEach(team => this.returnFlag(team));
+    },
+
+    /**
+     * Send a flag back to its base
+     * @param {string} team Team the flag belongs to
+     */
+    returnFlag(team) {
+      this.flags.set(team, { team, state: 'home', position: getFlagBase(team), carrierId: null, returnsAt: null });
+    },
+
+    /**
+     * Move carried flags with their carriers, return flags that lay dropped
+     * long enough and let vehicles take and capture flags
+     * @param {number} time Current time in milliseconds
+     * @returns {Array<Object>} What happened: { type ('taken', 'dropped', 'returned' or 'captured'), team, playerId }
+     */
+    update(time) {
+      const events = [];
+
+      this.flags.forEach(flag => {
+        if (flag.state === 'carried') {
+          const carrier = gameState.players.get(flag.carrierId);
+          if (carrier && carrier.alive) {
+            flag.position = { ...carrier.position };
+          } else {
+            // Carriers normally drop the flag when they die; this covers players that left
+            const event = this.dropFlag(flag.carrierId, time);
+            if (event) events.push(event);
+          }
+        } else if (flag.state === 'dropped' && time >= flag.returnsAt) {
+          this.returnFlag(flag.team);
+          events.push({ type: 'returned', team: flag.team, playerId: null });
+        }
+      });
+
+      gameState.players.forEach(player => {
+        if (!player.alive || !player.team) return;
+
+        if (player.carryingFlag) {
+          // Scoring needs the player's own flag safe at home
+          const ownFlag = this.flags.get(player.team);
+          if (ownFlag.state === 'home' && touches(player, ownFlag.position)) {
+            const team = player.carryingFlag;
+            player.carryingFlag = null;
+            this.returnFlag(team);
+            events.push({ type: 'captured', team, playerId: player.id });
+          }
+          return;
+        }
+
+        this.flags.forEach(flag => {
+          if (flag.team === player.team || flag.state === 'carried' || player.carryingFlag) return;
+          if (!touches(player, flag.position)) return;
+
+          flag.state = 'carried';
+          flag.carrierId = player.id;
+          flag.returnsAt = null;
+          flag.position = { ...player.position };
+          player.carryingFlag = flag.team;
+          events.push({ type: 'taken', team: flag.team, playerId: player.id });
+        });
+      });
+
+      return events;
+    },
+
+    /**
+     * Drop the flag a player carries where they are, e.g. when they die
+     * @param {string} playerId Player ID
+     * @param {number} time Current time in milliseconds
+     * @returns {Object|null} The 'dropped' event, or null if the player carried no flag
+     */
+    dropFlag(playerId, time) {
+      let dropped = null;
+      this.flags.forEach(flag => {
+        if (flag.state !== 'carried' || flag.carrierId !== playerId) return;
+
+        const carrier = gameState.players.get(playerId);
+        if (carrier) {
+          carrier.carryingFlag = null;
+          flag.position = { ...carrier.position };
+        }
+        flag.state = 'dropped';
+        flag.carrierId = null;
+        flag.returnsAt = time + config.returnTime;
+        dropped = { type: 'dropped', team: flag.team, playerId };
+      });
+      return dropped;
+    },
+
+    /**
+     * Flag state as sent to clients in 'flagState'
+     * @returns {Array<Object>} Flags ({ team, state, position, carrierId, returnsAt })
+     */
+    getState() {
+      return Array.from(this.flags.values()).map(flag => ({ ...flag, position: { ...flag.position } }));
+    }
+  };
+
+  flags.reset();
+  return flags;
+}
+
+module.exports = { createFlags, DEFAULT_FLAG_SETTINGS };
@@ -1,16 +1,60 @@
+const { getMaxHealth, applyArmor, getVehicleStats, isVehicleType, DEFAULT_VEHICLE } = require('./vehicles');
+const {
+  VEHICLE_HEIGHT,
+  getMovementStats,
+  sanitizeControls,
+  simulateVehicle,
+  getPlayerSpawnPoint,
+  getTeamSpawnPoint,
+  isTeam,
+  getCarrierMaxSpeed,
+  getWeapon,
+  FIXED_TIMESTEP,
+  MAX_NET_ID,
+  createRandom,
+  generateSeed
+} = require('vehicular-combat-shared');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'gameState' });
+
+// Respawn timing (matches the client's Respawn.js countdown)
+const BASE_RESPAWN_DELAY = 5000; // 5 seconds base time
+const ADDITIONAL_DELAY_PER_DEATH = 5000; // 5 seconds additional per death
+
+// How long a player hit still earns the kill if the victim dies to something else
+const KILL_CREDIT_WINDOW = 10000;
+
+// Input frames a player may send ahead of the clock, e.g. after a network hiccup bunches them up.
+// Matches the most steps the client's fixed timestep runs in one frame.
+const MAX_INPUT_BURST = 10;
+
+// How close a vehicle has to be to collect a pickup or the Easter Egg: its radius and the
+// pickup's size, plus room for the server seeing the vehicle a few frames behind its client
+const PICKUP_REACH = 8;
+
 /**
  * Creates the game state object for the server
+ * @param {number} [seed] Seed for the simulation's random numbers
  * @returns {Object} Game state object
  */
-function createGameState() {
+function createGameState(seed = generateSeed()) {
   // Create game state object
   const gameState = {
+    seed,
+    random: createRandom(seed), // Used for all gameplay randomness so a match can be replayed
     players: new Map(),
     boss: null,
     pickups: [],
     bossKillStreak: 0,
     lastBossDefeatTime: 0,
-    bossRespawnDelay: 10000, // 10 seconds
+    tick: 0, // Number of simulation ticks run, sent with snapshots so clients can order them
+    nextNetId: 1, // Small numeric player IDs used in binary snapshots (0 is the boss)
+    freeNetIds: [], // Network IDs of players that left, oldest first
+    respawnDelayPerDeath: ADDITIONAL_DELAY_PER_DEATH, // Set to 0 by modes where respawns don't get slower
+    friendlyFire: true, // Whether players on the same team can damage each other
+    // Called with (player, killer) after a player dies; killer is null without kill credit
+    onPlayerKilled: null,
 
     /**
      * Initialize pickups at spawn positions
@@ -59,403 +103,417 @@ function createGameState() {
      * @param {SocketIO.Server} io Socket.IO server instance
      */
     update(delta, time, io) {
-      // REMOVED: Check for boss respawn (now handled in gameEvents.js)
-      // this.checkBossRespawn(time, io);
+      this.tick++;
 
       // Update pickups
       this.updatePickups(delta, time, io);
 
-      // Update boss
-      if (this.boss) {
-        this.updateBoss(delta, time, io);
-      }
+      // Respawn dead players whose timer has run out
+      this.updatePlayers(time, io);
+
+      // The boss is run by the room's boss AI
     },
 
     /**
-     * Check if boss should respawn
+     * Update pickups
+     * @param {number} delta Time since last update
      * @param {number} time Current time
      * @param {SocketIO.Server} io Socket.IO server
      */
-    checkBossRespawn(time, io) {
-      // If we have a boss, no need to respawn
-      if (this.boss) return;
-
-      // If no players, no need for a boss
-      if (this.players.size === 0) return;
-
-      // Check if enough time has passed since last defeat
-      if (this.lastBossDefeatTime > 0 &&
-        time - this.lastBossDefeatTime > this.bossRespawnDelay) {
-        // Spawn a new boss
-        this.spawnBoss(io);
+    updatePickups(delta, time, io) {
+      // Check for expired pickups
+      const now = Date.now();
+      const expiredPickups = this.pickups.filter(pickup =>
+        now - pickup.spawnTime > pickup.lifetime
+      );
+
+      // Remove expired pickups
+      if (expiredPickups.length > 0) {
+        this.pickups = this.pickups.filter(pickup =>
+          now - pickup.spawnTime <= pickup.lifetime
+        );
+
+        // Notify clients
+        io.emit('pickupsRemoved', expiredPickups.map(p => p.id));
       }
     },
 
     /**
-     * Spawn the boss
-     * @param {SocketIO.Server} io Socket.IO server
+     * Add a player to the game
+     * @param {string} id Player ID
+     * @param {Object} data Player data
+     * @returns {Object} Created player
      */
-    spawnBoss(io) {
-      // Calculate difficulty based on player count
-      const difficulty = this.calculateBossDifficulty();
-      const playerCount = this.players.size;
-
-      // Create boss data
-      this.boss = {
-        id: 'boss',
-        type: 'SemiTrump',
-        difficulty,
-        level: playerCount, // Store the level (number of players)
-        health: 1000 * playerCount, // Health is 1000 times the number of players
-        maxHealth: 1000 * playerCount, // Max health is also 1000 times the number of players
-        position: this.getBossSpawnPosition(),
-        rotation: { y: Math.PI }, // Facing south
-        lastAttackTime: 0,
-        attackCooldown: 2000 / difficulty, // Reduced from 3000 to 2000 for faster attacks
-        damage: 15 * difficulty, // Increased base damage from 10 to 15
-        state: 'spawning',
-        stateTimer: 0,
-        stateTimeout: 3000, // 3 seconds for spawning state
-        target: null
-      };
+    addPlayer(id, data) {
+      // Unknown vehicle types get the default vehicle
+      const vehicle = isVehicleType(data.vehicle) ? data.vehicle : DEFAULT_VEHICLE;
+      const maxHealth = getMaxHealth(vehicle);
+      const team = isTeam(data.team) ? data.team : null;
+      const spawn = this.getPlayerSpawnPoint(data.fromPortal === true, team);
 
-      // Create a safe copy for sending
-      const bossCopy = {
-        id: this.boss.id,
-        type: this.boss.type,
-        difficulty: this.boss.difficulty,
-        level: this.boss.level,
-        health: this.boss.health,
-        maxHealth: this.boss.maxHealth,
-        position: { ...this.boss.position },
-        rotation: { ...this.boss.rotation },
-        state: this.boss.state,
-        stateTimer: this.boss.stateTimer,
-        stateTimeout: this.boss.stateTimeout
+      // Create player object
+      const player = {
+        id,
+        netId: this.allocateNetId(),
+        username: data.username || 'Player',
+        vehicle,
+        team, // null outside team modes
+        carryingFlag: null, // Team of the flag this player carries in capture the flag
+        position: spawn.position,
+        rotation: { y: spawn.rotation },
+        velocity: { x: 0, z: 0 }, // Local-frame velocity, see shared/vehicleMovement.js
+        rotationVelocity: 0,
+        lastInputSeq: 0, // Last input frame simulated, acknowledged to the client
+        inputBudget: MAX_INPUT_BURST, // Input frames the player may still send, refilled at one per step of real time
+        inputBudgetTime: Date.now(),
+        inputAckPending: false,
+        connected: true, // False while a dropped player waits to resume their session
+        ammo: { specialAttack: 0 }, // Limited weapons only; the machine gun never runs out
+        lastFireTime: { machineGun: 0, specialAttack: 0 }, // When each weapon was last fired (ms)
+        health: maxHealth,
+        maxHealth,
+        alive: true,
+        score: 0, // Match score, see match.js
+        kills: 0,
+        deaths: 0,
+        respawnTime: 0,
+        lastAttackerId: null,
+        lastAttackTime: 0,
+        killStreak: 0, // Kills, the boss included, since the player last died
+        lastUpdateTime: Date.now()
       };
 
-      // Notify all clients
-      io.emit('bossSpawned', {
-        boss: bossCopy
-      });
-
-      // Reset last defeat time
-      this.lastBossDefeatTime = 0;
+      // Add to players map
+      this.players.set(id, player);
 
-      console.log(`Boss spawned with level: ${playerCount}, health: ${1000 * playerCount}`);
+      return player;
     },
 
     /**
-     * Handle boss defeat
-     * @param {string} killerId ID of player who defeated the boss
-     * @param {SocketIO.Server} io Socket.IO server
+     * Hand out a network ID for a new player. Fresh IDs are used until they
+     * run out; after that the ID freed longest ago is reused, so no client
+     * still has its old owner in a snapshot baseline.
+     * @returns {number} Network ID
      */
-    handleBossDefeat(killerId, io) {
-      if (!this.boss) return;
-
-      // Increment global boss kill streak
-      this.bossKillStreak++;
-
-      // Increment kill streak for player
-      const killer = this.players.get(killerId);
-      if (killer) {
-        killer.killStreak = (killer.killStreak || 0) + 1;
-        io.emit('updateKillStreak', {
-          id: killerId,
-          killStreak: killer.killStreak
-        });
+    allocateNetId() {
+      if (this.nextNetId <= MAX_NET_ID) return this.nextNetId++;
+      if (this.freeNetIds.length === 0) {
+        throw new Error(`No network IDs left (${MAX_NET_ID} players in the room)`);
       }
+      return this.freeNetIds.shift();
+    },
 
-      // Notify all clients
-      io.emit('bossDefeated', {
-        killerId,
-        bossKillStreak: this.bossKillStreak,
-        position: this.boss.position
-      });
-
-      // Record defeat time
-      this.lastBossDefeatTime = Date.now();
-
-      // Spawn pickups where the boss was defeated
-      this.spawnPickups(this.boss.position, 3 + Math.floor(this.bossKillStreak / 2), io);
+    /**
+     * Remove a player from the game
+     * @param {string} id Player ID
+     */
+    removePlayer(id) {
+      const player = this.players.get(id);
+      if (player) {
+        this.freeNetIds.push(player.netId);
+      }
 
-      // Remove boss
-      this.boss = null;
+      // Remove from players map
+      this.players.delete(id);
 
-      console.log(`Boss defeated by player ${killerId}. Kill streak: ${this.bossKillStreak}`);
+      // If no players left, remove boss
+      if (this.players.size === 0 && this.boss) {
+        this.boss = null;
+        this.lastBossDefeatTime = 0;
+      }
     },
 
     /**
-     * Update the boss state
-     * @param {number} delta Time since last update
-     * @param {number} time Current time
-     * @param {SocketIO.Server} io Socket.IO server
+     * Give a player ammo for a limited weapon
+     * @param {string} id Player ID
+     * @param {string} type Weapon type
+     * @param {number} amount Ammo to add
      */
-    updateBoss(delta, time, io) {
-      // TEMPORARY: Modified to handle perimeter roaming for model examination
-      if (this.boss.state === 'spawning') {
-        // Just update timer in spawning state
-        this.boss.stateTimer += delta * 1000;
-        if (this.boss.stateTimer >= this.boss.stateTimeout) {
-          this.boss.state = 'patrolling';
-          this.boss.stateTimer = 0;
-          this.boss.stateTimeout = 8000; // 8 seconds for patrolling
-
-          io.emit('bossStateChanged', {
-            id: this.boss.id,
-            state: this.boss.state
-          });
-        }
-      } else {
-        // TEMPORARY: Make the boss roam the perimeter instead of following players
-        if (!this.boss.perimeterWaypoints) {
-          // Define a set of points around the perimeter of the map
-          const mapWidth = 160;
-          const mapHeight = 200; // Make height larger than width for rectangular path
-          const margin = 10;
-          
-          // Define a rectangular path around the map perimeter, shifted toward the Washington Monument (south side)
-          const northMargin = 30; // Larger margin on north side (away from monument)
-          const southMargin = 5;  // Smaller margin on south side (closer to monument)
-          
-          this.boss.perimeterWaypoints = [
-            { x: -mapWidth/2 + margin, y: 0, z: -mapHeight/2 + northMargin },  // Top left (further from monument)
-            { x: mapWidth/2 - margin, y: 0, z: -mapHeight/2 + northMargin },   // Top right (further from monument)
-            { x: mapWidth/2 - margin, y: 0, z: mapHeight/2 - southMargin },    // Bottom right (closer to monument)
-            { x: -mapWidth/2 + margin, y: 0, z: mapHeight/2 - southMargin }    // Bottom left (closer to monument)
-          ];
-          
-          // Start at the first waypoint
-          this.boss.currentWaypointIndex = 0;
-          this.boss.nextWaypoint = this.boss.perimeterWaypoints[0];
-        }
-        
-        // Move towards the current waypoint
-        const nextWaypoint = this.boss.nextWaypoint;
-        const slowSpeed = 0.2 * (1 + (this.boss.difficulty * 0.3)) * delta * 60;
-        
-        // Calculate direction
-        const dx = nextWaypoint.x - this.boss.position.x;
-        const dz = nextWaypoint.z - this.boss.position.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
-        
-        if (distance > 5) {
-          // Move towards waypoint
-          const dirX = dx / distance;
-          const dirZ = dz / distance;
-          
-          this.boss.position.x += dirX * slowSpeed;
-          this.boss.position.z += dirZ * slowSpeed;
-          
-          // Update rotation to face direction of movement
-          this.boss.rotation.y = Math.atan2(dx, dz) + Math.PI;
-        } else {
-          // We've reached the waypoint, move to the next one
-          this.boss.currentWaypointIndex = (this.boss.currentWaypointIndex + 1) % this.boss.perimeterWaypoints.length;
-          this.boss.nextWaypoint = this.boss.perimeterWaypoints[this.boss.currentWaypointIndex];
-        }
-        
-        // Clear any existing target so it doesn't try to follow players
-        this.boss.target = null;
-      }
+    addAmmo(id, type, amount) {
+      const player = this.players.get(id);
+      if (!player || !(type in player.ammo)) return;
 
-      // Broadcast boss position updates
-      io.emit('bossPositionUpdated', {
-        id: this.boss.id,
-        position: { ...this.boss.position },
-        rotation: { ...this.boss.rotation }
-      });
+      player.ammo[type] += amount;
     },
 
     /**
-     * Calculate boss difficulty based on player count and kill streak
-     * @returns {number} Difficulty value
+     * Whether a player may fire a weapon now: they are alive, have ammo for a
+     * limited weapon and waited out its fireInterval since their last shot
+     * @param {string} id Player ID
+     * @param {string} type Weapon type
+     * @param {number} time Current time in milliseconds
+     * @returns {boolean} True if the shot is allowed
      */
-    calculateBossDifficulty() {
-      // Boss level is equal to the number of players in the game
-      const playerCount = this.players.size;
-      // Return the player count as the difficulty level
-      return playerCount;
+    canFire(id, type, time) {
+      const player = this.players.get(id);
+      const weapon = getWeapon(type);
+      if (!player || !player.alive || !weapon) return false;
+
+      if (type in player.ammo && player.ammo[type] <= 0) return false;
+      return time - player.lastFireTime[type] >= weapon.fireInterval;
     },
 
     /**
-     * Get the boss spawn position
-     * @returns {Object} Position object
+     * Use up one round of a limited weapon and start its fireInterval when it is fired
+     * @param {string} id Player ID
+     * @param {string} type Weapon type
+     * @param {number} time Current time in milliseconds
      */
-    getBossSpawnPosition() {
-      // Modified to start at the first corner of the perimeter path
-      const mapWidth = 160;
-      const mapHeight = 200;
-      const margin = 10;
-      const northMargin = 30; // Match the value used in waypoints
-      return { x: -mapWidth/2 + margin, y: 0.2, z: -mapHeight/2 + northMargin };
+    recordShot(id, type, time) {
+      const player = this.players.get(id);
+      if (!player) return;
+
+      player.lastFireTime[type] = time;
+      if (type in player.ammo) {
+        player.ammo[type] = Math.max(0, player.ammo[type] - 1);
+      }
     },
 
     /**
-     * Spawn pickups at a position
-     * @param {Object} position Position to spawn pickups
-     * @param {number} count Number of pickups to spawn
-     * @param {SocketIO.Server} io Socket.IO server
+     * Simulate one input frame sent by a player. Every frame is one fixed
+     * step whatever delta the client reports, and a player can't send frames
+     * faster than the clock runs (beyond a small burst), so sending more
+     * inputs doesn't make a vehicle go faster.
+     * @param {string} id Player ID
+     * @param {Object} input Input frame ({ seq, controls })
+     * @returns {Object|null} The player if the input was accepted
      */
-    spawnPickups(position, count, io) {
-      const pickupTypes = ['health', 'weapon', 'special', 'shield'];
-
-      for (let i = 0; i < count; i++) {
-        // Randomize position slightly
-        const x = position.x + (Math.random() * 20 - 10);
-        const z = position.z + (Math.random() * 20 - 10);
-
-        // Create pickup
-        const pickup = {
-          id: `pickup-${Date.now()}-${i}`,
-          type: pickupTypes[Math.floor(Math.random() * pickupTypes.length)],
-          position: { x, y: 1, z },
-          spawnTime: Date.now(),
-          lifetime: 30000 // 30 seconds
-        };
+    applyPlayerInput(id, input) {
+      const player = this.players.get(id);
+      if (!player || !input) return null;
 
-        // Add to pickups
-        this.pickups.push(pickup);
+      // Inputs must arrive in order; stale or duplicate frames are ignored
+      const seq = Number(input.seq);
+      if (!Number.isInteger(seq) || seq <= player.lastInputSeq) return null;
 
-        // Notify clients
-        io.emit('pickupSpawned', pickup);
-      }
+      const now = Date.now();
+      const elapsed = Math.max(0, now - player.inputBudgetTime) / 1000;
+      player.inputBudget = Math.min(MAX_INPUT_BURST, player.inputBudget + elapsed / FIXED_TIMESTEP);
+      player.inputBudgetTime = now;
+
+      // Frames beyond the budget are dropped; the client's prediction is corrected by the next acknowledgement
+      if (player.inputBudget < 1) return null;
+      player.inputBudget -= 1;
+
+      player.lastInputSeq = seq;
+      player.inputAckPending = true;
+
+      // Dead players stay where they died until the server respawns them
+      if (!player.alive) return null;
+
+      const state = {
+        x: player.position.x,
+        z: player.position.z,
+        rotationY: player.rotation.y || 0,
+        velocityX: player.velocity.x,
+        velocityZ: player.velocity.z,
+        rotationVelocity: player.rotationVelocity
+      };
+      const movementStats = getMovementStats(getVehicleStats(player.vehicle));
+      movementStats.maxSpeed = getCarrierMaxSpeed(movementStats, player.carryingFlag !== null);
+      simulateVehicle(state, sanitizeControls(input.controls), FIXED_TIMESTEP, movementStats);
+
+      player.position = { x: state.x, y: VEHICLE_HEIGHT, z: state.z };
+      player.rotation = { y: state.rotationY };
+      player.velocity = { x: state.velocityX, z: state.velocityZ };
+      player.rotationVelocity = state.rotationVelocity;
+      player.lastUpdateTime = Date.now();
+
+      return player;
     },
 
     /**
-     * Update pickups
-     * @param {number} delta Time since last update
-     * @param {number} time Current time
+     * Build the acknowledgement sent to a player for their latest simulated input
+     * @param {Object} player Player object
+     * @returns {Object} Authoritative movement state and the input sequence it includes
+     */
+    getInputAck(player) {
+      return {
+        seq: player.lastInputSeq,
+        tick: this.tick,
+        time: Date.now(),
+        position: { ...player.position },
+        rotation: { y: player.rotation.y || 0 },
+        velocity: { ...player.velocity },
+        rotationVelocity: player.rotationVelocity
+      };
+    },
+
+    /**
+     * Apply damage to a player using the vehicle's armor
+     * @param {string} id ID of the damaged player
+     * @param {number} amount Raw damage before armor
+     * @param {string|null} attackerId ID of the attacking player, or null for boss/environment damage
      * @param {SocketIO.Server} io Socket.IO server
+     * @returns {Object|null} Damage result, or null if the player can't take damage
      */
-    updatePickups(delta, time, io) {
-      // Check for expired pickups
+    damagePlayer(id, amount, attackerId, io) {
+      const player = this.players.get(id);
+      if (!player || !player.alive) return null;
+
+      const attacker = attackerId && attackerId !== id ? this.players.get(attackerId) : null;
+      if (!this.friendlyFire && attacker && player.team && attacker.team === player.team) return null;
+
       const now = Date.now();
-      const expiredPickups = this.pickups.filter(pickup =>
-        now - pickup.spawnTime > pickup.lifetime
-      );
+      const damage = applyArmor(amount, player.vehicle);
+      player.health = Math.max(0, player.health - damage);
 
-      // Remove expired pickups
-      if (expiredPickups.length > 0) {
-        this.pickups = this.pickups.filter(pickup =>
-          now - pickup.spawnTime <= pickup.lifetime
-        );
+      // Remember who hit this player last so a later environmental death still credits them
+      if (attackerId && attackerId !== id && this.players.has(attackerId)) {
+        player.lastAttackerId = attackerId;
+        player.lastAttackTime = now;
+      }
 
-        // Notify clients
-        io.emit('pickupsRemoved', expiredPickups.map(p => p.id));
+      io.emit('playerHit', {
+        id,
+        attackerId,
+        damage,
+        health: player.health,
+        maxHealth: player.maxHealth
+      });
+
+      const died = player.health <= 0;
+      if (died) {
+        this.killPlayer(id, attackerId, io);
       }
+
+      return { damage, health: player.health, died };
     },
 
     /**
-     * Handle player collecting a pickup
-     * @param {string} playerId Player ID
-     * @param {string} pickupId Pickup ID
+     * Handle a player's death and credit the kill
+     * @param {string} id ID of the player who died
+     * @param {string|null} attackerId ID of the player who dealt the final damage
      * @param {SocketIO.Server} io Socket.IO server
+     * @param {boolean} [creditLastAttacker] Whether the last player to hit them gets
+     *   the kill when nobody dealt the final damage; off for deaths no player caused
      */
-    handlePickupCollected(playerId, pickupId, io) {
-      // Find pickup
-      const pickupIndex = this.pickups.findIndex(p => p.id === pickupId);
-      if (pickupIndex === -1) return;
-
-      const pickup = this.pickups[pickupIndex];
+    killPlayer(id, attackerId, io, creditLastAttacker = true) {
+      const player = this.players.get(id);
+      if (!player || !player.alive) return;
 
-      // Remove pickup
-      this.pickups.splice(pickupIndex, 1);
+      const now = Date.now();
+      player.alive = false;
+      player.health = 0;
+      player.deaths++;
+      player.killStreak = 0;
+
+      // Fall back to the last player who hit them if the final blow wasn't from a player
+      let killerId = attackerId;
+      if (!killerId && creditLastAttacker && player.lastAttackerId && now - player.lastAttackTime <= KILL_CREDIT_WINDOW) {
+        killerId = player.lastAttackerId;
+      }
 
-      // Apply pickup effect
-      const player = this.players.get(playerId);
-      if (player) {
-        switch (pickup.type) {
-          case 'health':
-            // Health pickup would restore player's health
-            // Actual healing is handled client-side
-            break;
-          case 'weapon':
-            // Weapon pickup would give player a new weapon
-            // Weapon assignment is handled client-side
-            break;
-          case 'special':
-            // Special weapon pickup
-            // Handled client-side
-            break;
-          case 'shield':
-            // Shield pickup
-            // Handled client-side
-            break;
-        }
+      const killer = killerId && killerId !== id ? this.players.get(killerId) : null;
+      if (killer) {
+        killer.kills++;
+        killer.killStreak++;
       }
 
-      // Notify clients
-      io.emit('pickupCollected', {
-        id: pickupId,
-        playerId,
-        type: pickup.type
+      const respawnDelay = BASE_RESPAWN_DELAY + this.respawnDelayPerDeath * (player.deaths - 1);
+      player.respawnTime = now + respawnDelay;
+      player.lastAttackerId = null;
+
+      io.emit('playerDied', {
+        id,
+        killerId: killer ? killer.id : null,
+        position: { ...player.position },
+        deaths: player.deaths,
+        killerKills: killer ? killer.kills : 0,
+        respawnDelay,
+        respawnAt: player.respawnTime // Server time, for clients with a synced clock
       });
+
+      log.info('Player died', { playerId: id, killerId: killer ? killer.id : null, deaths: player.deaths });
+
+      if (this.onPlayerKilled) {
+        this.onPlayerKilled(player, killer);
+      }
     },
 
     /**
-     * Add a player to the game
+     * Whether a living player is close enough to a pickup to collect it
      * @param {string} id Player ID
-     * @param {Object} data Player data
-     * @returns {Object} Created player
+     * @param {Object} position Pickup position with x and z
+     * @returns {boolean} True if in reach
      */
-    addPlayer(id, data) {
-      // Create player object
-      const player = {
-        id,
-        username: data.username || 'Player',
-        vehicle: data.vehicle || 'roadkill',
-        position: this.getPlayerSpawnPosition(),
-        rotation: { y: 0 },
-        health: 100,
-        killStreak: 0,
-        lastUpdateTime: Date.now()
-      };
-
-      // Add to players map
-      this.players.set(id, player);
+    canReach(id, position) {
+      const player = this.players.get(id);
+      if (!player || !player.alive) return false;
 
-      return player;
+      const dx = player.position.x - position.x;
+      const dz = player.position.z - position.z;
+      return dx * dx + dz * dz <= PICKUP_REACH * PICKUP_REACH;
     },
 
     /**
-     * Remove a player from the game
+     * Restore a player to full health
      * @param {string} id Player ID
+     * @param {SocketIO.Server} io Socket.IO server
      */
-    removePlayer(id) {
-      // Remove from players map
-      this.players.delete(id);
+    healPlayer(id, io) {
+      const player = this.players.get(id);
+      if (!player || !player.alive) return;
 
-      // If no players left, remove boss
-      if (this.players.size === 0 && this.boss) {
-        this.boss = null;
-        this.lastBossDefeatTime = 0;
-      }
+      player.health = player.maxHealth;
+
+      io.emit('playerHealthChanged', {
+        id,
+        health: player.health,
+        maxHealth: player.maxHealth
+      });
+    },
+
+    /**
+     * Respawn dead players whose respawn delay has elapsed
+     * @param {number} time Current time in milliseconds
+     * @param {SocketIO.Server} io Socket.IO server
+     */
+    updatePlayers(time, io) {
+      this.players.forEach(player => {
+        if (!player.alive && time >= player.respawnTime) {
+          this.respawnPlayer(player.id, io);
+        }
+      });
     },
 
     /**
-     * Update player position
+     * Bring a dead player back at a respawn point with full health
      * @param {string} id Player ID
-     * @param {Object} position New position
-     * @param {Object} rotation New rotation
+     * @param {SocketIO.Server} io Socket.IO server
      */
-    updatePlayerPosition(id, position, rotation) {
+    respawnPlayer(id, io) {
       const player = this.players.get(id);
-      if (player) {
-        player.position = position;
-        player.rotation = rotation;
-        player.lastUpdateTime = Date.now();
-      }
+      if (!player) return;
+
+      const spawn = this.getPlayerSpawnPoint(false, player.team);
+      player.alive = true;
+      player.health = player.maxHealth;
+      player.position = spawn.position;
+      player.rotation = { y: spawn.rotation };
+      player.velocity = { x: 0, z: 0 };
+      player.rotationVelocity = 0;
+      player.respawnTime = 0;
+
+      io.emit('playerRespawned', {
+        id,
+        position: { ...player.position },
+        rotation: { ...player.rotation },
+        health: player.health,
+        maxHealth: player.maxHealth
+      });
     },
 
     /**
-     * Get a spawn position for a player
-     * @returns {Object} Spawn position
+     * Get a spawn point from the shared map layout
+     * @param {boolean} fromPortal True for players arriving through a portal
+     * @param {string|null} [team] Team of the player; teams spawn on their own side
+     * @returns {Object} Spawn point with position and rotation
      */
-    getPlayerSpawnPosition() {
-      // Spawn at center of map with some random variation
-      const x = Math.random() * 40 - 20;
-      return { x, y: 0, z: 0 };
+    getPlayerSpawnPoint(fromPortal, team = null) {
+      const spawn = team ? getTeamSpawnPoint(team, this.random) : getPlayerSpawnPoint(fromPortal, this.random);
+      spawn.position.y = VEHICLE_HEIGHT;
+      return spawn;
     },
 
     /**
@@ -466,11 +524,17 @@ function createGameState() {
       // Create a safe copy without circular references
       const players = Array.from(this.players.values()).map(player => ({
         id: player.id,
+        netId: player.netId,
         username: player.username,
         vehicle: player.vehicle,
+        team: player.team,
         position: { ...player.position },
         rotation: { ...player.rotation },
         health: player.health,
+        maxHealth: player.maxHealth,
+        alive: player.alive,
+        kills: player.kills,
+        deaths: player.deaths,
         killStreak: player.killStreak
       }));
 
@@ -488,7 +552,8 @@ function createGameState() {
           rotation: { ...this.boss.rotation },
           state: this.boss.state,
           stateTimer: this.boss.stateTimer,
-          stateTimeout: this.boss.stateTimeout
+          stateTimeout: this.boss.stateTimeout,
+          target: this.boss.target
         };
       }
 
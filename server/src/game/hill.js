@@ -0,0 +1,91 @@
+const { HILL_ZONES, isInZone } = require('vehicular-combat-shared');
+
+// Defaults for a room's king-of-the-hill zone; any of them can be overridden per room
+const DEFAULT_HILL_SETTINGS = {
+  rotationInterval: 60000, // How long the zone stays at a landmark before moving to the next (ms)
+  pointsPerSecond: 1 // Points a player scores for each second alone in the zone
+};
+
+/**
+ * Creates the scoring zone of a king-of-the-hill room. The zone moves
+ * through HILL_ZONES on a timer, and every tick the server works out who is
+ * in it from the player positions. A player alone in the zone holds it; with
+ * two or more in it the zone is contested and scores for nobody.
+ * @param {Object} gameState Room game state
+ * @param {Object} [settings] Overrides for DEFAULT_HILL_SETTINGS
+ * @returns {Object} Hill
+ */
+function createHill(gameState, settings = {}) {
+  const config = { ...DEFAULT_HILL_SETTINGS, ...settings };
+
+  return {
+    settings: config,
+    zoneIndex: 0,
+    // When the zone moves on, in server time (ms), or null while it doesn't move
+    nextRotationAt: null,
+    // IDs of the living, connected players in the zone
+    occupants: [],
+
+    /**
+     * Move the zone back to the first landmark
+     * @param {number} time Current time in milliseconds
+     * @param {boolean} [running] Whether the zone should start moving on its timer
+     */
+    reset(time, running = false) {
+      this.zoneIndex = 0;
+      this.nextRotationAt = running ? time + config.rotationInterval : null;
+      this.occupants = [];
+    },
+
+    /**
+     * Move the zone on when its time is up and find who is in it
+     * @param {number} time Current time in milliseconds
+     * @returns {Object} { changed, holderId }: whether the zone or its occupants
+     *   changed, and the player holding the zone alone, or null
+     */
+    update(time) {
+      let changed = false;
+
+      if (this.nextRotationAt !== null && time >= this.nextRotationAt) {
+        this.zoneIndex = (this.zoneIndex + 1) % HILL_ZONES.length;
+        this.nextRotationAt = time + config.rotationInterval;
+        changed = true;
+      }
+
+      const zone = HILL_ZONES[this.zoneIndex];
+      const occupants = [];
+      gameState.players.forEach(player => {
+        // A player waiting out a dropped connection can't hold the zone
+        if (player.alive && player.connected !== false && isInZone(zone, player.position)) {
+          occupants.push(player.id);
+        }
+      });
+
+      if (occupants.length !== this.occupants.length || occupants.some((id, index) => id !== this.occupants[index])) {
+        this.occupants = occupants;
+        changed = true;
+      }
+
+      return { changed, holderId: occupants.length === 1 ? occupants[0] : null };
+    },
+
+    /**
+     * Zone state as sent to clients in 'zoneState'
+     * @returns {Object} The zone (id, name, position, radius), when it moves on (server ms),
+     *   the players in it, who holds it and whether it is contested
+     */
+    getState() {
+      const zone = HILL_ZONES[this.zoneIndex];
+      return {
+        zone: { id: zone.id, name: zone.name, position: { ...zone.position }, radius: zone.radius },
+        nextZoneAt: this.nextRotationAt,
+        occupants: this.occupants.slice(),
+        holderId: this.occupants.length === 1 ? this.occupants[0] : null,
+        contested: this.occupants.length > 1,
+        pointsPerSecond: config.pointsPerSecond
+      };
+    }
+  };
+}
+
+module.exports = { createHill, DEFAULT_HILL_SETTINGS };
@@ -0,0 +1,248 @@
+const { BOSS_NET_ID } = require('vehicular-combat-shared');
+const { createSpatialGrid } = require('./spatialGrid');
+
+// Defaults for a room's interest management; any of them can be overridden per room
+const DEFAULT_INTEREST_SETTINGS = {
+  enabled: true,
+  relevanceRadius: 120, // Entities closer than this get updates every tick (world units)
+  farUpdateInterval: 6, // Ticks between updates of distant entities (5 per second at 30 ticks/s)
+  cellSize: 40 // Spatial grid cell size (world units)
+};
+
+// How often clients that asked for debug stats are sent them
+const STATS_INTERVAL = 1000; // 1 second
+
+/**
+ * Creates the interest manager for a room. Players and in-flight projectiles
+ * are put in a spatial grid every tick so each client can be sent full-rate
+ * updates only for what is near them. Distant entities are updated at a
+ * reduced rate and distant projectiles not at all; the boss is always relevant.
+ * @param {Object} gameState Room game state
+ * @param {Object} projectiles Room projectile simulation
+ * @param {Object} [settings] Overrides for DEFAULT_INTEREST_SETTINGS
+ * @returns {Object} Interest manager
+ */
+function createInterestManager(gameState, projectiles, settings = {}) {
+  const config = { ...DEFAULT_INTEREST_SETTINGS, ...settings };
+
+  return {
+    settings: config,
+    grid: createSpatialGrid(config.cellSize),
+    recipients: new Map(), // projectile ID -> Set of player IDs it has been sent to
+    relevant: new Map(), // player ID -> Set of network IDs within the relevance radius
+    stats: new Map(), // player ID -> debug counters
+    lastStatsTime: 0,
+
+    /**
+     * Start tracking a player
+     * @param {string} playerId Player ID
+     * @param {boolean} [debugStats] Whether to send the player interest stats
+     */
+    addPlayer(playerId, debugStats = false) {
+      this.relevant.set(playerId, new Set());
+      this.stats.set(playerId, {
+        debugStats,
+        nearEntities: 0,
+        farEntities: 0,
+        deferredEntities: 0,
+        projectilesSent: 0,
+        projectilesCulled: 0
+      });
+    },
+
+    /**
+     * Whether a player joined asking for network debug info
+     * @param {string} playerId Player ID
+     * @returns {boolean} True if the player gets debug info
+     */
+    hasDebugStats(playerId) {
+      const stats = this.stats.get(playerId);
+      return !!stats && stats.debugStats;
+    },
+
+    /**
+     * Stop tracking a player
+     * @param {string} playerId Player ID
+     */
+    removePlayer(playerId) {
+      this.relevant.delete(playerId);
+      this.stats.delete(playerId);
+      this.recipients.forEach(recipients => recipients.delete(playerId));
+    },
+
+    /**
+     * Forget projectiles that have hit something or expired, and rebuild
+     * the grid and each player's relevant set
+     */
+    update() {
+      this.recipients.forEach((recipients, id) => {
+        if (projectiles.active.has(id)) return;
+
+        // Everyone it never came near was spared the event
+        this.stats.forEach((stats, playerId) => {
+          if (!recipients.has(playerId)) stats.projectilesCulled++;
+        });
+        this.recipients.delete(id);
+      });
+
+      this.grid.clear();
+      gameState.players.forEach(player => {
+        this.grid.insert({ kind: 'player', id: player.id, netId: player.netId, x: player.position.x, z: player.position.z });
+      });
+      projectiles.active.forEach(projectile => {
+        this.grid.insert({ kind: 'projectile', id: projectile.id, x: projectile.flight.position.x, z: projectile.flight.position.z });
+      });
+
+      this.relevant.forEach((relevant, playerId) => {
+        relevant.clear();
+        const player = gameState.players.get(playerId);
+        if (!player) return;
+
+        this.grid.queryRadius(player.position.x, player.position.z, config.relevanceRadius).forEach(item => {
+          if (item.kind === 'player') relevant.add(item.netId);
+        });
+      });
+    },
+
+    /**
+     * Whether an entity should be sent to a player this tick
+     * @param {string} playerId Receiving player's ID
+     * @param {number} netId Network ID of the entity
+     * @param {number} seq Snapshot sequence number, used to spread distant updates over ticks
+     * @returns {boolean} True if the entity's latest state should be sent
+     */
+    shouldUpdate(playerId, netId, seq) {
+      if (this.isNear(playerId, netId)) return true;
+
+      // Distant entities take turns so their updates don't all land on the same tick
+      return (seq + netId) % config.farUpdateInterval === 0;
+    },
+
+    /**
+     * Whether an entity gets full-rate updates for a player
+     * @param {string} playerId Receiving player's ID
+     * @param {number} netId Network ID of the entity
+     * @returns {boolean} True if the entity is relevant to the player
+     */
+    isNear(playerId, netId) {
+      if (!config.enabled || netId === BOSS_NET_ID) return true;
+
+      const relevant = this.relevant.get(playerId);
+      return !relevant || relevant.has(netId);
+    },
+
+    /**
+     * Record what a player's snapshot contained, for the debug stats
+     * @param {string} playerId Player ID
+     * @param {number} near Entities sent at full rate
+     * @param {number} far Entities sent at the reduced rate
+     * @param {number} deferred Distant entities whose changes were held back this tick
+     */
+    recordSnapshot(playerId, near, far, deferred) {
+      const stats = this.stats.get(playerId);
+      if (!stats) return;
+
+      stats.nearEntities = near;
+      stats.farEntities = far;
+      stats.deferredEntities += deferred;
+    },
+
+    /**
+     * Send projectiles to every player they have come near and haven't been sent to yet
+     * @param {SocketIO.Server} io Socket.IO server instance
+     */
+    sendProjectiles(io) {
+      projectiles.active.forEach(projectile => {
+        const { position, direction } = projectile.flight;
+        const recipients = [];
+        let sent = this.recipients.get(projectile.id);
+        if (!sent) {
+          sent = new Set();
+          this.recipients.set(projectile.id, sent);
+        }
+
+        if (config.enabled) {
+          this.grid.queryRadius(position.x, position.z, config.relevanceRadius).forEach(item => {
+            if (item.kind === 'player') recipients.push(item.id);
+          });
+          // The shooter always sees their own shot
+          recipients.push(projectile.playerId);
+        } else {
+          gameState.players.forEach(player => recipients.push(player.id));
+        }
+
+        recipients.forEach(playerId => {
+          if (sent.has(playerId) || !gameState.players.has(playerId)) return;
+          sent.add(playerId);
+
+          const stats = this.stats.get(playerId);
+          if (stats) stats.projectilesSent++;
+
+          // Late recipients get the projectile where it is now
+          io.to(playerId).emit('projectileFired', {
+            projectileId: projectile.id,
+            type: projectile.type,
+            position: { ...position },
+            direction: { ...direction },
+            playerId: projectile.playerId
+          });
+        });
+      });
+    },
+
+    /**
+     * Send projectile impacts to the players that were sent the projectile
+     * @param {SocketIO.Server} io Socket.IO server instance
+     * @param {Array<Object>} impacts Impacts found by the projectile simulation this tick
+     */
+    sendImpacts(io, impacts) {
+      impacts.forEach(impact => {
+        const sent = this.recipients.get(impact.projectileId);
+        if (!sent) return;
+
+        const message = {
+          projectileId: impact.projectileId,
+          type: impact.type,
+          playerId: impact.playerId,
+          targetType: impact.targetType,
+          targetId: impact.targetId,
+          position: impact.position
+        };
+        sent.forEach(playerId => io.to(playerId).emit('projectileImpact', message));
+      });
+    },
+
+    /**
+     * Send interest stats to players that asked for them, at most once per interval
+     * @param {SocketIO.Server} io Socket.IO server instance
+     * @param {number} time Current time in milliseconds
+     */
+    sendStats(io, time) {
+      if (time - this.lastStatsTime < STATS_INTERVAL) return;
+      this.lastStatsTime = time;
+
+      this.stats.forEach((stats, playerId) => {
+        if (!stats.debugStats) return;
+
+        io.to(playerId).emit('interestStats', {
+          enabled: config.enabled,
+          relevanceRadius: config.relevanceRadius,
+          farUpdateInterval: config.farUpdateInterval,
+          nearEntities: stats.nearEntities,
+          farEntities: stats.farEntities,
+          deferredEntities: stats.deferredEntities,
+          projectilesTracked: projectiles.active.size,
+          projectilesSent: stats.projectilesSent,
+          projectilesCulled: stats.projectilesCulled
+        });
+
+        // Counters cover one interval
+        stats.deferredEntities = 0;
+        stats.projectilesSent = 0;
+        stats.projectilesCulled = 0;
+      });
+    }
+  };
+}
+
+module.exports = { createInterestManager, DEFAULT_INTEREST_SETTINGS };
@@ -0,0 +1,148 @@
+// Defaults for a room's lag compensation; any of them can be overridden per room
+const DEFAULT_LAG_COMPENSATION_SETTINGS = {
+  enabled: true,
+  maxRewind: 400 // Longest a shooter's view may be rewound (ms); slower connections have to lead their shots
+};
+
+// How far behind the server clients render remote entities (matches INTERPOLATION_DELAY in the client's SnapshotInterpolation.js)
+const CLIENT_INTERPOLATION_DELAY = 100;
+
+/**
+ * Wrap an angle into the range [-PI, PI]
+ * @param {number} angle Angle in radians
+ * @returns {number} Wrapped angle
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Creates the lag compensation for a room. The position of every player and
+ * the boss is recorded each tick for the length of the rewind window, so hits
+ * can be tested against where targets were when the shooter saw them rather
+ * than where they are by the time the shot reaches the server.
+ * @param {Object} gameState Room game state
+ * @param {Object} [settings] Overrides for DEFAULT_LAG_COMPENSATION_SETTINGS
+ * @returns {Object} Lag compensation
+ */
+function createLagCompensation(gameState, settings = {}) {
+  const config = { ...DEFAULT_LAG_COMPENSATION_SETTINGS, ...settings };
+
+  return {
+    settings: config,
+    // Oldest first: { time, players: Map<player ID, entity>, boss: entity|null }
+    history: [],
+    // Samples already worked out this tick, by time
+    samples: new Map(),
+
+    /**
+     * Record where everything is at the end of a tick
+     * @param {number} time Current time in milliseconds
+     */
+    record(time) {
+      const players = new Map();
+      gameState.players.forEach(player => {
+        players.set(player.id, {
+          position: { ...player.position },
+          rotation: { y: player.rotation.y },
+          alive: player.alive
+        });
+      });
+
+      const boss = gameState.boss;
+      this.history.push({
+        time,
+        players,
+        boss: boss ? { position: { ...boss.position }, rotation: { y: boss.rotation.y } } : null
+      });
+
+      // Keep one record older than the window so its start can still be interpolated
+      while (this.history.length > 2 && this.history[1].time < time - config.maxRewind) {
+        this.history.shift();
+      }
+      this.samples.clear();
+    },
+
+    /**
+     * How far back to look for a shooter's hits
+     * @param {number|null} roundTripTime Shooter's measured round trip time in milliseconds, if known
+     * @returns {number} Rewind in milliseconds
+     */
+    getRewind(roundTripTime) {
+      if (!config.enabled || roundTripTime === null) return 0;
+
+      // A shot reaches the server a full round trip after the snapshot the shooter
+      // was looking at was sent, and that snapshot was rendered a little late on purpose
+      return Math.min(config.maxRewind, Math.max(0, roundTripTime + CLIENT_INTERPOLATION_DELAY));
+    },
+
+    /**
+     * Where everything was at a past time, interpolated between ticks
+     * @param {number} time Time in milliseconds
+     * @returns {Object|null} World ({ time, players, boss }), or null if nothing has been recorded
+     */
+    sample(time) {
+      const history = this.history;
+      if (history.length === 0) return null;
+
+      const cached = this.samples.get(time);
+      if (cached) return cached;
+
+      // Latest record at or before the time, or the oldest if the time is before all of them
+      let index = history.length - 1;
+      while (index > 0 && history[index].time > time) index--;
+
+      const from = history[index];
+      const to = history[index + 1];
+      let world;
+
+      if (!to || to.time <= from.time || time <= from.time) {
+        world = from;
+      } else {
+        const t = (time - from.time) / (to.time - from.time);
+        const players = new Map();
+
+        from.players.forEach((entity, id) => {
+          const next = to.players.get(id);
+          if (next && next.alive === entity.alive) {
+            players.set(id, lerpEntity(entity, next, t, entity.alive));
+          } else {
+            // Deaths and respawns teleport, so take whichever side is closer in time
+            players.set(id, next && t >= 0.5 ? next : entity);
+          }
+        });
+
+        world = {
+          time,
+          players,
+          boss: from.boss && to.boss ? lerpEntity(from.boss, to.boss, t) : from.boss
+        };
+      }
+
+      this.samples.set(time, world);
+      return world;
+    }
+  };
+}
+
+/**
+ * Blend two recorded states of an entity
+ * @param {Object} from Earlier state
+ * @param {Object} to Later state
+ * @param {number} t Fraction of the way from the earlier to the later state
+ * @param {boolean} [alive] Whether the entity was alive, for players
+ * @returns {Object} Blended state
+ */
+function lerpEntity(from, to, t, alive) {
+  return {
+    position: {
+      x: from.position.x + (to.position.x - from.position.x) * t,
+      y: from.position.y + (to.position.y - from.position.y) * t,
+      z: from.position.z + (to.position.z - from.position.z) * t
+    },
+    rotation: { y: from.rotation.y + wrapAngle(to.rotation.y - from.rotation.y) * t },
+    alive
+  };
+}
+
+module.exports = { createLagCompensation, DEFAULT_LAG_COMPENSATION_SETTINGS };
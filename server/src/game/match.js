@@ -0,0 +1,402 @@
+const { TEAM_IDS } = require('vehicular-combat-shared');
+const { getGameMode } = require('./modes');
+const { logger } = require('../logger');
+
+// Match rules; config.js can override them for every room or for one
+const DEFAULT_MATCH_SETTINGS = {
+  minPlayers: 1, // Connected players needed before the ready check starts
+  readyCheckTimeout: 30000, // The countdown starts after this even if not everyone is ready (ms); 0 waits for everyone
+  countdown: 5000, // Time between the ready check and the round going live (ms)
+  timeLimit: 600000, // Length of a round (ms); 0 for no limit
+  scoreLimit: 3, // Bosses the players have to defeat to win a round; 0 for no limit
+  fragLimit: 20, // Frags one player needs to win a round in modes with frags; 0 for no limit
+  captureLimit: 3, // Flag captures one team needs to win a round in capture the flag; 0 for no limit
+  pointLimit: 100, // Points one player needs to win a round in king of the hill; 0 for no limit
+  rounds: 1, // Rounds per match
+  roundEndDuration: 5000, // Pause after each round (ms)
+  resultsDuration: 15000 // How long the final results are shown before the next warmup (ms)
+};
+
+/**
+ * Creates the match state machine of a room:
+ *
+ *   warmup -> readyCheck -> countdown -> live -> roundEnd -> (countdown | results) -> warmup
+ *
+ * Warmup waits for enough players, the ready check for all of them to send
+ * `ready` (or its timeout), and a round is live until its time, score, frag,
+ * capture or point limit. Scores only count while live. The room reacts to phase changes
+ * through onPhaseChange, e.g. spawning the boss when a round goes live.
+ * @param {Object} gameState Room game state
+ * @param {Object} [settings] Overrides for DEFAULT_MATCH_SETTINGS
+ * @param {string} [settings.mode] Game mode of the room (see modes.js)
+ * @param {Function} onPhaseChange Called with (phase, previousPhase, time) on every change
+ * @param {Object} [log] Logger of the room
+ * @returns {Object} Match
+ */
+function createMatch(gameState, settings = {}, onPhaseChange = () => {}, log = logger) {
+  const config = { ...DEFAULT_MATCH_SETTINGS, ...settings };
+  const mode = getGameMode(config.mode);
+
+  /**
+   * Number of players that are connected (not waiting to resume)
+   * @returns {number} Connected players
+   */
+  const countConnected = () => {
+    let count = 0;
+    gameState.players.forEach(player => {
+      if (player.connected) count++;
+    });
+    return count;
+  };
+
+  const match = {
+    settings: config,
+    phase: 'warmup',
+    // When the current phase ends on its own, in server time (ms), or null
+    phaseEndsAt: null,
+    round: 0,
+    // Bosses defeated in the current round
+    score: 0,
+    // Team ID -> score of its players, in team modes
+    teamScores: mode.teams ? Object.fromEntries(TEAM_IDS.map(team => [team, 0])) : null,
+    // IDs of players who are ready for the next match
+    ready: new Set(),
+    // Outcome of the last round: { round, reason, score, teamScores, winner, standings }
+    results: null,
+
+    /**
+     * Move to a phase
+     * @param {string} phase New phase
+     * @param {number} time Current time in milliseconds
+     * @param {number|null} [duration] How long the phase lasts (ms), or null if it has no end
+     */
+    setPhase(phase, time, duration = null) {
+      const previous = this.phase;
+      this.phase = phase;
+      this.phaseEndsAt = duration ? time + duration : null;
+
+      log.info('Match phase changed', { phase, previous, round: this.round });
+      onPhaseChange(phase, previous, time);
+    },
+
+    /**
+     * Advance the state machine
+     * @param {number} time Current time in milliseconds
+     */
+    update(time) {
+      const connected = countConnected();
+      const timeUp = this.phaseEndsAt !== null && time >= this.phaseEndsAt;
+
+      switch (this.phase) {
+        case 'warmup':
+          if (connected >= config.minPlayers && connected > 0) {
+            this.setPhase('readyCheck', time, config.readyCheckTimeout || null);
+          }
+          break;
+
+        case 'readyCheck':
+          if (connected < config.minPlayers || connected === 0) {
+            this.setPhase('warmup', time);
+          } else if (timeUp || this.allReady()) {
+            this.round = 0;
+            this.startCountdown(time);
+          }
+          break;
+
+        case 'countdown':
+          if (connected === 0) {
+            this.reset(time);
+          } else if (timeUp) {
+            this.round++;
+            this.score = 0;
+            // A new match starts everyone from zero; frags count per round
+            if (this.round === 1 || mode.frags) {
+              this.resetScores();
+            }
+            this.setPhase('live', time, config.timeLimit || null);
+          }
+          break;
+
+        case 'live':
+          if (gameState.players.size === 0) {
+            this.reset(time);
+          } else if (timeUp) {
+            this.endRound('timeLimit', time);
+          }
+          break;
+
+        case 'roundEnd':
+          if (gameState.players.size === 0) {
+            this.reset(time);
+          } else if (timeUp) {
+            if (this.round < config.rounds) {
+              this.startCountdown(time);
+            } else {
+              this.setPhase('results', time, config.resultsDuration);
+            }
+          }
+          break;
+
+        case 'results':
+          if (timeUp || gameState.players.size === 0) {
+            this.reset(time);
+          }
+          break;
+      }
+    },
+
+    /**
+     * Start the countdown to the next round
+     * @param {number} time Current time in milliseconds
+     */
+    startCountdown(time) {
+      this.setPhase('countdown', time, config.countdown);
+    },
+
+    /**
+     * End the current round and show its results
+     * @param {string} reason 'timeLimit', 'scoreLimit', 'fragLimit', 'captureLimit' or 'pointLimit'
+     * @param {number} time Current time in milliseconds
+     */
+    endRound(reason, time) {
+      this.results = {
+        round: this.round,
+        reason,
+        score: this.score,
+        teamScores: this.getTeamScores(),
+        winner: this.getWinner(),
+        standings: this.getStandings()
+      };
+      this.setPhase('roundEnd', time, config.roundEndDuration);
+    },
+
+    /**
+     * Who won the round that is ending: the team with the highest score in team
+     * modes, the player with the most frags or points in free-for-all modes
+     * that have them
+     * @returns {Object|null} { team } or { id, username }; null for a draw, a scoreless round or co-op
+     */
+    getWinner() {
+      if (this.teamScores) {
+        const [first, second] = Object.entries(this.teamScores).sort((a, b) => b[1] - a[1]);
+        return first[1] > second[1] ? { team: first[0] } : null;
+      }
+
+      if (!mode.frags && !mode.hill) return null;
+      const [leader, runnerUp] = this.getStandings();
+      if (!leader || leader.score === 0 || (runnerUp && runnerUp.score === leader.score)) return null;
+      return { id: leader.id, username: leader.username };
+    },
+
+    /**
+     * Start everyone's score, kills and deaths from zero
+     */
+    resetScores() {
+      gameState.players.forEach(player => {
+        player.score = 0;
+        player.kills = 0;
+        player.deaths = 0;
+        player.killStreak = 0;
+      });
+      gameState.bossKillStreak = 0;
+      if (this.teamScores) {
+        TEAM_IDS.forEach(team => {
+          this.teamScores[team] = 0;
+        });
+      }
+    },
+
+    /**
+     * Go back to warmup for a new match
+     * @param {number} time Current time in milliseconds
+     */
+    reset(time) {
+      this.ready.clear();
+      this.round = 0;
+      this.score = 0;
+      this.setPhase('warmup', time);
+    },
+
+    /**
+     * Whether scores count right now
+     * @returns {boolean} True while a round is live
+     */
+    isLive() {
+      return this.phase === 'live';
+    },
+
+    /**
+     * Count a boss defeat towards the round's score limit
+     * @param {number} time Current time in milliseconds
+     */
+    recordBossDefeat(time) {
+      if (!this.isLive()) return;
+
+      this.score++;
+      if (config.scoreLimit > 0 && this.score >= config.scoreLimit) {
+        this.endRound('scoreLimit', time);
+      }
+    },
+
+    /**
+     * Add points to a player's score, and to their team's in team modes
+     * @param {Object} player Player who scored
+     * @param {number} points Points scored
+     * @returns {boolean} True if it counted (only while live)
+     */
+    addScore(player, points) {
+      if (!this.isLive()) return false;
+
+      player.score += points;
+      if (this.teamScores && player.team) {
+        this.teamScores[player.team] += points;
+      }
+      return true;
+    },
+
+    /**
+     * Count a kill as a frag for the killer, ending the round at the frag limit
+     * (of the player, or of their team in team modes)
+     * @param {Object|null} killer Player who made the kill
+     * @param {Object} victim Player who died
+     * @param {number} time Current time in milliseconds
+     * @returns {boolean} True if it scored
+     */
+    recordKill(killer, victim, time) {
+      if (!killer || !mode.frags) return false;
+      // Killing a teammate (with friendly fire on) is no frag
+      if (this.teamScores && killer.team === victim.team) return false;
+      if (!this.addScore(killer, 1)) return false;
+
+      const frags = this.teamScores ? this.teamScores[killer.team] : killer.score;
+      if (config.fragLimit > 0 && frags >= config.fragLimit) {
+        this.endRound('fragLimit', time);
+      }
+      return true;
+    },
+
+    /**
+     * Count a flag capture for the capturing player's team, ending the round at the capture limit
+     * @param {Object} player Player who brought the flag home
+     * @param {number} time Current time in milliseconds
+     * @returns {boolean} True if it scored
+     */
+    recordCapture(player, time) {
+      if (!mode.flags || !this.addScore(player, 1)) return false;
+
+      if (config.captureLimit > 0 && this.teamScores[player.team] >= config.captureLimit) {
+        this.endRound('captureLimit', time);
+      }
+      return true;
+    },
+
+    /**
+     * Add the points a player scored holding the zone, ending the round at the point limit
+     * @param {Object} player Player alone in the zone
+     * @param {number} points Points scored
+     * @param {number} time Current time in milliseconds
+     * @returns {boolean} True if it scored
+     */
+    recordHillPoints(player, points, time) {
+      if (!mode.hill || !this.addScore(player, points)) return false;
+
+      if (config.pointLimit > 0 && player.score >= config.pointLimit) {
+        this.endRound('pointLimit', time);
+      }
+      return true;
+    },
+
+    /**
+     * Mark a player ready or not ready for the next match
+     * @param {string} playerId Player ID
+     * @param {boolean} ready Whether the player is ready
+     * @returns {boolean} True if that changed anything
+     */
+    setReady(playerId, ready) {
+      if (!gameState.players.has(playerId) || this.ready.has(playerId) === ready) return false;
+      // Readying up only matters before the match starts
+      if (this.phase !== 'warmup' && this.phase !== 'readyCheck') return false;
+
+      if (ready) {
+        this.ready.add(playerId);
+      } else {
+        this.ready.delete(playerId);
+      }
+      return true;
+    },
+
+    /**
+     * Whether every connected player is ready
+     * @returns {boolean} True if they are
+     */
+    allReady() {
+      for (const player of gameState.players.values()) {
+        if (player.connected && !this.ready.has(player.id)) return false;
+      }
+      return true;
+    },
+
+    /**
+     * Forget a player who left the room
+     * @param {string} playerId Player ID
+     */
+    removePlayer(playerId) {
+      this.ready.delete(playerId);
+    },
+
+    /**
+     * Team scores as sent to clients (boss damage adds fractions, so they are rounded)
+     * @returns {Object|null} Team ID -> score, or null outside team modes
+     */
+    getTeamScores() {
+      if (!this.teamScores) return null;
+      return Object.fromEntries(Object.entries(this.teamScores).map(([team, score]) => [team, Math.round(score)]));
+    },
+
+    /**
+     * Players ranked by score, then kills, then fewest deaths
+     * @returns {Array<Object>} Standings ({ id, username, team, score, kills, deaths })
+     */
+    getStandings() {
+      return Array.from(gameState.players.values())
+        .map(player => ({
+          id: player.id,
+          username: player.username,
+          team: player.team,
+          score: Math.round(player.score),
+          kills: player.kills,
+          deaths: player.deaths
+        }))
+        .sort((a, b) => b.score - a.score || b.kills - a.kills || a.deaths - b.deaths);
+    },
+
+    /**
+     * Match state as sent to clients in 'matchState'
+     * @returns {Object} Mode, phase, its deadline (server ms), round, limits, scores and ready players
+     */
+    getState() {
+      return {
+        mode: config.mode,
+        phase: this.phase,
+        phaseEndsAt: this.phaseEndsAt,
+        round: this.round,
+        rounds: config.rounds,
+        timeLimit: config.timeLimit,
+        scoreLimit: config.scoreLimit,
+        fragLimit: mode.frags ? config.fragLimit : null,
+        captureLimit: mode.flags ? config.captureLimit : null,
+        pointLimit: mode.hill ? config.pointLimit : null,
+        score: this.score,
+        teamScores: this.getTeamScores(),
+        standings: this.getStandings(),
+        minPlayers: config.minPlayers,
+        readyPlayers: Array.from(this.ready),
+        results: this.phase === 'roundEnd' || this.phase === 'results' ? this.results : null
+      };
+    }
+  };
+
+  return match;
+}
+
+module.exports = { createMatch, DEFAULT_MATCH_SETTINGS };
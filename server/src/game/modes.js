@@ -0,0 +1,46 @@
+/**
+ * How each game mode plays. A room's `mode` setting picks one; the room and
+ * its match read these rules instead of checking mode names.
+ *   boss: the boss spawns when a round goes live and respawns after a defeat
+ *   frags: killing another player scores a frag, and fragLimit frags win the round
+ *   teams: players are split into two teams that score together (see TEAMS in the shared package)
+ *   flags: each team has a flag at its base to defend, and captures of the other team's flag score (see flags.js)
+ *   hill: a scoring zone moves between landmarks, and a player alone in it scores points (see hill.js)
+ *   escalatingRespawn: each death makes the next respawn wait longer
+ */
+const GAME_MODES = {
+  // Everyone against the boss; the round ends after scoreLimit bosses
+  coop: { boss: true, frags: false, teams: false, flags: false, hill: false, escalatingRespawn: true },
+  // Everyone against everyone, no boss
+  deathmatch: { boss: false, frags: true, teams: false, flags: false, hill: false, escalatingRespawn: false },
+  // Two teams against each other, no boss; the team frags add up to the frag limit
+  teamDeathmatch: { boss: false, frags: true, teams: true, flags: false, hill: false, escalatingRespawn: false },
+  // Two teams against the boss; the team that deals it the most damage wins the round
+  teamCoop: { boss: true, frags: false, teams: true, flags: false, hill: false, escalatingRespawn: true },
+  // Two teams, no boss; bringing the other team's flag home scores, and captureLimit captures win the round
+  ctf: { boss: false, frags: false, teams: true, flags: true, hill: false, escalatingRespawn: false },
+  // Everyone for themselves, no boss; holding the zone alone scores, and pointLimit points win the round
+  koth: { boss: false, frags: false, teams: false, flags: false, hill: true, escalatingRespawn: false }
+};
+
+const DEFAULT_MODE = 'coop';
+
+/**
+ * Check whether a game mode exists
+ * @param {string} mode Mode name
+ * @returns {boolean} True if the mode is known
+ */
+function isGameMode(mode) {
+  return Object.prototype.hasOwnProperty.call(GAME_MODES, mode);
+}
+
+/**
+ * Get the rules of a game mode
+ * @param {string} mode Mode name
+ * @returns {Object} Mode rules (the default mode's for unknown names)
+ */
+function getGameMode(mode) {
+  return GAME_MODES[isGameMode(mode) ? mode : DEFAULT_MODE];
+}
+
+module.exports = { GAME_MODES, DEFAULT_MODE, isGameMode, getGameMode };
@@ -0,0 +1,299 @@
+const {
+  MAP_COLLIDERS,
+  getWeapon,
+  createProjectileState,
+  stepProjectile,
+  isInBounds,
+  containsPoint
+} = require('vehicular-combat-shared');
+
+// Hit sphere around a vehicle, centered this far above its origin
+const PLAYER_HIT_RADIUS = 3;
+const PLAYER_HIT_HEIGHT = 1;
+
+// Hit box of the boss in its own frame (the scaled semi-truck is ~6 wide and ~26 long)
+const BOSS_HALF_WIDTH = 3.5;
+const BOSS_HALF_LENGTH = 13;
+const BOSS_HIT_HEIGHT = 6;
+
+// How far a client-reported muzzle position may be from the server's
+// position of the shooter before the server's own position is used instead
+const MAX_MUZZLE_OFFSET = 10;
+
+// Height above the vehicle origin projectiles are fired from
+const MUZZLE_HEIGHT = 0.5;
+
+/**
+ * Creates the authoritative projectile simulation for a room. Every shot is
+ * flown on the server with the weapon's speed, lifetime and range, and tested
+ * against players, the boss and the map colliders each tick. Targets are
+ * rewound by the shooter's latency, so a shot hits what the shooter was
+ * looking at when they fired. Clients only render copies; the impacts found
+ * here are what deal damage.
+ * @param {Object} gameState Room game state
+ * @param {Object} lagCompensation Room lag compensation (position history)
+ * @returns {Object} Projectile simulation
+ */
+function createProjectileSimulation(gameState, lagCompensation) {
+  let nextProjectileId = 1;
+
+  return {
+    active: new Map(), // projectile ID -> { id, playerId, type, damage, rewind, flight }
+
+    /**
+     * Fire a projectile for a player
+     * @param {string} playerId ID of the shooter
+     * @param {string} type Weapon type
+     * @param {Object} position Muzzle position the client saw
+     * @param {Object} direction Flight direction (normalized)
+     * @param {number} time Current time in milliseconds
+     * @param {number} [rewind] How far behind the server the shooter sees targets, in milliseconds
+     * @returns {Object|null} The projectile, or null if the weapon is unknown or the shooter can't fire
+     */
+    spawn(playerId, type, position, direction, time, rewind = 0) {
+      const weapon = getWeapon(type);
+      const player = gameState.players.get(playerId);
+      if (!weapon || !player || !player.alive) return null;
+
+      // Trust the client's muzzle position only as far as prediction error could explain
+      const dx = position.x - player.position.x;
+      const dz = position.z - player.position.z;
+      const origin = dx * dx + dz * dz <= MAX_MUZZLE_OFFSET * MAX_MUZZLE_OFFSET
+        ? position
+        : player.position;
+
+      const projectile = {
+        id: `shot_${nextProjectileId++}`,
+        playerId,
+        type,
+        damage: weapon.damage,
+        rewind,
+        flight: createProjectileState(
+          type,
+          { x: origin.x, y: player.position.y + MUZZLE_HEIGHT, z: origin.z },
+          direction,
+          time
+        )
+      };
+
+      this.active.set(projectile.id, projectile);
+      return projectile;
+    },
+
+    /**
+     * Advance every projectile by one tick and collect what they hit
+     * @param {number} delta Time since last update in seconds
+     * @param {number} time Current time in milliseconds
+     * @returns {Array<Object>} Impacts ({ projectileId, playerId, type, damage, rewind, targetType, targetId, position })
+     */
+    update(delta, time) {
+      const impacts = [];
+      const boss = gameState.boss;
+
+      this.active.forEach((projectile, id) => {
+        const { flight } = projectile;
+        const from = { ...flight.position };
+        const alive = stepProjectile(flight, delta, time, boss ? boss.position : null);
+
+        const impact = this.findImpact(projectile, from, flight.position, time);
+        if (impact) {
+          impacts.push({
+            projectileId: id,
+            playerId: projectile.playerId,
+            type: projectile.type,
+            damage: projectile.damage,
+            rewind: projectile.rewind,
+            ...impact
+          });
+          this.active.delete(id);
+        } else if (!alive) {
+          // Expired shots vanish the same way on every client, so they aren't announced
+          this.active.delete(id);
+        }
+      });
+
+      return impacts;
+    },
+
+    /**
+     * Where the shooter of a projectile saw the players and the boss
+     * @param {Object} projectile Projectile
+     * @param {number} time Current time in milliseconds
+     * @returns {Object} World ({ players, boss }) with each player's and the boss's rewound state
+     */
+    getShooterView(projectile, time) {
+      const world = projectile.rewind > 0 ? lagCompensation.sample(time - projectile.rewind) : null;
+      const players = new Map();
+
+      // Players missing from the history (they just joined) are taken where they are now
+      gameState.players.forEach(player => {
+        const past = world && world.players.get(player.id);
+        players.set(player.id, past || player);
+      });
+
+      const boss = gameState.boss;
+      return {
+        players,
+        boss: boss && world && world.boss ? { ...world.boss, id: boss.id } : boss
+      };
+    },
+
+    /**
+     * Hit boxes the shooter of a projectile is tested against, for the debug overlay
+     * @param {Object} projectile Projectile
+     * @param {number} time Current time in milliseconds
+     * @returns {Array<Object>} Player hit spheres and the boss hit box
+     */
+    getHitboxes(projectile, time) {
+      const view = this.getShooterView(projectile, time);
+      const hitboxes = [];
+
+      view.players.forEach((player, id) => {
+        if (id === projectile.playerId || !player.alive) return;
+        hitboxes.push({
+          targetType: 'player',
+          targetId: id,
+          position: { x: player.position.x, y: player.position.y + PLAYER_HIT_HEIGHT, z: player.position.z },
+          radius: PLAYER_HIT_RADIUS
+        });
+      });
+
+      if (view.boss) {
+        hitboxes.push({
+          targetType: 'boss',
+          targetId: view.boss.id,
+          position: { ...view.boss.position },
+          rotation: view.boss.rotation.y,
+          halfWidth: BOSS_HALF_WIDTH,
+          halfLength: BOSS_HALF_LENGTH,
+          height: BOSS_HIT_HEIGHT
+        });
+      }
+
+      return hitboxes;
+    },
+
+    /**
+     * Find the first thing a projectile hit while moving between two points
+     * @param {Object} projectile Projectile
+     * @param {Object} from Position before the step
+     * @param {Object} to Position after the step
+     * @param {number} time Current time in milliseconds
+     * @returns {Object|null} Hit target ({ targetType, targetId, position }), or null for a miss
+     */
+    findImpact(projectile, from, to, time) {
+      const view = this.getShooterView(projectile, time);
+      let closest = null;
+      let closestT = Infinity;
+
+      view.players.forEach((player, id) => {
+        if (id === projectile.playerId || !player.alive) return;
+
+        // The player still has to be in the game (and alive) now to be hit
+        const current = gameState.players.get(id);
+        if (!current || !current.alive) return;
+
+        const center = { x: player.position.x, y: player.position.y + PLAYER_HIT_HEIGHT, z: player.position.z };
+        const t = segmentSphereHit(from, to, center, PLAYER_HIT_RADIUS);
+        if (t !== null && t < closestT) {
+          closestT = t;
+          closest = { targetType: 'player', targetId: id };
+        }
+      });
+
+      if (closest) {
+        return { ...closest, position: lerp(from, to, closestT) };
+      }
+
+      // The boss and the map are large compared to a tick's travel, so the end point is enough
+      const boss = gameState.boss;
+      if (boss && boss.health > 0 && bossContainsPoint(view.boss, to)) {
+        return { targetType: 'boss', targetId: boss.id, position: { ...to } };
+      }
+
+      if (!isInBounds(to) || MAP_COLLIDERS.some(collider => containsPoint(collider, to))) {
+        return { targetType: 'map', targetId: null, position: { ...to } };
+      }
+
+      return null;
+    },
+
+    /**
+     * Drop the projectiles a player fired
+     * @param {string} playerId Player ID
+     */
+    removePlayer(playerId) {
+      this.active.forEach((projectile, id) => {
+        if (projectile.playerId === playerId) this.active.delete(id);
+      });
+    }
+  };
+}
+
+/**
+ * Where along a segment it first enters a sphere
+ * @param {Object} from Segment start
+ * @param {Object} to Segment end
+ * @param {Object} center Sphere center
+ * @param {number} radius Sphere radius
+ * @returns {number|null} Fraction of the segment (0-1) at the closest approach, or null if it misses
+ */
+function segmentSphereHit(from, to, center, radius) {
+  const sx = to.x - from.x;
+  const sy = to.y - from.y;
+  const sz = to.z - from.z;
+  const lengthSq = sx * sx + sy * sy + sz * sz;
+
+  // Closest point on the segment to the sphere center
+  let t = 0;
+  if (lengthSq > 0) {
+    t = ((center.x - from.x) * sx + (center.y - from.y) * sy + (center.z - from.z) * sz) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+  }
+
+  const dx = from.x + sx * t - center.x;
+  const dy = from.y + sy * t - center.y;
+  const dz = from.z + sz * t - center.z;
+  return dx * dx + dy * dy + dz * dz <= radius * radius ? t : null;
+}
+
+/**
+ * Check whether a point is inside the boss's hit box
+ * @param {Object} boss Boss state
+ * @param {Object} point Point with x, y and z
+ * @param {number} [margin] Extra distance around the box that still counts
+ * @returns {boolean} True if the point is inside
+ */
+function bossContainsPoint(boss, point, margin = 0) {
+  const dx = point.x - boss.position.x;
+  const dz = point.z - boss.position.z;
+  const angle = boss.rotation ? boss.rotation.y || 0 : 0;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Rotate into the boss's frame, where it faces along z
+  const localX = dx * cos - dz * sin;
+  const localZ = dx * sin + dz * cos;
+  const height = point.y - boss.position.y;
+
+  return Math.abs(localX) <= BOSS_HALF_WIDTH + margin &&
+    Math.abs(localZ) <= BOSS_HALF_LENGTH + margin &&
+    height >= 0 && height <= BOSS_HIT_HEIGHT;
+}
+
+/**
+ * Point part of the way between two positions
+ * @param {Object} a Start
+ * @param {Object} b End
+ * @param {number} t Fraction of the way from a to b
+ * @returns {Object} Interpolated position
+ */
+function lerp(a, b, t) {
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    z: a.z + (b.z - a.z) * t
+  };
+}
+
+module.exports = { createProjectileSimulation, bossContainsPoint };
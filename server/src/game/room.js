@@ -0,0 +1,1075 @@
+const crypto = require('crypto');
+const { TEAM_IDS, resolveMapCollision } = require('vehicular-combat-shared');
+const { createGameState } = require('./gameState');
+const { createLagCompensation } = require('./lagCompensation');
+const { createProjectileSimulation } = require('./projectileSimulation');
+const { createBossAI } = require('./bossAI');
+const { createSnapshotSync } = require('./snapshotSync');
+const { createInterestManager } = require('./interestManager');
+const { createMatch } = require('./match');
+const { createFlags } = require('./flags');
+const { createHill } = require('./hill');
+const { getGameMode, DEFAULT_MODE } = require('./modes');
+const { logger } = require('../logger');
+
+// Define spawn positions at map corners and additional positions in further corners
+const SPAWN_POSITIONS = [
+  // Original positions
+  { x: -45, y: 3, z: -45 },
+  { x: -45, y: 3, z: 45 },
+  { x: 45, y: 3, z: -45 },
+  { x: 45, y: 3, z: 45 },
+  // Additional positions at extreme corners (5 units from walls)
+  { x: -155, y: 3, z: -235 },
+  { x: -155, y: 3, z: 235 },
+  { x: 155, y: 3, z: -235 },
+  { x: 155, y: 3, z: 235 }
+];
+
+// How often standings go out while someone scores by holding the zone (ms)
+const HILL_SCORE_BROADCAST_INTERVAL = 1000;
+
+// Pickup types the server knows how to apply
+const PICKUP_TYPES = ['specialAttack', 'fullHealth'];
+
+// Game rules of a room; config.js can override them for every room or for one
+const DEFAULT_ROOM_SETTINGS = {
+  mode: DEFAULT_MODE, // Game mode, see modes.js
+  pickupPositions: SPAWN_POSITIONS, // Where pickups spawn and are refilled
+  pickupRespawnInterval: 30000, // How often empty pickup positions are refilled (ms)
+  bossRespawnDelay: 35000, // Time between a boss defeat and the next boss, grace period + warning (ms)
+  bossRespawnWarning: 5000, // Last part of bossRespawnDelay in which clients warn that the boss is coming (ms)
+  bossHealthPerLevel: 1000, // Boss health is this times its level (the player count)
+  easterEggPosition: { x: 50, y: 50.0, z: 0 },
+  easterEggRespawnTime: 30000, // Time before a collected Easter Egg comes back (ms)
+  friendlyFire: false, // Whether teammates can damage each other in team modes (always on in the others)
+  sessionGracePeriod: 30000 // How long a disconnected player's vehicle is kept so they can resume their session (ms)
+};
+
+// How far from the boss the pickups it drops land (world units)
+const BOSS_DROP_MIN_DISTANCE = 10;
+const BOSS_DROP_MAX_DISTANCE = 20;
+
+/**
+ * Boss stats for a level. The level normally equals the number of players.
+ * @param {number} level Boss level
+ * @param {number} healthPerLevel Boss health per level
+ * @returns {Object} Level, difficulty, max health and attack stats
+ */
+function getBossStats(level, healthPerLevel) {
+  const difficulty = level; // Difficulty is equal to the level
+  return {
+    difficulty,
+    level,
+    maxHealth: healthPerLevel * level,
+    attackCooldown: 2000 / difficulty, // Reduced from 3000 to 2000 for faster attacks
+    damage: 15 * difficulty // Increased base damage from 10 to 15
+  };
+}
+
+/**
+ * Creates a match room. Each room runs its own independent game: players,
+ * boss, pickups, Easter Egg and timers. Events are scoped to the room's
+ * socket.io room so players in different matches never see each other.
+ * @param {string} id Room ID (the socket.io room is `room:<id>`)
+ * @param {SocketIO.Server} io Socket.IO server instance
+ * @param {Object} metrics Server metrics (see metrics.js)
+ * @param {Object} [options] Room settings: overrides for DEFAULT_ROOM_SETTINGS, plus
+ * @param {Object} [options.interest] Interest management overrides (see DEFAULT_INTEREST_SETTINGS)
+ * @param {Object} [options.lagCompensation] Lag compensation overrides (see DEFAULT_LAG_COMPENSATION_SETTINGS)
+ * @param {Object} [options.match] Match rule overrides (see DEFAULT_MATCH_SETTINGS)
+ * @param {Object} [options.flags] Capture-the-flag overrides (see DEFAULT_FLAG_SETTINGS)
+ * @param {Object} [options.hill] King-of-the-hill overrides (see DEFAULT_HILL_SETTINGS)
+ * @returns {Object} Room object
+ */
+function createRoom(id, io, metrics, options = {}) {
+  const log = logger.child({ module: 'room', room: id });
+  const settings = { ...DEFAULT_ROOM_SETTINGS, ...options };
+  const mode = getGameMode(settings.mode);
+  const gameState = createGameState();
+  const lagCompensation = createLagCompensation(gameState, options.lagCompensation);
+  const projectiles = createProjectileSimulation(gameState, lagCompensation);
+  const interest = createInterestManager(gameState, projectiles, options.interest);
+  const match = createMatch(gameState, { ...options.match, mode: settings.mode }, (phase, previous) => {
+    room.handleMatchPhase(phase, previous);
+  }, log);
+
+  if (!mode.escalatingRespawn) {
+    gameState.respawnDelayPerDeath = 0;
+  }
+  if (mode.teams) {
+    gameState.friendlyFire = settings.friendlyFire;
+  }
+  gameState.onPlayerKilled = (player, killer) => room.handlePlayerKilled(player, killer);
+
+  // Socket.IO also puts every socket in a room named after its ID, so match
+  // rooms get a prefix to keep a room name from matching a player
+  const channel = `room:${id}`;
+
+  const room = {
+    id,
+    channel,
+    settings,
+    gameState,
+    // Broadcasts only reach sockets that joined this room
+    io: io.to(channel),
+    // Recent positions, so hits can be checked against what the shooter saw
+    lagCompensation,
+    // Authoritative projectiles; their impacts are what deal damage
+    projectiles,
+    // Boss state machine, targeting and weapons
+    bossAI: createBossAI(gameState),
+    // Decides which entities each client gets full-rate updates for
+    interest,
+    // Per-tick delta-compressed world snapshots
+    snapshotSync: createSnapshotSync(gameState, interest),
+    // Warmup, ready check, countdown, live rounds and results
+    match,
+    // Team flags in capture the flag, null in the other modes
+    flags: mode.flags ? createFlags(gameState, options.flags) : null,
+    // Moving scoring zone in king of the hill, null in the other modes
+    hill: mode.hill ? createHill(gameState, options.hill) : null,
+    // When the standings were last sent because someone held the zone
+    lastHillScoreBroadcast: 0,
+    // Track Easter Egg pickup state
+    easterEggState: {
+      active: true,
+      position: { ...settings.easterEggPosition },
+      respawnTime: settings.easterEggRespawnTime,
+      respawnTimer: null
+    },
+    pickupTimer: null,
+    // When each running timer fires, in server time (ms), or null while it isn't running.
+    // Clients get these as absolute deadlines and count down against their synced clock.
+    deadlines: {
+      bossRespawn: null,
+      pickupRespawn: null,
+      easterEggRespawn: null
+    },
+    // Time the last player left, or null while the room is occupied
+    emptySince: Date.now(),
+    // Resumable sessions: token -> { playerId, disconnectTimer }
+    sessions: new Map(),
+
+    /**
+     * Add a player to the room and send them the current match state
+     * @param {SocketIO.Socket} socket Socket of the joining player
+     * @param {Object} data Join payload
+     * @returns {Object} Created player
+     */
+    addPlayer(socket, data) {
+      socket.join(this.channel);
+      this.emptySince = null;
+
+      // Add player to game state, on a team in team modes
+      const team = mode.teams ? this.pickTeam(data.team) : null;
+      const player = this.gameState.addPlayer(socket.id, { ...data, team });
+      this.snapshotSync.addClient(socket.id, data.snapshotEncoding);
+      this.interest.addPlayer(socket.id, data.debugStats === true);
+
+      // Issue a token the client can use to get this player back after a dropped connection
+      const token = crypto.randomBytes(16).toString('hex');
+      this.sessions.set(token, { playerId: player.id, disconnectTimer: null });
+      socket.emit('session', { token, playerId: player.id, resumed: false });
+
+      // Notify other players
+      socket.to(this.channel).emit('playerJoined', player);
+
+      // The boss spawns when a round goes live, not when someone joins
+      this.sendMatchState(socket);
+
+      return player;
+    },
+
+    /**
+     * Choose the team for a joining player: the one they asked for unless it
+     * already has more players than another, else the smallest team
+     * @param {string|null} [requested] Team the player chose, if any
+     * @returns {string} Team ID
+     */
+    pickTeam(requested) {
+      const counts = Object.fromEntries(TEAM_IDS.map(team => [team, 0]));
+      this.gameState.players.forEach(player => {
+        if (player.team) counts[player.team]++;
+      });
+
+      const fewest = Math.min(...TEAM_IDS.map(team => counts[team]));
+      if (requested && counts[requested] === fewest) return requested;
+
+      // Auto-balance, picking at random between teams of equal size
+      const smallest = TEAM_IDS.filter(team => counts[team] === fewest);
+      return smallest[this.gameState.random.nextInt(smallest.length)];
+    },
+
+    /**
+     * Give a reconnecting client back the player of a disconnected session
+     * @param {SocketIO.Socket} socket New socket of the returning player
+     * @param {Object} data Join payload with the session token
+     * @returns {Object|null} The resumed player, or null if the token isn't resumable
+     */
+    resumePlayer(socket, data) {
+      const token = data.sessionToken;
+      const session = typeof token === 'string' ? this.sessions.get(token) : null;
+
+      // Only sessions waiting out their grace period can be taken over, so a
+      // duplicated tab can't steal a player that is still connected
+      if (!session || !session.disconnectTimer) return null;
+
+      const player = this.gameState.players.get(session.playerId);
+      if (!player) return null;
+
+      clearTimeout(session.disconnectTimer);
+      session.disconnectTimer = null;
+
+      socket.join(this.channel);
+      // Events addressed to the player ID have to reach the new socket
+      socket.join(player.id);
+      this.emptySince = null;
+
+      // A reloaded client numbers its inputs from the start again
+      player.connected = true;
+      player.lastInputSeq = 0;
+      player.inputAckPending = false;
+      this.snapshotSync.addClient(player.id, data.snapshotEncoding);
+      this.interest.addPlayer(player.id, data.debugStats === true);
+
+      socket.emit('session', {
+        token,
+        playerId: player.id,
+        resumed: true,
+        player: {
+          vehicle: player.vehicle,
+          username: player.username,
+          team: player.team,
+          health: player.health,
+          maxHealth: player.maxHealth,
+          alive: player.alive,
+          ammo: { ...player.ammo },
+          position: { ...player.position },
+          rotation: { ...player.rotation },
+          kills: player.kills,
+          deaths: player.deaths,
+          killStreak: player.killStreak
+        }
+      });
+
+      this.sendMatchState(socket);
+
+      log.info('Player resumed their session', { playerId: player.id });
+      return player;
+    },
+
+    /**
+     * Keep a disconnected player around for the grace period so they can resume
+     * @param {string} playerId ID of the disconnected player
+     */
+    suspendPlayer(playerId) {
+      const session = this.getSession(playerId);
+      const player = this.gameState.players.get(playerId);
+      if (!session || !player) {
+        this.removePlayer(playerId);
+        return;
+      }
+
+      player.connected = false;
+      this.snapshotSync.removeClient(playerId);
+
+      // A vehicle nobody drives can't keep the flag
+      this.dropFlag(playerId);
+
+      session.disconnectTimer = setTimeout(() => {
+        session.disconnectTimer = null;
+        log.info('Session expired', { playerId });
+        this.removePlayer(playerId);
+      }, settings.sessionGracePeriod);
+    },
+
+    /**
+     * Find the session belonging to a player
+     * @param {string} playerId Player ID
+     * @returns {Object|null} Session, or null if the player has none
+     */
+    getSession(playerId) {
+      for (const session of this.sessions.values()) {
+        if (session.playerId === playerId) return session;
+      }
+      return null;
+    },
+
+    /**
+     * Send the current pickups, Easter Egg and game state to a (re)joining player
+     * @param {SocketIO.Socket} socket Socket of the player
+     */
+    sendMatchState(socket) {
+      socket.emit('initializePickups', this.gameState.pickups);
+      socket.emit('easterEggState', {
+        active: this.easterEggState.active,
+        position: this.easterEggState.position,
+        respawnTime: this.easterEggState.respawnTime
+      });
+      socket.emit('gameState', this.gameState.getCurrentState());
+      socket.emit('timers', this.getTimers());
+      socket.emit('matchState', this.match.getState());
+      if (this.flags) {
+        socket.emit('flagState', this.flags.getState());
+      }
+      if (this.hill) {
+        socket.emit('zoneState', this.hill.getState());
+      }
+    },
+
+    /**
+     * Deadlines of the room's timers, as sent to clients
+     * @returns {Object} Server times (ms) of the boss respawn and its warning, the next
+     *   pickup refill and the Easter Egg respawn; null for timers that aren't running
+     */
+    getTimers() {
+      const { bossRespawn, pickupRespawn, easterEggRespawn } = this.deadlines;
+      return {
+        bossRespawnAt: bossRespawn,
+        bossWarningAt: bossRespawn === null ? null : bossRespawn - settings.bossRespawnWarning,
+        pickupRespawnAt: pickupRespawn,
+        easterEggRespawnAt: easterEggRespawn
+      };
+    },
+
+    /**
+     * Tell every player in the room about a timer that started or stopped
+     */
+    broadcastTimers() {
+      this.io.emit('timers', this.getTimers());
+    },
+
+    /**
+     * Tell every player in the room about a change to the match
+     */
+    broadcastMatchState() {
+      this.io.emit('matchState', this.match.getState());
+    },
+
+    /**
+     * React to the match moving to a new phase
+     * @param {string} phase New phase
+     * @param {string} previous Phase the match left
+     */
+    handleMatchPhase(phase, previous) {
+      if (phase === 'live') {
+        // Every round starts with everyone alive at a spawn point (and a fresh boss)
+        this.gameState.players.forEach(player => {
+          this.gameState.respawnPlayer(player.id, this.io);
+        });
+        if (mode.boss) {
+          this.respawnBoss();
+        }
+      } else if (previous === 'live') {
+        this.clearBoss();
+      }
+
+      // Every round starts, and ends, with the flags at home
+      if (this.flags && (phase === 'live' || previous === 'live')) {
+        this.flags.reset();
+        this.io.emit('flagState', this.flags.getState());
+      }
+
+      // The zone starts at the first landmark each round and only moves while the round is live
+      if (this.hill && (phase === 'live' || previous === 'live')) {
+        this.hill.reset(Date.now(), phase === 'live');
+        this.io.emit('zoneState', this.hill.getState());
+      }
+
+      this.broadcastMatchState();
+    },
+
+    /**
+     * Score a player's death for the match
+     * @param {Object} player Player who died
+     * @param {Object|null} killer Player credited with the kill
+     */
+    handlePlayerKilled(player, killer) {
+      // A carrier drops the flag where they died
+      this.dropFlag(player.id);
+
+      // A frag that ends the round has already sent the round's results
+      if (this.match.recordKill(killer, player, Date.now()) && this.match.isLive()) {
+        this.broadcastMatchState();
+      }
+    },
+
+    /**
+     * Score the player holding the zone alone and tell the room when the zone
+     * moves or someone enters or leaves it
+     * @param {number} delta Time step in seconds
+     * @param {number} time Current time in milliseconds
+     */
+    updateHill(delta, time) {
+      const { changed, holderId } = this.hill.update(time);
+      if (changed) {
+        this.io.emit('zoneState', this.hill.getState());
+      }
+      if (!holderId) return;
+
+      const holder = this.gameState.players.get(holderId);
+      const scored = this.match.recordHillPoints(holder, this.hill.settings.pointsPerSecond * delta, time);
+
+      // Points go up every tick, so the standings are sent now and then (a round-ending score sends its results)
+      if (scored && this.match.isLive() && time - this.lastHillScoreBroadcast >= HILL_SCORE_BROADCAST_INTERVAL) {
+        this.lastHillScoreBroadcast = time;
+        this.broadcastMatchState();
+      }
+    },
+
+    /**
+     * Drop the flag a player carries, if any, where they are
+     * @param {string} playerId Player ID
+     */
+    dropFlag(playerId) {
+      if (!this.flags) return;
+
+      const now = Date.now();
+      const event = this.flags.dropFlag(playerId, now);
+      if (event) {
+        this.handleFlagEvents([event], now);
+      }
+    },
+
+    /**
+     * Score flag captures and tell the room what happened to the flags
+     * @param {Array<Object>} events Events from the flags (see createFlags)
+     * @param {number} time Current time in milliseconds
+     */
+    handleFlagEvents(events, time) {
+      if (events.length === 0) return;
+
+      events.forEach(event => {
+        this.io.emit('flagEvent', event);
+        if (event.type === 'captured') {
+          const player = this.gameState.players.get(event.playerId);
+          log.info('Flag captured', { playerId: event.playerId, team: player.team, flag: event.team });
+          // A capture that ends the round has already sent the round's results
+          if (this.match.recordCapture(player, time) && this.match.isLive()) {
+            this.broadcastMatchState();
+          }
+        }
+      });
+
+      this.io.emit('flagState', this.flags.getState());
+    },
+
+    /**
+     * Mark a player ready or not ready for the next match
+     * @param {string} playerId Player ID
+     * @param {boolean} ready Whether the player is ready
+     */
+    setPlayerReady(playerId, ready) {
+      if (this.match.setReady(playerId, ready)) {
+        this.broadcastMatchState();
+      }
+    },
+
+    /**
+     * Remove a player from the room
+     * @param {string} playerId ID of the leaving player
+     */
+    removePlayer(playerId) {
+      // The player's session can't be resumed any more
+      this.sessions.forEach((session, token) => {
+        if (session.playerId !== playerId) return;
+        clearTimeout(session.disconnectTimer);
+        this.sessions.delete(token);
+      });
+
+      // A leaving carrier drops the flag where they were
+      this.dropFlag(playerId);
+
+      // Remove player from game state
+      this.gameState.removePlayer(playerId);
+      this.projectiles.removePlayer(playerId);
+      this.bossAI.removePlayer(playerId);
+      this.snapshotSync.removeClient(playerId);
+      this.interest.removePlayer(playerId);
+      this.match.removePlayer(playerId);
+
+      // Notify other players
+      this.io.emit('playerLeft', playerId);
+      this.broadcastMatchState();
+
+      if (this.gameState.players.size === 0) {
+        // Nobody is left to fight a respawned boss
+        if (this.gameState.bossRespawnTimer) {
+          clearTimeout(this.gameState.bossRespawnTimer);
+          this.gameState.bossRespawnTimer = null;
+          this.deadlines.bossRespawn = null;
+        }
+        this.emptySince = Date.now();
+      }
+    },
+
+    /**
+     * Update the room's game state
+     * @param {number} delta Time since last update in seconds
+     * @param {number} time Current time in milliseconds
+     */
+    update(delta, time) {
+      this.match.update(time);
+      this.gameState.update(delta, time, this.io);
+      this.bossAI.update(delta, time, this.io);
+      this.lagCompensation.record(time);
+      if (this.flags && this.match.isLive()) {
+        this.handleFlagEvents(this.flags.update(time), time);
+      }
+      if (this.hill && this.match.isLive()) {
+        this.updateHill(delta, time);
+      }
+
+      // Impacts go to the players that were sent the projectile, before it is forgotten
+      const impacts = this.projectiles.update(delta, time);
+      impacts.forEach(impact => {
+        this.applyImpact(impact);
+        this.sendRewindDebug(impact.playerId, impact.projectileId, impact.rewind, 'impact', time);
+      });
+      this.interest.sendImpacts(io, impacts);
+      this.interest.update();
+
+      // Projectiles reach players as they come near; transforms go out in one batched snapshot
+      this.interest.sendProjectiles(io);
+      this.snapshotSync.broadcast(io, time);
+      this.interest.sendStats(io, time);
+    },
+
+    /**
+     * Fire a projectile for a player and send it to the players near it
+     * @param {string} playerId ID of the shooter
+     * @param {Object} data Fire payload with type, position and direction
+     * @returns {Object|null} The projectile, or null if the player can't fire it
+     */
+    fireProjectile(playerId, data) {
+      const now = Date.now();
+      if (!this.gameState.canFire(playerId, data.type, now)) return null;
+
+      const rewind = this.lagCompensation.getRewind(this.snapshotSync.getRoundTripTime(playerId));
+      const projectile = this.projectiles.spawn(playerId, data.type, data.position, data.direction, now, rewind);
+      if (!projectile) return null;
+
+      this.gameState.recordShot(playerId, data.type, now);
+      this.interest.sendProjectiles(io);
+      this.sendRewindDebug(playerId, projectile.id, rewind, 'fire', now);
+      return projectile;
+    },
+
+    /**
+     * Show a debugging shooter the rewound hit boxes their shot is tested against
+     * @param {string} playerId ID of the shooter
+     * @param {string} projectileId ID of the projectile
+     * @param {number} rewind How far the shooter's view is rewound in milliseconds
+     * @param {string} reason 'fire' or 'impact'
+     * @param {number} time Current time in milliseconds
+     */
+    sendRewindDebug(playerId, projectileId, rewind, reason, time) {
+      if (!this.interest.hasDebugStats(playerId)) return;
+
+      io.to(playerId).emit('rewindDebug', {
+        projectileId,
+        reason,
+        rewind,
+        maxRewind: this.lagCompensation.settings.maxRewind,
+        hitboxes: this.projectiles.getHitboxes({ playerId, rewind }, time)
+      });
+    },
+
+    /**
+     * Apply the damage of a projectile impact found by the simulation
+     * @param {Object} impact Projectile impact
+     */
+    applyImpact(impact) {
+      if (impact.targetType === 'boss' && this.gameState.boss) {
+        this.damageBoss(impact.playerId, impact.damage);
+      } else if (impact.targetType === 'player') {
+        this.gameState.damagePlayer(impact.targetId, impact.damage, impact.playerId, this.io);
+      }
+    },
+
+    /**
+     * Apply server-decided damage to the boss
+     * @param {string} attackerId - ID of the player whose projectile hit
+     * @param {number} damage - Damage dealt
+     */
+    damageBoss(attackerId, damage) {
+      const boss = this.gameState.boss;
+
+      // Apply damage to boss server-side health
+      const dealt = Math.min(boss.health, damage);
+      boss.health -= dealt;
+
+      // Players (and their teams) score the damage they deal to the boss while a round is live
+      const attacker = this.gameState.players.get(attackerId);
+      if (attacker) {
+        this.match.addScore(attacker, dealt);
+      }
+
+      log.debug('Boss damaged', { attackerId, damage, health: boss.health, maxHealth: boss.maxHealth });
+
+      // Check if boss is defeated
+      if (boss.health <= 0) {
+        this.handleBossDefeat(attackerId);
+      } else {
+        // Broadcast updated health to all players
+        this.io.emit('bossHit', {
+          health: boss.health,
+          maxHealth: boss.maxHealth,
+          attackerId
+        });
+
+        this.bossAI.handleDamage(attackerId, this.io);
+      }
+    },
+
+    /**
+     * Handle boss defeat on the server
+     * @param {string} killerId - ID of the player who defeated the boss
+     */
+    handleBossDefeat(killerId) {
+      log.info('Boss defeated', { killerId });
+
+      // Broadcast to all clients
+      this.io.emit('bossDefeated', {
+        killerId: killerId
+      });
+
+      // Set boss health to zero explicitly
+      if (this.gameState.boss) {
+        this.gameState.boss.health = 0;
+      }
+
+      metrics.bossKills.inc();
+
+      const killer = killerId ? this.gameState.players.get(killerId) : null;
+      if (killer) {
+        killer.killStreak++;
+      }
+
+      if (this.gameState.boss) {
+        this.spawnBossDrops(this.gameState.boss.position);
+      }
+
+      // Store last defeat time for respawn timing and update kill streak
+      this.gameState.lastBossDefeatTime = Date.now();
+      this.gameState.bossKillStreak = (this.gameState.bossKillStreak || 0) + 1;
+
+      // Clear any existing boss respawn timer
+      if (this.gameState.bossRespawnTimer) {
+        clearTimeout(this.gameState.bossRespawnTimer);
+        this.gameState.bossRespawnTimer = null;
+      }
+
+      // Set boss to null to indicate it's destroyed
+      this.gameState.boss = null;
+      this.bossAI.reset();
+
+      // May reach the score limit and end the round
+      this.match.recordBossDefeat(Date.now());
+
+      // Only a live round gets another boss
+      if (this.match.isLive() && mode.boss) {
+        this.broadcastMatchState();
+        this.gameState.bossRespawnTimer = setTimeout(() => {
+          this.respawnBoss();
+        }, settings.bossRespawnDelay);
+        this.deadlines.bossRespawn = Date.now() + settings.bossRespawnDelay;
+
+        log.info('Boss respawn timer started', { respawnAt: this.deadlines.bossRespawn });
+      }
+      this.broadcastTimers();
+    },
+
+    /**
+     * Take the boss off the map without a defeat and stop its respawn, e.g. when a round ends
+     */
+    clearBoss() {
+      clearTimeout(this.gameState.bossRespawnTimer);
+      this.gameState.bossRespawnTimer = null;
+      this.deadlines.bossRespawn = null;
+
+      if (this.gameState.boss) {
+        this.gameState.boss = null;
+        this.bossAI.reset();
+        this.io.emit('bossRemoved');
+        log.info('Boss removed');
+      }
+      this.broadcastTimers();
+    },
+
+    /**
+     * Whether this room's mode is played against the boss
+     * @returns {boolean} True if it has a boss
+     */
+    hasBoss() {
+      return mode.boss;
+    },
+
+    /**
+     * Respawn the boss on the server
+     * @param {number} [level] Boss level; defaults to the number of players
+     */
+    respawnBoss(level = Math.max(1, this.gameState.players.size)) {
+      const stats = getBossStats(level, settings.bossHealthPerLevel);
+
+      // Create new boss data
+      this.gameState.boss = {
+        id: 'boss',
+        type: 'SemiTrump',
+        ...stats,
+        health: stats.maxHealth,
+        state: 'spawning',
+        stateTimer: 0, // Initialize state timer
+        stateTimeout: 3000, // Set initial spawning timeout (3 seconds)
+        position: {
+          x: 0,
+          y: 0.2,
+          z: 0
+        },
+        rotation: {
+          y: Math.PI
+        },
+        // Attack timing and targeting used by the boss AI
+        lastAttackTime: 0,
+        target: null,
+        currentWaypointIndex: 0 // Perimeter roaming restarts at the first waypoint
+      };
+
+      this.bossAI.reset();
+
+      // Clear respawn timer reference stored in gameState
+      if (this.gameState.bossRespawnTimer) {
+        clearTimeout(this.gameState.bossRespawnTimer);
+        this.gameState.bossRespawnTimer = null;
+      }
+      this.deadlines.bossRespawn = null;
+
+      // Broadcast to all clients
+      this.io.emit('bossRespawned', {
+        boss: createSafeBossCopy(this.gameState.boss) // Send the sanitized boss object
+      });
+
+      this.broadcastTimers();
+
+      log.info('Boss spawned', { bossLevel: level, health: this.gameState.boss.health });
+    },
+
+    /**
+     * Defeat the boss without a killer, e.g. on an operator's request
+     * @returns {boolean} True if there was a boss to defeat
+     */
+    defeatBoss() {
+      if (!this.gameState.boss) return false;
+      this.handleBossDefeat(null);
+      return true;
+    },
+
+    /**
+     * Change the level of the living boss, keeping the fraction of health it has left
+     * @param {number} level New boss level
+     * @returns {Object|null} The boss, or null if there is none
+     */
+    setBossLevel(level) {
+      const boss = this.gameState.boss;
+      if (!boss) return null;
+
+      const healthFraction = boss.maxHealth > 0 ? boss.health / boss.maxHealth : 1;
+      Object.assign(boss, getBossStats(level, settings.bossHealthPerLevel));
+      boss.health = boss.maxHealth * healthFraction;
+
+      this.io.emit('bossLevelChanged', {
+        level: boss.level,
+        health: boss.health,
+        maxHealth: boss.maxHealth
+      });
+
+      log.info('Boss level changed', { bossLevel: level, health: boss.health });
+      return boss;
+    },
+
+    /**
+     * Collect the Easter Egg for a player if it is currently active
+     * @param {string} playerId ID of the collecting player
+     * @returns {boolean} True if the player collected it
+     */
+    collectEasterEgg(playerId) {
+      const easterEggState = this.easterEggState;
+      const player = this.gameState.players.get(playerId);
+
+      // Only allow collection if the Easter Egg is active and the player is next to it
+      if (!easterEggState.active || !player || !this.gameState.canReach(playerId, easterEggState.position)) return false;
+
+      // Set Easter Egg as inactive
+      easterEggState.active = false;
+
+      // The collector may now transform into Sweet Tooth
+      player.canTransform = true;
+      metrics.pickupsCollected.inc({ type: 'easterEgg' });
+
+      // Broadcast to all clients that Easter Egg was collected
+      this.io.emit('easterEggCollected', {
+        playerId
+      });
+
+      // Start respawn timer
+      easterEggState.respawnTimer = setTimeout(() => {
+        // Reactivate Easter Egg
+        easterEggState.active = true;
+        easterEggState.respawnTimer = null;
+        this.deadlines.easterEggRespawn = null;
+
+        // Broadcast respawn to all clients
+        this.io.emit('easterEggRespawned');
+        this.broadcastTimers();
+
+        log.info('Easter Egg respawned');
+      }, easterEggState.respawnTime);
+      this.deadlines.easterEggRespawn = Date.now() + easterEggState.respawnTime;
+      this.broadcastTimers();
+
+      return true;
+    },
+
+    /**
+     * Make the Easter Egg collectable again straight away
+     */
+    resetEasterEgg() {
+      const easterEggState = this.easterEggState;
+      clearTimeout(easterEggState.respawnTimer);
+      easterEggState.respawnTimer = null;
+      easterEggState.active = true;
+      this.deadlines.easterEggRespawn = null;
+
+      this.io.emit('easterEggRespawned');
+      this.broadcastTimers();
+
+      log.info('Easter Egg reset');
+    },
+
+    /**
+     * Scatter health and special attack pickups around where the boss died,
+     * more of them the more players there are. The server owns them like any
+     * other pickup, so the ammo they give counts when it is fired.
+     * @param {Object} position Where the boss died
+     */
+    spawnBossDrops(position) {
+      const playerCount = this.gameState.players.size;
+      const counts = {
+        fullHealth: Math.max(1, Math.floor(playerCount / 2)),
+        specialAttack: Math.max(1, Math.ceil(playerCount / 2))
+      };
+
+      Object.entries(counts).forEach(([type, count], typeIndex) => {
+        for (let i = 0; i < count; i++) {
+          // Each type is spread evenly around the boss, the second half a step out of line with the first
+          const angle = ((i + typeIndex / 2) / count) * Math.PI * 2;
+          const distance = this.gameState.random.range(BOSS_DROP_MIN_DISTANCE, BOSS_DROP_MAX_DISTANCE);
+          const dropPosition = {
+            x: position.x + Math.cos(angle) * distance,
+            y: 1,
+            z: position.z + Math.sin(angle) * distance
+          };
+          resolveMapCollision(dropPosition, 1);
+
+          const pickup = this.gameState.spawnPickup(dropPosition, type);
+          // Clients fly it out of the boss before it settles where it landed
+          this.io.emit('pickupSpawned', { ...pickup, from: { ...position } });
+        }
+      });
+    },
+
+    /**
+     * Start the timer that refills empty pickup spawn positions every pickupRespawnInterval
+     */
+    startPickupTimer() {
+      this.deadlines.pickupRespawn = Date.now() + settings.pickupRespawnInterval;
+      this.pickupTimer = setInterval(() => {
+        this.deadlines.pickupRespawn = Date.now() + settings.pickupRespawnInterval;
+        this.respawnPickups();
+        this.broadcastTimers();
+      }, settings.pickupRespawnInterval);
+    },
+
+    /**
+     * Refill any pickup spawn position that is currently empty
+     */
+    respawnPickups() {
+      settings.pickupPositions.forEach((position, index) => {
+        // Check if position is empty
+        const hasPickup = this.gameState.pickups.some(pickup =>
+          pickup.position.x === position.x &&
+          pickup.position.z === position.z
+        );
+
+        if (!hasPickup) {
+          // Available pickup types with 50/50 distribution
+          const types = ['specialAttack', 'fullHealth'];
+
+          // Simple alternating pattern for 50/50 distribution
+          // Even-indexed positions get one type, odd-indexed get the other
+          const type = types[index % 2];
+
+          const pickup = this.gameState.spawnPickup(position, type);
+          this.io.emit('pickupSpawned', pickup);
+        }
+      });
+    },
+
+    /**
+     * Spawn a pickup anywhere on the map
+     * @param {Object} position Pickup position
+     * @param {string} type One of PICKUP_TYPES
+     * @returns {Object|null} The pickup, or null if the type is unknown
+     */
+    spawnPickup(position, type) {
+      if (!PICKUP_TYPES.includes(type)) return null;
+
+      const pickup = this.gameState.spawnPickup(position, type);
+      this.io.emit('pickupSpawned', pickup);
+      return pickup;
+    },
+
+    /**
+     * Remove every pickup from the map until the next refill
+     * @returns {number} Number of pickups removed
+     */
+    clearPickups() {
+      const count = this.gameState.pickups.length;
+      this.gameState.pickups = [];
+      this.io.emit('initializePickups', []);
+      return count;
+    },
+
+    /**
+     * Summaries of the room's players for operators
+     * @returns {Array<Object>} Player state, connection and moderation flags
+     */
+    describePlayers() {
+      return Array.from(this.gameState.players.values()).map(player => ({
+        id: player.id,
+        username: player.username,
+        vehicle: player.vehicle,
+        team: player.team,
+        carryingFlag: player.carryingFlag,
+        connected: player.connected,
+        alive: player.alive,
+        health: player.health,
+        maxHealth: player.maxHealth,
+        score: player.score,
+        kills: player.kills,
+        deaths: player.deaths,
+        killStreak: player.killStreak,
+        muted: player.muted === true,
+        position: { ...player.position },
+        roundTripTime: this.snapshotSync.getRoundTripTime(player.id)
+      }));
+    },
+
+    /**
+     * Disconnect a player for good; they don't get the reconnect grace window
+     * @param {string} playerId Player ID
+     * @param {string} [reason] Shown to the kicked player
+     * @returns {boolean} True if the player was in this room
+     */
+    kickPlayer(playerId, reason = 'Kicked by the server') {
+      if (!this.gameState.players.has(playerId)) return false;
+
+      // The player's sockets are the ones in this room that joined the player ID's socket.io room
+      const sockets = Array.from(io.of('/').adapter.rooms.get(playerId) || [])
+        .map(socketId => io.of('/').sockets.get(socketId))
+        .filter(socket => socket && socket.rooms.has(this.id));
+
+      if (sockets.length === 0) {
+        // Waiting to resume, so there is no socket to disconnect
+        this.removePlayer(playerId);
+      } else {
+        sockets.forEach(socket => {
+          socket.data.kicked = true;
+          socket.emit('kicked', { reason });
+          socket.disconnect(true);
+        });
+      }
+
+      log.info('Player kicked', { playerId, reason });
+      return true;
+    },
+
+    /**
+     * Stop or allow a player's chat messages
+     * @param {string} playerId Player ID
+     * @param {boolean} muted Whether the player is muted
+     * @returns {boolean} True if the player was in this room
+     */
+    mutePlayer(playerId, muted) {
+      const player = this.gameState.players.get(playerId);
+      if (!player) return false;
+
+      player.muted = muted;
+      log.info(muted ? 'Player muted' : 'Player unmuted', { playerId });
+      return true;
+    },
+
+    /**
+     * Show a server announcement to everyone in the room
+     * @param {string} message Announcement text
+     */
+    announce(message) {
+      this.io.emit('serverAnnouncement', { message, time: Date.now() });
+    },
+
+    /**
+     * Stop all of the room's timers so it can be discarded
+     */
+    destroy() {
+      this.sessions.forEach(session => clearTimeout(session.disconnectTimer));
+      this.sessions.clear();
+      clearInterval(this.pickupTimer);
+      clearTimeout(this.gameState.bossRespawnTimer);
+      clearTimeout(this.easterEggState.respawnTimer);
+      this.pickupTimer = null;
+      this.gameState.bossRespawnTimer = null;
+      this.easterEggState.respawnTimer = null;
+      this.deadlines.bossRespawn = null;
+      this.deadlines.pickupRespawn = null;
+      this.deadlines.easterEggRespawn = null;
+    }
+  };
+
+  // Initialize pickups when the room is created
+  gameState.initializePickups(settings.pickupPositions);
+
+  // Set up pickup respawn timer
+  room.startPickupTimer();
+
+  return room;
+}
+
+/**
+ * Create a safe copy of boss object without circular references
+ * @param {Object} boss - The boss object to sanitize
+ * @returns {Object} A sanitized copy of the boss object
+ */
+function createSafeBossCopy(boss) {
+  if (!boss) return null;
+
+  return {
+    id: boss.id,
+    type: boss.type,
+    difficulty: boss.difficulty,
+    level: boss.level,
+    health: boss.health,
+    maxHealth: boss.maxHealth,
+    position: { ...boss.position },
+    rotation: { ...boss.rotation },
+    state: boss.state,
+    stateTimer: boss.stateTimer,
+    stateTimeout: boss.stateTimeout,
+    target: boss.target,
+    lastAttackTime: boss.lastAttackTime,
+    attackCooldown: boss.attackCooldown,
+    damage: boss.damage
+  };
+}
+
+module.exports = { createRoom, PICKUP_TYPES, DEFAULT_ROOM_SETTINGS };
@@ -0,0 +1,127 @@
+const { createRoom } = require('./room');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'roomManager' });
+
+// Room players land in when they don't ask for one
+const DEFAULT_ROOM_ID = 'public';
+
+// Room names come from URLs, so keep them short and simple
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// How long an empty room is kept around before it is discarded
+const EMPTY_ROOM_TIMEOUT = 30000; // 30 seconds
+
+// Window the measured tick rate is averaged over
+const TICK_RATE_WINDOW = 1000; // 1 second
+
+/**
+ * Turn a requested room name into a valid room ID
+ * @param {string} roomId Requested room ID
+ * @returns {string} The room ID, or the default room if it is missing or invalid
+ */
+function normalizeRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId) ? roomId : DEFAULT_ROOM_ID;
+}
+
+/**
+ * Creates the room manager that runs several independent matches in one
+ * server process. Rooms are created on first join and discarded once they
+ * have been empty for a while.
+ * @param {SocketIO.Server} io Socket.IO server instance
+ * @param {Object} metrics Server metrics (see metrics.js)
+ * @param {Function} [getRoomSettings] Returns the settings for a room ID (see config.js)
+ * @returns {Object} Room manager
+ */
+function createRoomManager(io, metrics, getRoomSettings = () => ({})) {
+  const manager = {
+    rooms: new Map(), // roomId -> room
+    // Ticks actually run per second, measured over the last TICK_RATE_WINDOW
+    tickRate: 0,
+    ticksInWindow: 0,
+    tickWindowStart: Date.now(),
+
+    /**
+     * Get a room, creating it if it doesn't exist yet
+     * @param {string} roomId Requested room ID
+     * @returns {Object} The room
+     */
+    getOrCreateRoom(roomId) {
+      const id = normalizeRoomId(roomId);
+      let room = this.rooms.get(id);
+
+      if (!room) {
+        room = createRoom(id, io, metrics, getRoomSettings(id));
+        this.rooms.set(id, room);
+        log.info('Created room', { room: id, activeRooms: this.rooms.size });
+      }
+
+      return room;
+    },
+
+    /**
+     * Get an existing room
+     * @param {string} roomId Room ID
+     * @returns {Object|undefined} The room, if it exists
+     */
+    getRoom(roomId) {
+      return this.rooms.get(roomId);
+    },
+
+    /**
+     * Find the room a player is in
+     * @param {string} playerId Player ID
+     * @returns {Object|undefined} The room, if the player is in one
+     */
+    findPlayerRoom(playerId) {
+      for (const room of this.rooms.values()) {
+        if (room.gameState.players.has(playerId)) return room;
+      }
+      return undefined;
+    },
+
+    /**
+     * Update every room
+     * @param {number} delta Time since last update in seconds
+     * @param {number} time Current time in milliseconds
+     */
+    update(delta, time) {
+      this.rooms.forEach(room => room.update(delta, time));
+      this.removeEmptyRooms(time);
+      this.measureTickRate(time);
+    },
+
+    /**
+     * Count a tick towards the measured tick rate
+     * @param {number} time Current time in milliseconds
+     */
+    measureTickRate(time) {
+      this.ticksInWindow++;
+
+      const elapsed = time - this.tickWindowStart;
+      if (elapsed >= TICK_RATE_WINDOW) {
+        this.tickRate = (this.ticksInWindow * 1000) / elapsed;
+        this.ticksInWindow = 0;
+        this.tickWindowStart = time;
+      }
+    },
+
+    /**
+     * Discard rooms that have had no players for longer than the timeout
+     * @param {number} time Current time in milliseconds
+     */
+    removeEmptyRooms(time) {
+      this.rooms.forEach((room, id) => {
+        if (room.emptySince !== null && time - room.emptySince >= EMPTY_ROOM_TIMEOUT) {
+          room.destroy();
+          this.rooms.delete(id);
+          log.info('Removed empty room', { room: id, activeRooms: this.rooms.size });
+        }
+      });
+    }
+  };
+
+  return manager;
+}
+
+module.exports = { createRoomManager, normalizeRoomId, DEFAULT_ROOM_ID };
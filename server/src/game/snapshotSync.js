@@ -0,0 +1,177 @@
+const {
+  BOSS_NET_ID,
+  SNAPSHOT_ENCODINGS,
+  quantizeEntity,
+  diffEntities,
+  encodeSnapshot
+} = require('vehicular-combat-shared');
+
+// Snapshots kept per client for delta compression (~2 seconds at 30 ticks per second).
+// Clients whose last acknowledged snapshot is older get a full snapshot.
+const SNAPSHOT_HISTORY_SIZE = 64;
+
+// How much each new round trip measurement moves a client's smoothed round trip time
+const ROUND_TRIP_SMOOTHING = 0.1;
+
+/**
+ * Creates the world snapshot sync for a room. Every tick the room's player
+ * and boss transforms are captured into one quantized snapshot; each client
+ * is sent only what changed since the last snapshot it acknowledged, plus the
+ * acknowledgement of its own latest input. Distant entities, as decided by
+ * the interest manager, are only refreshed every few ticks.
+ * @param {Object} gameState Room game state
+ * @param {Object} interest Room interest manager
+ * @returns {Object} Snapshot sync
+ */
+function createSnapshotSync(gameState, interest) {
+  return {
+    seq: 0,
+    // player ID -> { ackSeq, lastSentSeq, encoding, history, sentAt, roundTripTime }, where history
+    // maps a snapshot seq to the entities (network ID -> quantized entity) that client was sent
+    // and sentAt maps it to the time it was sent
+    clients: new Map(),
+
+    /**
+     * Start sending snapshots to a player
+     * @param {string} playerId Player ID
+     * @param {string} [encoding] 'binary' (default) or 'json' for debugging
+     */
+    addClient(playerId, encoding) {
+      this.clients.set(playerId, {
+        ackSeq: 0,
+        lastSentSeq: 0,
+        encoding: SNAPSHOT_ENCODINGS.includes(encoding) ? encoding : 'binary',
+        history: new Map(),
+        sentAt: new Map(),
+        roundTripTime: null
+      });
+    },
+
+    /**
+     * Stop sending snapshots to a player
+     * @param {string} playerId Player ID
+     */
+    removeClient(playerId) {
+      this.clients.delete(playerId);
+    },
+
+    /**
+     * Record the newest snapshot a client has received
+     * @param {string} playerId Player ID
+     * @param {number} seq Snapshot sequence number
+     */
+    acknowledge(playerId, seq) {
+      const client = this.clients.get(playerId);
+      if (!client || !Number.isInteger(seq)) return;
+
+      // Only snapshots we actually sent and still remember can be used as a baseline
+      if (seq > client.ackSeq && seq <= this.seq) {
+        client.ackSeq = seq;
+
+        // The first acknowledgement of a snapshot times the round trip
+        const sentAt = client.sentAt.get(seq);
+        if (sentAt !== undefined) {
+          const sample = Date.now() - sentAt;
+          client.roundTripTime = client.roundTripTime === null
+            ? sample
+            : client.roundTripTime + (sample - client.roundTripTime) * ROUND_TRIP_SMOOTHING;
+        }
+      }
+    },
+
+    /**
+     * Smoothed round trip time of a client, measured from its snapshot acknowledgements
+     * @param {string} playerId Player ID
+     * @returns {number|null} Round trip time in milliseconds, or null if not measured yet
+     */
+    getRoundTripTime(playerId) {
+      const client = this.clients.get(playerId);
+      return client ? client.roundTripTime : null;
+    },
+
+    /**
+     * Capture the current world into quantized entities
+     * @returns {Map<number, Object>} Quantized entities by network ID
+     */
+    capture() {
+      const entities = new Map();
+
+      gameState.players.forEach(player => {
+        entities.set(player.netId, quantizeEntity(player.position, player.rotation.y));
+      });
+
+      if (gameState.boss) {
+        entities.set(BOSS_NET_ID, quantizeEntity(gameState.boss.position, gameState.boss.rotation.y));
+      }
+
+      return entities;
+    },
+
+    /**
+     * Capture this tick's snapshot and send each client its delta
+     * @param {SocketIO.Server} io Socket.IO server instance
+     * @param {number} time Server time of the snapshot in milliseconds
+     */
+    broadcast(io, time) {
+      const entities = this.capture();
+      this.seq++;
+
+      this.clients.forEach((client, playerId) => {
+        const player = gameState.players.get(playerId);
+        const baseline = client.history.get(client.ackSeq) || null;
+        const lastSent = client.history.get(client.lastSentSeq) || null;
+
+        // What this client will know after this snapshot: distant entities
+        // keep the state they were last sent with until their turn comes round
+        const view = new Map();
+        const deferred = [];
+        let near = 0;
+        entities.forEach((entity, netId) => {
+          const known = lastSent ? lastSent.get(netId) : null;
+
+          if (!known || interest.shouldUpdate(playerId, netId, this.seq)) {
+            view.set(netId, entity);
+          } else {
+            view.set(netId, known);
+            if (known.x !== entity.x || known.y !== entity.y || known.z !== entity.z || known.r !== entity.r) {
+              deferred.push(netId);
+            }
+          }
+
+          if (interest.isNear(playerId, netId)) near++;
+        });
+        interest.recordSnapshot(playerId, near, entities.size - near, deferred.length);
+
+        client.history.set(this.seq, view);
+        client.history.delete(this.seq - SNAPSHOT_HISTORY_SIZE);
+        client.sentAt.set(this.seq, Date.now());
+        client.sentAt.delete(this.seq - SNAPSHOT_HISTORY_SIZE);
+        client.lastSentSeq = this.seq;
+
+        const { changed, removed } = diffEntities(view, baseline);
+
+        let inputAck = null;
+        if (player && player.inputAckPending) {
+          player.inputAckPending = false;
+          inputAck = gameState.getInputAck(player);
+        }
+
+        const message = {
+          seq: this.seq,
+          baseline: baseline ? client.ackSeq : 0,
+          tick: gameState.tick,
+          time,
+          entities: changed,
+          removed,
+          deferred,
+          inputAck
+        };
+
+        // A player's socket is always in a socket.io room named after the player ID
+        io.to(playerId).emit('worldSnapshot', client.encoding === 'json' ? message : encodeSnapshot(message));
+      });
+    }
+  };
+}
+
+module.exports = { createSnapshotSync };
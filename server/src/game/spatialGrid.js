@@ -0,0 +1,78 @@
+/**
+ * Creates a uniform grid over the XZ plane for finding entities near a point
+ * without checking every entity. The grid is cleared and refilled each tick.
+ * @param {number} cellSize Width of a grid cell in world units
+ * @returns {Object} Spatial grid
+ */
+function createSpatialGrid(cellSize) {
+  return {
+    cellSize,
+    cells: new Map(), // "cx,cz" -> array of items
+
+    /**
+     * Remove every item from the grid
+     */
+    clear() {
+      this.cells.clear();
+    },
+
+    /**
+     * Get the key of the cell containing a point
+     * @param {number} x X coordinate
+     * @param {number} z Z coordinate
+     * @returns {string} Cell key
+     */
+    getCellKey(x, z) {
+      return `${Math.floor(x / this.cellSize)},${Math.floor(z / this.cellSize)}`;
+    },
+
+    /**
+     * Add an item at a position
+     * @param {Object} item Item to store; must have x and z
+     */
+    insert(item) {
+      const key = this.getCellKey(item.x, item.z);
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = [];
+        this.cells.set(key, cell);
+      }
+      cell.push(item);
+    },
+
+    /**
+     * Find all items within a radius of a point
+     * @param {number} x X coordinate
+     * @param {number} z Z coordinate
+     * @param {number} radius Search radius in world units
+     * @returns {Array<Object>} Items within the radius
+     */
+    queryRadius(x, z, radius) {
+      const results = [];
+      const radiusSq = radius * radius;
+      const minX = Math.floor((x - radius) / this.cellSize);
+      const maxX = Math.floor((x + radius) / this.cellSize);
+      const minZ = Math.floor((z - radius) / this.cellSize);
+      const maxZ = Math.floor((z + radius) / this.cellSize);
+
+      for (let cx = minX; cx <= maxX; cx++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+          const cell = this.cells.get(`${cx},${cz}`);
+          if (!cell) continue;
+
+          cell.forEach(item => {
+            const dx = item.x - x;
+            const dz = item.z - z;
+            if (dx * dx + dz * dz <= radiusSq) {
+              results.push(item);
+            }
+          });
+        }
+      }
+
+      return results;
+    }
+  };
+}
+
+module.exports = { createSpatialGrid };
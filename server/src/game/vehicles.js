@@ -0,0 +1,68 @@
+/**
+ * Server-side vehicle stats. Only the values the server needs to own player
+ * health are kept here; they mirror client/src/game/vehicles/VehicleConfig.js.
+ */
+const VEHICLE_STATS = {
+  auger: { speed: 2, armor: 4, handling: 2 },
+  axel: { speed: 3, armor: 3, handling: 3 },
+  clubKid: { speed: 4, armor: 2, handling: 4 },
+  firestarter: { speed: 4, armor: 2, handling: 3 },
+  flowerPower: { speed: 3, armor: 2, handling: 4 },
+  hammerhead: { speed: 2, armor: 4, handling: 2 },
+  mrGrimm: { speed: 5, armor: 1, handling: 5 },
+  outlaw: { speed: 3, armor: 3, handling: 3 },
+  roadkill: { speed: 4, armor: 2, handling: 3 },
+  spectre: { speed: 5, armor: 1, handling: 4 },
+  thumper: { speed: 3, armor: 3, handling: 3 },
+  warthog: { speed: 2, armor: 5, handling: 2 },
+  sweetTooth: { speed: 3, armor: 5, handling: 2 }
+};
+
+const DEFAULT_VEHICLE = 'roadkill';
+
+/**
+ * Check whether a vehicle type exists
+ * @param {string} type Vehicle type
+ * @returns {boolean} True if the type is known
+ */
+function isVehicleType(type) {
+  return Object.prototype.hasOwnProperty.call(VEHICLE_STATS, type);
+}
+
+/**
+ * Get the stats for a vehicle type, falling back to the default vehicle
+ * @param {string} type Vehicle type
+ * @returns {Object} Vehicle stats
+ */
+function getVehicleStats(type) {
+  return isVehicleType(type) ? VEHICLE_STATS[type] : VEHICLE_STATS[DEFAULT_VEHICLE];
+}
+
+/**
+ * Max health for a vehicle type (same formula as Vehicle constructor)
+ * @param {string} type Vehicle type
+ * @returns {number} Max health
+ */
+function getMaxHealth(type) {
+  return 100 + (getVehicleStats(type).armor * 20);
+}
+
+/**
+ * Damage left after armor reduction (same formula as Vehicle.takeDamage)
+ * @param {number} amount Raw damage
+ * @param {string} type Vehicle type of the target
+ * @returns {number} Damage actually applied
+ */
+function applyArmor(amount, type) {
+  const damageReduction = getVehicleStats(type).armor * 0.15;
+  return amount * (1 - damageReduction);
+}
+
+module.exports = {
+  VEHICLE_STATS,
+  DEFAULT_VEHICLE,
+  isVehicleType,
+  getVehicleStats,
+  getMaxHealth,
+  applyArmor
+};
@@ -3,7 +3,24 @@ const http = require('http');
 const socketIO = require('socket.io');
 const cors = require('cors');
 const { setupGameEvents } = require('./socket/gameEvents');
-const { createGameState } = require('./game/gameState');
+const { createRoomManager } = require('./game/roomManager');
+const { createMetrics } = require('./metrics');
+const { createAdminRouter, requireAdminToken } = require('./adminApi');
+const { createServerConsole } = require('./serverConsole');
+const { loadConfig, getRoomSettings, MIN_TICK_RATE, MAX_TICK_RATE } = require('./config');
+const { logger } = require('./logger');
+const { createFixedTimestep } = require('vehicular-combat-shared');
+
+const log = logger.child({ module: 'server' });
+
+// Game rules and server settings; a bad config file stops the server here
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  log.error('Could not load the server config', { error: error.message });
+  process.exit(1);
+}
 
 // Create Express app
 const app = express();
@@ -11,56 +28,117 @@ const server = http.createServer(app);
 
 // Set up CORS for API routes
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production'
-    ? ['https://vcg.nsmbl.io', 'https://vehicular-combat-game.netlify.app']
-    : ['http://localhost:5173', 'http://127.0.0.1:5173']
+  origin: config.server.corsOrigins
 }));
 
 // Create Socket.IO server with CORS
 const io = socketIO(server, {
   cors: {
-    origin: process.env.NODE_ENV === 'production'
-      ? ['https://vcg.nsmbl.io', 'https://vehicular-combat-game.netlify.app']
-      : ['http://localhost:5173', 'http://127.0.0.1:5173'],
+    origin: config.server.corsOrigins,
     methods: ['GET', 'POST'],
     credentials: true
   }
 });
 
-// Initialize game state
-const gameState = createGameState();
+// Counters and gauges served at /metrics
+const metrics = createMetrics(1000 / config.server.tickRate);
+
+// Initialize room manager (each room runs its own match)
+const roomManager = createRoomManager(io, metrics, roomId => getRoomSettings(config, roomId));
 
 // Set up static routes for health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', uptime: process.uptime() });
+  res.json({ status: 'ok', uptime: process.uptime(), rooms: roomManager.rooms.size });
+});
+
+// Current load, refreshed on every scrape
+metrics.addCollector(() => {
+  metrics.connectedSockets.set({}, io.of('/').sockets.size);
+  metrics.activeRooms.set({}, roomManager.rooms.size);
+
+  // Rooms come and go, so start from an empty set of labels each time
+  metrics.roomPlayers.reset();
+  roomManager.rooms.forEach(room => {
+    metrics.roomPlayers.set({ room: room.id }, room.gameState.players.size);
+  });
+});
+
+// Prometheus scrape endpoint; it names every room, and room IDs are what keeps private matches private
+app.get('/metrics', requireAdminToken(process.env.ADMIN_TOKEN), (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
 });
 
+// Live match control for operators, protected by ADMIN_TOKEN
+app.use('/admin', createAdminRouter(io, roomManager, process.env.ADMIN_TOKEN));
+
 // Set up Socket.IO events
-setupGameEvents(io, gameState);
+setupGameEvents(io, roomManager, metrics);
 
 // Game update loop
-const TICK_RATE = 30; // Updates per second
-const TICK_INTERVAL = 1000 / TICK_RATE;
+// Updates per second; the operator console can change it while the server runs
+let tickRate = config.server.tickRate;
+let tickInterval = 1000 / tickRate;
+
+// Simulation always advances in whole ticks so it behaves the same however late a timer fires
+let timestep = createFixedTimestep(1 / tickRate);
 
 let lastUpdate = Date.now();
 
+/**
+ * Change how many ticks run per second from the next loop iteration on
+ * @param {number} rate New tick rate
+ * @returns {number} The tick rate now in effect (clamped to MIN_TICK_RATE..MAX_TICK_RATE)
+ */
+function setTickRate(rate) {
+  tickRate = Math.min(MAX_TICK_RATE, Math.max(MIN_TICK_RATE, rate));
+  tickInterval = 1000 / tickRate;
+  timestep = createFixedTimestep(1 / tickRate);
+  return tickRate;
+}
+
 function gameLoop() {
   const now = Date.now();
-  const delta = (now - lastUpdate) / 1000; // Convert to seconds
+  const elapsed = (now - lastUpdate) / 1000; // Convert to seconds
   lastUpdate = now;
   
-  // Update game state
-  gameState.update(delta, now, io);
+  // Update every room's game state once per whole tick
+  const loopStart = process.hrtime.bigint();
+  timestep.advance(elapsed, (delta) => {
+    const tickStart = process.hrtime.bigint();
+    roomManager.update(delta, now);
+    metrics.tickDuration.observe(Number(process.hrtime.bigint() - tickStart) / 1e9);
+  });
+
+  // Catching up on several ticks at once is fine; taking longer than a tick to do it isn't
+  if (Number(process.hrtime.bigint() - loopStart) / 1e6 > tickInterval) {
+    metrics.tickOverruns.inc();
+  }
   
   // Schedule next update
-  setTimeout(gameLoop, TICK_INTERVAL);
+  setTimeout(gameLoop, tickInterval);
 }
 
 // Start game loop
 gameLoop();
 
 // Start server
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-}); 
\ No newline at end of file
+server.listen(config.server.port, () => {
+  log.info('Server running', {
+    port: config.server.port,
+    tickRate,
+    config: config.source,
+    logLevel: logger.getLevel()
+  });
+});
+
+// Operator console on stdin: on by default in a terminal; SERVER_CONSOLE=1 or 0 forces it on or off
+const consoleEnabled = process.env.SERVER_CONSOLE
+  ? process.env.SERVER_CONSOLE === '1'
+  : process.stdin.isTTY === true;
+if (consoleEnabled) {
+  createServerConsole(io, roomManager, {
+    getTickRate: () => tickRate,
+    setTickRate
+  }).start(process.stdin, process.stdout);
+} 
\ No newline at end of file
@@ -0,0 +1,150 @@
+// Log levels from most to least verbose
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+// Used when LOG_LEVEL is missing or not one of LEVELS
+const DEFAULT_LEVEL = 'info';
+
+// Fields every line has; extra fields with these names are left out
+const RESERVED_FIELDS = ['time', 'level', 'msg'];
+
+/**
+ * Turn a level name into a known level
+ * @param {string} [name] Requested level, any case
+ * @returns {string} The level, or DEFAULT_LEVEL if it isn't known
+ */
+function parseLevel(name) {
+  const level = typeof name === 'string' ? name.toLowerCase() : '';
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : DEFAULT_LEVEL;
+}
+
+/**
+ * Make a field value safe to put in a JSON log line
+ * @param {*} value Field value
+ * @returns {*} Value that JSON.stringify handles
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * Creates a logger that writes one JSON object per line: time, level, the
+ * logger's bindings (e.g. module and room), the message and any extra fields.
+ * Warnings and errors go to stderr, everything else to stdout. Children share
+ * their parent's level, so changing it on any logger changes it everywhere.
+ * @param {Object} [bindings] Fields added to every line
+ * @param {Object} [shared] Level state shared with the parent logger
+ * @returns {Object} Logger
+ */
+function createLogger(bindings = {}, shared = { level: parseLevel(process.env.LOG_LEVEL) }) {
+  /**
+   * Write one line if the level is enabled
+   * @param {string} level Level of the line
+   * @param {string} msg Message
+   * @param {Object} [fields] Extra fields
+   */
+  const write = (level, msg, fields) => {
+    if (LEVELS[level] < LEVELS[shared.level]) return;
+
+    const entry = { time: new Date().toISOString(), level, ...bindings, msg };
+    if (fields) {
+      Object.entries(fields).forEach(([key, value]) => {
+        if (RESERVED_FIELDS.includes(key)) return;
+        entry[key] = serializeValue(value);
+      });
+    }
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      // Circular fields (timers, sockets) shouldn't take the server down with them
+      line = JSON.stringify({ time: entry.time, level, ...bindings, msg, logError: error.message });
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  };
+
+  return {
+    /**
+     * @param {string} msg Message
+     * @param {Object} [fields] Extra fields
+     */
+    debug(msg, fields) {
+      write('debug', msg, fields);
+    },
+
+    /**
+     * @param {string} msg Message
+     * @param {Object} [fields] Extra fields
+     */
+    info(msg, fields) {
+      write('info', msg, fields);
+    },
+
+    /**
+     * @param {string} msg Message
+     * @param {Object} [fields] Extra fields
+     */
+    warn(msg, fields) {
+      write('warn', msg, fields);
+    },
+
+    /**
+     * @param {string} msg Message
+     * @param {Object} [fields] Extra fields
+     */
+    error(msg, fields) {
+      write('error', msg, fields);
+    },
+
+    /**
+     * Create a logger that adds more fields to every line
+     * @param {Object} childBindings Extra fields, e.g. { module: 'room', room: 'public' }
+     * @returns {Object} Child logger
+     */
+    child(childBindings) {
+      return createLogger({ ...bindings, ...childBindings }, shared);
+    },
+
+    /**
+     * Whether lines of a level are written; check before building costly fields
+     * @param {string} level Level name
+     * @returns {boolean} True if enabled
+     */
+    isLevelEnabled(level) {
+      return LEVELS[level] >= LEVELS[shared.level];
+    },
+
+    /**
+     * @returns {string} Current level
+     */
+    getLevel() {
+      return shared.level;
+    },
+
+    /**
+     * Change the level of this logger, its parent and all their children
+     * @param {string} level Level name
+     * @returns {string} The level now in effect
+     */
+    setLevel(level) {
+      shared.level = parseLevel(level);
+      return shared.level;
+    }
+  };
+}
+
+// Root logger; modules take a child with their own name
+const logger = createLogger();
+
+module.exports = { logger, createLogger, LEVELS };
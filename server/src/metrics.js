@@ -0,0 +1,194 @@
+// Tick duration histogram buckets (seconds): fixed ones for short ticks, then
+// multiples of the tick interval, so the buckets above 1 are overruns
+const SHORT_TICK_BUCKETS = [0.001, 0.002, 0.005, 0.01];
+const TICK_INTERVAL_MULTIPLES = [0.5, 1, 1.5, 3, 7.5];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set, e.g. {direction="in",event="join"}
+ * @param {Object} labels Label name -> value
+ * @returns {string} Formatted labels, or '' if there are none
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Creates a metric whose values are kept per label set. Counters only go up;
+ * gauges are set, usually just before a scrape.
+ * @param {string} type 'counter' or 'gauge'
+ * @param {string} name Metric name
+ * @param {string} help Description
+ * @param {Array<string>} [labelNames] Label names, in output order
+ * @returns {Object} Metric
+ */
+function createLabeledMetric(type, name, help, labelNames = []) {
+  const values = new Map(); // formatted labels -> value
+
+  // Metrics without labels are reported as 0 until something happens
+  if (labelNames.length === 0) values.set('', 0);
+
+  /**
+   * @param {Object} labels Label name -> value
+   * @returns {string} Key for the label set
+   */
+  const keyOf = (labels = {}) => formatLabels(Object.fromEntries(labelNames.map(label => [label, labels[label]])));
+
+  return {
+    name,
+
+    /**
+     * Add to a counter
+     * @param {Object} [labels] Label values
+     * @param {number} [amount] Amount to add
+     */
+    inc(labels, amount = 1) {
+      const key = keyOf(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+
+    /**
+     * Set a gauge
+     * @param {Object} labels Label values ({} for none)
+     * @param {number} value New value
+     */
+    set(labels, value) {
+      values.set(keyOf(labels), value);
+    },
+
+    /**
+     * Forget every label set, e.g. before refilling a per-room gauge
+     */
+    reset() {
+      values.clear();
+    },
+
+    /**
+     * @returns {Array<string>} Lines in the Prometheus text format
+     */
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      values.forEach((value, key) => lines.push(`${name}${key} ${value}`));
+      return lines;
+    }
+  };
+}
+
+/**
+ * Tick duration buckets for a tick interval
+ * @param {number} tickInterval Tick interval in milliseconds
+ * @returns {Array<number>} Upper bounds in seconds, ascending
+ */
+function getTickDurationBuckets(tickInterval) {
+  const upper = TICK_INTERVAL_MULTIPLES.map(multiple => Number((multiple * tickInterval / 1000).toFixed(4)));
+  return [...SHORT_TICK_BUCKETS.filter(bucket => bucket < upper[0]), ...upper];
+}
+
+/**
+ * Creates a histogram without labels
+ * @param {string} name Metric name
+ * @param {string} help Description
+ * @param {Array<number>} buckets Upper bounds, ascending
+ * @returns {Object} Histogram
+ */
+function createHistogram(name, help, buckets) {
+  const counts = buckets.map(() => 0);
+  let sum = 0;
+  let count = 0;
+
+  return {
+    name,
+
+    /**
+     * Record one observation
+     * @param {number} value Observed value
+     */
+    observe(value) {
+      const index = buckets.findIndex(bound => value <= bound);
+      if (index !== -1) counts[index]++;
+      sum += value;
+      count++;
+    },
+
+    /**
+     * @returns {Array<string>} Lines in the Prometheus text format (buckets are cumulative)
+     */
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      let cumulative = 0;
+      buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${name}_bucket{le="${bound}"} ${cumulative}`);
+      });
+      lines.push(`${name}_bucket{le="+Inf"} ${count}`);
+      lines.push(`${name}_sum ${sum}`);
+      lines.push(`${name}_count ${count}`);
+      return lines;
+    }
+  };
+}
+
+/**
+ * Creates the server's metrics, served at /metrics in the Prometheus text
+ * format. Counters are bumped where things happen; gauges describing the
+ * current state (sockets, rooms, players) are filled in by collectors just
+ * before each scrape.
+ * @param {number} tickInterval Configured tick interval in milliseconds; the tick
+ *   duration buckets are set from it and don't follow later tick rate changes
+ * @returns {Object} Metrics
+ */
+function createMetrics(tickInterval) {
+  const metrics = {
+    connectedSockets: createLabeledMetric('gauge', 'vcg_connected_sockets', 'Connected Socket.IO clients'),
+    activeRooms: createLabeledMetric('gauge', 'vcg_active_rooms', 'Rooms currently running a match'),
+    roomPlayers: createLabeledMetric('gauge', 'vcg_room_players', 'Players in each room, including ones waiting to resume', ['room']),
+    tickDuration: createHistogram('vcg_tick_duration_seconds', 'Time spent updating every room for one tick', getTickDurationBuckets(tickInterval)),
+    tickOverruns: createLabeledMetric('counter', 'vcg_tick_overruns_total', 'Game loop iterations that took longer than a tick interval'),
+    socketEvents: createLabeledMetric('counter', 'vcg_socket_events_total', 'Socket.IO messages by direction and event', ['direction', 'event']),
+    rejectedMessages: createLabeledMetric('counter', 'vcg_rejected_messages_total', 'Inbound messages dropped or refused, by event and reason', ['event', 'reason']),
+    // Counters aren't labeled by room: rooms come and go, and their series would pile up
+    bossKills: createLabeledMetric('counter', 'vcg_boss_kills_total', 'Bosses defeated'),
+    pickupsCollected: createLabeledMetric('counter', 'vcg_pickups_collected_total', 'Pickups collected, by type', ['type']),
+
+    // Functions that refresh the gauges before a scrape
+    collectors: [],
+
+    /**
+     * Register a function that refreshes gauges before each scrape
+     * @param {Function} collector Called with no arguments
+     */
+    addCollector(collector) {
+      this.collectors.push(collector);
+    },
+
+    /**
+     * Render every metric
+     * @returns {string} Metrics in the Prometheus text format
+     */
+    render() {
+      this.collectors.forEach(collect => collect());
+
+      const lines = [];
+      Object.values(this).forEach(metric => {
+        if (metric && typeof metric.render === 'function') {
+          lines.push(...metric.render());
+        }
+      });
+      return `${lines.join('\n')}\n`;
+    }
+  };
+
+  return metrics;
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { isInBounds } = require('vehicular-combat-shared');
+const { PICKUP_TYPES } = require('./game/room');
+const { DEFAULT_ROOM_ID } = require('./game/roomManager');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'console' });
+
+// Height console-spawned pickups appear at (same as the spawn positions)
+const PICKUP_HEIGHT = 3;
+
+/**
+ * Format a number for a console table
+ * @param {number|null|undefined} value Value
+ * @param {number} [digits] Decimal places
+ * @returns {string} Formatted value, or '-'
+ */
+function formatNumber(value, digits = 0) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '-';
+}
+
+/**
+ * Creates the operator console: a prompt on the server's stdin that inspects
+ * and changes the live game of a room without a client. Commands act on the
+ * selected room (`room <id>`), except the ones that find a player by ID in
+ * whichever room they are in. Tab completes commands, player IDs and room IDs.
+ * @param {SocketIO.Server} io Socket.IO server instance
+ * @param {Object} roomManager Room manager holding each match's game state
+ * @param {Object} loop Game loop controls
+ * @param {Function} loop.getTickRate Returns the current tick rate
+ * @param {Function} loop.setTickRate Changes the tick rate, returns the rate in effect
+ * @returns {Object} Server console
+ */
+function createServerConsole(io, roomManager, loop) {
+  let rl = null;
+  let output = process.stdout;
+  let roomId = DEFAULT_ROOM_ID;
+
+  /**
+   * Write lines of command output
+   * @param {...string} lines Lines to write
+   */
+  const print = (...lines) => {
+    output.write(`${lines.join('\n')}\n`);
+  };
+
+  /**
+   * The selected room
+   * @returns {Object} The room
+   * @throws {Error} If it isn't running
+   */
+  const getRoom = () => {
+    const room = roomManager.getRoom(roomId);
+    if (!room) throw new Error(`Room ${roomId} is not running (rooms start when someone joins)`);
+    return room;
+  };
+
+  /**
+   * Every player ID in every room, for completion
+   * @returns {Array<string>} Player IDs
+   */
+  const getPlayerIds = () => {
+    const ids = [];
+    roomManager.rooms.forEach(room => ids.push(...room.gameState.players.keys()));
+    return ids;
+  };
+
+  /**
+   * Parse a number argument
+   * @param {string} value Argument
+   * @param {string} name Argument name, for the error
+   * @returns {number} The number
+   * @throws {Error} If it isn't a finite number
+   */
+  const parseNumber = (value, name) => {
+    const number = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(number)) {
+      throw new Error(`${name} must be a number`);
+    }
+    return number;
+  };
+
+  // Command name -> { usage, description, complete, run(args) }
+  const commands = {
+    help: {
+      usage: 'help',
+      description: 'List commands',
+      run() {
+        const width = Math.max(...Object.values(commands).map(command => command.usage.length));
+        print(...Object.values(commands).map(command => `  ${command.usage.padEnd(width)}  ${command.description}`));
+      }
+    },
+
+    rooms: {
+      usage: 'rooms',
+      description: 'List running rooms',
+      run() {
+        if (roomManager.rooms.size === 0) {
+          print('No rooms are running');
+          return;
+        }
+        roomManager.rooms.forEach(room => {
+          const boss = room.gameState.boss;
+          print(
+            `${room.id === roomId ? '*' : ' '} ${room.id.padEnd(20)} ${String(room.gameState.players.size).padStart(3)} players` +
+            `  ${room.settings.mode.padEnd(14)} ${room.match.phase.padEnd(10)}` +
+          `  boss ${boss ? `L${boss.level} ${formatNumber(boss.health)}/${formatNumber(boss.maxHealth)}` : 'down'}`
+          );
+        });
+      }
+    },
+
+    room: {
+      usage: 'room <id>',
+      description: 'Select the room the other commands act on',
+      complete: () => Array.from(roomManager.rooms.keys()),
+      run([id]) {
+        if (!id) {
+          print(`Selected room: ${roomId}`);
+          return;
+        }
+        roomId = id;
+        if (rl) rl.setPrompt(`vcg:${roomId}> `);
+        print(roomManager.getRoom(id) ? `Selected room ${id}` : `Selected room ${id} (not running yet)`);
+      }
+    },
+
+    players: {
+      usage: 'players',
+      description: 'List the players of the selected room',
+      run() {
+        const players = getRoom().describePlayers();
+        if (players.length === 0) {
+          print('No players');
+          return;
+        }
+        print(`${'id'.padEnd(22)}${'name'.padEnd(14)}${'vehicle'.padEnd(14)}${'health'.padStart(10)}${'k/d'.padStart(8)}${'rtt'.padStart(6)}  state`);
+        players.forEach(player => {
+          const state = [
+            player.alive ? 'alive' : 'dead',
+            player.team ? `team ${player.team}` : null,
+            player.connected ? null : 'disconnected',
+            player.muted ? 'muted' : null
+          ].filter(Boolean).join(', ');
+          print(
+            player.id.padEnd(22) +
+            player.username.slice(0, 13).padEnd(14) +
+            player.vehicle.slice(0, 13).padEnd(14) +
+            `${formatNumber(player.health)}/${formatNumber(player.maxHealth)}`.padStart(10) +
+            `${player.kills}/${player.deaths}`.padStart(8) +
+            formatNumber(player.roundTripTime).padStart(6) +
+            `  ${state}`
+          );
+        });
+      }
+    },
+
+    boss: {
+      usage: 'boss',
+      description: 'Show the boss of the selected room',
+      run() {
+        const room = getRoom();
+        const boss = room.gameState.boss;
+        if (!boss) {
+          const { bossRespawnAt } = room.getTimers();
+          print(bossRespawnAt === null
+            ? 'No boss'
+            : `No boss; respawns in ${Math.max(0, Math.ceil((bossRespawnAt - Date.now()) / 1000))}s`);
+          return;
+        }
+        print(
+          `Level ${boss.level}, health ${formatNumber(boss.health)}/${formatNumber(boss.maxHealth)}, state ${boss.state}`,
+          `Position ${formatNumber(boss.position.x, 1)}, ${formatNumber(boss.position.y, 1)}, ${formatNumber(boss.position.z, 1)}` +
+          `, target ${boss.target || '-'}`
+        );
+      }
+    },
+
+    spawnboss: {
+      usage: 'spawnboss [level]',
+      description: 'Spawn a fresh boss now (level defaults to the player count)',
+      run([level]) {
+        const room = getRoom();
+        if (!room.hasBoss()) throw new Error(`The ${room.settings.mode} mode has no boss`);
+        room.respawnBoss(level === undefined ? undefined : Math.max(1, Math.round(parseNumber(level, 'level'))));
+        print(`Boss spawned at level ${room.gameState.boss.level}`);
+      }
+    },
+
+    kill: {
+      usage: 'kill <playerId|boss>',
+      description: 'Kill a player (in any room), or defeat the selected room\'s boss',
+      complete: () => ['boss', ...getPlayerIds()],
+      run([id]) {
+        if (!id) throw new Error('Usage: kill <playerId|boss>');
+
+        if (id === 'boss') {
+          if (!getRoom().defeatBoss()) throw new Error('The boss is not alive');
+          print('Boss defeated');
+          return;
+        }
+
+        const room = roomManager.findPlayerRoom(id);
+        const player = room && room.gameState.players.get(id);
+        if (!player) throw new Error(`No player ${id}`);
+        if (!player.alive) throw new Error(`Player ${id} is already dead`);
+
+        // An operator kill is nobody's frag
+        room.gameState.killPlayer(id, null, room.io, false);
+        log.info('Player killed from the console', { playerId: id, room: room.id });
+        print(`Killed ${player.username} (${id}) in room ${room.id}`);
+      }
+    },
+
+    pickup: {
+      usage: 'pickup <type> <x> <z>',
+      description: `Spawn a pickup (${PICKUP_TYPES.join(', ')})`,
+      complete: () => PICKUP_TYPES,
+      run([type, x, z]) {
+        if (!PICKUP_TYPES.includes(type)) throw new Error(`type must be one of ${PICKUP_TYPES.join(', ')}`);
+        const position = { x: parseNumber(x, 'x'), y: PICKUP_HEIGHT, z: parseNumber(z, 'z') };
+        if (!isInBounds(position)) throw new Error('That position is outside the map');
+
+        const pickup = getRoom().spawnPickup(position, type);
+        print(`Spawned ${type} ${pickup.id}`);
+      }
+    },
+
+    tickrate: {
+      usage: 'tickrate [n]',
+      description: 'Show or change the server tick rate',
+      run([rate]) {
+        if (rate === undefined) {
+          print(`Tick rate ${loop.getTickRate()}/s (measured ${formatNumber(roomManager.tickRate, 1)}/s)`);
+          return;
+        }
+        const applied = loop.setTickRate(parseNumber(rate, 'n'));
+        log.info('Tick rate changed from the console', { tickRate: applied });
+        print(`Tick rate set to ${applied}/s`);
+      }
+    },
+
+    say: {
+      usage: 'say <message>',
+      description: 'Show an announcement to every player',
+      run(args) {
+        const message = args.join(' ').trim();
+        if (!message) throw new Error('Usage: say <message>');
+        io.emit('serverAnnouncement', { message, time: Date.now() });
+        log.info('Announcement sent', { room: null, message });
+        print('Sent');
+      }
+    },
+
+    save: {
+      usage: 'save [file]',
+      description: 'Write every room\'s state to a JSON file',
+      async run([file]) {
+        const target = path.resolve(file || `vcg-state-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        const rooms = Array.from(roomManager.rooms.values()).map(room => ({
+          id: room.id,
+          ...room.gameState.getCurrentState(),
+          players: room.describePlayers(),
+          easterEgg: {
+            active: room.easterEggState.active,
+            position: room.easterEggState.position
+          },
+          match: room.match.getState(),
+          timers: room.getTimers()
+        }));
+        const state = { time: new Date().toISOString(), tickRate: loop.getTickRate(), rooms };
+
+        await fs.promises.writeFile(target, `${JSON.stringify(state, null, 2)}\n`);
+        print(`Saved ${rooms.length} room(s) to ${target}`);
+      }
+    }
+  };
+
+  /**
+   * readline completer: command names for the first word, then the
+   * command's own candidates (player IDs unless it says otherwise)
+   * @param {string} line Line typed so far
+   * @returns {Array} [matching completions, word being completed]
+   */
+  const completer = (line) => {
+    const words = line.split(/\s+/);
+    const word = words[words.length - 1];
+
+    let candidates;
+    if (words.length === 1) {
+      candidates = Object.keys(commands);
+    } else {
+      const command = commands[words[0]];
+      candidates = command && command.complete ? command.complete() : getPlayerIds();
+    }
+
+    const hits = candidates.filter(candidate => candidate.startsWith(word));
+    return [hits, word];
+  };
+
+  const serverConsole = {
+    commands,
+
+    /**
+     * Run one command line
+     * @param {string} line Command line
+     * @returns {Promise} Resolves once the command has finished
+     */
+    async execute(line) {
+      const [name, ...args] = line.trim().split(/\s+/);
+      if (!name) return;
+
+      const command = Object.prototype.hasOwnProperty.call(commands, name) ? commands[name] : null;
+      if (!command) {
+        print(`Unknown command ${name}; type help for a list`);
+        return;
+      }
+
+      try {
+        await command.run(args);
+      } catch (error) {
+        print(error.message);
+      }
+    },
+
+    /**
+     * Start reading commands
+     * @param {stream.Readable} input Where commands come from (stdin)
+     * @param {stream.Writable} out Where answers go (stdout)
+     */
+    start(input, out) {
+      output = out;
+      rl = readline.createInterface({ input, output, completer, prompt: `vcg:${roomId}> ` });
+
+      rl.on('line', (line) => {
+        serverConsole.execute(line).then(() => rl.prompt());
+      });
+
+      // Ctrl+C still stops the server; readline would otherwise swallow it
+      rl.on('SIGINT', () => {
+        rl.close();
+        process.kill(process.pid, 'SIGINT');
+      });
+
+      print('Server console ready; type help for commands');
+      rl.prompt();
+    },
+
+    /**
+     * Stop reading commands
+     */
+    close() {
+      if (rl) rl.close();
+      rl = null;
+    }
+  };
+
+  return serverConsole;
+}
+
+module.exports = { createServerConsole };
@@ -0,0 +1,370 @@
+const { WEAPONS, SNAPSHOT_ENCODINGS, TEAM_IDS } = require('vehicular-combat-shared');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'eventValidation' });
+
+// Coordinates further out than this are nowhere near the 320x480 map
+const MAX_COORDINATE = 1000;
+
+// Longest IDs (socket, pickup and session tokens) a client may send back
+const MAX_ID_LENGTH = 64;
+
+// Shortest direction a client may send; anything shorter can't be normalized reliably
+const MIN_VECTOR_LENGTH = 1e-6;
+
+// Repeat offenders: each dropped message costs one token from this bucket,
+// and a socket that empties it is disconnected
+const VIOLATION_BURST = 20;
+const VIOLATION_REFILL_PER_SECOND = 1;
+
+// Schema building blocks. A schema is { type, optional, nullable, ... };
+// see validateValue for what each type accepts.
+const id = { type: 'string', maxLength: MAX_ID_LENGTH };
+const vector3 = {
+  type: 'object',
+  fields: {
+    x: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE },
+    y: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE },
+    z: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE }
+  }
+};
+const noPayload = { type: 'any', optional: true };
+
+/**
+ * Every event a client may send, with the shape of its payload and how often
+ * it may be sent. `rate` is tokens refilled per second and `burst` the bucket
+ * size. Events not listed here are dropped.
+ */
+const EVENT_RULES = {
+  join: {
+    rate: 0.5,
+    burst: 3,
+    schema: {
+      type: 'object',
+      optional: true,
+      fields: {
+        username: { type: 'string', maxLength: 24, optional: true },
+        vehicle: { type: 'string', maxLength: 32, optional: true },
+        fromPortal: { type: 'boolean', optional: true },
+        room: { type: 'string', maxLength: 32, optional: true, nullable: true },
+        snapshotEncoding: { type: 'enum', values: SNAPSHOT_ENCODINGS, optional: true },
+        debugStats: { type: 'boolean', optional: true },
+        // Preferred team in team modes; null lets the server pick
+        team: { type: 'enum', values: TEAM_IDS, optional: true, nullable: true },
+        sessionToken: { ...id, optional: true, nullable: true }
+      }
+    }
+  },
+  playerInput: {
+    rate: 120, // Inputs are sent at the client's 60 Hz simulation rate
+    burst: 180,
+    schema: {
+      type: 'object',
+      fields: {
+        seq: { type: 'number', integer: true, min: 0 },
+        delta: { type: 'number', min: 0, max: 1 },
+        controls: {
+          type: 'object',
+          fields: {
+            forward: { type: 'boolean' },
+            backward: { type: 'boolean' },
+            left: { type: 'boolean' },
+            right: { type: 'boolean' }
+          }
+        },
+        snapshotAck: { type: 'number', integer: true, min: 0, optional: true }
+      }
+    }
+  },
+  snapshotAck: {
+    rate: 60,
+    burst: 90,
+    schema: { type: 'number', integer: true, min: 0 }
+  },
+  timeSync: {
+    rate: 2, // Clients ping a few times on connect, then every few seconds
+    burst: 10,
+    schema: {
+      type: 'object',
+      fields: {
+        clientTime: { type: 'number', min: 0 }
+      }
+    }
+  },
+  fireWeapon: {
+    rate: 20,
+    burst: 40,
+    schema: {
+      type: 'object',
+      fields: {
+        type: { type: 'enum', values: Object.keys(WEAPONS) },
+        position: vector3,
+        direction: { ...vector3, nonZero: true }
+      }
+    }
+  },
+  playerDamaged: {
+    rate: 1 / 1.5, // One collision per the client's 1.5 second collision damage cooldown
+    burst: 1,
+    schema: {
+      type: 'object',
+      fields: {
+        amount: { type: 'number', min: 0 }
+      }
+    }
+  },
+  collectPickup: {
+    rate: 5,
+    burst: 10,
+    schema: {
+      type: 'object',
+      fields: {
+        pickupId: id,
+        type: { type: 'string', maxLength: 32, optional: true }
+      }
+    }
+  },
+  chatMessage: {
+    rate: 1,
+    burst: 5,
+    schema: {
+      type: 'object',
+      fields: {
+        message: { type: 'string', minLength: 1, maxLength: 200 }
+      }
+    }
+  },
+  netStats: {
+    rate: 2,
+    burst: 5,
+    schema: {
+      type: 'object',
+      fields: {
+        enabled: { type: 'boolean' }
+      }
+    }
+  },
+  ready: {
+    rate: 2,
+    burst: 5,
+    schema: {
+      type: 'object',
+      optional: true,
+      fields: {
+        ready: { type: 'boolean', optional: true }
+      }
+    }
+  },
+  collectEasterEgg: { rate: 1, burst: 3, schema: noPayload },
+  // Retired client-authoritative events, still accepted so they can be logged as rejected
+  hitTarget: { rate: 1, burst: 3, schema: noPayload },
+  bossHit: { rate: 1, burst: 3, schema: noPayload },
+  bossDefeated: { rate: 1, burst: 3, schema: noPayload },
+  playerTransformed: {
+    rate: 1,
+    burst: 3,
+    schema: {
+      type: 'object',
+      fields: {
+        playerId: { ...id, optional: true, nullable: true },
+        newVehicleType: { type: 'enum', values: ['sweetTooth'] }
+      }
+    }
+  }
+};
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema Schema to check against
+ * @param {*} value Value received from the client
+ * @param {string} path Where the value sits in the payload, for error messages
+ * @returns {string|null} Why the value is invalid, or null if it is valid
+ */
+function validateValue(schema, value, path) {
+  if (value === undefined) {
+    return schema.optional ? null : `${path} is missing`;
+  }
+  if (value === null) {
+    return schema.nullable || schema.type === 'any' ? null : `${path} is null`;
+  }
+
+  switch (schema.type) {
+    case 'any':
+      return null;
+
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be a string`;
+      if (schema.minLength && value.length < schema.minLength) return `${path} is too short`;
+      if (value.length > schema.maxLength) return `${path} is longer than ${schema.maxLength} characters`;
+      return null;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a finite number`;
+      if (schema.integer && !Number.isInteger(value)) return `${path} must be an integer`;
+      if (schema.min !== undefined && value < schema.min) return `${path} is below ${schema.min}`;
+      if (schema.max !== undefined && value > schema.max) return `${path} is above ${schema.max}`;
+      return null;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+
+    case 'enum':
+      return schema.values.includes(value) ? null : `${path} is not one of ${schema.values.join(', ')}`;
+
+    case 'array': {
+      if (!Array.isArray(value)) return `${path} must be an array`;
+      if (schema.minItems && value.length < schema.minItems) return `${path} needs at least ${schema.minItems} items`;
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} has more than ${schema.maxItems} items`;
+
+      for (let i = 0; i < value.length; i++) {
+        const error = validateValue(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        const error = validateValue(fieldSchema, value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+
+      // Strict objects reject fields the schema doesn't list, e.g. typos in a config file
+      if (schema.strict) {
+        const unknown = Object.keys(value).find(key => !Object.prototype.hasOwnProperty.call(schema.fields, key));
+        if (unknown !== undefined) return `${path}.${unknown} is not a known field`;
+      }
+
+      // Tiny components would pass a plain zero check but underflow when the vector is normalized
+      if (schema.nonZero) {
+        const length = Math.hypot(...Object.keys(schema.fields).map(key => value[key]));
+        if (!Number.isFinite(length) || length < MIN_VECTOR_LENGTH) return `${path} must not be zero`;
+      }
+      return null;
+    }
+
+    default:
+      return `${path} has an unknown schema type ${schema.type}`;
+  }
+}
+
+/**
+ * Creates a token bucket
+ * @param {number} rate Tokens refilled per second
+ * @param {number} burst Bucket size
+ * @returns {Object} Token bucket
+ */
+function createTokenBucket(rate, burst) {
+  return {
+    tokens: burst,
+    lastRefill: Date.now(),
+
+    /**
+     * Take a token if one is available
+     * @param {number} now Current time in milliseconds
+     * @returns {boolean} True if a token was taken
+     */
+    take(now) {
+      this.tokens = Math.min(burst, this.tokens + ((now - this.lastRefill) / 1000) * rate);
+      this.lastRefill = now;
+
+      if (this.tokens < 1) return false;
+      this.tokens--;
+      return true;
+    }
+  };
+}
+
+/**
+ * Creates the inbound event guard for a socket. Every event is checked
+ * against its schema and its per-event rate limit before any handler sees
+ * it; messages that fail are dropped and counted, and a socket that keeps
+ * sending them is disconnected.
+ * @param {SocketIO.Socket} socket Client socket
+ * @param {Object} metrics Server metrics (see metrics.js)
+ * @returns {Object} Event guard; install `guard.middleware` with socket.use
+ */
+function createEventGuard(socket, metrics) {
+  const buckets = new Map(); // event name -> token bucket
+  const violationBucket = createTokenBucket(VIOLATION_REFILL_PER_SECOND, VIOLATION_BURST);
+
+  const guard = {
+    // Event name -> { invalid, rateLimited, unknown }; a Map since the names come from the client
+    dropped: new Map(),
+    disconnected: false,
+
+    /**
+     * Count a dropped message and disconnect the socket if it keeps happening
+     * @param {string} event Event name
+     * @param {string} reason 'invalid', 'rateLimited' or 'unknown'
+     * @param {string} [detail] What was wrong with it
+     */
+    reject(event, reason, detail) {
+      let counts = guard.dropped.get(event);
+      if (!counts) {
+        counts = { invalid: 0, rateLimited: 0, unknown: 0 };
+        guard.dropped.set(event, counts);
+      }
+      counts[reason]++;
+      // Unknown names come from the client, so they share one metric label
+      metrics.rejectedMessages.inc({ event: reason === 'unknown' ? 'unknown' : event, reason });
+
+      // Rate-limited messages are the common case under spam; keep them out of the default log
+      const fields = { socketId: socket.id, event: String(event).slice(0, 64), reason, detail };
+      if (reason === 'rateLimited') {
+        log.debug('Dropped message', fields);
+      } else {
+        log.warn('Dropped message', fields);
+      }
+
+      if (!violationBucket.take(Date.now()) && !guard.disconnected) {
+        guard.disconnected = true;
+        log.warn('Disconnecting for repeatedly sending dropped messages', { socketId: socket.id, dropped: Object.fromEntries(guard.dropped) });
+        // Offenders lose their player rather than getting the reconnect grace window
+        socket.data.kicked = true;
+        socket.disconnect(true);
+      }
+    },
+
+    /**
+     * socket.use middleware. Valid messages are passed on; anything else is
+     * dropped by not calling next (next(err) would emit an error to the socket).
+     * @param {Array} packet Event name followed by its arguments
+     * @param {Function} next Passes the packet on to the handlers
+     */
+    middleware(packet, next) {
+      const [event, payload] = packet;
+      // Own properties only, so names like 'constructor' aren't taken for rules
+      const rules = Object.prototype.hasOwnProperty.call(EVENT_RULES, event) ? EVENT_RULES[event] : null;
+
+      if (!rules) {
+        guard.reject(String(event).slice(0, MAX_ID_LENGTH), 'unknown');
+        return;
+      }
+
+      let bucket = buckets.get(event);
+      if (!bucket) {
+        bucket = createTokenBucket(rules.rate, rules.burst);
+        buckets.set(event, bucket);
+      }
+      if (!bucket.take(Date.now())) {
+        guard.reject(event, 'rateLimited');
+        return;
+      }
+
+      const error = validateValue(rules.schema, payload, event);
+      if (error) {
+        guard.reject(event, 'invalid', error);
+        return;
+      }
+
+      next();
+    }
+  };
+
+  return guard;
+}
+
+module.exports = { EVENT_RULES, validateValue, createEventGuard };
@@ -1,448 +1,285 @@
+const { getMaxHealth } = require('../game/vehicles');
+const { createEventGuard } = require('./eventValidation');
+const { createSocketStats } = require('./socketStats');
+const { logger } = require('../logger');
+
+// Largest self-reported damage the server accepts: the hardest a vehicle
+// collision hits (see Vehicle.resolveVehicleCollision on the client)
+const MAX_REPORTED_DAMAGE = 15;
+
 /**
  * Setup socket.io event handlers for the game
  * @param {SocketIO.Server} io Socket.IO server instance
- * @param {Object} gameState Game state object
+ * @param {Object} roomManager Room manager holding each match's game state
+ * @param {Object} metrics Server metrics (see metrics.js)
  */
-function setupGameEvents(io, gameState) {
-  // Define spawn positions at map corners and additional positions in further corners
-  const SPAWN_POSITIONS = [
-    // Original positions
-    { x: -45, y: 3, z: -45 },
-    { x: -45, y: 3, z: 45 },
-    { x: 45, y: 3, z: -45 },
-    { x: 45, y: 3, z: 45 },
-    // Additional positions at extreme corners (5 units from walls)
-    { x: -155, y: 3, z: -235 },
-    { x: -155, y: 3, z: 235 },
-    { x: 155, y: 3, z: -235 },
-    { x: 155, y: 3, z: 235 }
-  ];
-
-  // Track Easter Egg pickup state
-  let easterEggState = {
-    active: true,
-    position: { x: 50, y: 50.0, z: 0 }, // Center of map, height adjusted to 1.0
-    respawnTime: 30000, // 30 seconds
-    respawnTimer: null
-  };
-
-  // Initialize pickups when game starts
-  gameState.initializePickups(SPAWN_POSITIONS);
-
-  // Send Easter Egg state when players connect
-  function broadcastEasterEggState() {
-    io.emit('easterEggState', easterEggState);
-  }
-
+function setupGameEvents(io, roomManager, metrics) {
   io.on('connection', (socket) => {
-    console.log(`Player connected: ${socket.id}`);
+    const log = logger.child({ module: 'gameEvents', socketId: socket.id });
+    log.info('Player connected');
 
-    // Send current pickups state to new player
-    socket.emit('initializePickups', gameState.pickups);
-    
-    // Send current Easter Egg state to new player
-    socket.emit('easterEggState', easterEggState);
+    // Count traffic per event type, ahead of the guard so dropped messages are counted too
+    const socketStats = createSocketStats(socket, metrics);
+    socket.use(socketStats.middleware);
+
+    // Check every inbound event's payload and rate before the handlers below see it
+    const eventGuard = createEventGuard(socket, metrics);
+    socket.use(eventGuard.middleware);
+
+    // Room this socket is playing in, set once it joins
+    let room = null;
+
+    // Player this socket controls. A new player's ID is the socket ID; a
+    // resumed session keeps the ID the player had on their old socket.
+    let playerId = socket.id;
+
+    // Clock sync ping: send the client's time back with ours, so it can work
+    // out the offset between the clocks from the round trip (see ClockSync.js)
+    socket.on('timeSync', (data) => {
+      socket.emit('timeSync', { clientTime: data.clientTime, serverTime: Date.now() });
+    });
+
+    // Network debug overlay: send this socket its traffic, round trip time and the tick rate every second
+    socket.on('netStats', (data) => {
+      socketStats.setReporting(data.enabled, () => ({
+        tickRate: roomManager.tickRate,
+        roundTripTime: room ? room.snapshotSync.getRoundTripTime(playerId) : null
+      }));
+    });
 
     // Handle player joining the game
     socket.on('join', (data) => {
-      console.log(`Player ${socket.id} joined as ${data.username} with vehicle ${data.vehicle}`);
+      data = data || {};
 
-      // Add player to game state
-      const player = gameState.addPlayer(socket.id, data);
+      // Leave the previous match if the player joins again
+      if (room) {
+        socket.leave(room.channel);
+        room.removePlayer(playerId);
+      }
 
-      // Notify other players
-      socket.broadcast.emit('playerJoined', player);
+      room = roomManager.getOrCreateRoom(data.room);
 
-      // Send current game state to new player
-      socket.emit('gameState', gameState.getCurrentState());
-      
-      // Check if this is the first player and spawn the boss
-      if (gameState.players.size === 1 && !gameState.boss) {
-        console.log('First player joined, initiating initial boss spawn...');
-        respawnBoss(); // Use the existing respawn function to spawn the boss
+      // Pick up a dropped session if the client brought back its token
+      const resumed = room.resumePlayer(socket, data);
+      if (resumed) {
+        playerId = resumed.id;
+        return;
       }
+
+      playerId = socket.id;
+      log.info('Player joined', { playerId, room: room.id, username: data.username, vehicle: data.vehicle });
+
+      // Add player to the room and send them its current state
+      room.addPlayer(socket, data);
     });
 
-    // Handle player position updates
-    socket.on('updatePosition', (data) => {
-      // Update player position in game state
-      gameState.updatePlayerPosition(socket.id, data.position, data.rotation);
+    // Handle player input frames; the server simulates movement from them.
+    // Other players see the result in the next world snapshot.
+    socket.on('playerInput', (data) => {
+      if (!room || !data) return;
 
-      // Broadcast to other players
-      socket.broadcast.emit('playerMoved', {
-        id: socket.id,
-        position: data.position,
-        rotation: data.rotation
-      });
+      // Inputs also carry the newest world snapshot the client has received
+      room.snapshotSync.acknowledge(playerId, data.snapshotAck);
+      room.gameState.applyPlayerInput(playerId, data);
+    });
+
+    // Snapshot acknowledgement sent while the player isn't sending inputs (e.g. while dead)
+    socket.on('snapshotAck', (seq) => {
+      if (!room) return;
+      room.snapshotSync.acknowledge(playerId, seq);
     });
 
     // Handle weapon firing
     socket.on('fireWeapon', (data) => {
-      console.log('Received fireWeapon event:', data);
+      log.debug('Received fireWeapon', { playerId, weapon: data.type });
+      if (!room) return;
 
       // Add slight spread to machine gun fire
       if (data.type === 'machineGun') {
         const spread = 0.05;
-        data.direction.x += (Math.random() - 0.5) * spread;
-        data.direction.y += (Math.random() - 0.5) * spread;
-        // Normalize direction after adding spread
-        const length = Math.sqrt(
-          data.direction.x * data.direction.x +
-          data.direction.y * data.direction.y +
-          data.direction.z * data.direction.z
-        );
-        data.direction.x /= length;
-        data.direction.y /= length;
-        data.direction.z /= length;
+        data.direction.x += room.gameState.random.range(-0.5, 0.5) * spread;
+        data.direction.y += room.gameState.random.range(-0.5, 0.5) * spread;
       }
 
-      // Adjust spawn position to be slightly above vehicle
-      data.position.y += 0.5;
-
-      console.log('Broadcasting projectileFired event:', {
-        type: data.type,
-        position: data.position,
-        direction: data.direction,
-        playerId: socket.id
-      });
+      // Normalize the direction; clients can send any non-zero vector
+      const length = Math.sqrt(
+        data.direction.x * data.direction.x +
+        data.direction.y * data.direction.y +
+        data.direction.z * data.direction.z
+      );
+      data.direction.x /= length;
+      data.direction.y /= length;
+      data.direction.z /= length;
+
+      // The server flies the projectile and decides what it hits; it is sent
+      // to everyone near it, including the sender
+      const projectile = room.fireProjectile(playerId, data);
+      if (!projectile) {
+        metrics.rejectedMessages.inc({ event: 'fireWeapon', reason: 'refused' });
+        log.debug('Ignoring fireWeapon: player not alive, out of ammo or firing too fast', { playerId, weapon: data.type });
+        return;
+      }
 
-      // Broadcast the projectile to all clients including sender
-      io.emit('projectileFired', {
-        type: data.type,
-        position: data.position,
-        direction: data.direction,
-        playerId: socket.id
-      });
+      if (log.isLevelEnabled('debug')) {
+        log.debug('Broadcasting projectileFired', {
+          playerId,
+          projectileId: projectile.id,
+          type: projectile.type,
+          position: { ...projectile.flight.position },
+          direction: { ...projectile.flight.direction }
+        });
+      }
     });
 
-    // Handle hits on targets
-    socket.on('hitTarget', (data) => {
-      // Process hit based on target type
-      if (data.targetType === 'boss' && gameState.boss) {
-        // Apply damage to boss
-        const damage = data.damage || 10;
-        gameState.boss.health -= damage;
-
-        // Check if boss is defeated
-        if (gameState.boss.health <= 0) {
-          // Handle boss defeat
-          gameState.handleBossDefeat(socket.id, io);
-        } else {
-          // Broadcast boss hit
-          io.emit('bossHit', {
-            health: gameState.boss.health,
-            maxHealth: gameState.boss.maxHealth,
-            attackerId: socket.id
-          });
-        }
-      } else if (data.targetType === 'player') {
-        // Get target player
-        const targetPlayer = gameState.players.get(data.targetId);
-        if (targetPlayer) {
-          // Apply damage to player
-          const damage = data.damage || 10;
-
-          // Broadcast player hit
-          io.emit('playerHit', {
-            id: data.targetId,
-            attackerId: socket.id,
-            damage
-          });
-
-          // Note: actual health tracking is done client-side
-          // This just broadcasts the event to all clients
-        }
-      }
+    // Handle damage a client takes from collisions it simulates itself. Players can
+    // only report damage to themselves, so the amount is capped rather than validated
+    // and the event is limited to one per collision cooldown (see EVENT_RULES).
+    socket.on('playerDamaged', (data) => {
+      if (!room) return;
+
+      const amount = Number(data && data.amount);
+      if (!Number.isFinite(amount) || amount <= 0) return;
+
+      room.gameState.damagePlayer(playerId, Math.min(amount, MAX_REPORTED_DAMAGE), null, room.io);
     });
 
     // Handle pickup collection
     socket.on('collectPickup', (data) => {
+      if (!room) return;
+
+      const { gameState } = room;
       const pickup = gameState.pickups.find(p => p.id === data.pickupId);
+      if (pickup && !gameState.canReach(playerId, pickup.position)) {
+        log.debug('Ignored out-of-reach pickup', { playerId, pickupId: pickup.id });
+        return;
+      }
       if (pickup) {
         // Remove pickup
         gameState.pickups = gameState.pickups.filter(p => p.id !== data.pickupId);
 
-        // Broadcast pickup collection to all clients
-        io.emit('pickupCollected', {
+        metrics.pickupsCollected.inc({ type: pickup.type });
+
+        // Broadcast pickup collection to all clients in the room
+        room.io.emit('pickupCollected', {
           id: data.pickupId,
-          playerId: socket.id,
+          playerId,
           type: pickup.type
         });
+
+        // Health is owned by the server, so apply the heal here
+        if (pickup.type === 'fullHealth') {
+          gameState.healPlayer(playerId, room.io);
+        } else if (pickup.type === 'specialAttack') {
+          // Tracked so a resumed session gets its ammo back
+          gameState.addAmmo(playerId, 'specialAttack', 1);
+        }
       }
     });
 
     // Handle player disconnection
     socket.on('disconnect', () => {
-      console.log(`Player disconnected: ${socket.id}`);
-
-      // Remove player from game state
-      gameState.removePlayer(socket.id);
+      log.info('Player disconnected', { playerId, room: room ? room.id : null });
+      socketStats.stopReporting();
 
-      // Notify other players
-      io.emit('playerLeft', socket.id);
+      if (room) {
+        if (socket.data.kicked) {
+          // Sockets dropped by the event guard don't get to resume
+          room.removePlayer(playerId);
+        } else {
+          // Keep the player in their room for a while in case they reconnect
+          room.suspendPlayer(playerId);
+        }
+        room = null;
+      }
     });
 
     // Handle player chat messages
     socket.on('chatMessage', (data) => {
+      if (!room) return;
+
       // Get player info
-      const player = gameState.players.get(socket.id);
+      const player = room.gameState.players.get(playerId);
       if (!player) return;
 
-      // Broadcast message to all players
-      io.emit('chatMessage', {
-        id: socket.id,
+      // Muted by an operator (see adminApi.js)
+      if (player.muted) {
+        log.debug('Dropped chat message from muted player', { playerId });
+        return;
+      }
+
+      const message = data.message.trim();
+      if (!message) return;
+
+      // Broadcast message to all players in the room
+      room.io.emit('chatMessage', {
+        id: playerId,
         username: player.username,
-        message: data.message,
+        message,
         timestamp: Date.now()
       });
     });
 
-    // Handle player ready status
-    socket.on('ready', () => {
-      // Get player
-      const player = gameState.players.get(socket.id);
-      if (!player) return;
-
-      // Set player as ready
-      player.ready = true;
+    // Ready up for the next match ({ ready: false } takes it back); everyone hears about it through matchState
+    socket.on('ready', (data) => {
+      if (!room) return;
 
-      // Notify all players
-      io.emit('playerReady', {
-        id: socket.id
-      });
+      room.setPlayerReady(playerId, !data || data.ready !== false);
     });
 
     // Handle Easter Egg pickup collection
     socket.on('collectEasterEgg', () => {
-      console.log(`Player ${socket.id} collected the Easter Egg pickup`);
-      
-      // Only allow collection if the Easter Egg is active
-      if (easterEggState.active) {
-        // Set Easter Egg as inactive
-        easterEggState.active = false;
-        
-        // Broadcast to all clients that Easter Egg was collected
-        io.emit('easterEggCollected', {
-          playerId: socket.id
-        });
-        
-        // Start respawn timer
-        easterEggState.respawnTimer = setTimeout(() => {
-          // Reactivate Easter Egg
-          easterEggState.active = true;
-          easterEggState.respawnTimer = null;
-          
-          // Broadcast respawn to all clients
-          io.emit('easterEggRespawned');
-          
-          console.log(`Easter Egg pickup respawned after ${easterEggState.respawnTime / 1000} seconds`);
-        }, easterEggState.respawnTime);
+      if (!room) return;
+
+      if (room.collectEasterEgg(playerId)) {
+        log.info('Easter Egg collected', { playerId, room: room.id });
       }
     });
 
     // Handle player transformation (Easter Egg pickup)
     socket.on('playerTransformed', (data) => {
-      console.log(`Player ${socket.id} transformed to vehicle type: ${data.newVehicleType}`);
-      
+      if (!room) return;
+
       // Update the player's vehicle type in gameState
-      const player = gameState.players.get(socket.id);
+      const player = room.gameState.players.get(playerId);
       if (player) {
-        // Update vehicle type
+        // Only the player who just collected the Easter Egg may transform
+        if (!player.canTransform) {
+          metrics.rejectedMessages.inc({ event: 'playerTransformed', reason: 'refused' });
+          log.warn('Rejected playerTransformed: Easter Egg not collected', { playerId });
+          return;
+        }
+        player.canTransform = false;
+        log.info('Player transformed', { playerId, vehicle: data.newVehicleType });
+
+        // Update vehicle type, keeping the same fraction of health on the new vehicle
+        const healthFraction = player.maxHealth > 0 ? player.health / player.maxHealth : 1;
         player.vehicle = data.newVehicleType;
+        player.maxHealth = getMaxHealth(player.vehicle);
+        player.health = player.maxHealth * healthFraction;
         
-        // Broadcast transformation to all other players
-        socket.broadcast.emit('playerTransformed', {
-          playerId: socket.id,
+        // Broadcast transformation to all other players in the room
+        socket.to(room.channel).emit('playerTransformed', {
+          playerId,
           newVehicleType: data.newVehicleType
         });
-        
-        console.log(`Broadcasted transformation of player ${socket.id} to ${data.newVehicleType}`);
       }
     });
     
-    // Handle direct boss hit event (separate from hitTarget)
-    socket.on('bossHit', (data) => {
-      console.log(`Player ${socket.id} hit the boss for ${data.damage} damage`);
-      
-      // Only process if boss exists
-      if (gameState.boss) {
-        // Apply damage to boss server-side health
-        gameState.boss.health -= data.damage;
-        
-        // Ensure health doesn't go below 0
-        if (gameState.boss.health < 0) {
-          gameState.boss.health = 0;
-        }
-        
-        console.log(`Boss health updated to ${gameState.boss.health}/${gameState.boss.maxHealth}`);
-        
-        // Check if boss is defeated
-        if (gameState.boss.health <= 0) {
-          // Handle boss defeat
-          handleBossDefeat(socket.id);
-        } else {
-          // Broadcast updated health to all players
-          io.emit('bossHit', {
-            health: gameState.boss.health,
-            maxHealth: gameState.boss.maxHealth,
-            attackerId: socket.id
-          });
-        }
-      }
+    // Clients can no longer report hits; the server's projectile simulation decides them
+    ['hitTarget', 'bossHit'].forEach(event => {
+      socket.on(event, () => {
+        metrics.rejectedMessages.inc({ event, reason: 'refused' });
+        log.warn(`Rejected ${event}: hits are decided by the server`, { playerId });
+      });
     });
     
-    // Handle boss defeat event
+    // Clients can no longer declare the boss defeated; the server decides
+    // that when its own health tracking reaches zero
     socket.on('bossDefeated', () => {
-      console.log(`Boss defeated notification from ${socket.id}`);
-      
-      // Only handle if the boss exists
-      if (gameState.boss) {
-        handleBossDefeat(socket.id);
-      }
+      metrics.rejectedMessages.inc({ event: 'bossDefeated', reason: 'refused' });
+      log.warn('Rejected bossDefeated: boss defeat is decided by the server', { playerId });
     });
   });
-
-  /**
-   * Create a safe copy of boss object without circular references
-   * @param {Object} boss - The boss object to sanitize
-   * @returns {Object} A sanitized copy of the boss object
-   */
-  function createSafeBossCopy(boss) {
-    if (!boss) return null;
-    
-    return {
-      id: boss.id,
-      type: boss.type,
-      difficulty: boss.difficulty,
-      level: boss.level,
-      health: boss.health,
-      maxHealth: boss.maxHealth,
-      position: { ...boss.position },
-      rotation: { ...boss.rotation },
-      state: boss.state,
-      stateTimer: boss.stateTimer,
-      stateTimeout: boss.stateTimeout,
-      lastAttackTime: boss.lastAttackTime,
-      attackCooldown: boss.attackCooldown,
-      damage: boss.damage
-    };
-  }
-
-  /**
-   * Handle boss defeat on the server
-   * @param {string} killerId - ID of the player who defeated the boss
-   */
-  function handleBossDefeat(killerId) {
-    console.log(`Boss defeated by player ${killerId}!`);
-    
-    // Broadcast to all clients
-    io.emit('bossDefeated', {
-      killerId: killerId
-    });
-    
-    // Set boss health to zero explicitly
-    if (gameState.boss) {
-      gameState.boss.health = 0;
-    }
-    
-    // Record defeat time and update kill streak if needed
-    const now = Date.now();
-    const bossKillStreak = gameState.bossKillStreak || 0;
-    
-    // Store last defeat time for respawn timing
-    gameState.lastBossDefeatTime = now;
-    gameState.bossKillStreak = bossKillStreak + 1;
-    
-    // Clear any existing boss respawn timer
-    if (gameState.bossRespawnTimer) {
-      clearTimeout(gameState.bossRespawnTimer);
-    }
-    
-    // Set server-side respawn timer
-    gameState.bossRespawnTimer = setTimeout(() => {
-      respawnBoss();
-    }, 35000); // 35 seconds (grace period + warning)
-    
-    // Set boss to null to indicate it's destroyed
-    gameState.boss = null;
-    
-    console.log(`Started boss respawn timer, will respawn in 35 seconds`);
-  }
-  
-  /**
-   * Respawn the boss on the server
-   */
-  function respawnBoss() {
-    console.log('Respawning boss on server');
-    
-    // Calculate level and health based on player count
-    const playerCount = gameState.players.size;
-    const difficulty = playerCount; // Difficulty/level is equal to the number of players
-    
-    // Create new boss data
-    gameState.boss = {
-      id: 'boss', 
-      type: 'SemiTrump',
-      difficulty: difficulty,
-      level: playerCount, // Store the level (number of players)
-      health: 1000 * playerCount, // Health is 1000 times the number of players
-      maxHealth: 1000 * playerCount, // Max health is also 1000 times the number of players
-      state: 'spawning',
-      stateTimer: 0, // Initialize state timer
-      stateTimeout: 3000, // Set initial spawning timeout (3 seconds)
-      position: {
-        x: 0,
-        y: 0.2,
-        z: 0
-      },
-      rotation: {
-        y: Math.PI
-      },
-      // Initialize other necessary properties if updateBoss expects them
-      lastAttackTime: 0,
-      attackCooldown: 2000 / difficulty, // Reduced from 3000 to 2000 for faster attacks
-      damage: 15 * difficulty, // Increased base damage from 10 to 15
-      target: null,
-      perimeterWaypoints: null, // Ensure waypoints are reset
-      currentWaypointIndex: 0
-    };
-    
-    // Clear respawn timer reference stored in gameState
-    if (gameState.bossRespawnTimer) { // Check if timer exists before clearing
-      clearTimeout(gameState.bossRespawnTimer);
-      gameState.bossRespawnTimer = null;
-    }
-    
-    // Broadcast to all clients
-    io.emit('bossRespawned', {
-      boss: createSafeBossCopy(gameState.boss) // Send the sanitized boss object
-    });
-    
-    console.log(`Boss respawned with level: ${playerCount}, health: ${1000 * playerCount}`);
-  }
-
-  // Set up pickup respawn timer
-  setInterval(() => {
-    SPAWN_POSITIONS.forEach((position, index) => {
-      // Check if position is empty
-      const hasPickup = gameState.pickups.some(pickup =>
-        pickup.position.x === position.x &&
-        pickup.position.z === position.z
-      );
-
-      if (!hasPickup) {
-        // Available pickup types with 50/50 distribution
-        const types = ['specialAttack', 'fullHealth'];
-        
-        // Simple alternating pattern for 50/50 distribution
-        // Even-indexed positions get one type, odd-indexed get the other
-        const type = types[index % 2];
-
-        const pickup = gameState.spawnPickup(position, type);
-        io.emit('pickupSpawned', pickup);
-      }
-    });
-  }, 30000); // Respawn check every 30 seconds
 }
 
-module.exports = { setupGameEvents }; 
\ No newline at end of file
+module.exports = { setupGameEvents };
@@ -0,0 +1,160 @@
+const { EVENT_RULES } = require('./eventValidation');
+
+// How often sockets that asked for network stats are sent them
+const REPORT_INTERVAL = 1000; // 1 second
+
+/**
+ * Rough size of a message on the wire: binary arguments count their bytes,
+ * anything else its JSON length. Close enough to compare event types.
+ * @param {string} event Event name
+ * @param {Array} args Event arguments
+ * @returns {number} Size in bytes
+ */
+function messageSize(event, args) {
+  let size = event.length;
+
+  args.forEach(arg => {
+    if (arg === undefined || typeof arg === 'function') return;
+    if (ArrayBuffer.isView(arg) || arg instanceof ArrayBuffer) {
+      size += arg.byteLength;
+    } else {
+      size += JSON.stringify(arg).length;
+    }
+  });
+
+  return size;
+}
+
+/**
+ * Add a message to per-event counters
+ * @param {Map} counters Event name -> { messages, bytes }
+ * @param {string} event Event name
+ * @param {number} bytes Message size
+ */
+function count(counters, event, bytes) {
+  let counter = counters.get(event);
+  if (!counter) {
+    counter = { messages: 0, bytes: 0 };
+    counters.set(event, counter);
+  }
+  counter.messages++;
+  counter.bytes += bytes;
+}
+
+/**
+ * Turn the counters of one interval into per-second rates
+ * @param {Map} counters Event name -> { messages, bytes }
+ * @param {number} seconds Length of the interval
+ * @returns {Object} Event name -> { messages, bytes } per second
+ */
+function toRates(counters, seconds) {
+  return Object.fromEntries(Array.from(counters, ([event, counter]) => [event, {
+    messages: counter.messages / seconds,
+    bytes: counter.bytes / seconds
+  }]));
+}
+
+/**
+ * Creates the traffic counters for a socket. Every message in and out is
+ * counted per event type, both in total since the socket connected and over
+ * the current report interval; a client can ask to be sent the interval
+ * rates each second for its network debug overlay. Server-wide counts go to
+ * the metrics as well. Sizing a message means serializing it a second time,
+ * so bytes are only measured while the socket is being sent reports.
+ * @param {SocketIO.Socket} socket Client socket
+ * @param {Object} metrics Server metrics (see metrics.js)
+ * @returns {Object} Socket stats; install `stats.middleware` with socket.use
+ */
+function createSocketStats(socket, metrics) {
+  const stats = {
+    connectedAt: Date.now(),
+    // Since the socket connected: event name -> { messages, bytes }; bytes only
+    // cover the time reports were on
+    inbound: new Map(),
+    outbound: new Map(),
+    // Messages since the socket connected, all events together
+    totals: { inbound: 0, outbound: 0 },
+    // Current report interval only
+    interval: { start: Date.now(), inbound: new Map(), outbound: new Map() },
+    reportTimer: null,
+
+    /**
+     * socket.use middleware counting every inbound message, including ones
+     * the event guard goes on to drop
+     * @param {Array} packet Event name followed by its arguments
+     * @param {Function} next Passes the packet on
+     */
+    middleware(packet, next) {
+      const [event, ...args] = packet;
+      // Any name can arrive here, so only known events get their own counter and metric label
+      const name = Object.prototype.hasOwnProperty.call(EVENT_RULES, event) ? event : 'unknown';
+      const bytes = stats.reportTimer ? messageSize(String(event).slice(0, 64), args) : 0;
+      count(stats.inbound, name, bytes);
+      count(stats.interval.inbound, name, bytes);
+      stats.totals.inbound++;
+
+      metrics.socketEvents.inc({ direction: 'in', event: name });
+      next();
+    },
+
+    /**
+     * Count an outbound message (socket.onAnyOutgoing listener; also sees room broadcasts)
+     * @param {string} event Event name
+     * @param {...*} args Event arguments
+     */
+    countOutgoing(event, ...args) {
+      const bytes = stats.reportTimer ? messageSize(event, args) : 0;
+      count(stats.outbound, event, bytes);
+      count(stats.interval.outbound, event, bytes);
+      stats.totals.outbound++;
+      metrics.socketEvents.inc({ direction: 'out', event });
+    },
+
+    /**
+     * Rates over the interval since the last report, then start a new interval
+     * @param {number} now Current time in milliseconds
+     * @returns {Object} { interval (ms), totals, inbound, outbound } with per-second rates by event
+     */
+    takeReport(now) {
+      const elapsed = Math.max(1, now - stats.interval.start);
+      const report = {
+        interval: elapsed,
+        totals: { ...stats.totals },
+        inbound: toRates(stats.interval.inbound, elapsed / 1000),
+        outbound: toRates(stats.interval.outbound, elapsed / 1000)
+      };
+      stats.interval = { start: now, inbound: new Map(), outbound: new Map() };
+      return report;
+    },
+
+    /**
+     * Start or stop sending this socket its network stats every REPORT_INTERVAL
+     * @param {boolean} enabled Whether to send them
+     * @param {Function} getExtra Returns fields added to each report (RTT, tick rate)
+     */
+    setReporting(enabled, getExtra) {
+      stats.stopReporting();
+      if (!enabled) return;
+
+      stats.takeReport(Date.now());
+      stats.reportTimer = setInterval(() => {
+        const now = Date.now();
+        socket.emit('netStats', { time: now, ...stats.takeReport(now), ...getExtra() });
+      }, REPORT_INTERVAL);
+    },
+
+    /**
+     * Stop sending network stats, e.g. when the socket disconnects
+     */
+    stopReporting() {
+      clearInterval(stats.reportTimer);
+      stats.reportTimer = null;
+    }
+  };
+
+  socket.onAnyOutgoing(stats.countOutgoing);
+
+  return stats;
+}
+
+module.exports = { createSocketStats };
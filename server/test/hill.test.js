@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HILL_ZONES } = require('vehicular-combat-shared');
+const { createHill } = require('../src/game/hill');
+
+/**
+ * Game state with players standing at the given positions
+ * @param {Object[]} players Player fields to set
+ * @returns {Object} Minimal game state
+ */
+function createGameState(players) {
+  return { players: new Map(players.map(player => [player.id, { alive: true, connected: true, ...player }])) };
+}
+
+const inZone = { ...HILL_ZONES[0].position };
+
+test('a player alone in the zone holds it', () => {
+  const hill = createHill(createGameState([{ id: 'a', position: inZone }]));
+  assert.strictEqual(hill.update(0).holderId, 'a');
+});
+
+test('two players in the zone contest it', () => {
+  const hill = createHill(createGameState([
+    { id: 'a', position: inZone },
+    { id: 'b', position: inZone }
+  ]));
+  assert.strictEqual(hill.update(0).holderId, null);
+  assert.strictEqual(hill.getState().contested, true);
+});
+
+test('a disconnected player neither holds nor contests the zone', () => {
+  const gameState = createGameState([
+    { id: 'a', position: inZone, connected: false },
+    { id: 'b', position: inZone }
+  ]);
+  const hill = createHill(gameState);
+  assert.strictEqual(hill.update(0).holderId, 'b');
+
+  gameState.players.get('b').alive = false;
+  assert.strictEqual(hill.update(0).holderId, null);
+  assert.deepStrictEqual(hill.getState().occupants, []);
+});
@@ -0,0 +1,87 @@
+/**
+ * Boss perimeter roaming shared by the server (authoritative) and the client
+ * SemiTrump. Works on anything with x/z position and y rotation fields, so
+ * both plain objects and THREE meshes can be stepped.
+ */
+
+// Height the boss is kept at so it sits on the ground
+const BOSS_HEIGHT = 0.2;
+
+// Distance at which a waypoint counts as reached
+const WAYPOINT_REACHED_DISTANCE = 5;
+
+// Rectangular path around the map perimeter, shifted toward the Washington Monument (south side)
+const PERIMETER_WIDTH = 160;
+const PERIMETER_LENGTH = 200; // Make length larger than width for rectangular path
+const PERIMETER_MARGIN = 10;
+const NORTH_MARGIN = 30; // Larger margin on north side (away from monument)
+const SOUTH_MARGIN = 5; // Smaller margin on south side (closer to monument)
+
+const BOSS_PERIMETER_WAYPOINTS = [
+  { x: -PERIMETER_WIDTH / 2 + PERIMETER_MARGIN, y: BOSS_HEIGHT, z: -PERIMETER_LENGTH / 2 + NORTH_MARGIN }, // Top left
+  { x: PERIMETER_WIDTH / 2 - PERIMETER_MARGIN, y: BOSS_HEIGHT, z: -PERIMETER_LENGTH / 2 + NORTH_MARGIN }, // Top right
+  { x: PERIMETER_WIDTH / 2 - PERIMETER_MARGIN, y: BOSS_HEIGHT, z: PERIMETER_LENGTH / 2 - SOUTH_MARGIN }, // Bottom right
+  { x: -PERIMETER_WIDTH / 2 + PERIMETER_MARGIN, y: BOSS_HEIGHT, z: PERIMETER_LENGTH / 2 - SOUTH_MARGIN } // Bottom left
+];
+
+/**
+ * Boss movement speed for a difficulty level
+ * @param {number} difficulty Boss difficulty (number of players)
+ * @returns {number} Speed in units per 1/60 s
+ */
+function getBossSpeed(difficulty) {
+  return 0.2 * (1 + (difficulty * 0.3));
+}
+
+/**
+ * Heading that faces the boss truck from one point toward another
+ * @param {number} dx Difference in x
+ * @param {number} dz Difference in z
+ * @returns {number} Rotation around Y in radians
+ */
+function getBossHeading(dx, dz) {
+  return Math.atan2(dx, dz) + Math.PI;
+}
+
+/**
+ * Advance the boss along the perimeter path by one step
+ * @param {Object} position Boss position (x, z); updated in place
+ * @param {Object} rotation Boss rotation (y); updated in place
+ * @param {Object} roaming Roaming state with currentWaypointIndex; updated in place
+ * @param {number} delta Step time in seconds
+ * @param {number} difficulty Boss difficulty
+ * @returns {boolean} True if a waypoint was reached this step
+ */
+function stepBossRoaming(position, rotation, roaming, delta, difficulty) {
+  if (typeof roaming.currentWaypointIndex !== 'number') {
+    roaming.currentWaypointIndex = 0;
+  }
+
+  const waypoint = BOSS_PERIMETER_WAYPOINTS[roaming.currentWaypointIndex];
+  const dx = waypoint.x - position.x;
+  const dz = waypoint.z - position.z;
+  const distance = Math.sqrt(dx * dx + dz * dz);
+
+  if (distance <= WAYPOINT_REACHED_DISTANCE) {
+    // We've reached the waypoint, move to the next one
+    roaming.currentWaypointIndex = (roaming.currentWaypointIndex + 1) % BOSS_PERIMETER_WAYPOINTS.length;
+    return true;
+  }
+
+  // Move towards waypoint and face the direction of movement
+  const step = getBossSpeed(difficulty) * delta * 60;
+  position.x += (dx / distance) * step;
+  position.z += (dz / distance) * step;
+  position.y = BOSS_HEIGHT;
+  rotation.y = getBossHeading(dx, dz);
+
+  return false;
+}
+
+module.exports = {
+  BOSS_HEIGHT,
+  BOSS_PERIMETER_WAYPOINTS,
+  getBossSpeed,
+  getBossHeading,
+  stepBossRoaming
+};
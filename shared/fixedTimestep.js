@@ -0,0 +1,58 @@
+/**
+ * Fixed timestep helper. Real frame times vary, so they are accumulated and
+ * the simulation is stepped in equal slices; both sides then step with the
+ * same deltas and get the same results.
+ */
+
+// Default simulation step (seconds)
+const FIXED_TIMESTEP = 1 / 60;
+
+// Steps run at most per advance, so a long stall can't freeze the game catching up
+const MAX_STEPS_PER_ADVANCE = 10;
+
+/**
+ * Create a fixed timestep accumulator
+ * @param {number} step Step length in seconds
+ * @param {number} maxSteps Most steps run per advance call
+ * @returns {Object} Fixed timestep accumulator
+ */
+function createFixedTimestep(step = FIXED_TIMESTEP, maxSteps = MAX_STEPS_PER_ADVANCE) {
+  return {
+    step,
+    accumulator: 0,
+
+    /**
+     * Add elapsed time and run as many whole steps as it covers
+     * @param {number} elapsed Real time since the last call in seconds
+     * @param {Function} callback Called with the step length for each step
+     * @returns {number} Number of steps run
+     */
+    advance(elapsed, callback) {
+      this.accumulator += elapsed;
+
+      let steps = 0;
+      while (this.accumulator >= this.step && steps < maxSteps) {
+        callback(this.step);
+        this.accumulator -= this.step;
+        steps++;
+      }
+
+      // Drop time we couldn't catch up on rather than spiralling
+      if (steps === maxSteps && this.accumulator >= this.step) {
+        this.accumulator = 0;
+      }
+
+      return steps;
+    },
+
+    /**
+     * Fraction of a step left over, for blending between steps when rendering
+     * @returns {number} Value in [0, 1)
+     */
+    getAlpha() {
+      return this.accumulator / this.step;
+    }
+  };
+}
+
+module.exports = { FIXED_TIMESTEP, createFixedTimestep };
@@ -0,0 +1,43 @@
+/**
+ * Capture-the-flag layout and rules shared by the client and the server.
+ * Each team's flag stands at its base: Blue in front of the Capitol steps,
+ * Red on the Washington Monument plaza, between the building and the team's
+ * spawn row.
+ */
+const { CAPITOL_POSITION, MONUMENT_POSITION } = require('./map');
+const { getCruiseSpeed } = require('./vehicleMovement');
+
+const FLAG_BASES = {
+  blue: { x: CAPITOL_POSITION.x, y: 0, z: CAPITOL_POSITION.z + 70 },
+  red: { x: MONUMENT_POSITION.x, y: 0, z: MONUMENT_POSITION.z - 20 }
+};
+
+// Carrying a flag caps the carrier's maxSpeed at this fraction of the speed the vehicle normally reaches
+const FLAG_CARRIER_SPEED_FACTOR = 0.75;
+
+/**
+ * Where a team's flag stands while it is at home
+ * @param {string} team Team ID
+ * @returns {Object} Position with x, y and z
+ */
+function getFlagBase(team) {
+  return { ...FLAG_BASES[team] };
+}
+
+/**
+ * Top speed of a vehicle, slowed if it carries a flag
+ * @param {Object} movementStats The vehicle's stats from getMovementStats
+ * @param {boolean} carryingFlag Whether it carries a flag
+ * @returns {number} maxSpeed to simulate with
+ */
+function getCarrierMaxSpeed(movementStats, carryingFlag) {
+  if (!carryingFlag) return movementStats.maxSpeed;
+  return Math.min(movementStats.maxSpeed, getCruiseSpeed(movementStats) * FLAG_CARRIER_SPEED_FACTOR);
+}
+
+module.exports = {
+  FLAG_BASES,
+  FLAG_CARRIER_SPEED_FACTOR,
+  getFlagBase,
+  getCarrierMaxSpeed
+};
@@ -0,0 +1,30 @@
+/**
+ * King-of-the-hill layout shared by the client and the server: the landmarks
+ * the scoring zone moves between, in order. The Monument zone rings the
+ * obelisk, so it is wider than the others.
+ */
+const { CAPITOL_POSITION, MONUMENT_POSITION } = require('./map');
+
+const HILL_ZONES = [
+  { id: 'monument', name: 'Monument Plaza', position: { x: MONUMENT_POSITION.x, y: 0, z: MONUMENT_POSITION.z }, radius: 25 },
+  // In front of the steps, clear of the Capitol spawn row
+  { id: 'capitol', name: 'Capitol Steps', position: { x: CAPITOL_POSITION.x, y: 0, z: CAPITOL_POSITION.z + 68 }, radius: 12 },
+  { id: 'center', name: 'Map Center', position: { x: 0, y: 0, z: 0 }, radius: 15 }
+];
+
+/**
+ * Check whether a position is inside a zone
+ * @param {Object} zone Zone from HILL_ZONES
+ * @param {Object} position Position with x and z
+ * @returns {boolean} True if inside
+ */
+function isInZone(zone, position) {
+  const dx = position.x - zone.position.x;
+  const dz = position.z - zone.position.z;
+  return dx * dx + dz * dz <= zone.radius * zone.radius;
+}
+
+module.exports = {
+  HILL_ZONES,
+  isInZone
+};
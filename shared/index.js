@@ -0,0 +1,137 @@
+/**
+ * Deterministic simulation core shared by the client and server. Plain
+ * JavaScript with no Three.js or socket.io, so both sides run the exact same
+ * math for the same inputs. Also holds the network snapshot format, which
+ * both sides have to agree on byte for byte.
+ */
+const { createRandom, generateSeed } = require('./random');
+const { FIXED_TIMESTEP, createFixedTimestep } = require('./fixedTimestep');
+const {
+  MAP_WIDTH,
+  MAP_LENGTH,
+  WALL_HEIGHT,
+  WALL_THICKNESS,
+  MONUMENT_POSITION,
+  CAPITOL_POSITION,
+  MAP_COLLIDERS,
+  OBJECT_COLLIDERS,
+  CAPITOL_SPAWN_POINTS,
+  WASHINGTON_SPAWN_POINTS,
+  getPlayerSpawnPoint,
+  isInBounds,
+  containsPoint,
+  resolveMapCollision
+} = require('./map');
+const { TEAMS, TEAM_IDS, isTeam, getTeamSpawnPoint } = require('./teams');
+const { FLAG_BASES, FLAG_CARRIER_SPEED_FACTOR, getFlagBase, getCarrierMaxSpeed } = require('./flags');
+const { HILL_ZONES, isInZone } = require('./hill');
+const {
+  VEHICLE_HEIGHT,
+  VEHICLE_RADIUS,
+  getMovementStats,
+  getCruiseSpeed,
+  createMovementState,
+  sanitizeControls,
+  stepVehicle,
+  resolveVehicleCollisions,
+  simulateVehicle
+} = require('./vehicleMovement');
+const {
+  BOSS_HEIGHT,
+  BOSS_PERIMETER_WAYPOINTS,
+  getBossSpeed,
+  getBossHeading,
+  stepBossRoaming
+} = require('./bossMovement');
+const { WEAPONS, getWeapon } = require('./weapons');
+const { createProjectileState, stepProjectile } = require('./projectile');
+const {
+  POSITION_SCALE,
+  ROTATION_STEPS,
+  BOSS_NET_ID,
+  MAX_NET_ID,
+  SNAPSHOT_ENCODINGS,
+  quantizeEntity,
+  dequantizeEntity,
+  diffEntities,
+  applyEntityDelta,
+  encodeSnapshot,
+  decodeSnapshot
+} = require('./snapshotCodec');
+
+module.exports = {
+  // Randomness and timing
+  createRandom,
+  generateSeed,
+  FIXED_TIMESTEP,
+  createFixedTimestep,
+
+  // Map
+  MAP_WIDTH,
+  MAP_LENGTH,
+  WALL_HEIGHT,
+  WALL_THICKNESS,
+  MONUMENT_POSITION,
+  CAPITOL_POSITION,
+  MAP_COLLIDERS,
+  OBJECT_COLLIDERS,
+  CAPITOL_SPAWN_POINTS,
+  WASHINGTON_SPAWN_POINTS,
+  getPlayerSpawnPoint,
+  isInBounds,
+  containsPoint,
+  resolveMapCollision,
+
+  // Teams
+  TEAMS,
+  TEAM_IDS,
+  isTeam,
+  getTeamSpawnPoint,
+
+  // Capture the flag
+  FLAG_BASES,
+  FLAG_CARRIER_SPEED_FACTOR,
+  getFlagBase,
+  getCarrierMaxSpeed,
+
+  // King of the hill
+  HILL_ZONES,
+  isInZone,
+
+  // Vehicles
+  VEHICLE_HEIGHT,
+  VEHICLE_RADIUS,
+  getMovementStats,
+  getCruiseSpeed,
+  createMovementState,
+  sanitizeControls,
+  stepVehicle,
+  resolveVehicleCollisions,
+  simulateVehicle,
+
+  // Boss
+  BOSS_HEIGHT,
+  BOSS_PERIMETER_WAYPOINTS,
+  getBossSpeed,
+  getBossHeading,
+  stepBossRoaming,
+
+  // Weapons and projectiles
+  WEAPONS,
+  getWeapon,
+  createProjectileState,
+  stepProjectile,
+
+  // Network snapshots
+  POSITION_SCALE,
+  ROTATION_STEPS,
+  BOSS_NET_ID,
+  MAX_NET_ID,
+  SNAPSHOT_ENCODINGS,
+  quantizeEntity,
+  dequantizeEntity,
+  diffEntities,
+  applyEntityDelta,
+  encodeSnapshot,
+  decodeSnapshot
+};
@@ -0,0 +1,220 @@
+/**
+ * Map layout needed by the simulation: bounds, solid colliders and spawn
+ * points. These mirror the meshes built in client/src/game/map/Map.js, which
+ * takes its numbers from here.
+ *
+ * Colliders are axis-aligned boxes ({ min, max } with x, y, z).
+ */
+
+// Map dimensions - Doubled in size
+const MAP_WIDTH = 320;
+const MAP_LENGTH = 480; // Longer in z-direction
+
+// Boundary walls
+const WALL_HEIGHT = 20;
+const WALL_THICKNESS = 4;
+
+// Washington Monument at south side, 30 units from edge
+const MONUMENT_POSITION = { x: 0, y: 0, z: MAP_LENGTH / 2 - 30 };
+const MONUMENT_BASE_SIZE = 20;
+const MONUMENT_HEIGHT = 127; // Base (2) + obelisk (110) + pyramid (15)
+
+// Capitol Building at north side, 60 units from north edge
+const CAPITOL_POSITION = { x: 0, y: 0, z: -MAP_LENGTH / 2 + 60 };
+
+// Colliders starting above this height don't block ground vehicles (e.g. the Capitol dome)
+const GROUND_CLEARANCE = 2;
+
+// Player spawn points
+const SPAWN_COUNT = 8;
+const SPAWN_WIDTH = MAP_WIDTH * 0.6; // Spawn within 60% of the map width
+
+/**
+ * Create an axis-aligned box collider
+ * @param {string} name Collider name
+ * @param {Object} min Minimum corner
+ * @param {Object} max Maximum corner
+ * @returns {Object} Collider
+ */
+function box(name, min, max) {
+  return { name, min, max };
+}
+
+/**
+ * Build the boundary wall colliders
+ * @returns {Array<Object>} Wall colliders
+ */
+function createWallColliders() {
+  const halfWidth = MAP_WIDTH / 2;
+  const halfLength = MAP_LENGTH / 2;
+
+  return [
+    box('northWall', { x: -halfWidth, y: 0, z: -halfLength - WALL_THICKNESS }, { x: halfWidth, y: WALL_HEIGHT, z: -halfLength }),
+    box('southWall', { x: -halfWidth, y: 0, z: halfLength }, { x: halfWidth, y: WALL_HEIGHT, z: halfLength + WALL_THICKNESS }),
+    box('eastWall', { x: halfWidth, y: 0, z: -halfLength }, { x: halfWidth + WALL_THICKNESS, y: WALL_HEIGHT, z: halfLength }),
+    box('westWall', { x: -halfWidth - WALL_THICKNESS, y: 0, z: -halfLength }, { x: -halfWidth, y: WALL_HEIGHT, z: halfLength })
+  ];
+}
+
+/**
+ * Build the precise colliders for the Capitol Building
+ * @returns {Array<Object>} Capitol colliders
+ */
+function createCapitolColliders() {
+  const buildingWidth = MAP_WIDTH * 0.85; // 85% of map width
+  const mainWidth = buildingWidth * 0.6; // Main building is 60% of total width
+  const wingWidth = (buildingWidth - mainWidth) / 2; // Each wing takes up the remaining space
+  const porticoWidth = mainWidth * 0.4;
+  const domeRadius = 24; // Match the dome base radius
+  const stepsWidth = mainWidth * 0.7;
+  const { x, y, z } = CAPITOL_POSITION;
+
+  return [
+    box('capitolBase', { x: x - mainWidth / 2, y, z: z - 30 }, { x: x + mainWidth / 2, y: y + 20, z: z + 30 }),
+    box('capitolLeftWing', { x: x - (mainWidth / 2 + wingWidth), y, z: z - 25 }, { x: x - mainWidth / 2, y: y + 30, z: z + 25 }),
+    box('capitolRightWing', { x: x + mainWidth / 2, y, z: z - 25 }, { x: x + (mainWidth / 2 + wingWidth), y: y + 30, z: z + 25 }),
+    box('capitolPortico', { x: x - porticoWidth / 2, y, z: z + 30 }, { x: x + porticoWidth / 2, y: y + 30, z: z + 50 }),
+    box('capitolDome', { x: x - domeRadius, y: y + 20, z: z - domeRadius }, { x: x + domeRadius, y: y + 44, z: z + domeRadius }),
+    box('capitolSteps', { x: x - stepsWidth / 2, y, z: z + 50 }, { x: x + stepsWidth / 2, y: y + 4, z: z + 60 })
+  ];
+}
+
+// Solid objects inside the walls
+const OBJECT_COLLIDERS = [
+  box(
+    'washingtonMonument',
+    { x: MONUMENT_POSITION.x - MONUMENT_BASE_SIZE / 2, y: 0, z: MONUMENT_POSITION.z - MONUMENT_BASE_SIZE / 2 },
+    { x: MONUMENT_POSITION.x + MONUMENT_BASE_SIZE / 2, y: MONUMENT_HEIGHT, z: MONUMENT_POSITION.z + MONUMENT_BASE_SIZE / 2 }
+  ),
+  ...createCapitolColliders()
+];
+
+// Every collider on the map
+const MAP_COLLIDERS = [...createWallColliders(), ...OBJECT_COLLIDERS];
+
+/**
+ * Build a row of spawn points across the map
+ * @param {number} z Row position along the map length
+ * @param {number} rotation Heading for vehicles spawned there
+ * @returns {Array<Object>} Spawn points with position and rotation
+ */
+function createSpawnRow(z, rotation) {
+  const points = [];
+  for (let i = 0; i < SPAWN_COUNT; i++) {
+    const x = (i / (SPAWN_COUNT - 1) - 0.5) * SPAWN_WIDTH; // Evenly distributed across the width
+    points.push({ position: { x, y: 0, z }, rotation });
+  }
+  return points;
+}
+
+// Normal spawns near the Capitol Building, facing south (towards the Washington Monument)
+const CAPITOL_SPAWN_POINTS = createSpawnRow(-MAP_LENGTH / 2 + 135, 0);
+
+// Portal spawns near the Washington Monument, facing north (towards the Capitol Building)
+const WASHINGTON_SPAWN_POINTS = createSpawnRow(MAP_LENGTH / 2 - 60, Math.PI);
+
+/**
+ * Pick a player spawn point
+ * @param {boolean} fromPortal True for players arriving through a portal
+ * @param {Object} [random] Seeded random generator (see random.js); Math.random if omitted
+ * @returns {Object} Spawn point with position and rotation
+ */
+function getPlayerSpawnPoint(fromPortal = false, random = null) {
+  const points = fromPortal ? WASHINGTON_SPAWN_POINTS : CAPITOL_SPAWN_POINTS;
+  const index = random ? random.nextInt(points.length) : Math.floor(Math.random() * points.length);
+  const point = points[index];
+  return { position: { ...point.position }, rotation: point.rotation };
+}
+
+/**
+ * Check if a position is within map bounds
+ * @param {Object} position Position with x and z
+ * @returns {boolean} True if inside the walls
+ */
+function isInBounds(position) {
+  return position.x > -MAP_WIDTH / 2 &&
+    position.x < MAP_WIDTH / 2 &&
+    position.z > -MAP_LENGTH / 2 &&
+    position.z < MAP_LENGTH / 2;
+}
+
+/**
+ * Check whether a point lies inside a collider
+ * @param {Object} collider Box collider
+ * @param {Object} point Point with x, y and z
+ * @returns {boolean} True if the point is inside
+ */
+function containsPoint(collider, point) {
+  return point.x >= collider.min.x && point.x <= collider.max.x &&
+    point.y >= collider.min.y && point.y <= collider.max.y &&
+    point.z >= collider.min.z && point.z <= collider.max.z;
+}
+
+/**
+ * Push a circle on the ground plane out of the walls and map objects.
+ * Like the original client collision, at most one wall and one object are
+ * resolved per call.
+ * @param {Object} position Position with x and z; corrected in place
+ * @param {number} radius Circle radius
+ * @returns {Object|null} Collision normal ({ x, z }) of the last correction, or null if none
+ */
+function resolveMapCollision(position, radius) {
+  const halfWidth = MAP_WIDTH / 2;
+  const halfLength = MAP_LENGTH / 2;
+  let normal = null;
+
+  // Walls
+  if (position.z - radius < -halfLength) {
+    position.z = -halfLength + radius;
+    normal = { x: 0, z: 1 };
+  } else if (position.z + radius > halfLength) {
+    position.z = halfLength - radius;
+    normal = { x: 0, z: -1 };
+  } else if (position.x + radius > halfWidth) {
+    position.x = halfWidth - radius;
+    normal = { x: -1, z: 0 };
+  } else if (position.x - radius < -halfWidth) {
+    position.x = -halfWidth + radius;
+    normal = { x: 1, z: 0 };
+  }
+
+  // Objects
+  for (const collider of OBJECT_COLLIDERS) {
+    if (collider.min.y > GROUND_CLEARANCE) continue;
+
+    // Closest point on the collider to the circle center
+    const closestX = Math.max(collider.min.x, Math.min(position.x, collider.max.x));
+    const closestZ = Math.max(collider.min.z, Math.min(position.z, collider.max.z));
+    const dx = position.x - closestX;
+    const dz = position.z - closestZ;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const penetration = radius - distance;
+
+    // Only resolve if actually penetrating (a center inside the box has no usable normal)
+    if (penetration > 0 && distance > 0) {
+      position.x += (dx / distance) * penetration;
+      position.z += (dz / distance) * penetration;
+      normal = { x: dx / distance, z: dz / distance };
+      break;
+    }
+  }
+
+  return normal;
+}
+
+module.exports = {
+  MAP_WIDTH,
+  MAP_LENGTH,
+  WALL_HEIGHT,
+  WALL_THICKNESS,
+  MONUMENT_POSITION,
+  CAPITOL_POSITION,
+  MAP_COLLIDERS,
+  OBJECT_COLLIDERS,
+  CAPITOL_SPAWN_POINTS,
+  WASHINGTON_SPAWN_POINTS,
+  getPlayerSpawnPoint,
+  isInBounds,
+  containsPoint,
+  resolveMapCollision
+};
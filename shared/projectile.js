@@ -0,0 +1,90 @@
+const { getWeapon } = require('./weapons');
+
+// How strongly homing projectiles turn toward their target each step
+const HOMING_STRENGTH = 0.1;
+
+// Projectiles moving less than this per step are considered stalled
+const MIN_STEP_DISTANCE_SQ = 0.0001;
+
+/**
+ * Create the flight state for a projectile
+ * @param {string} type Weapon type
+ * @param {Object} position Spawn position ({ x, y, z })
+ * @param {Object} direction Flight direction ({ x, y, z }); normalized here
+ * @param {number} time Spawn time in milliseconds
+ * @returns {Object|null} Projectile state, or null if the weapon is unknown
+ */
+function createProjectileState(type, position, direction, time) {
+  const weapon = getWeapon(type);
+  if (!weapon) return null;
+
+  const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z) || 1;
+
+  return {
+    type,
+    position: { x: position.x, y: position.y, z: position.z },
+    direction: { x: direction.x / length, y: direction.y / length, z: direction.z / length },
+    startPosition: { x: position.x, y: position.y, z: position.z },
+    spawnTime: time,
+    speed: weapon.speed,
+    lifetime: weapon.lifetime,
+    maxDistance: weapon.maxDistance,
+    homing: type === 'specialAttack'
+  };
+}
+
+/**
+ * Advance a projectile by one step. Mutates position and direction in place,
+ * so THREE.Vector3 instances work as well as plain objects.
+ * @param {Object} projectile Projectile state (see createProjectileState)
+ * @param {number} delta Step time in seconds
+ * @param {number} time Current time in milliseconds
+ * @param {Object} [targetPosition] Position homing projectiles steer toward
+ * @returns {boolean} False once the projectile has expired
+ */
+function stepProjectile(projectile, delta, time, targetPosition = null) {
+  const { position, direction } = projectile;
+
+  if (projectile.homing && targetPosition) {
+    const tx = targetPosition.x - position.x;
+    const ty = targetPosition.y - position.y;
+    const tz = targetPosition.z - position.z;
+    const targetLength = Math.sqrt(tx * tx + ty * ty + tz * tz);
+
+    if (targetLength > 0) {
+      // Gradual turning
+      direction.x += (tx / targetLength - direction.x) * HOMING_STRENGTH;
+      direction.y += (ty / targetLength - direction.y) * HOMING_STRENGTH;
+      direction.z += (tz / targetLength - direction.z) * HOMING_STRENGTH;
+
+      const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z) || 1;
+      direction.x /= length;
+      direction.y /= length;
+      direction.z /= length;
+    }
+  }
+
+  // Move projectile (speed is in units per 1/60 s)
+  const distance = projectile.speed * delta * 60;
+  position.x += direction.x * distance;
+  position.y += direction.y * distance;
+  position.z += direction.z * distance;
+
+  // Check if lifetime expired (force strict time limit)
+  if (time - projectile.spawnTime >= projectile.lifetime) {
+    return false;
+  }
+
+  // Check if projectile is moving too slowly
+  if (distance * distance < MIN_STEP_DISTANCE_SQ) {
+    return false;
+  }
+
+  // Check if projectile has exceeded maximum travel distance
+  const dx = position.x - projectile.startPosition.x;
+  const dy = position.y - projectile.startPosition.y;
+  const dz = position.z - projectile.startPosition.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz) <= projectile.maxDistance;
+}
+
+module.exports = { createProjectileState, stepProjectile };
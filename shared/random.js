@@ -0,0 +1,59 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32). Simulation code takes
+ * one of these instead of calling Math.random so results can be reproduced
+ * from the seed.
+ */
+
+/**
+ * Create a seeded random number generator
+ * @param {number} seed 32-bit integer seed
+ * @returns {Object} Random number generator
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return {
+    seed: seed >>> 0,
+
+    /**
+     * Next number in [0, 1)
+     * @returns {number} Random number
+     */
+    next() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Next integer in [0, max)
+     * @param {number} max Upper bound (exclusive)
+     * @returns {number} Random integer
+     */
+    nextInt(max) {
+      return Math.floor(this.next() * max);
+    },
+
+    /**
+     * Next number in [min, max)
+     * @param {number} min Lower bound
+     * @param {number} max Upper bound
+     * @returns {number} Random number
+     */
+    range(min, max) {
+      return min + this.next() * (max - min);
+    }
+  };
+}
+
+/**
+ * Pick a fresh seed for a new simulation
+ * @returns {number} 32-bit integer seed
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+module.exports = { createRandom, generateSeed };
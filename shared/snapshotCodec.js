@@ -0,0 +1,299 @@
+/**
+ * World snapshot encoding. Each server tick the positions and rotations of
+ * every player and the boss are quantized to small integers, diffed against
+ * the last snapshot the receiving client acknowledged, and packed into an
+ * ArrayBuffer. The same delta can be sent as plain JSON for debugging.
+ *
+ * A message also lists "deferred" entities: distant ones that moved but were
+ * held back this tick, so the client knows their position is stale.
+ */
+
+// Positions are stored as int16 in 1/100 units (+-327 units covers the 320x480 map)
+const POSITION_SCALE = 100;
+
+// Rotations are stored as uint16 fractions of a full turn
+const ROTATION_STEPS = 65536;
+
+// Network ID reserved for the boss; players are numbered from 1
+const BOSS_NET_ID = 0;
+
+// Network IDs are sent as uint16
+const MAX_NET_ID = 65535;
+
+// Snapshot encodings a client can ask for
+const SNAPSHOT_ENCODINGS = ['binary', 'json'];
+
+// Bits of an entity's field mask, one per quantized field
+const FIELD_X = 1;
+const FIELD_Y = 2;
+const FIELD_Z = 4;
+const FIELD_ROTATION = 8;
+const ENTITY_FIELDS = [
+  { key: 'x', bit: FIELD_X },
+  { key: 'y', bit: FIELD_Y },
+  { key: 'z', bit: FIELD_Z },
+  { key: 'r', bit: FIELD_ROTATION }
+];
+
+// Header flag set when the message carries the recipient's input acknowledgement
+const FLAG_INPUT_ACK = 1;
+
+// flags u8, seq u32, baseline u32, tick u32, time f64
+const HEADER_SIZE = 21;
+// seq u32, x/z/rotation/velocity x/velocity z/rotation velocity f32
+const INPUT_ACK_SIZE = 28;
+
+/**
+ * Quantize a position and rotation for a snapshot
+ * @param {Object} position Position with x, y and z
+ * @param {number} rotationY Rotation around the y axis in radians
+ * @returns {Object} Quantized entity { x, y, z, r }
+ */
+function quantizeEntity(position, rotationY) {
+  const turns = (rotationY || 0) / (Math.PI * 2);
+  return {
+    x: quantizePosition(position.x),
+    y: quantizePosition(position.y),
+    z: quantizePosition(position.z),
+    r: Math.round((turns - Math.floor(turns)) * ROTATION_STEPS) % ROTATION_STEPS
+  };
+}
+
+/**
+ * Quantize a single position component, clamped to the int16 range
+ * @param {number} value Position component in world units
+ * @returns {number} Quantized value
+ */
+function quantizePosition(value) {
+  const quantized = Math.round((value || 0) * POSITION_SCALE);
+  return Math.max(-32768, Math.min(32767, quantized));
+}
+
+/**
+ * Turn a quantized entity back into world units
+ * @param {Object} entity Quantized entity { x, y, z, r }
+ * @returns {Object} Position and rotation in world units
+ */
+function dequantizeEntity(entity) {
+  return {
+    position: {
+      x: entity.x / POSITION_SCALE,
+      y: entity.y / POSITION_SCALE,
+      z: entity.z / POSITION_SCALE
+    },
+    rotation: { y: (entity.r / ROTATION_STEPS) * Math.PI * 2 }
+  };
+}
+
+/**
+ * Work out which entity fields changed since a baseline snapshot
+ * @param {Map<number, Object>} entities Current quantized entities by network ID
+ * @param {Map<number, Object>|null} baseline Entities the client already has, or null for a full snapshot
+ * @returns {Object} Changed entities ({ id, mask, ...fields }) and IDs removed since the baseline
+ */
+function diffEntities(entities, baseline) {
+  const changed = [];
+  const removed = [];
+
+  entities.forEach((entity, id) => {
+    const previous = baseline ? baseline.get(id) : null;
+    let mask = 0;
+    const delta = { id };
+
+    ENTITY_FIELDS.forEach(({ key, bit }) => {
+      if (!previous || previous[key] !== entity[key]) {
+        mask |= bit;
+        delta[key] = entity[key];
+      }
+    });
+
+    // Entities that haven't moved are left out entirely
+    if (mask !== 0) {
+      delta.mask = mask;
+      changed.push(delta);
+    }
+  });
+
+  if (baseline) {
+    baseline.forEach((entity, id) => {
+      if (!entities.has(id)) removed.push(id);
+    });
+  }
+
+  return { changed, removed };
+}
+
+/**
+ * Rebuild the full entity set from a baseline and a delta
+ * @param {Map<number, Object>|null} baseline Entities of the baseline snapshot, or null for a full snapshot
+ * @param {Object} message Decoded snapshot message
+ * @returns {Map<number, Object>} Quantized entities by network ID
+ */
+function applyEntityDelta(baseline, message) {
+  const entities = new Map();
+
+  if (baseline) {
+    baseline.forEach((entity, id) => entities.set(id, { ...entity }));
+  }
+  message.removed.forEach(id => entities.delete(id));
+
+  message.entities.forEach(delta => {
+    const entity = entities.get(delta.id) || { x: 0, y: 0, z: 0, r: 0 };
+    ENTITY_FIELDS.forEach(({ key, bit }) => {
+      if (delta.mask & bit) entity[key] = delta[key];
+    });
+    entities.set(delta.id, entity);
+  });
+
+  return entities;
+}
+
+/**
+ * Pack a snapshot message into a binary buffer
+ * @param {Object} message Snapshot message ({ seq, baseline, tick, time, entities, removed, deferred, inputAck })
+ * @returns {ArrayBuffer} Encoded message
+ */
+function encodeSnapshot(message) {
+  const deferred = message.deferred || [];
+  let size = HEADER_SIZE + (message.inputAck ? INPUT_ACK_SIZE : 0) + 2 +
+    2 + message.removed.length * 2 +
+    2 + deferred.length * 2;
+  message.entities.forEach(entity => {
+    size += 3;
+    ENTITY_FIELDS.forEach(({ bit }) => {
+      if (entity.mask & bit) size += 2;
+    });
+  });
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  view.setUint8(offset, message.inputAck ? FLAG_INPUT_ACK : 0); offset += 1;
+  view.setUint32(offset, message.seq); offset += 4;
+  view.setUint32(offset, message.baseline); offset += 4;
+  view.setUint32(offset, message.tick); offset += 4;
+  view.setFloat64(offset, message.time); offset += 8;
+
+  if (message.inputAck) {
+    const ack = message.inputAck;
+    view.setUint32(offset, ack.seq); offset += 4;
+    [
+      ack.position.x,
+      ack.position.z,
+      ack.rotation.y,
+      ack.velocity.x,
+      ack.velocity.z,
+      ack.rotationVelocity
+    ].forEach(value => {
+      view.setFloat32(offset, value); offset += 4;
+    });
+  }
+
+  view.setUint16(offset, message.entities.length); offset += 2;
+  message.entities.forEach(entity => {
+    view.setUint16(offset, entity.id); offset += 2;
+    view.setUint8(offset, entity.mask); offset += 1;
+    ENTITY_FIELDS.forEach(({ key, bit }) => {
+      if (!(entity.mask & bit)) return;
+      if (bit === FIELD_ROTATION) {
+        view.setUint16(offset, entity[key]);
+      } else {
+        view.setInt16(offset, entity[key]);
+      }
+      offset += 2;
+    });
+  });
+
+  view.setUint16(offset, message.removed.length); offset += 2;
+  message.removed.forEach(id => {
+    view.setUint16(offset, id); offset += 2;
+  });
+
+  view.setUint16(offset, deferred.length); offset += 2;
+  deferred.forEach(id => {
+    view.setUint16(offset, id); offset += 2;
+  });
+
+  return buffer;
+}
+
+/**
+ * Unpack a binary snapshot message
+ * @param {ArrayBuffer|Uint8Array} data Encoded message (Node delivers a Buffer, browsers an ArrayBuffer)
+ * @returns {Object} Snapshot message
+ */
+function decodeSnapshot(data) {
+  const view = ArrayBuffer.isView(data)
+    ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+    : new DataView(data);
+  let offset = 0;
+
+  const flags = view.getUint8(offset); offset += 1;
+  const message = {
+    seq: view.getUint32(offset),
+    baseline: view.getUint32(offset + 4),
+    tick: view.getUint32(offset + 8),
+    time: view.getFloat64(offset + 12),
+    inputAck: null,
+    entities: [],
+    removed: [],
+    deferred: []
+  };
+  offset += 20;
+
+  if (flags & FLAG_INPUT_ACK) {
+    const seq = view.getUint32(offset); offset += 4;
+    const values = [];
+    for (let i = 0; i < 6; i++) {
+      values.push(view.getFloat32(offset)); offset += 4;
+    }
+    message.inputAck = {
+      seq,
+      tick: message.tick,
+      time: message.time,
+      position: { x: values[0], z: values[1] },
+      rotation: { y: values[2] },
+      velocity: { x: values[3], z: values[4] },
+      rotationVelocity: values[5]
+    };
+  }
+
+  const entityCount = view.getUint16(offset); offset += 2;
+  for (let i = 0; i < entityCount; i++) {
+    const entity = { id: view.getUint16(offset), mask: view.getUint8(offset + 2) };
+    offset += 3;
+    ENTITY_FIELDS.forEach(({ key, bit }) => {
+      if (!(entity.mask & bit)) return;
+      entity[key] = bit === FIELD_ROTATION ? view.getUint16(offset) : view.getInt16(offset);
+      offset += 2;
+    });
+    message.entities.push(entity);
+  }
+
+  const removedCount = view.getUint16(offset); offset += 2;
+  for (let i = 0; i < removedCount; i++) {
+    message.removed.push(view.getUint16(offset)); offset += 2;
+  }
+
+  const deferredCount = view.getUint16(offset); offset += 2;
+  for (let i = 0; i < deferredCount; i++) {
+    message.deferred.push(view.getUint16(offset)); offset += 2;
+  }
+
+  return message;
+}
+
+module.exports = {
+  POSITION_SCALE,
+  ROTATION_STEPS,
+  BOSS_NET_ID,
+  MAX_NET_ID,
+  SNAPSHOT_ENCODINGS,
+  quantizeEntity,
+  dequantizeEntity,
+  diffEntities,
+  applyEntityDelta,
+  encodeSnapshot,
+  decodeSnapshot
+};
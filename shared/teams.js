@@ -0,0 +1,41 @@
+/**
+ * The two teams of the team modes. Each team spawns at its own end of the
+ * map; the color is how clients tell the teams apart.
+ */
+const { CAPITOL_SPAWN_POINTS, WASHINGTON_SPAWN_POINTS } = require('./map');
+
+const TEAMS = {
+  blue: { name: 'Blue', color: '#3399ff', spawnPoints: CAPITOL_SPAWN_POINTS },
+  red: { name: 'Red', color: '#ff3333', spawnPoints: WASHINGTON_SPAWN_POINTS }
+};
+
+const TEAM_IDS = Object.keys(TEAMS);
+
+/**
+ * Check whether a team exists
+ * @param {string} team Team ID
+ * @returns {boolean} True if the team is known
+ */
+function isTeam(team) {
+  return Object.prototype.hasOwnProperty.call(TEAMS, team);
+}
+
+/**
+ * Pick a spawn point on a team's side of the map
+ * @param {string} team Team ID
+ * @param {Object} [random] Seeded random generator (see random.js); Math.random if omitted
+ * @returns {Object} Spawn point with position and rotation
+ */
+function getTeamSpawnPoint(team, random = null) {
+  const points = TEAMS[team].spawnPoints;
+  const index = random ? random.nextInt(points.length) : Math.floor(Math.random() * points.length);
+  const point = points[index];
+  return { position: { ...point.position }, rotation: point.rotation };
+}
+
+module.exports = {
+  TEAMS,
+  TEAM_IDS,
+  isTeam,
+  getTeamSpawnPoint
+};
@@ -0,0 +1,195 @@
+const { resolveMapCollision } = require('./map');
+const { FIXED_TIMESTEP } = require('./fixedTimestep');
+
+/**
+ * Vehicle kinematics shared by the client (prediction) and the server
+ * (authoritative simulation). Everything here is plain data and math so the
+ * same input produces the same result on both sides.
+ *
+ * Velocities are in the vehicle's local frame (negative z is forward) and in
+ * units per step, matching the original Vehicle.updateMovement.
+ */
+
+// Height vehicles are kept at so they sit on the ground
+const VEHICLE_HEIGHT = 0.2;
+
+// Per-step damping of linear and angular velocity
+const FRICTION = 0.95;
+const ROTATION_FRICTION = 0.9;
+
+// Reverse acceleration relative to forward
+const REVERSE_FACTOR = 0.6;
+
+// Radius of the circle used for vehicle vs map collisions
+const VEHICLE_RADIUS = 2;
+
+// Fraction of speed kept after bouncing off a wall or building
+const COLLISION_DAMPING = 0.5;
+
+/**
+ * Derive movement stats from vehicle config stats (same formulas as the Vehicle constructor)
+ * @param {Object} stats Vehicle stats with speed and handling
+ * @returns {{acceleration: number, turnRate: number, maxSpeed: number}} Movement stats
+ */
+function getMovementStats(stats) {
+  return {
+    acceleration: 0.5 + (stats.speed * 0.1),
+    turnRate: 0.03 + (stats.handling * 0.01),
+    maxSpeed: 1 + (stats.speed * 0.2)
+  };
+}
+
+/**
+ * Speed a vehicle settles at with the throttle held, where acceleration and
+ * friction cancel out. This is well under maxSpeed, so a maxSpeed has to be
+ * below it to slow a vehicle down.
+ * @param {Object} movementStats Stats from getMovementStats
+ * @param {number} [delta] Input frame time in seconds
+ * @returns {number} Speed in units per step
+ */
+function getCruiseSpeed(movementStats, delta = FIXED_TIMESTEP) {
+  return movementStats.acceleration * delta * FRICTION / (1 - FRICTION);
+}
+
+/**
+ * Create a movement state at rest
+ * @param {Object} position Starting position ({ x, z })
+ * @param {number} rotationY Starting heading in radians
+ * @returns {Object} Movement state
+ */
+function createMovementState(position, rotationY = 0) {
+  return {
+    x: position.x,
+    z: position.z,
+    rotationY,
+    velocityX: 0,
+    velocityZ: 0,
+    rotationVelocity: 0
+  };
+}
+
+/**
+ * Keep only the movement controls, as booleans
+ * @param {Object} controls Raw controls object
+ * @returns {{forward: boolean, backward: boolean, left: boolean, right: boolean}} Movement controls
+ */
+function sanitizeControls(controls) {
+  const source = controls || {};
+  return {
+    forward: source.forward === true,
+    backward: source.backward === true,
+    left: source.left === true,
+    right: source.right === true
+  };
+}
+
+/**
+ * Advance a movement state by one input frame. Mutates and returns the state.
+ * @param {Object} state Movement state (see createMovementState)
+ * @param {Object} controls Movement controls for this frame
+ * @param {number} delta Frame time in seconds
+ * @param {Object} movementStats Stats from getMovementStats
+ * @returns {Object} The updated state
+ */
+function stepVehicle(state, controls, delta, movementStats) {
+  const { acceleration, turnRate, maxSpeed } = movementStats;
+
+  // Apply acceleration based on controls
+  if (controls.forward) {
+    state.velocityZ -= acceleration * delta;
+  }
+  if (controls.backward) {
+    state.velocityZ += acceleration * REVERSE_FACTOR * delta; // Slower in reverse
+  }
+
+  // Apply turning
+  if (controls.left) {
+    state.rotationVelocity += turnRate * delta;
+  }
+  if (controls.right) {
+    state.rotationVelocity -= turnRate * delta;
+  }
+
+  // Apply friction
+  state.velocityX *= FRICTION;
+  state.velocityZ *= FRICTION;
+  state.rotationVelocity *= ROTATION_FRICTION;
+
+  // Enforce speed limits
+  const speedSq = state.velocityX * state.velocityX + state.velocityZ * state.velocityZ;
+  if (speedSq > maxSpeed * maxSpeed) {
+    const scale = maxSpeed / Math.sqrt(speedSq);
+    state.velocityX *= scale;
+    state.velocityZ *= scale;
+  }
+
+  // Update rotation
+  state.rotationY += state.rotationVelocity;
+
+  // Move in the direction we're facing (rotate local velocity around the Y axis)
+  const sin = Math.sin(state.rotationY);
+  const cos = Math.cos(state.rotationY);
+  state.x += state.velocityX * cos + state.velocityZ * sin;
+  state.z += state.velocityZ * cos - state.velocityX * sin;
+
+  return state;
+}
+
+/**
+ * Push the vehicle out of walls and map objects, bouncing its velocity off
+ * the surface it hit. Mutates the state.
+ * @param {Object} state Movement state
+ * @param {number} radius Vehicle collision radius
+ * @returns {boolean} True if the vehicle collided
+ */
+function resolveVehicleCollisions(state, radius = VEHICLE_RADIUS) {
+  const position = { x: state.x, z: state.z };
+  const normal = resolveMapCollision(position, radius);
+  if (!normal) return false;
+
+  state.x = position.x;
+  state.z = position.z;
+
+  // Velocity is in the vehicle's frame, so reflect it in world space
+  const sin = Math.sin(state.rotationY);
+  const cos = Math.cos(state.rotationY);
+  let worldX = state.velocityX * cos + state.velocityZ * sin;
+  let worldZ = state.velocityZ * cos - state.velocityX * sin;
+
+  const dot = worldX * normal.x + worldZ * normal.z;
+  if (dot < 0) {
+    worldX = (worldX - 2 * dot * normal.x) * COLLISION_DAMPING;
+    worldZ = (worldZ - 2 * dot * normal.z) * COLLISION_DAMPING;
+    state.velocityX = worldX * cos - worldZ * sin;
+    state.velocityZ = worldX * sin + worldZ * cos;
+  }
+
+  return true;
+}
+
+/**
+ * Advance a vehicle by one input frame including map collisions. This is the
+ * full step both the server and client prediction run.
+ * @param {Object} state Movement state
+ * @param {Object} controls Movement controls for this frame
+ * @param {number} delta Frame time in seconds
+ * @param {Object} movementStats Stats from getMovementStats
+ * @returns {Object} The updated state
+ */
+function simulateVehicle(state, controls, delta, movementStats) {
+  stepVehicle(state, controls, delta, movementStats);
+  resolveVehicleCollisions(state);
+  return state;
+}
+
+module.exports = {
+  VEHICLE_HEIGHT,
+  VEHICLE_RADIUS,
+  getMovementStats,
+  getCruiseSpeed,
+  createMovementState,
+  sanitizeControls,
+  stepVehicle,
+  resolveVehicleCollisions,
+  simulateVehicle
+};
@@ -0,0 +1,32 @@
+/**
+ * Weapon table used by the client Projectile and by the server, which
+ * decides damage and range on its own instead of trusting clients.
+ * Speeds are in units per 1/60 s.
+ */
+const WEAPONS = {
+  machineGun: {
+    damage: 5,
+    speed: 2,
+    lifetime: 3000, // milliseconds
+    maxDistance: 50,
+    fireInterval: 50 // Shortest time between two shots of one player, enforced by the server (ms)
+  },
+  specialAttack: {
+    damage: 50,
+    speed: 1,
+    lifetime: 4500, // milliseconds
+    maxDistance: 75,
+    fireInterval: 250
+  }
+};
+
+/**
+ * Look up a weapon definition
+ * @param {string} type Weapon type
+ * @returns {Object|null} Weapon definition or null if the type is unknown
+ */
+function getWeapon(type) {
+  return Object.prototype.hasOwnProperty.call(WEAPONS, type) ? WEAPONS[type] : null;
+}
+
+module.exports = { WEAPONS, getWeapon };